@@ -0,0 +1,50 @@
+/**
+ * In-memory response cache with a time-to-live per entry
+ *
+ * Bounded by entry count: when full, the oldest entry is dropped (a Map
+ * iterates in insertion order, and a refreshed entry is re-inserted).
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=500]
+ * @param {Function} [options.now=Date.now] - Clock, replaceable for tests
+ * @returns {{get: Function, set: Function, clear: Function, size: Function}}
+ */
+export function createTtlCache({ maxEntries = 500, now = Date.now } = {}) {
+  const entries = new Map()
+
+  /**
+   * @param {string} key
+   * @returns {*} The cached value, or undefined when missing or expired
+   */
+  function get(key) {
+    const entry = entries.get(key)
+    if (!entry) return undefined
+    if (entry.expiresAt <= now()) {
+      entries.delete(key)
+      return undefined
+    }
+    return entry.value
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttlMs
+   */
+  function set(key, value, ttlMs) {
+    entries.delete(key)
+    entries.set(key, { value, expiresAt: now() + ttlMs })
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value)
+  }
+
+  return {
+    get,
+    set,
+    clear: () => entries.clear(),
+    size: () => entries.size
+  }
+}
+
+export default createTtlCache
@@ -0,0 +1,57 @@
+import { createServer } from 'node:http'
+import { createWeatherProxy } from './proxy.js'
+
+/**
+ * Standalone API server
+ *
+ *   npm run server
+ *
+ * Reads its settings from the environment (and .env, when there is one):
+ *
+ *   WEATHER_API_KEY        WeatherAPI.com key, never sent to the browser
+ *   PORT                   default 8787
+ *   ALLOWED_ORIGIN         frontend origin, when it is served from another host
+ *   RATE_LIMIT_PER_MINUTE  requests per client per minute, default 120
+ *   TRUST_PROXY            "true" behind a reverse proxy that sets X-Forwarded-For
+ *
+ * During `npm run dev` the same handler runs inside Vite's dev server (see
+ * vite.config.js), so this process is only needed for deployment.
+ */
+
+try {
+  process.loadEnvFile()
+} catch {
+  // No .env file; use the environment as it is
+}
+
+const DEFAULT_RATE_LIMIT = 120
+
+const { WEATHER_API_KEY, PORT = '8787', ALLOWED_ORIGIN, RATE_LIMIT_PER_MINUTE, TRUST_PROXY } = process.env
+
+if (!WEATHER_API_KEY) {
+  console.warn('WEATHER_API_KEY is not set; every weather request will fail with "API key not provided".')
+}
+
+// Anything but a positive whole number would turn the limit off (NaN) or block everyone
+let rateLimitPerMinute = DEFAULT_RATE_LIMIT
+if (RATE_LIMIT_PER_MINUTE) {
+  const parsed = Number(RATE_LIMIT_PER_MINUTE)
+  if (Number.isInteger(parsed) && parsed > 0) {
+    rateLimitPerMinute = parsed
+  } else {
+    console.warn(
+      `RATE_LIMIT_PER_MINUTE="${RATE_LIMIT_PER_MINUTE}" is not a positive whole number; using ${DEFAULT_RATE_LIMIT}.`
+    )
+  }
+}
+
+const handle = createWeatherProxy({
+  apiKey: WEATHER_API_KEY,
+  allowedOrigin: ALLOWED_ORIGIN,
+  rateLimit: { max: rateLimitPerMinute },
+  trustProxy: TRUST_PROXY === 'true'
+})
+
+createServer(handle).listen(Number(PORT), () => {
+  console.log(`Weather API server listening on http://localhost:${PORT}`)
+})
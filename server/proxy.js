@@ -0,0 +1,230 @@
+import { isIP } from 'node:net'
+import { createTtlCache } from './cache.js'
+import { createRateLimiter } from './rateLimit.js'
+
+/**
+ * WeatherAPI proxy
+ *
+ * Keeps the WeatherAPI key on the server. The browser calls a narrow /api
+ * surface, and only the parameters listed here are forwarded upstream:
+ *
+ *   GET /api/forecast?q=Boston&days=7   -> forecast.json (air quality and alerts included)
+ *   GET /api/history?q=Boston&dt=2026-10-18 -> history.json
+ *   GET /api/search?q=Bos               -> search.json
+ *
+ * `q=auto:ip` is replaced with the caller's address, since upstream it would
+ * locate the proxy instead (and be cached for everyone under that key).
+ *
+ * Upstream responses are passed through unchanged, errors included, so the
+ * client's WeatherAPI adapter reads them as before. The proxy's own errors
+ * use the same { error: { code, message } } shape; the ones without a
+ * WeatherAPI code are told apart by their HTTP status (429 rate limited,
+ * 502 upstream unreachable, 504 upstream too slow).
+ */
+
+const DEFAULT_UPSTREAM = 'https://api.weatherapi.com/v1'
+const MAX_QUERY_LENGTH = 100
+const MAX_DAYS = 14
+const MINUTE_MS = 60 * 1000
+// WeatherAPI usually answers within a second; past this the client is better off retrying
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 10 * 1000
+
+/**
+ * Build a route's upstream parameters from the request's query string
+ * @callback ReadParams
+ * @param {URLSearchParams} searchParams
+ * @returns {Object<string, string>|string} Parameters, or an error message
+ */
+
+/**
+ * Read the required location query
+ * @param {URLSearchParams} searchParams
+ * @returns {string|null}
+ */
+function readLocation(searchParams) {
+  const q = searchParams.get('q')?.trim()
+  return q && q.length <= MAX_QUERY_LENGTH ? q : null
+}
+
+// Addresses that say nothing about where the caller is
+const PRIVATE_ADDRESS = /^(10\.|127\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\.|::1?$|f[cd]|fe80:)/i
+const LOOPBACK_ADDRESS = /^(127\.|::1$)/
+
+/**
+ * What to send upstream for `q=auto:ip` from a client address
+ *
+ * A caller on this machine (`npm run dev`) shares its public address, so
+ * WeatherAPI's own lookup is right for it; any other private or unknown
+ * address can't be located.
+ * @param {string} address - From clientId()
+ * @returns {string|null} A public IP, "auto:ip" for loopback, or null
+ */
+function locateByAddress(address) {
+  const ip = address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '')
+  if (!isIP(ip)) return null
+  if (LOOPBACK_ADDRESS.test(ip)) return 'auto:ip'
+  return PRIVATE_ADDRESS.test(ip) ? null : ip
+}
+
+/** @type {Object<string, {upstream: string, ttlMs: number, readParams: ReadParams}>} */
+const ROUTES = {
+  '/api/forecast': {
+    upstream: 'forecast.json',
+    // Forecasts are refreshed upstream every 15 minutes or so
+    ttlMs: 10 * MINUTE_MS,
+    readParams(searchParams) {
+      const q = readLocation(searchParams)
+      if (!q) return 'Parameter q is missing or too long.'
+      const days = Number(searchParams.get('days') ?? 7)
+      if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) return `Parameter days must be 1 to ${MAX_DAYS}.`
+      return { q, days: String(days), aqi: 'yes', alerts: 'yes' }
+    }
+  },
+  '/api/history': {
+    upstream: 'history.json',
+    // Observed weather for a past date doesn't change
+    ttlMs: 24 * 60 * MINUTE_MS,
+    readParams(searchParams) {
+      const q = readLocation(searchParams)
+      if (!q) return 'Parameter q is missing or too long.'
+      const dt = searchParams.get('dt') ?? ''
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(dt)) return 'Parameter dt must be a YYYY-MM-DD date.'
+      return { q, dt }
+    }
+  },
+  '/api/search': {
+    upstream: 'search.json',
+    ttlMs: 24 * 60 * MINUTE_MS,
+    readParams(searchParams) {
+      const q = readLocation(searchParams)
+      if (!q) return 'Parameter q is missing or too long.'
+      return { q }
+    }
+  }
+}
+
+/**
+ * Write a JSON response
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {string} body - Already serialized JSON
+ * @param {Object<string, string>} [headers]
+ */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers })
+  res.end(body)
+}
+
+/**
+ * Write an error in WeatherAPI's shape
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {number} [options.code] - WeatherAPI error code, when one fits
+ * @param {Object<string, string>} [options.headers]
+ */
+function sendError(res, status, message, { code, headers } = {}) {
+  send(res, status, JSON.stringify({ error: { code, message } }), headers)
+}
+
+/**
+ * Create the proxy's request handler
+ *
+ * The handler works both as a plain node:http listener and as Connect-style
+ * middleware (Vite's dev server): requests outside /api are passed to `next`
+ * when there is one, and answered with a 404 otherwise.
+ *
+ * @param {Object} options
+ * @param {string} [options.apiKey] - WeatherAPI key; without it every call answers WeatherAPI's "key not provided"
+ * @param {string} [options.upstream] - WeatherAPI base URL
+ * @param {Function} [options.fetch] - fetch implementation, replaceable to stub the upstream
+ * @param {number} [options.upstreamTimeoutMs=10000] - Give up on an upstream call after this long
+ * @param {Object} [options.rateLimit] - { max, windowMs } per client
+ * @param {number} [options.maxCacheEntries]
+ * @param {string} [options.allowedOrigin] - Sent as Access-Control-Allow-Origin when the frontend is served elsewhere
+ * @param {boolean} [options.trustProxy=false] - Identify clients by X-Forwarded-For (only behind a trusted reverse proxy)
+ * @param {Function} [options.now=Date.now] - Clock for the cache and rate limiter
+ * @returns {Function} (req, res, next?) => Promise<void>
+ */
+export function createWeatherProxy({
+  apiKey,
+  upstream = DEFAULT_UPSTREAM,
+  fetch = globalThis.fetch,
+  upstreamTimeoutMs = DEFAULT_UPSTREAM_TIMEOUT_MS,
+  rateLimit,
+  maxCacheEntries,
+  allowedOrigin,
+  trustProxy = false,
+  now = Date.now
+} = {}) {
+  const cache = createTtlCache({ maxEntries: maxCacheEntries, now })
+  const limiter = createRateLimiter({ ...rateLimit, now })
+  const corsHeaders = allowedOrigin ? { 'Access-Control-Allow-Origin': allowedOrigin, Vary: 'Origin' } : {}
+
+  function clientId(req) {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for']?.split(',')[0].trim() : null
+    return forwarded || req.socket.remoteAddress || 'unknown'
+  }
+
+  return async function handle(req, res, next) {
+    const url = new URL(req.url, 'http://localhost')
+    if (!url.pathname.startsWith('/api/')) {
+      if (next) return next()
+      return sendError(res, 404, 'Not found.')
+    }
+
+    const route = ROUTES[url.pathname]
+    if (!route) return sendError(res, 404, 'Not found.', { headers: corsHeaders })
+    if (req.method !== 'GET') {
+      return sendError(res, 405, 'Only GET is supported.', { headers: { ...corsHeaders, Allow: 'GET' } })
+    }
+
+    const client = clientId(req)
+    const limit = limiter.check(client)
+    if (!limit.allowed) {
+      return sendError(res, 429, 'Too many requests. Slow down and try again shortly.', {
+        headers: { ...corsHeaders, 'Retry-After': String(Math.ceil(limit.retryAfterMs / 1000)) }
+      })
+    }
+
+    const params = route.readParams(url.searchParams)
+    // 1003 is WeatherAPI's "parameter not provided"
+    if (typeof params === 'string') return sendError(res, 400, params, { code: 1003, headers: corsHeaders })
+    if (params.q.toLowerCase() === 'auto:ip') {
+      params.q = locateByAddress(client)
+      // ...and 1006 its "no location found"
+      if (!params.q) {
+        return sendError(res, 400, "Couldn't tell where you are from your address.", { code: 1006, headers: corsHeaders })
+      }
+    }
+    // ...and 1002 its "API key not provided"
+    if (!apiKey) {
+      return sendError(res, 401, 'The API server has no WEATHER_API_KEY.', { code: 1002, headers: corsHeaders })
+    }
+
+    const cacheKey = `${route.upstream}?${new URLSearchParams(params)}`
+    const cached = cache.get(cacheKey)
+    if (cached !== undefined) return send(res, 200, cached, { ...corsHeaders, 'X-Cache': 'HIT' })
+
+    let upstreamRes
+    let body
+    try {
+      upstreamRes = await fetch(`${upstream}/${route.upstream}?${new URLSearchParams({ key: apiKey, ...params })}`, {
+        signal: AbortSignal.timeout(upstreamTimeoutMs)
+      })
+      body = await upstreamRes.text()
+    } catch (err) {
+      if (err.name === 'TimeoutError') {
+        return sendError(res, 504, 'WeatherAPI took too long to answer.', { headers: corsHeaders })
+      }
+      return sendError(res, 502, "Couldn't reach WeatherAPI.", { headers: corsHeaders })
+    }
+
+    // Only successes are cached; errors may be fixed by the next call
+    if (upstreamRes.ok) cache.set(cacheKey, body, route.ttlMs)
+    send(res, upstreamRes.status, body, { ...corsHeaders, 'X-Cache': 'MISS' })
+  }
+}
+
+export default createWeatherProxy
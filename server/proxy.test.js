@@ -0,0 +1,259 @@
+// @vitest-environment node
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { createWeatherProxy } from './proxy.js'
+import { createRateLimiter } from './rateLimit.js'
+
+const UPSTREAM = 'https://upstream.test/v1'
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Run one request through the handler
+ * @param {Function} handle
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.headers]
+ * @param {string} [options.ip='203.0.113.5']
+ * @returns {Promise<{status: number, headers: Object, body: *}>} Body parsed as JSON when it is JSON
+ */
+async function request(handle, url, { method = 'GET', headers = {}, ip = '203.0.113.5' } = {}) {
+  const req = { url, method, headers, socket: { remoteAddress: ip } }
+  const response = {}
+  const res = {
+    writeHead(status, responseHeaders) {
+      response.status = status
+      response.headers = responseHeaders
+    },
+    end(body) {
+      try {
+        response.body = JSON.parse(body)
+      } catch {
+        response.body = body
+      }
+    }
+  }
+  await handle(req, res)
+  return response
+}
+
+let clock
+let upstream
+
+beforeEach(() => {
+  clock = 0
+  upstream = vi.fn(async () => new Response(JSON.stringify({ location: { name: 'Boston' } }), { status: 200 }))
+})
+
+const createProxy = (options = {}) =>
+  createWeatherProxy({ apiKey: 'secret', upstream: UPSTREAM, fetch: upstream, now: () => clock, ...options })
+
+// The upstream URL of the nth call
+const upstreamUrl = (call = 0) => new URL(upstream.mock.calls[call][0])
+
+describe('createWeatherProxy', () => {
+  describe('forwarding', () => {
+    it('forwards only the allowed parameters and adds the key server-side', async () => {
+      const handle = createProxy()
+      await request(handle, '/api/forecast?q=Boston&days=3&key=stolen&lang=fr&callback=x')
+
+      const url = upstreamUrl()
+      expect(`${url.origin}${url.pathname}`).toBe(`${UPSTREAM}/forecast.json`)
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        key: 'secret',
+        q: 'Boston',
+        days: '3',
+        aqi: 'yes',
+        alerts: 'yes'
+      })
+    })
+
+    it.each([
+      ['/api/history?q=Boston&dt=2026-10-18&days=9', 'history.json', { key: 'secret', q: 'Boston', dt: '2026-10-18' }],
+      ['/api/search?q=Bos&limit=50', 'search.json', { key: 'secret', q: 'Bos' }]
+    ])('forwards %s to %s', async (path, endpoint, params) => {
+      await request(createProxy(), path)
+
+      const url = upstreamUrl()
+      expect(url.pathname).toBe(`/v1/${endpoint}`)
+      expect(Object.fromEntries(url.searchParams)).toEqual(params)
+    })
+
+    it('passes upstream responses through unchanged', async () => {
+      const error = { error: { code: 1006, message: 'No matching location found.' } }
+      upstream.mockResolvedValue(new Response(JSON.stringify(error), { status: 400 }))
+
+      const response = await request(createProxy(), '/api/forecast?q=Nowhere')
+      expect(response).toMatchObject({ status: 400, body: error })
+    })
+  })
+
+  describe('auto:ip', () => {
+    it("looks up the caller's address rather than the proxy's", async () => {
+      const handle = createProxy()
+      await request(handle, '/api/forecast?q=auto:ip')
+      await request(handle, '/api/forecast?q=auto:ip', { ip: '::ffff:198.51.100.7' })
+
+      expect(upstreamUrl(0).searchParams.get('q')).toBe('203.0.113.5')
+      expect(upstreamUrl(1).searchParams.get('q')).toBe('198.51.100.7')
+      // Each address is its own cache entry
+      expect(upstream).toHaveBeenCalledTimes(2)
+    })
+
+    it('uses the forwarded address only when trusting a proxy', async () => {
+      const forwarded = { headers: { 'x-forwarded-for': '198.51.100.7, 10.0.0.1' }, ip: '203.0.113.5' }
+      await request(createProxy({ trustProxy: true }), '/api/forecast?q=auto:ip', forwarded)
+      await request(createProxy(), '/api/forecast?q=auto:ip', forwarded)
+
+      expect(upstreamUrl(0).searchParams.get('q')).toBe('198.51.100.7')
+      expect(upstreamUrl(1).searchParams.get('q')).toBe('203.0.113.5')
+    })
+
+    it('leaves it to WeatherAPI for a caller on the same machine', async () => {
+      await request(createProxy(), '/api/forecast?q=auto:ip', { ip: '127.0.0.1' })
+
+      expect(upstreamUrl().searchParams.get('q')).toBe('auto:ip')
+    })
+
+    it.each([
+      ['a private address', { ip: '10.0.0.3' }],
+      ['no address', { ip: '' }],
+      ['a garbled forwarded address', { headers: { 'x-forwarded-for': 'nonsense' }, ip: '10.0.0.1' }]
+    ])('answers 400 with code 1006 for %s', async (_, options) => {
+      const response = await request(createProxy({ trustProxy: true }), '/api/forecast?q=auto:ip', options)
+
+      expect(response).toMatchObject({ status: 400, body: { error: { code: 1006 } } })
+      expect(upstream).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('errors', () => {
+    it.each([
+      ['/api/forecast', 'Parameter q is missing or too long.'],
+      [`/api/forecast?q=${'x'.repeat(101)}`, 'Parameter q is missing or too long.'],
+      ['/api/forecast?q=Boston&days=15', 'Parameter days must be 1 to 14.'],
+      ['/api/forecast?q=Boston&days=two', 'Parameter days must be 1 to 14.'],
+      ['/api/history?q=Boston&dt=yesterday', 'Parameter dt must be a YYYY-MM-DD date.']
+    ])('answers %s with 400 and code 1003', async (path, message) => {
+      const response = await request(createProxy(), path)
+
+      expect(response).toMatchObject({ status: 400, body: { error: { code: 1003, message } } })
+      expect(upstream).not.toHaveBeenCalled()
+    })
+
+    it('answers 401 with code 1002 when it has no key', async () => {
+      const response = await request(createProxy({ apiKey: undefined }), '/api/forecast?q=Boston')
+
+      expect(response).toMatchObject({ status: 401, body: { error: { code: 1002 } } })
+      expect(upstream).not.toHaveBeenCalled()
+    })
+
+    it('answers 502 when the upstream is unreachable', async () => {
+      upstream.mockRejectedValue(new TypeError('fetch failed'))
+
+      const response = await request(createProxy(), '/api/forecast?q=Boston')
+      expect(response).toMatchObject({ status: 502, body: { error: { message: "Couldn't reach WeatherAPI." } } })
+    })
+
+    it('answers 504 when the upstream is too slow', async () => {
+      upstream.mockImplementation(
+        (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+      )
+
+      const response = await request(createProxy({ upstreamTimeoutMs: 5 }), '/api/forecast?q=Boston')
+      expect(response.status).toBe(504)
+    })
+
+    it('answers 404 and 405 for unknown routes and methods', async () => {
+      const handle = createProxy()
+
+      expect((await request(handle, '/api/current?q=Boston')).status).toBe(404)
+      expect(await request(handle, '/api/forecast?q=Boston', { method: 'POST' })).toMatchObject({
+        status: 405,
+        headers: { Allow: 'GET' }
+      })
+    })
+
+    it('hands requests outside /api to the next middleware', async () => {
+      const next = vi.fn()
+      await createProxy()({ url: '/index.html', method: 'GET', headers: {}, socket: {} }, {}, next)
+
+      expect(next).toHaveBeenCalled()
+    })
+  })
+
+  describe('cache', () => {
+    it('serves a repeated request from the cache until it expires', async () => {
+      const handle = createProxy()
+
+      expect((await request(handle, '/api/forecast?q=Boston')).headers['X-Cache']).toBe('MISS')
+      const hit = await request(handle, '/api/forecast?q=Boston')
+      expect(hit).toMatchObject({ status: 200, headers: { 'X-Cache': 'HIT' }, body: { location: { name: 'Boston' } } })
+      expect(upstream).toHaveBeenCalledTimes(1)
+
+      // Forecasts live for 10 minutes
+      clock += 10 * MINUTE_MS
+      expect((await request(handle, '/api/forecast?q=Boston')).headers['X-Cache']).toBe('MISS')
+      expect(upstream).toHaveBeenCalledTimes(2)
+    })
+
+    it('keys on the forwarded parameters, not the raw query string', async () => {
+      const handle = createProxy()
+      await request(handle, '/api/search?q=Bos')
+
+      expect((await request(handle, '/api/search?q=Bos&unused=1')).headers['X-Cache']).toBe('HIT')
+      expect((await request(handle, '/api/search?q=Bo')).headers['X-Cache']).toBe('MISS')
+    })
+
+    it('never caches errors', async () => {
+      upstream.mockImplementation(async () => new Response('{"error":{"code":9999}}', { status: 400 }))
+      const handle = createProxy()
+
+      await request(handle, '/api/forecast?q=Boston')
+      const second = await request(handle, '/api/forecast?q=Boston')
+      expect(second).toMatchObject({ status: 400, headers: { 'X-Cache': 'MISS' } })
+      expect(upstream).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('rate limit', () => {
+    it('answers 429 with Retry-After once a client has used up its window', async () => {
+      const handle = createProxy({ rateLimit: { max: 2, windowMs: MINUTE_MS } })
+
+      await request(handle, '/api/search?q=Bos')
+      await request(handle, '/api/search?q=Bos')
+      clock += 15 * 1000
+      const limited = await request(handle, '/api/search?q=Bos')
+
+      expect(limited).toMatchObject({ status: 429, headers: { 'Retry-After': '45' } })
+      expect(upstream).toHaveBeenCalledTimes(1)
+      // Other clients have their own window
+      expect((await request(handle, '/api/search?q=Bos', { ip: '198.51.100.7' })).status).toBe(200)
+    })
+
+    it('counts X-Forwarded-For clients separately only when trusting a proxy', async () => {
+      const forwardedFor = (ip) => ({ headers: { 'x-forwarded-for': `${ip}, 10.0.0.1` }, ip: '10.0.0.1' })
+      const trusting = createProxy({ rateLimit: { max: 1 }, trustProxy: true })
+      const untrusting = createProxy({ rateLimit: { max: 1 } })
+
+      await request(trusting, '/api/search?q=Bos', forwardedFor('203.0.113.5'))
+      expect((await request(trusting, '/api/search?q=Bos', forwardedFor('198.51.100.7'))).status).toBe(200)
+      await request(untrusting, '/api/search?q=Bos', forwardedFor('203.0.113.5'))
+      expect((await request(untrusting, '/api/search?q=Bos', forwardedFor('198.51.100.7'))).status).toBe(429)
+    })
+  })
+})
+
+describe('createRateLimiter', () => {
+  it('allows max requests per window, then reports the wait', () => {
+    let time = 1000
+    const limiter = createRateLimiter({ max: 2, windowMs: MINUTE_MS, now: () => time })
+
+    expect(limiter.check('a')).toEqual({ allowed: true, remaining: 1, retryAfterMs: MINUTE_MS })
+    expect(limiter.check('a').allowed).toBe(true)
+    time += 20 * 1000
+    expect(limiter.check('a')).toEqual({ allowed: false, remaining: 0, retryAfterMs: 40 * 1000 })
+
+    time += 40 * 1000
+    expect(limiter.check('a')).toMatchObject({ allowed: true, remaining: 1 })
+  })
+})
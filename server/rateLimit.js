@@ -0,0 +1,48 @@
+/**
+ * Fixed-window rate limiter keyed by client
+ *
+ * Each client may make `max` requests per `windowMs`; the window starts with
+ * its first request. Windows that have ended are swept on the next check so
+ * the map doesn't grow with every client ever seen.
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.max=120] - Requests allowed per window
+ * @param {number} [options.windowMs=60000]
+ * @param {Function} [options.now=Date.now] - Clock, replaceable for tests
+ * @returns {{check: Function}}
+ */
+export function createRateLimiter({ max = 120, windowMs = 60 * 1000, now = Date.now } = {}) {
+  const windows = new Map()
+
+  function sweep(time) {
+    for (const [client, entry] of windows) {
+      if (entry.resetAt <= time) windows.delete(client)
+    }
+  }
+
+  /**
+   * Count a request from a client
+   * @param {string} client - e.g. the caller's IP address
+   * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}}
+   */
+  function check(client) {
+    const time = now()
+    sweep(time)
+
+    const entry = windows.get(client) ?? { count: 0, resetAt: time + windowMs }
+    entry.count += 1
+    windows.set(client, entry)
+
+    return {
+      allowed: entry.count <= max,
+      remaining: Math.max(max - entry.count, 0),
+      retryAfterMs: entry.resetAt - time
+    }
+  }
+
+  return { check }
+}
+
+export default createRateLimiter
@@ -1,23 +1,56 @@
 import { useState } from 'react'
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom"
+import { QueryClientProvider } from '@tanstack/react-query'
 import './App.css'
 import Frontpage from './pages/Frontpage'
 import './style/Frontpage.css'
 import Homepage from './pages/Homepage'
 import './style/Homepage.css'
+import UnitsProvider from './context/UnitsProvider'
+import FavoritesProvider from './context/FavoritesProvider'
+import NotificationsProvider from './context/NotificationsProvider'
+import SharedUnitsProvider from './context/SharedUnitsProvider'
+import Dashboard from './pages/Dashboard'
+import OfflineBanner from './components/OfflineBanner'
+import { queryClient, restoreQueryCache, persistQueryCache } from './services/queryClient'
+import { FAVORITES_STORAGE_KEY } from './context/favoritesContext'
+import { forecastQueryKey } from './hooks/useForecast'
+import { readStorage } from './hooks/useLocalStorage'
+
+// Render the last viewed forecasts from storage while fresh data loads; saved
+// locations always keep theirs, so the dashboard works offline too
+restoreQueryCache()
+persistQueryCache({
+  getPinnedKeys: () => readStorage(FAVORITES_STORAGE_KEY, []).map((favorite) => forecastQueryKey(favorite.query))
+})
 
 
 
 function App() {
   return (
      <>
+    <QueryClientProvider client={queryClient}>
+    <UnitsProvider>
+    <FavoritesProvider>
+    <NotificationsProvider>
+    <OfflineBanner />
     <Router>
+      {/* A shared link's ?unit= applies to that view only */}
+      <SharedUnitsProvider>
       <Routes>
         <Route path="/" element={<Frontpage />} />
         <Route path="/Homepage" element={<Homepage />} />
+        <Route path="/weather" element={<Homepage />} />
+        <Route path="/weather/:location" element={<Homepage />} />
+        <Route path="/dashboard" element={<Dashboard />} />
 
       </Routes>
+      </SharedUnitsProvider>
     </Router>
+    </NotificationsProvider>
+    </FavoritesProvider>
+    </UnitsProvider>
+    </QueryClientProvider>
     
       
     </>
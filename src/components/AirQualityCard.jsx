@@ -0,0 +1,73 @@
+import React from 'react'
+import '../style/AirQualityCard.css'
+import { POLLUTANTS, getDefraBand, getEpaCategory, getPollutantLevel } from '../services/weather/airQuality'
+import { t } from '../utils/i18n'
+
+/**
+ * AirQualityCard Component
+ *
+ * CONCEPT: Conditional Rendering - Shows the US EPA index, UK DEFRA band, health
+ * advice and a pollutant breakdown, or an explanation when the provider has no
+ * air quality data for this location.
+ *
+ * @param {Object|null} airQuality - Normalized current air quality from the provider layer
+ */
+export default function AirQualityCard({ airQuality }) {
+  const category = getEpaCategory(airQuality?.usEpaIndex)
+  const defraBand = getDefraBand(airQuality?.gbDefraIndex)
+
+  return (
+    <div className="info-card air-quality-card">
+      <h3 className="info-card-title">{t('aqi.title')}</h3>
+
+      {!category ? (
+        <div className="info-card-content">
+          <p>{t('aqi.unavailable')}</p>
+        </div>
+      ) : (
+        <div className="info-card-content">
+          <div className={`aqi-summary aqi-${category.level}`}>
+            <span className="aqi-index" aria-label={t('aqi.indexLabel', { index: airQuality.usEpaIndex })}>
+              {airQuality.usEpaIndex}
+            </span>
+            <div>
+              <div className="aqi-label">{category.label}</div>
+              <div className="aqi-scale">{t('aqi.scale')}</div>
+            </div>
+          </div>
+
+          {defraBand && (
+            <p className="aqi-defra">
+              {t('aqi.defra')} <strong>{airQuality.gbDefraIndex}</strong>/10{' '}
+              <span className={`aqi-pill aqi-${defraBand.level}`}>{defraBand.label}</span>
+            </p>
+          )}
+
+          <p className="aqi-advice">{category.advice}</p>
+          <p className="aqi-advice sensitive">
+            <strong>{t('aqi.sensitive')} </strong>
+            {category.sensitiveAdvice}
+          </p>
+
+          {airQuality.pollutants && (
+            <ul className="pollutant-list">
+              {POLLUTANTS.map(({ key, label }) => {
+                const value = airQuality.pollutants[key]
+                const level = getPollutantLevel(key, value)
+                return (
+                  <li key={key} className="pollutant-item" title={t(`aqi.pollutant.${key}`)}>
+                    <span className={`pollutant-dot aqi-${level || 'unknown'}`} aria-hidden="true" />
+                    <span className="pollutant-label">{label}</span>
+                    <span className="pollutant-value">
+                      {value === null ? '—' : `${value.toFixed(1)} µg/m³`}
+                    </span>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
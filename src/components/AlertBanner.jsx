@@ -0,0 +1,69 @@
+import React, { useState } from 'react'
+import '../style/AlertBanner.css'
+import AlertDetails from './AlertDetails'
+import useDismissedAlerts from '../hooks/useDismissedAlerts'
+import { isAlertActive } from '../services/weather/alerts'
+import { t } from '../utils/i18n'
+
+const SEVERITY_ICONS = {
+  extreme: '🚨',
+  severe: '⛔',
+  moderate: '⚠️',
+  minor: 'ℹ️',
+  unknown: '⚠️'
+}
+
+/**
+ * AlertBanner Component
+ *
+ * CONCEPT: Create Components - Shows active severe weather alerts as
+ * severity-colored banners, most severe first.
+ *
+ * CONCEPT: useState - Tracks which alert is open in the detail view.
+ *
+ * CONCEPT: Hooks - useDismissedAlerts remembers dismissed alerts per location
+ * until they expire.
+ *
+ * @param {Array} alerts - Normalized alerts (already merged and sorted by the provider layer)
+ * @param {string} locationKey - Key of the location the alerts belong to
+ */
+export default function AlertBanner({ alerts, locationKey }) {
+  const [openAlert, setOpenAlert] = useState(null)
+  const { isDismissed, dismiss } = useDismissedAlerts(locationKey)
+
+  const visibleAlerts = (alerts || []).filter((alert) => isAlertActive(alert) && !isDismissed(alert))
+  if (visibleAlerts.length === 0) return null
+
+  return (
+    <>
+      <div className="alert-banner-list" role="region" aria-label={t('alert.region')}>
+        {visibleAlerts.map((alert) => (
+          <div key={alert.id} className={`alert-banner severity-${alert.severity}`} role="alert">
+            <span className="alert-banner-icon" aria-hidden="true">
+              {SEVERITY_ICONS[alert.severity]}
+            </span>
+            <div className="alert-banner-text">
+              <strong className="alert-banner-event">{alert.event}</strong>
+              <span className="alert-banner-headline">{alert.headline}</span>
+            </div>
+            <div className="alert-banner-actions">
+              <button type="button" className="alert-banner-btn" onClick={() => setOpenAlert(alert)}>
+                {t('alert.details')}
+              </button>
+              <button
+                type="button"
+                className="alert-banner-btn dismiss"
+                aria-label={t('alert.dismiss', { event: alert.event })}
+                onClick={() => dismiss(alert)}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {openAlert && <AlertDetails alert={openAlert} onClose={() => setOpenAlert(null)} />}
+    </>
+  )
+}
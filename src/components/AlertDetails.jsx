@@ -0,0 +1,108 @@
+import React, { useEffect, useRef } from 'react'
+import '../style/AlertBanner.css'
+import { formatDate, t } from '../utils/i18n'
+
+// CAP certainty values with a translation; anything else is shown as sent
+const CERTAINTIES = ['observed', 'likely', 'possible', 'unlikely']
+
+/**
+ * Format an ISO alert timestamp for display, e.g. "Tue, Oct 20, 3:00 PM"
+ * @param {string|null} value
+ * @returns {string}
+ */
+function formatAlertTime(value) {
+  const date = new Date(value)
+  if (!value || Number.isNaN(date.getTime())) return t('alert.notSpecified')
+  return formatDate(date, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+}
+
+/**
+ * AlertDetails Component
+ *
+ * CONCEPT: useEffect - Moves focus into the dialog when it opens and listens
+ * for the Escape key, cleaning the listener up when the dialog closes.
+ *
+ * @param {Object} alert - Normalized weather alert
+ * @param {Function} onClose - Called when the dialog should close
+ */
+export default function AlertDetails({ alert, onClose }) {
+  const closeButtonRef = useRef(null)
+
+  useEffect(() => {
+    closeButtonRef.current?.focus()
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  return (
+    <div className="alert-details-backdrop" onClick={onClose}>
+      <div
+        className={`alert-details severity-${alert.severity}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="alert-details-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <header className="alert-details-header">
+          <h2 id="alert-details-title">{alert.event}</h2>
+          <button
+            ref={closeButtonRef}
+            type="button"
+            className="alert-banner-btn dismiss"
+            aria-label={t('alert.close')}
+            onClick={onClose}
+          >
+            ✕
+          </button>
+        </header>
+
+        <p className="alert-details-headline">{alert.headline}</p>
+
+        <dl className="alert-details-meta">
+          <dt>{t('alert.severity')}</dt>
+          <dd>{t(`alert.severity.${alert.severity}`)}</dd>
+          <dt>{t('alert.urgency')}</dt>
+          <dd>{t(`alert.urgency.${alert.urgency}`)}</dd>
+          {alert.certainty && (
+            <>
+              <dt>{t('alert.certainty')}</dt>
+              <dd>
+                {CERTAINTIES.includes(alert.certainty.toLowerCase())
+                  ? t(`alert.certainty.${alert.certainty.toLowerCase()}`)
+                  : alert.certainty}
+              </dd>
+            </>
+          )}
+          <dt>{t('alert.effective')}</dt>
+          <dd>{formatAlertTime(alert.effective)}</dd>
+          <dt>{t('alert.expires')}</dt>
+          <dd>{formatAlertTime(alert.expires)}</dd>
+          {alert.areas.length > 0 && (
+            <>
+              <dt>{t('alert.areas')}</dt>
+              <dd>{alert.areas.join(', ')}</dd>
+            </>
+          )}
+        </dl>
+
+        {alert.description && <p className="alert-details-description">{alert.description}</p>}
+        {alert.instruction && (
+          <p className="alert-details-instruction">
+            <strong>{t('alert.instruction')} </strong>
+            {alert.instruction}
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,161 @@
+import React, { useRef } from 'react'
+import '../style/TrendCharts.css'
+import { useUnits } from '../context/unitsContext'
+import useElementWidth from '../hooks/useElementWidth'
+import useChartCursor from '../hooks/useChartCursor'
+import { bandPath, linePath, linearScale, niceTicks } from '../utils/chart'
+import { parseLocalTimestamp } from '../utils/forecast'
+import { convertTemperature } from '../utils/units'
+import { formatDate, t } from '../utils/i18n'
+
+const HEIGHT = 260
+const MARGIN = { top: 16, right: 12, bottom: 24, left: 40 }
+// Heights of the temperature panel and of the precipitation bars below it
+const TEMPERATURE_HEIGHT = 150
+const PRECIP_HEIGHT = 50
+const PANEL_GAP = 20
+
+/**
+ * DailyTrendChart Component
+ *
+ * CONCEPT: Composition - Draws the week as one SVG: a band from each day's
+ * low to its high, with the chance of precipitation as bars underneath, so
+ * warm spells and wet stretches stand out at a glance.
+ *
+ * Pointing at a day, or focusing the chart and using the arrow keys, shows
+ * its numbers in a tooltip; click, Enter or Space selects the day like a
+ * forecast card does.
+ *
+ * @param {Array} daily - Normalized daily forecasts
+ * @param {string|null} [selectedDate] - "YYYY-MM-DD" of the selected day
+ * @param {Function} [onSelectDay] - Called with the date of the day the user picked
+ */
+export default function DailyTrendChart({ daily, selectedDate = null, onSelectDay }) {
+  const { units, format } = useUnits()
+  const frameRef = useRef(null)
+  const width = useElementWidth(frameRef)
+
+  const plotWidth = Math.max(width - MARGIN.left - MARGIN.right, 1)
+  const slotWidth = plotWidth / Math.max(daily?.length ?? 1, 1)
+  const { activeIndex, handlers } = useChartCursor(daily?.length ?? 0, (x) =>
+    Math.floor((x - MARGIN.left) / slotWidth)
+  )
+
+  if (!daily || daily.length === 0) return null
+
+  // Plot in the user's unit so the axis ticks land on round numbers
+  const toUnit = (celsius) => convertTemperature(celsius, units.temperature)
+  const axis = niceTicks(
+    Math.min(...daily.map((day) => toUnit(day.minTempC))),
+    Math.max(...daily.map((day) => toUnit(day.maxTempC)))
+  )
+  const y = linearScale([axis.min, axis.max], [MARGIN.top + TEMPERATURE_HEIGHT, MARGIN.top])
+  const precipBase = MARGIN.top + TEMPERATURE_HEIGHT + PANEL_GAP + PRECIP_HEIGHT
+  const xAt = (index) => MARGIN.left + slotWidth * (index + 0.5)
+
+  const highs = daily.map((day, index) => [xAt(index), y(toUnit(day.maxTempC))])
+  const lows = daily.map((day, index) => [xAt(index), y(toUnit(day.minTempC))])
+  const precipChance = (day) => Math.max(day.chanceOfRain, day.chanceOfSnow)
+  const active = activeIndex === null ? null : daily[activeIndex]
+
+  const select = () => {
+    if (onSelectDay && active) onSelectDay(active.date)
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault()
+      select()
+      return
+    }
+    handlers.onKeyDown(event)
+  }
+
+  return (
+    <section className="trend-chart" aria-label={t('chart.dailyTitle')}>
+      <h3 className="trend-chart-title">{t('chart.dailyTitle')}</h3>
+
+      <div
+        ref={frameRef}
+        className="trend-chart-frame"
+        tabIndex={0}
+        role="group"
+        aria-roledescription={t('chart.roleDescription')}
+        aria-label={t('chart.dailyKeys')}
+        {...handlers}
+        onKeyDown={handleKeyDown}
+        onClick={select}
+      >
+        <svg width={width} height={HEIGHT} aria-hidden="true">
+          {axis.ticks.map((tick) => (
+            <g key={tick} className="trend-chart-grid">
+              <line x1={MARGIN.left} x2={width - MARGIN.right} y1={y(tick)} y2={y(tick)} />
+              <text x={MARGIN.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle">
+                {tick}°
+              </text>
+            </g>
+          ))}
+
+          {daily.map((day, index) => (
+            <rect
+              key={day.date}
+              className={`trend-chart-slot ${day.date === selectedDate ? 'selected' : ''} ${index === activeIndex ? 'active' : ''}`}
+              x={MARGIN.left + slotWidth * index}
+              y={MARGIN.top}
+              width={slotWidth}
+              height={precipBase - MARGIN.top}
+              rx={6}
+            />
+          ))}
+
+          <path className="trend-chart-band" d={bandPath(highs, lows)} />
+          <path className="trend-chart-line high" d={linePath(highs)} />
+          <path className="trend-chart-line low" d={linePath(lows)} />
+
+          {daily.map((day, index) => {
+            const barHeight = (precipChance(day) / 100) * PRECIP_HEIGHT
+            return (
+              <g key={day.date}>
+                <circle className="trend-chart-dot high" cx={highs[index][0]} cy={highs[index][1]} r={3.5} />
+                <circle className="trend-chart-dot low" cx={lows[index][0]} cy={lows[index][1]} r={3.5} />
+                <rect
+                  className="trend-chart-bar"
+                  x={xAt(index) - slotWidth * 0.2}
+                  y={precipBase - barHeight}
+                  width={slotWidth * 0.4}
+                  height={barHeight}
+                  rx={2}
+                />
+                <text className="trend-chart-bar-label" x={xAt(index)} y={precipBase - barHeight - 4} textAnchor="middle">
+                  {precipChance(day)}%
+                </text>
+                <text className="trend-chart-axis-label" x={xAt(index)} y={HEIGHT - 6} textAnchor="middle">
+                  {formatDate(parseLocalTimestamp(day.date), { weekday: 'short' })}
+                </text>
+              </g>
+            )
+          })}
+        </svg>
+
+        <div className="trend-chart-tooltip-region" aria-live="polite">
+          {active && (
+            <div className="trend-chart-tooltip" style={{ left: Math.min(Math.max(xAt(activeIndex), 80), width - 80) }}>
+              <strong>{formatDate(parseLocalTimestamp(active.date), { weekday: 'long', month: 'short', day: 'numeric' })}</strong>
+              <span>{active.condition.text}</span>
+              <span>
+                {t('chart.high')} {format.temperature(active.maxTempC, { short: true })} · {t('chart.low')}{' '}
+                {format.temperature(active.minTempC, { short: true })}
+              </span>
+              <span>{t('chart.precipChance', { chance: precipChance(active) })}</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <p className="trend-chart-legend">
+        <span className="trend-chart-key band" /> {t('chart.range')}
+        <span className="trend-chart-key bar" /> {t('chart.precip')}
+      </p>
+    </section>
+  )
+}
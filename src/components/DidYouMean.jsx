@@ -0,0 +1,32 @@
+import React from 'react'
+import '../style/DidYouMean.css'
+import { t } from '../utils/i18n'
+
+/**
+ * DidYouMean Component
+ *
+ * CONCEPT: Passing Props - Lists the other places an ambiguous search could
+ * mean ("Portland" -> Portland, Maine) as buttons; the parent decides what
+ * picking one does.
+ *
+ * @param {Array} alternatives - { id, label, query } entries from processSearchInput()
+ * @param {Function} onPick - Called with the alternative the user picked
+ */
+export default function DidYouMean({ alternatives, onPick }) {
+  if (!alternatives || alternatives.length === 0) return null
+
+  return (
+    <div className="did-you-mean">
+      <span className="did-you-mean-label">{t('search.didYouMean')}</span>
+      <ul className="did-you-mean-list">
+        {alternatives.map((alternative) => (
+          <li key={alternative.id}>
+            <button type="button" className="did-you-mean-option" onClick={() => onPick(alternative)}>
+              {alternative.label}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+import React from 'react'
+import '../style/ErrorNotice.css'
+import { getRecoveryAction } from '../services/weather'
+import { t } from '../utils/i18n'
+
+// Recovery actions that the user can act on right here with a retry button
+const RETRYABLE = ['retry', 'try_later']
+
+/**
+ * ErrorNotice Component
+ *
+ * CONCEPT: Conditional Rendering - Shows what went wrong and, depending on
+ * the kind of failure, what to do about it: retry now, wait and retry, fix
+ * the API key, or change the search.
+ *
+ * @param {Error|string|null} error - A WeatherError, or a plain message with no recovery action
+ * @param {Function} [onRetry] - Called when the user asks to try again
+ * @param {boolean} [retrying] - A retry is in flight; the button is disabled meanwhile
+ */
+export default function ErrorNotice({ error, onRetry, retrying = false }) {
+  if (!error) return null
+
+  const message = typeof error === 'string' ? error : error.message
+  const action = typeof error === 'string' ? null : getRecoveryAction(error)
+
+  return (
+    <div className="error-notice" role="alert">
+      <p className="error-notice-message">{message}</p>
+      {action && action !== 'retry' && <p className="error-notice-hint">{t(`error.${action}`)}</p>}
+      {onRetry && RETRYABLE.includes(action) && (
+        <button type="button" className="error-notice-retry" onClick={onRetry} disabled={retrying}>
+          {retrying ? t('error.retrying') : t('error.retryButton')}
+        </button>
+      )}
+    </div>
+  )
+}
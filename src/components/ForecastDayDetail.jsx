@@ -0,0 +1,119 @@
+import React, { useEffect, useRef } from 'react'
+import '../style/ForecastDayDetail.css'
+import { useUnits } from '../context/unitsContext'
+import { parseLocalTimestamp } from '../utils/forecast'
+import { formatDate, t } from '../utils/i18n'
+
+/**
+ * ForecastDayDetail Component
+ *
+ * CONCEPT: Conditional Rendering - Opens under the forecast grid when a day is
+ * selected, with that day's full stats and hour-by-hour breakdown.
+ *
+ * CONCEPT: Refs - Focus moves into the panel when it opens so keyboard and
+ * screen reader users land on the details; Escape closes it.
+ *
+ * @param {Object} day - Normalized DailyForecast
+ * @param {Array} hourly - Normalized hourly forecast (all days)
+ * @param {Function} onClose
+ */
+export default function ForecastDayDetail({ day, hourly, onClose }) {
+  const { format } = useUnits()
+  const panelRef = useRef(null)
+
+  useEffect(() => {
+    panelRef.current?.focus()
+  }, [day.date])
+
+  // Astro times are 24-hour "HH:mm"; show them the way the browser language does
+  const formatClock = (time) =>
+    formatDate(parseLocalTimestamp(`${day.date} ${time}`), { hour: 'numeric', minute: '2-digit' })
+
+  const hours = hourly.filter((hour) => hour.time.startsWith(day.date))
+  const { astro } = day
+  const stats = [
+    [t('detail.high'), format.temperature(day.maxTempC)],
+    [t('detail.low'), format.temperature(day.minTempC)],
+    [t('detail.chanceOfRain'), `${day.chanceOfRain}%`],
+    [t('detail.chanceOfSnow'), `${day.chanceOfSnow}%`],
+    [t('detail.precipitation'), format.precipitation(day.totalPrecipMm)],
+    // Snow is reported in cm; shown through the precipitation unit (mm or in)
+    day.totalSnowCm > 0 && [t('detail.snow'), format.precipitation(day.totalSnowCm * 10)],
+    [t('detail.maxWind'), format.wind(day.maxWindKph)],
+    [t('weather.humidity'), `${day.avgHumidity}%`],
+    [t('weather.uv'), day.uv],
+    astro?.sunrise && [t('detail.sunrise'), formatClock(astro.sunrise)],
+    astro?.sunset && [t('detail.sunset'), formatClock(astro.sunset)],
+    astro?.moonPhase && [t('detail.moonPhase'), astro.moonPhase]
+  ].filter(Boolean)
+
+  return (
+    <section
+      ref={panelRef}
+      className="forecast-day-detail"
+      tabIndex={-1}
+      aria-label={t('detail.title', { day: formatDate(parseLocalTimestamp(day.date), { weekday: 'long' }) })}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose()
+      }}
+    >
+      <header className="forecast-day-detail-header">
+        <div>
+          <h3>{formatDate(parseLocalTimestamp(day.date), { weekday: 'long', month: 'long', day: 'numeric' })}</h3>
+          <p className="forecast-day-detail-condition">{day.condition.text}</p>
+        </div>
+        <button type="button" className="forecast-day-detail-close" onClick={onClose} aria-label={t('detail.close')}>
+          ✕
+        </button>
+      </header>
+
+      <dl className="forecast-day-stats">
+        {stats.map(([label, value]) => (
+          <div key={label} className="forecast-day-stat">
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {hours.length === 0 ? (
+        <p className="forecast-day-detail-empty">{t('detail.noHourly')}</p>
+      ) : (
+        <div className="forecast-day-hours">
+          <table>
+            <caption>{t('detail.hourly')}</caption>
+            <thead>
+              <tr>
+                <th scope="col">{t('detail.time')}</th>
+                <th scope="col">{t('detail.conditions')}</th>
+                <th scope="col">{t('detail.temp')}</th>
+                <th scope="col">{t('hourly.chanceOfRain')}</th>
+                <th scope="col">{t('weather.wind')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {hours.map((hour) => (
+                <tr key={hour.time}>
+                  <th scope="row">{formatDate(parseLocalTimestamp(hour.time), { hour: 'numeric' })}</th>
+                  <td>
+                    <img src={hour.condition.icon} alt={hour.condition.text} title={hour.condition.text} />
+                  </td>
+                  <td>
+                    {format.temperature(hour.tempC, { short: true })}
+                    <span className="forecast-day-feels">
+                      {t('detail.feelsLike', { temp: format.temperature(hour.feelsLikeC, { short: true }) })}
+                    </span>
+                  </td>
+                  <td className={hour.chanceOfRain >= 50 ? 'likely' : ''}>{hour.chanceOfRain}%</td>
+                  <td>
+                    {format.wind(hour.windKph)} {hour.windDir}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
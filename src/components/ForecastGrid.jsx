@@ -1,5 +1,39 @@
 import React from 'react'
 import '../style/ForecastGrid.css'
+import { useUnits } from '../context/unitsContext'
+import { getEpaCategory } from '../services/weather/airQuality'
+import '../style/AirQualityCard.css'
+import { formatDate, t } from '../utils/i18n'
+
+/**
+ * A day's US EPA index as a coloured pill, when the provider forecasts it
+ * @param {number|null} index
+ */
+function DailyAqi({ index }) {
+  const category = getEpaCategory(index)
+  if (!category) return null
+  return (
+    <div className={`forecast-aqi aqi-${category.level}`} title={t('aqi.forecastTitle', { label: category.label })}>
+      AQI {index}
+    </div>
+  )
+}
+
+// Arrow keys move focus to the neighbouring day card
+const ARROW_KEYS = {
+  ArrowRight: 'nextElementSibling',
+  ArrowLeft: 'previousElementSibling'
+}
+
+/**
+ * Turn a location-local "YYYY-MM-DD" date into a weekday name in the browser's language.
+ * Parsing as local midnight avoids the UTC shift of new Date('YYYY-MM-DD').
+ * @param {string} date
+ * @returns {string}
+ */
+function getDayName(date) {
+  return formatDate(new Date(`${date}T00:00`), { weekday: 'long' })
+}
 
 /**
  * ForecastGrid Component
@@ -10,10 +44,20 @@ import '../style/ForecastGrid.css'
  * CONCEPT: Passing Props - The 'forecast' prop is passed from parent component (Homepage) to this child component.
  * Props enable component composition and reusability - this component can display any forecast data passed to it.
  * 
- * @param {Array} forecast - Array of forecast objects containing day, icon, temp, and condition data
+ * Days are selectable when onSelectDay is given: click, Enter or Space picks a
+ * day, the arrow keys move between days, and the selected one is highlighted.
+ * Days a search question is about ("weekend in Austin") are marked separately
+ * from the selected day.
+ *
+ * @param {Array} forecast - Array of normalized daily forecasts (date, maxTempC, minTempC, condition, ...)
+ * @param {string|null} [selectedDate] - "YYYY-MM-DD" of the highlighted day
+ * @param {string[]} [highlightedDates] - Days the current search question is about
+ * @param {Function} [onSelectDay] - Called with the date of the day the user picked
  * @returns {JSX.Element|null} - Returns forecast grid JSX or null if no forecast data
  */
-export default function ForecastGrid({ forecast }) {
+export default function ForecastGrid({ forecast, selectedDate = null, highlightedDates = [], onSelectDay }) {
+  const { format } = useUnits()
+
   // Early return pattern - if no forecast data exists, render nothing
   // This prevents errors and unnecessary rendering
   if (!forecast || forecast.length === 0) return null
@@ -24,21 +68,53 @@ export default function ForecastGrid({ forecast }) {
         CONCEPT: JSX - Using JavaScript expressions within JSX to dynamically render forecast items.
         The map() function transforms each forecast day into a JSX element.
       */}
-      {forecast.map((day, index) => (
-        <div key={index} className="forecast-card">
-          <div className="forecast-day">{day.day}</div>
+      {forecast.map((day) => (
+        <div
+          key={day.date}
+          className={`forecast-card ${day.date === selectedDate ? 'selected' : ''} ${
+            highlightedDates.includes(day.date) ? 'highlighted' : ''
+          }`}
+          {...(onSelectDay && {
+            role: 'button',
+            tabIndex: 0,
+            'aria-pressed': day.date === selectedDate,
+            onClick: () => onSelectDay(day.date),
+            onKeyDown: (e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault()
+                onSelectDay(day.date)
+              }
+              const sibling = ARROW_KEYS[e.key] && e.currentTarget[ARROW_KEYS[e.key]]
+              if (sibling) {
+                e.preventDefault()
+                sibling.focus()
+              }
+            }
+          })}
+        >
+          <div className="forecast-day">{getDayName(day.date)}</div>
 
           {/* ✅ Show image instead of link */}
           <div className="forecast-icon-container">
             <img
-              src={day.icon}
-              alt={day.condition}
+              src={day.condition.icon}
+              alt={day.condition.text}
               className="forecast-icon"
             />
           </div>
 
-          <div className="forecast-temp">{day.temp}°</div>
-          <div className="forecast-condition">{day.condition}</div>
+          <div className="forecast-temp">
+            <span className="forecast-high" title={t('detail.high')}>
+              {format.temperature(day.maxTempC, { short: true })}
+            </span>
+            <span className="forecast-low" title={t('detail.low')}>
+              {format.temperature(day.minTempC, { short: true })}
+            </span>
+          </div>
+          <div className="forecast-condition">{day.condition.text}</div>
+
+          {/* Daily AQI trend, only when the provider forecasts air quality */}
+          <DailyAqi index={day.airQuality?.usEpaIndex} />
         </div>
       ))}
     </div>
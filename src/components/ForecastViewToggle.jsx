@@ -0,0 +1,32 @@
+import React from 'react'
+import '../style/ForecastViewToggle.css'
+import { t } from '../utils/i18n'
+
+const FORECAST_VIEWS = ['cards', 'chart']
+
+/**
+ * ForecastViewToggle Component
+ *
+ * CONCEPT: Lifting State - A two-button switch between the forecast cards and
+ * the trend charts. The parent owns (and remembers) which one is shown.
+ *
+ * @param {'cards'|'chart'} view - The current view
+ * @param {Function} onChange - Called with the view the user picked
+ */
+export default function ForecastViewToggle({ view, onChange }) {
+  return (
+    <div className="forecast-view-toggle" role="group" aria-label={t('chart.view')}>
+      {FORECAST_VIEWS.map((option) => (
+        <button
+          key={option}
+          type="button"
+          className={`forecast-view-btn ${view === option ? 'active' : ''}`}
+          aria-pressed={view === option}
+          onClick={() => onChange(option)}
+        >
+          {t(`chart.view.${option}`)}
+        </button>
+      ))}
+    </div>
+  )
+}
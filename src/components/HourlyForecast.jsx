@@ -0,0 +1,70 @@
+import React from 'react'
+import '../style/HourlyForecast.css'
+import { useUnits } from '../context/unitsContext'
+import { getUpcomingHours, parseLocalTimestamp } from '../utils/forecast'
+import { formatDate, t } from '../utils/i18n'
+
+/**
+ * HourlyForecast Component
+ *
+ * CONCEPT: Create Components - A horizontally scrolling strip of the next hours,
+ * showing temperature, condition, chance of rain and wind for each.
+ *
+ * CONCEPT: Passing Props - Receives the normalized hourly array and the location's
+ * local time from Homepage, so "Now" is the searched city's current hour rather
+ * than the browser's.
+ *
+ * @param {Array} hourly - Normalized hourly forecast entries
+ * @param {string} localtime - Location's current "YYYY-MM-DD HH:mm"
+ * @param {number} [hours=48] - How many hours to show
+ */
+export default function HourlyForecast({ hourly, localtime, hours = 48 }) {
+  const { format } = useUnits()
+
+  const upcoming = localtime ? getUpcomingHours(hourly, localtime, hours) : []
+  if (upcoming.length === 0) return null
+
+  return (
+    <section className="hourly-forecast" aria-label={t('hourly.label')}>
+      <h3 className="hourly-title">{t('hourly.title', { count: upcoming.length })}</h3>
+
+      {/* tabIndex lets keyboard users scroll the strip with the arrow keys */}
+      <ol className="hourly-strip" tabIndex={0}>
+        {upcoming.map((hour, index) => {
+          const date = parseLocalTimestamp(hour.time)
+          const isNow = index === 0
+          // Mark the first hour of each new day so the strip reads like a timeline
+          const startsNewDay = index > 0 && date.getHours() === 0
+
+          return (
+            <li
+              key={hour.time}
+              className={`hourly-item ${isNow ? 'now' : ''} ${startsNewDay ? 'new-day' : ''}`}
+              aria-current={isNow ? 'time' : undefined}
+            >
+              {startsNewDay && (
+                <span className="hourly-day-label">
+                  {formatDate(date, { weekday: 'short' })}
+                </span>
+              )}
+              <span className="hourly-time">
+                {isNow ? t('hourly.now') : formatDate(date, { hour: 'numeric' })}
+              </span>
+              <img className="hourly-icon" src={hour.condition.icon} alt={hour.condition.text} />
+              <span className="hourly-temp">{format.temperature(hour.tempC, { short: true })}</span>
+              <span
+                className={`hourly-rain ${hour.chanceOfRain >= 50 ? 'likely' : ''}`}
+                title={t('hourly.chanceOfRain')}
+              >
+                💧 {hour.chanceOfRain}%
+              </span>
+              <span className="hourly-wind" title={t('hourly.windFrom', { direction: hour.windDir })}>
+                {format.wind(hour.windKph)}
+              </span>
+            </li>
+          )
+        })}
+      </ol>
+    </section>
+  )
+}
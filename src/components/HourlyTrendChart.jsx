@@ -0,0 +1,164 @@
+import React, { useRef } from 'react'
+import '../style/TrendCharts.css'
+import { useUnits } from '../context/unitsContext'
+import useElementWidth from '../hooks/useElementWidth'
+import useChartCursor from '../hooks/useChartCursor'
+import { linePath, linearScale, niceTicks } from '../utils/chart'
+import { getUpcomingHours, parseLocalTimestamp } from '../utils/forecast'
+import { UNIT_OPTIONS, convertTemperature, convertWind } from '../utils/units'
+import { formatDate, t } from '../utils/i18n'
+
+const HEIGHT = 240
+const MARGIN = { top: 16, right: 44, bottom: 40, left: 40 }
+// Label the clock hours divisible by this; the day boundaries get their own marks
+const LABEL_EVERY_HOURS = 6
+// ...except right after "Now", where the labels would overlap
+const MIN_LABEL_GAP = 3
+
+/**
+ * HourlyTrendChart Component
+ *
+ * CONCEPT: Composition - Temperature, feels-like and wind for the next hours
+ * as three lines over one time axis: temperatures against the left scale,
+ * wind against the right one. Midnight is marked so the two days read apart.
+ *
+ * Pointing at an hour, or focusing the chart and using the arrow keys, shows
+ * that hour's numbers in a tooltip.
+ *
+ * @param {Array} hourly - Normalized hourly forecast entries
+ * @param {string} localtime - Location's current "YYYY-MM-DD HH:mm"
+ * @param {number} [hours=48]
+ */
+export default function HourlyTrendChart({ hourly, localtime, hours = 48 }) {
+  const { units, format } = useUnits()
+  const frameRef = useRef(null)
+  const width = useElementWidth(frameRef)
+
+  const upcoming = localtime ? getUpcomingHours(hourly, localtime, hours) : []
+  const plotWidth = Math.max(width - MARGIN.left - MARGIN.right, 1)
+  const step = plotWidth / Math.max(upcoming.length - 1, 1)
+  const { activeIndex, handlers } = useChartCursor(upcoming.length, (x) => Math.round((x - MARGIN.left) / step))
+
+  if (upcoming.length < 2) return null
+
+  // Plot in the user's units so the axis ticks land on round numbers
+  const toTemperature = (celsius) => convertTemperature(celsius, units.temperature)
+  const toWind = (kph) => convertWind(kph, units.wind)
+  const temperatures = upcoming.flatMap((hour) => [toTemperature(hour.tempC), toTemperature(hour.feelsLikeC)])
+  const temperatureAxis = niceTicks(Math.min(...temperatures), Math.max(...temperatures))
+  const windAxis = niceTicks(0, Math.max(...upcoming.map((hour) => toWind(hour.windKph)), 1))
+
+  const bottom = HEIGHT - MARGIN.bottom
+  const yTemperature = linearScale([temperatureAxis.min, temperatureAxis.max], [bottom, MARGIN.top])
+  const yWind = linearScale([windAxis.min, windAxis.max], [bottom, MARGIN.top])
+  const xAt = (index) => MARGIN.left + step * index
+
+  const line = (toY) => linePath(upcoming.map((hour, index) => [xAt(index), toY(hour)]))
+  const dates = upcoming.map((hour) => parseLocalTimestamp(hour.time))
+  const active = activeIndex === null ? null : upcoming[activeIndex]
+
+  return (
+    <section className="trend-chart" aria-label={t('chart.hourlyTitle', { count: upcoming.length })}>
+      <h3 className="trend-chart-title">{t('chart.hourlyTitle', { count: upcoming.length })}</h3>
+
+      <div
+        ref={frameRef}
+        className="trend-chart-frame"
+        tabIndex={0}
+        role="group"
+        aria-roledescription={t('chart.roleDescription')}
+        aria-label={t('chart.hourlyKeys')}
+        {...handlers}
+      >
+        <svg width={width} height={HEIGHT} aria-hidden="true">
+          {temperatureAxis.ticks.map((tick) => (
+            <g key={tick} className="trend-chart-grid">
+              <line x1={MARGIN.left} x2={width - MARGIN.right} y1={yTemperature(tick)} y2={yTemperature(tick)} />
+              <text x={MARGIN.left - 6} y={yTemperature(tick)} textAnchor="end" dominantBaseline="middle">
+                {tick}°
+              </text>
+            </g>
+          ))}
+          {windAxis.ticks.map((tick) => (
+            <text
+              key={tick}
+              className="trend-chart-wind-tick"
+              x={width - MARGIN.right + 6}
+              y={yWind(tick)}
+              dominantBaseline="middle"
+            >
+              {tick}
+            </text>
+          ))}
+          <text className="trend-chart-wind-tick" x={width - MARGIN.right + 6} y={MARGIN.top - 8}>
+            {UNIT_OPTIONS.wind[units.wind]}
+          </text>
+
+          {dates.map((date, index) =>
+            index > 0 && date.getHours() === 0 ? (
+              <g key={upcoming[index].time} className="trend-chart-midnight">
+                <line x1={xAt(index)} x2={xAt(index)} y1={MARGIN.top} y2={bottom} />
+                <text x={xAt(index) + 4} y={MARGIN.top + 10}>
+                  {formatDate(date, { weekday: 'short' })}
+                </text>
+              </g>
+            ) : null
+          )}
+
+          <path className="trend-chart-line wind" d={line((hour) => yWind(toWind(hour.windKph)))} />
+          <path className="trend-chart-line feels" d={line((hour) => yTemperature(toTemperature(hour.feelsLikeC)))} />
+          <path className="trend-chart-line temperature" d={line((hour) => yTemperature(toTemperature(hour.tempC)))} />
+
+          {dates.map((date, index) =>
+            index === 0 || (index >= MIN_LABEL_GAP && date.getHours() % LABEL_EVERY_HOURS === 0) ? (
+              <text
+                key={upcoming[index].time}
+                className="trend-chart-axis-label"
+                x={xAt(index)}
+                y={bottom + 18}
+                textAnchor="middle"
+              >
+                {index === 0 ? t('hourly.now') : formatDate(date, { hour: 'numeric' })}
+              </text>
+            ) : null
+          )}
+
+          {active && (
+            <g className="trend-chart-cursor">
+              <line x1={xAt(activeIndex)} x2={xAt(activeIndex)} y1={MARGIN.top} y2={bottom} />
+              <circle className="temperature" cx={xAt(activeIndex)} cy={yTemperature(toTemperature(active.tempC))} r={4} />
+              <circle className="feels" cx={xAt(activeIndex)} cy={yTemperature(toTemperature(active.feelsLikeC))} r={4} />
+              <circle className="wind" cx={xAt(activeIndex)} cy={yWind(toWind(active.windKph))} r={4} />
+            </g>
+          )}
+        </svg>
+
+        <div className="trend-chart-tooltip-region" aria-live="polite">
+          {active && (
+            <div className="trend-chart-tooltip" style={{ left: Math.min(Math.max(xAt(activeIndex), 80), width - 80) }}>
+              <strong>
+                {formatDate(dates[activeIndex], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+              </strong>
+              <span>{active.condition.text}</span>
+              <span>
+                {t('chart.temperature')} {format.temperature(active.tempC)}
+              </span>
+              <span>
+                {t('chart.feelsLike')} {format.temperature(active.feelsLikeC)}
+              </span>
+              <span>
+                {t('chart.wind')} {format.wind(active.windKph)} {active.windDir}
+              </span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <p className="trend-chart-legend">
+        <span className="trend-chart-key temperature" /> {t('chart.temperature')}
+        <span className="trend-chart-key feels" /> {t('chart.feelsLike')}
+        <span className="trend-chart-key wind" /> {t('chart.wind')}
+      </p>
+    </section>
+  )
+}
@@ -0,0 +1,29 @@
+import React from 'react'
+import '../style/LocationPrompt.css'
+import { t } from '../utils/i18n'
+
+/**
+ * LocationPrompt Component
+ *
+ * First-visit offer to use the device's precise location instead of the
+ * IP-based guess. The browser's own permission dialog only appears once the
+ * user opts in here, so nobody is asked for location out of the blue.
+ *
+ * @param {Function} onAccept - Request the device location
+ * @param {Function} onDismiss - Keep the IP-based location and stop asking
+ */
+export default function LocationPrompt({ onAccept, onDismiss }) {
+  return (
+    <div className="location-prompt" role="region" aria-label={t('location.accept')}>
+      <p className="location-prompt-text">📍 {t('location.prompt')}</p>
+      <div className="location-prompt-actions">
+        <button type="button" className="location-prompt-accept" onClick={onAccept}>
+          {t('location.accept')}
+        </button>
+        <button type="button" className="location-prompt-dismiss" onClick={onDismiss}>
+          {t('location.dismiss')}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import React from 'react'
+import useForecast from '../hooks/useForecast'
+import useOnlineStatus from '../hooks/useOnlineStatus'
+import StaleBadge from './StaleBadge'
+import { useUnits } from '../context/unitsContext'
+import { t } from '../utils/i18n'
+
+/**
+ * LocationTile Component
+ *
+ * CONCEPT: Hooks - Each tile loads its own forecast through useForecast, so all
+ * saved cities are fetched in parallel and share the cache with the full
+ * Homepage view. Removing a tile before it loads cancels its request.
+ *
+ * @param {Object} favorite - Saved location ({ id, name, region, query, ... })
+ * @param {boolean} isFirst - Disables "move up"
+ * @param {boolean} isLast - Disables "move down"
+ * @param {Function} onOpen - Open the full Homepage view for this city
+ * @param {Function} onMove - Called with -1 (up) or +1 (down)
+ * @param {Function} onRemove - Remove this city from saved locations
+ */
+export default function LocationTile({ favorite, isFirst, isLast, onOpen, onMove, onRemove }) {
+  const { format } = useUnits()
+  // Same 7-day query as the Homepage, so opening a tile renders from cache
+  const { data: weather, error: queryError, dataUpdatedAt } = useForecast(favorite.query)
+  const online = useOnlineStatus()
+  // fetchForecast only rejects with WeatherError, whose message is user-facing
+  const error = !weather && queryError ? queryError.message : ''
+  // A failed refresh keeps the last-known forecast, marked with its age
+  const lastKnown = Boolean(weather) && (!online || Boolean(queryError))
+
+  const today = weather?.daily[0]
+
+  return (
+    <li className="location-tile">
+      <button type="button" className="location-tile-main" onClick={onOpen}>
+        <span className="location-tile-name">{favorite.name}</span>
+        <span className="location-tile-region">{favorite.region || favorite.country}</span>
+
+        {!weather && !error && <span className="location-tile-status">{t('tile.loading')}</span>}
+        {error && <span className="location-tile-status error">{error}</span>}
+
+        {weather && (
+          <>
+            <span className="location-tile-now">
+              <img src={weather.current.condition.icon} alt="" className="location-tile-icon" />
+              <span className="location-tile-temp">{format.temperature(weather.current.tempC)}</span>
+            </span>
+            <span className="location-tile-condition">{weather.current.condition.text}</span>
+            {today && (
+              <span className="location-tile-range">
+                {t('tile.range', {
+                  high: format.temperature(today.maxTempC, { short: true }),
+                  low: format.temperature(today.minTempC, { short: true })
+                })}
+              </span>
+            )}
+            {lastKnown && <StaleBadge updatedAt={dataUpdatedAt} />}
+          </>
+        )}
+      </button>
+
+      <div className="location-tile-actions">
+        <button
+          type="button"
+          aria-label={t('tile.moveUp', { name: favorite.name })}
+          disabled={isFirst}
+          onClick={() => onMove(-1)}
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          aria-label={t('tile.moveDown', { name: favorite.name })}
+          disabled={isLast}
+          onClick={() => onMove(1)}
+        >
+          ↓
+        </button>
+        <button type="button" aria-label={t('tile.remove', { name: favorite.name })} onClick={onRemove}>
+          ✕
+        </button>
+      </div>
+    </li>
+  )
+}
@@ -0,0 +1,52 @@
+import React from 'react'
+import '../style/NotificationCenter.css'
+import { useNotifications } from '../context/notificationsContext'
+import { formatDate, t } from '../utils/i18n'
+
+/**
+ * NotificationCenter Component
+ *
+ * CONCEPT: Context API - A bell in the page header listing what the
+ * notification rules found, read from NotificationsContext. It is where
+ * matches end up when browser notifications are unsupported or blocked,
+ * and a history of them otherwise. Closing it marks everything read.
+ */
+export default function NotificationCenter() {
+  const { notifications, unreadCount, markAllRead, clearNotifications } = useNotifications()
+
+  return (
+    <details className="notification-center" onToggle={(event) => !event.currentTarget.open && markAllRead()}>
+      <summary aria-label={t('notify.center.label', { count: unreadCount })}>
+        🔔
+        {unreadCount > 0 && <span className="notification-count">{unreadCount}</span>}
+      </summary>
+
+      <div className="notification-panel">
+        <div className="notification-panel-header">
+          <h3>{t('notify.center.title')}</h3>
+          {notifications.length > 0 && (
+            <button type="button" className="notification-clear" onClick={clearNotifications}>
+              {t('notify.center.clear')}
+            </button>
+          )}
+        </div>
+
+        {notifications.length === 0 ? (
+          <p className="notification-empty">{t('notify.center.empty')}</p>
+        ) : (
+          <ul className="notification-list">
+            {notifications.map((notification) => (
+              <li key={notification.id} className={`notification-item ${notification.read ? '' : 'unread'}`}>
+                <strong>{notification.title}</strong>
+                <span>{notification.body}</span>
+                <time dateTime={new Date(notification.createdAt).toISOString()}>
+                  {formatDate(new Date(notification.createdAt), { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+                </time>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </details>
+  )
+}
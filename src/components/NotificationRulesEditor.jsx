@@ -0,0 +1,253 @@
+import React, { useState } from 'react'
+import '../style/NotificationRulesEditor.css'
+import { useUnits } from '../context/unitsContext'
+import { useFavorites } from '../context/favoritesContext'
+import { useNotifications } from '../context/notificationsContext'
+import { RULE_DAYS, RULE_METRICS, RULE_OPERATORS, describeRule } from '../services/notifications'
+import { UNIT_OPTIONS, convertTemperature, convertWind, toCelsius, toKph } from '../utils/units'
+import { formatDate, t } from '../utils/i18n'
+
+// Starting point for each metric, in metric units, with the usual direction
+const METRIC_DEFAULTS = {
+  low: { operator: 'below', value: 0 },
+  high: { operator: 'above', value: 30 },
+  rain: { operator: 'above', value: 60 },
+  wind: { operator: 'above', value: 40 }
+}
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+const formatHour = (hour) => formatDate(new Date(2000, 0, 1, hour), { hour: 'numeric' })
+
+/**
+ * A metric value in the user's units, rounded for the form
+ * @param {string} metric
+ * @param {number} value
+ * @param {Object} units
+ * @returns {number}
+ */
+function toDisplay(metric, value, units) {
+  const { kind } = RULE_METRICS[metric]
+  if (kind === 'temperature') return Math.round(convertTemperature(value, units.temperature))
+  if (kind === 'wind') return Math.round(convertWind(value, units.wind))
+  return value
+}
+
+/**
+ * Stored (metric) value for what the user typed
+ * @param {string} metric
+ * @param {number} value
+ * @param {Object} units
+ * @returns {number}
+ */
+function fromDisplay(metric, value, units) {
+  const { kind } = RULE_METRICS[metric]
+  if (kind === 'temperature') return toCelsius(value, units.temperature)
+  if (kind === 'wind') return toKph(value, units.wind)
+  return value
+}
+
+/**
+ * Unit label shown next to the value input
+ * @param {string} metric
+ * @param {Object} units
+ * @returns {string}
+ */
+function unitSuffix(metric, units) {
+  const { kind } = RULE_METRICS[metric]
+  if (kind === 'temperature') return UNIT_OPTIONS.temperature[units.temperature]
+  if (kind === 'wind') return UNIT_OPTIONS.wind[units.wind]
+  return '%'
+}
+
+/**
+ * NotificationRulesEditor Component
+ *
+ * CONCEPT: Controlled Inputs - A form for "tell me when..." rules on saved
+ * locations: tomorrow's low below freezing, rain chance above 60% during the
+ * evening commute, wind over 40 km/h. Values are typed in the user's units
+ * and stored in metric ones. Lists the existing rules with switches to pause
+ * or delete them, and asks for browser notification permission.
+ */
+export default function NotificationRulesEditor() {
+  const { units, format } = useUnits()
+  const { favorites } = useFavorites()
+  const { rules, addRule, removeRule, toggleRule, permission, requestPermission } = useNotifications()
+
+  const [locationId, setLocationId] = useState('')
+  const [metric, setMetric] = useState('low')
+  const [operator, setOperator] = useState(METRIC_DEFAULTS.low.operator)
+  const [value, setValue] = useState(() => String(toDisplay('low', METRIC_DEFAULTS.low.value, units)))
+  const [day, setDay] = useState('tomorrow')
+  const [useWindow, setUseWindow] = useState(false)
+  const [fromHour, setFromHour] = useState(17)
+  const [toHour, setToHour] = useState(18)
+
+  // Falls back to the first saved location, and survives that one being removed
+  const location = favorites.find((favorite) => favorite.id === locationId) ?? favorites[0]
+  const scope = RULE_METRICS[metric].scope
+
+  const changeMetric = (next) => {
+    setMetric(next)
+    setOperator(METRIC_DEFAULTS[next].operator)
+    setValue(String(toDisplay(next, METRIC_DEFAULTS[next].value, units)))
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    const number = Number(value)
+    if (!location || value === '' || !Number.isFinite(number)) return
+
+    addRule({
+      locationId: location.id,
+      locationName: location.name,
+      query: location.query,
+      metric,
+      operator,
+      value: fromDisplay(metric, number, units),
+      day,
+      fromHour: scope === 'hours' && useWindow ? fromHour : null,
+      toHour: scope === 'hours' && useWindow ? toHour : null
+    })
+  }
+
+  return (
+    <section className="rules-editor" aria-labelledby="rules-editor-title">
+      <h2 id="rules-editor-title" className="rules-editor-title">
+        {t('notify.editor.title')}
+      </h2>
+      <p className="rules-editor-permission">
+        {permission === 'default' ? (
+          <button type="button" className="rules-editor-allow" onClick={requestPermission}>
+            {t('notify.permission.ask')}
+          </button>
+        ) : (
+          t(`notify.permission.${permission}`)
+        )}
+      </p>
+
+      {favorites.length === 0 ? (
+        <p className="rules-editor-empty">{t('notify.editor.noLocations')}</p>
+      ) : (
+        <form className="rules-editor-form" onSubmit={handleSubmit}>
+          <label>
+            <span>{t('notify.editor.location')}</span>
+            <select value={location?.id ?? ''} onChange={(event) => setLocationId(event.target.value)}>
+              {favorites.map((favorite) => (
+                <option key={favorite.id} value={favorite.id}>
+                  {favorite.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            <span>{t('notify.editor.metric')}</span>
+            <select value={metric} onChange={(event) => changeMetric(event.target.value)}>
+              {Object.keys(RULE_METRICS).map((option) => (
+                <option key={option} value={option}>
+                  {t(`notify.metric.${option}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            <span>{t('notify.editor.operator')}</span>
+            <select value={operator} onChange={(event) => setOperator(event.target.value)}>
+              {RULE_OPERATORS.map((option) => (
+                <option key={option} value={option}>
+                  {t(`notify.operator.${option}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            <span>{t('notify.editor.value')}</span>
+            <span className="rules-editor-value">
+              <input type="number" value={value} onChange={(event) => setValue(event.target.value)} required />
+              {unitSuffix(metric, units)}
+            </span>
+          </label>
+
+          {scope === 'day' ? (
+            <label>
+              <span>{t('notify.editor.day')}</span>
+              <select value={day} onChange={(event) => setDay(event.target.value)}>
+                {RULE_DAYS.map((option) => (
+                  <option key={option} value={option}>
+                    {t(`notify.day.${option}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <fieldset className="rules-editor-window">
+              <label className="rules-editor-check">
+                <input type="checkbox" checked={useWindow} onChange={(event) => setUseWindow(event.target.checked)} />
+                <span>{t('notify.editor.onlyBetween')}</span>
+              </label>
+              <select
+                aria-label={t('notify.editor.from')}
+                value={fromHour}
+                disabled={!useWindow}
+                onChange={(event) => setFromHour(Number(event.target.value))}
+              >
+                {HOURS.map((hour) => (
+                  <option key={hour} value={hour}>
+                    {formatHour(hour)}
+                  </option>
+                ))}
+              </select>
+              –
+              <select
+                aria-label={t('notify.editor.to')}
+                value={toHour}
+                disabled={!useWindow}
+                onChange={(event) => setToHour(Number(event.target.value))}
+              >
+                {HOURS.map((hour) => (
+                  <option key={hour} value={hour}>
+                    {formatHour(hour)}
+                  </option>
+                ))}
+              </select>
+            </fieldset>
+          )}
+
+          <button type="submit" className="rules-editor-add">
+            {t('notify.editor.add')}
+          </button>
+        </form>
+      )}
+
+      {rules.length > 0 && (
+        <ul className="rules-editor-list">
+          {rules.map((rule) => (
+            <li key={rule.id} className={`rules-editor-rule ${rule.enabled ? '' : 'paused'}`}>
+              <label className="rules-editor-check">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => toggleRule(rule.id)}
+                  aria-label={t('notify.editor.enabled')}
+                />
+                <span>
+                  <strong>{rule.locationName}</strong> · {describeRule(rule, format)}
+                </span>
+              </label>
+              <button
+                type="button"
+                className="rules-editor-remove"
+                aria-label={t('notify.editor.remove')}
+                onClick={() => removeRule(rule.id)}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,22 @@
+import React from 'react'
+import '../style/OfflineBanner.css'
+import useOnlineStatus from '../hooks/useOnlineStatus'
+import { t } from '../utils/i18n'
+
+/**
+ * OfflineBanner Component
+ *
+ * CONCEPT: Conditional Rendering - A strip across the top of every page while
+ * the browser has no connection. Requests wait until it comes back, so what
+ * is on screen is the last forecast that loaded.
+ */
+export default function OfflineBanner() {
+  const online = useOnlineStatus()
+  if (online) return null
+
+  return (
+    <div className="offline-banner" role="status">
+      {t('status.offline')}
+    </div>
+  )
+}
@@ -0,0 +1,119 @@
+import React, { useMemo } from 'react'
+import '../style/RecommendationsCard.css'
+import { useUnits } from '../context/unitsContext'
+import useRecommendationThresholds from '../hooks/useRecommendationThresholds'
+import { THRESHOLD_FIELDS, getRecommendations } from '../services/recommendations'
+import { UNIT_OPTIONS, convertTemperature, convertWind, toCelsius, toKph } from '../utils/units'
+import { t } from '../utils/i18n'
+
+/**
+ * Threshold value as shown in the form, in the user's units
+ * @param {Object} field - Entry of THRESHOLD_FIELDS
+ * @param {number} value - Stored (metric) value
+ * @param {Object} units
+ * @returns {{value: number, suffix: string}}
+ */
+function toDisplay({ kind }, value, units) {
+  if (kind === 'temperature') {
+    return { value: Math.round(convertTemperature(value, units.temperature)), suffix: UNIT_OPTIONS.temperature[units.temperature] }
+  }
+  if (kind === 'wind') {
+    return { value: Math.round(convertWind(value, units.wind)), suffix: UNIT_OPTIONS.wind[units.wind] }
+  }
+  return { value, suffix: t(`recommend.suffix.${kind}`) }
+}
+
+/**
+ * Stored (metric) value for what the user typed
+ * @param {Object} field
+ * @param {number} value
+ * @param {Object} units
+ * @returns {number}
+ */
+function fromDisplay({ kind }, value, units) {
+  if (kind === 'temperature') return toCelsius(value, units.temperature)
+  if (kind === 'wind') return toKph(value, units.wind)
+  return value
+}
+
+/**
+ * RecommendationsCard Component
+ *
+ * CONCEPT: Derived State - The recommendations aren't stored anywhere; they
+ * are recomputed from the report, the unit formatters and the user's
+ * thresholds whenever one of those changes.
+ *
+ * CONCEPT: Controlled vs Uncontrolled Inputs - Threshold fields keep their own
+ * text while being edited and are saved on blur, so typing "-" on the way to
+ * "-10" doesn't get rejected mid-edit.
+ *
+ * @param {Object} weather - Normalized WeatherReport
+ */
+export default function RecommendationsCard({ weather }) {
+  const { units, format } = useUnits()
+  const { thresholds, isCustomized, setThreshold, resetThresholds } = useRecommendationThresholds()
+
+  const recommendations = useMemo(
+    () => getRecommendations(weather, { format, thresholds }),
+    [weather, format, thresholds]
+  )
+
+  return (
+    <div className="info-card recommendations-card">
+      <h3 className="info-card-title">{t('recommend.title')}</h3>
+      <div className="info-card-content">
+        {recommendations.length === 0 ? (
+          <p>{t('recommend.unavailable')}</p>
+        ) : (
+          <ul className="recommendation-list">
+            {recommendations.map(({ id, icon, level, title, reason }) => (
+              <li key={id} className={`recommendation recommendation-${level}`}>
+                <span className="recommendation-icon" aria-hidden="true">
+                  {icon}
+                </span>
+                <div>
+                  <div className="recommendation-title">{title}</div>
+                  <div className="recommendation-reason">{reason}</div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <details className="recommendation-settings">
+          <summary>{t('recommend.customize')}</summary>
+          <div className="recommendation-settings-fields">
+            {THRESHOLD_FIELDS.map((field) => {
+              const { value, suffix } = toDisplay(field, thresholds[field.key], units)
+              return (
+                <label key={field.key} className="recommendation-field">
+                  <span>{t(`recommend.threshold.${field.key}`)}</span>
+                  <span className="recommendation-field-input">
+                    <input
+                      // Remount when the saved value or units change so the field shows them
+                      key={`${value}-${suffix}`}
+                      type="number"
+                      defaultValue={value}
+                      onBlur={(e) => {
+                        const typed = Number(e.target.value)
+                        if (e.target.value !== '' && Number.isFinite(typed) && typed !== value) {
+                          setThreshold(field.key, fromDisplay(field, typed, units))
+                        }
+                      }}
+                    />
+                    {suffix}
+                  </span>
+                </label>
+              )
+            })}
+          </div>
+          {isCustomized && (
+            <button type="button" className="recommendation-reset" onClick={resetThresholds}>
+              {t('recommend.reset')}
+            </button>
+          )}
+        </details>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,125 @@
+import React from 'react'
+import '../style/RegionOverview.css'
+import { useForecasts } from '../hooks/useForecast'
+import { useUnits } from '../context/unitsContext'
+import { t } from '../utils/i18n'
+
+/**
+ * Which loaded cities stand out: warmest and coldest right now, and the one
+ * most likely to see rain today. Needs at least two cities to compare.
+ * @param {Array<{id: string, weather: Object|undefined}>} tiles
+ * @returns {Object<string, string[]>} - City id -> highlight keys
+ */
+function findHighlights(tiles) {
+  const loaded = tiles.filter((tile) => tile.weather)
+  if (loaded.length < 2) return {}
+
+  const byTemp = [...loaded].sort((a, b) => b.weather.current.tempC - a.weather.current.tempC)
+  const rainChance = (tile) => tile.weather.daily[0]?.chanceOfRain ?? 0
+  const byRain = [...loaded].sort((a, b) => rainChance(b) - rainChance(a))
+
+  const highlights = {}
+  const add = (tile, key) => {
+    highlights[tile.id] = [...(highlights[tile.id] ?? []), key]
+  }
+  // Ties aren't worth a badge: everywhere is "warmest" when it's 20° everywhere
+  if (byTemp[0].weather.current.tempC !== byTemp[byTemp.length - 1].weather.current.tempC) {
+    add(byTemp[0], 'warmest')
+    add(byTemp[byTemp.length - 1], 'coldest')
+  }
+  if (rainChance(byRain[0]) > rainChance(byRain[byRain.length - 1])) {
+    add(byRain[0], 'wettest')
+  }
+  return highlights
+}
+
+/**
+ * RegionOverview Component
+ *
+ * CONCEPT: Hooks - useForecasts loads every city in the region in parallel,
+ * so a state or country search compares its cities side by side instead of
+ * picking one at random. Each tile shares its cache with the full city view.
+ *
+ * CONCEPT: Passing Props - The parent decides what opening a city does; the
+ * random pick lives on as an opt-in "Surprise me".
+ *
+ * @param {string} name - Region or country name
+ * @param {Array} cities - { id, name, detail, query, placeQuery } from processSearchInput()
+ * @param {Function} onOpenCity - Called with the city whose tile was picked
+ */
+export default function RegionOverview({ name, cities, onOpenCity }) {
+  const { format } = useUnits()
+  const results = useForecasts(cities.map((city) => city.query))
+
+  const tiles = cities.map((city, index) => ({ ...city, result: results[index], weather: results[index].data }))
+  const highlights = findHighlights(tiles)
+
+  /**
+   * Open a random city in the region
+   */
+  function handleSurprise() {
+    onOpenCity(cities[Math.floor(Math.random() * cities.length)])
+  }
+
+  return (
+    <section className="region-overview">
+      <div className="region-overview-header">
+        <h2 className="region-overview-title">{t('region.title', { name })}</h2>
+        <button type="button" className="region-surprise-btn" onClick={handleSurprise}>
+          {t('region.surprise')}
+        </button>
+      </div>
+
+      <ul className="region-grid">
+        {tiles.map((tile) => {
+          const today = tile.weather?.daily[0]
+          const badges = highlights[tile.id] ?? []
+          return (
+            <li key={tile.id} className={`region-tile ${badges.join(' ')}`}>
+              <button type="button" className="region-tile-main" onClick={() => onOpenCity(tile)}>
+                <span className="region-tile-name">{tile.name}</span>
+                {tile.detail && <span className="region-tile-detail">{tile.detail}</span>}
+
+                {badges.length > 0 && (
+                  <span className="region-tile-badges">
+                    {badges.map((badge) => (
+                      <span key={badge} className={`region-badge ${badge}`}>
+                        {t(`region.${badge}`)}
+                      </span>
+                    ))}
+                  </span>
+                )}
+
+                {tile.result.isPending && <span className="region-tile-status">{t('region.loading')}</span>}
+                {/* fetchForecast only rejects with WeatherError, whose message is user-facing */}
+                {!tile.weather && tile.result.isError && (
+                  <span className="region-tile-status error">{tile.result.error.message}</span>
+                )}
+
+                {tile.weather && (
+                  <>
+                    <span className="region-tile-now">
+                      <img src={tile.weather.current.condition.icon} alt="" className="region-tile-icon" />
+                      <span className="region-tile-temp">{format.temperature(tile.weather.current.tempC)}</span>
+                    </span>
+                    <span className="region-tile-condition">{tile.weather.current.condition.text}</span>
+                    {today && (
+                      <span className="region-tile-range">
+                        {t('tile.range', {
+                          high: format.temperature(today.maxTempC, { short: true }),
+                          low: format.temperature(today.minTempC, { short: true })
+                        })}
+                        {' · '}
+                        {t('region.rain', { chance: today.chanceOfRain })}
+                      </span>
+                    )}
+                  </>
+                )}
+              </button>
+            </li>
+          )
+        })}
+      </ul>
+    </section>
+  )
+}
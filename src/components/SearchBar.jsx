@@ -1,24 +1,66 @@
-import React, { useState } from 'react'
+import React, { useId, useMemo, useState } from 'react'
 import '../style/SearchBar.css'
+import useLocationSuggestions from '../hooks/useLocationSuggestions'
+import DidYouMean from './DidYouMean'
+import { suggestCorrections } from '../utils/citySearch'
+import { t } from '../utils/i18n'
+
+/**
+ * Check if input contains only numbers (including decimals, spaces, and common separators)
+ * @param {string} input - The input string to validate
+ * @returns {boolean} - True if input contains only numeric characters
+ */
+const isNumericOnly = (input) => {
+  // Remove spaces and check if remaining characters are only digits, dots, commas, or dashes
+  const cleanedInput = input.replace(/\s/g, '')
+  return /^[\d.,\-+()]*$/.test(cleanedInput) && /\d/.test(cleanedInput)
+}
+
+/**
+ * Display label for a suggestion, e.g. "Portland, Maine, United States of America"
+ * @param {Object} suggestion
+ * @returns {string}
+ */
+const formatSuggestion = (suggestion) =>
+  [suggestion.name, suggestion.region, suggestion.country].filter(Boolean).join(', ')
 
 /**
  * SearchBar Component
- * 
+ *
  * CONCEPT: Create Components - A reusable search input component that handles user input for city searches.
  * This demonstrates component composition and the separation of concerns.
- * 
+ *
  * CONCEPT: useState - Manages the search query input state locally within this component.
  * Local state is appropriate here since only this component needs to track the input value.
- * 
+ *
+ * CONCEPT: Hooks - useLocationSuggestions fetches debounced type-ahead suggestions so
+ * ambiguous names like "Portland" can be resolved to one exact place.
+ *
  * CONCEPT: Passing Props - Receives 'onSearch' function as a prop from parent component (Homepage).
  * This allows the child component to communicate back to the parent when a search is performed.
- * 
- * @param {Function} onSearch - Callback function passed from parent to handle search execution
+ *
+ * The input follows the ARIA combobox pattern: arrow keys move through the
+ * suggestions, Enter picks the highlighted one, Escape closes the list.
+ * When the provider knows nothing by that name, known places it looks like a
+ * misspelling of ("Philadelpia") are offered underneath instead.
+ *
+ * @param {Function} onSearch - Callback function passed from parent to handle a free-text search
+ * @param {Function} [onSelectLocation] - Called with the suggestion the user picked
  */
-export default function SearchBar({ onSearch }) {
+export default function SearchBar({ onSearch, onSelectLocation }) {
   // CONCEPT: useState - Managing local component state for the search input
   // This is internal state that doesn't need to be shared with other components
   const [query, setQuery] = useState('')
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const listboxId = useId()
+
+  const { suggestions, loading } = useLocationSuggestions(query, {
+    enabled: isOpen && !isNumericOnly(query)
+  })
+  const showSuggestions = isOpen && suggestions.length > 0
+  const corrections = useMemo(() => (isOpen ? suggestCorrections(query) : []), [isOpen, query])
+  const showCorrections = isOpen && !loading && suggestions.length === 0 && corrections.length > 0
 
   /**
    * Handle search button click
@@ -26,7 +68,8 @@ export default function SearchBar({ onSearch }) {
    */
   const handleSearch = () => {
     const trimmedQuery = query.trim()
-    
+    setIsOpen(false)
+
     // Input validation - only search if there's actual text and it's not just numbers
     if (trimmedQuery && !isNumericOnly(trimmedQuery)) {
       onSearch(trimmedQuery)
@@ -34,47 +77,119 @@ export default function SearchBar({ onSearch }) {
   }
 
   /**
-   * Check if input contains only numbers (including decimals, spaces, and common separators)
-   * @param {string} input - The input string to validate
-   * @returns {boolean} - True if input contains only numeric characters
+   * Pick a suggestion: search by its exact id/coordinates instead of the ambiguous name
+   * @param {Object} suggestion
    */
-  const isNumericOnly = (input) => {
-    // Remove spaces and check if remaining characters are only digits, dots, commas, or dashes
-    const cleanedInput = input.replace(/\s/g, '')
-    return /^[\d.,\-+()]*$/.test(cleanedInput) && /\d/.test(cleanedInput)
+  const handleSelect = (suggestion) => {
+    setQuery(formatSuggestion(suggestion))
+    setIsOpen(false)
+    setActiveIndex(-1)
+    if (onSelectLocation) {
+      onSelectLocation(suggestion)
+    } else {
+      onSearch(suggestion.query)
+    }
   }
 
   /**
-   * Handle Enter key press for better UX
-   * Allows users to search by pressing Enter instead of clicking button
+   * Keyboard support for the combobox
+   * Enter searches (or picks the highlighted suggestion), arrows move the highlight
    */
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') handleSearch()
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex((index) => (index + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1))
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+      setActiveIndex(-1)
+    } else if (e.key === 'Enter') {
+      if (showSuggestions && activeIndex >= 0) {
+        handleSelect(suggestions[activeIndex])
+      } else {
+        handleSearch()
+      }
+    }
   }
 
   return (
     <div className="search-container">
       <div className="search-wrapper">
-        {/* 
-          CONCEPT: useState in Action - Controlled input component
-          - value={query} makes this a controlled component (React controls the value)
-          - onChange updates state when user types, triggering re-render
-          - This pattern ensures React state is the single source of truth
-        */}
-        <input
-          type="text"
-          className="search-input"
-          placeholder="Enter a city or state name (no numbers)"
-          value={query}
-          onChange={(e) => setQuery(e.target.value)}
-          onKeyPress={handleKeyPress}
-        />
-        {/* 
+        <div className="search-combobox">
+          {/*
+            CONCEPT: useState in Action - Controlled input component
+            - value={query} makes this a controlled component (React controls the value)
+            - onChange updates state when user types, triggering re-render
+            - This pattern ensures React state is the single source of truth
+          */}
+          <input
+            type="text"
+            className="search-input"
+            placeholder={t('search.placeholder')}
+            value={query}
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls={listboxId}
+            aria-activedescendant={
+              showSuggestions && activeIndex >= 0 ? `${listboxId}-option-${activeIndex}` : undefined
+            }
+            aria-busy={loading}
+            onChange={(e) => {
+              setQuery(e.target.value)
+              setIsOpen(true)
+              setActiveIndex(-1)
+            }}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setIsOpen(false)}
+          />
+
+          <ul id={listboxId} role="listbox" className="search-suggestions" hidden={!showSuggestions}>
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={suggestion.id}
+                id={`${listboxId}-option-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+                // mousedown fires before the input's blur, so the click isn't lost
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  handleSelect(suggestion)
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <span className="suggestion-name">{suggestion.name}</span>
+                <span className="suggestion-place">
+                  {[suggestion.region, suggestion.country].filter(Boolean).join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {showCorrections && (
+            // mousedown would blur the input and close this before the click lands
+            <div className="search-corrections" onMouseDown={(e) => e.preventDefault()}>
+              <DidYouMean
+                alternatives={corrections}
+                onPick={(correction) => {
+                  setQuery(correction.label)
+                  setIsOpen(false)
+                  onSearch(correction.query)
+                }}
+              />
+            </div>
+          )}
+        </div>
+        {/*
           Event handler that calls our local handleSearch function
           which then calls the parent's onSearch prop function
         */}
         <button className="search-btn" onClick={handleSearch}>
-          Search 🔍
+          {t('search.button')}
         </button>
       </div>
     </div>
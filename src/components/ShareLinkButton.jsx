@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from 'react'
+import { t } from '../utils/i18n'
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea where the
+ * async Clipboard API is unavailable (older browsers, non-HTTPS dev hosts)
+ * @param {string} text
+ */
+async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text)
+    return
+  }
+  const textarea = document.createElement('textarea')
+  textarea.value = text
+  textarea.setAttribute('readonly', '')
+  textarea.style.position = 'absolute'
+  textarea.style.left = '-9999px'
+  document.body.appendChild(textarea)
+  textarea.select()
+  document.execCommand('copy')
+  document.body.removeChild(textarea)
+}
+
+/**
+ * ShareLinkButton Component
+ *
+ * CONCEPT: useState + useEffect - Shows a short "Copied!" confirmation and
+ * resets it with a timer that is cleaned up if the component unmounts.
+ *
+ * @param {string} url - Link to copy
+ */
+export default function ShareLinkButton({ url }) {
+  const [status, setStatus] = useState('idle')
+
+  useEffect(() => {
+    if (status === 'idle') return
+    const timer = setTimeout(() => setStatus('idle'), 2000)
+    return () => clearTimeout(timer)
+  }, [status])
+
+  const handleCopy = async () => {
+    try {
+      await copyToClipboard(url)
+      setStatus('copied')
+    } catch (err) {
+      console.error(err)
+      setStatus('failed')
+    }
+  }
+
+  return (
+    <button type="button" className="nav-btn" onClick={handleCopy} title={url}>
+      <span aria-live="polite">
+        {status === 'copied' && t('share.copied')}
+        {status === 'failed' && t('share.failed')}
+        {status === 'idle' && t('share.copy')}
+      </span>
+    </button>
+  )
+}
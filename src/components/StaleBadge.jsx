@@ -0,0 +1,31 @@
+import React from 'react'
+import '../style/StaleBadge.css'
+import { formatDate, t } from '../utils/i18n'
+
+/**
+ * StaleBadge Component
+ *
+ * CONCEPT: Passing Props - Marks data shown from the cache because it could
+ * not be refreshed, with the time it was fetched ("as of 14:05", or with the
+ * weekday when it is older than today).
+ *
+ * @param {number} updatedAt - When the data was fetched (ms since epoch)
+ * @param {string} [className] - Extra class for placement
+ */
+export default function StaleBadge({ updatedAt, className = '' }) {
+  if (!updatedAt) return null
+
+  const fetched = new Date(updatedAt)
+  const sameDay = fetched.toDateString() === new Date().toDateString()
+  const time = formatDate(fetched, {
+    ...(sameDay ? {} : { weekday: 'short' }),
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  return (
+    <span className={`stale-badge ${className}`.trim()} title={formatDate(fetched, { dateStyle: 'full', timeStyle: 'short' })}>
+      {t('status.asOf', { time })}
+    </span>
+  )
+}
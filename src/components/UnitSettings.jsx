@@ -0,0 +1,60 @@
+import React from 'react'
+import '../style/UnitSettings.css'
+import { useUnits } from '../context/unitsContext'
+import { UNIT_OPTIONS, getUnitSystem } from '../utils/units'
+import { t } from '../utils/i18n'
+
+/**
+ * UnitSettings Component
+ *
+ * CONCEPT: Context API - Reads and updates the shared unit preference through
+ * the useUnits hook instead of receiving it as props.
+ *
+ * Offers a one-click metric/imperial switch plus per-measurement overrides
+ * (e.g. Celsius with miles per hour).
+ */
+export default function UnitSettings() {
+  const { units, setUnit, setUnitSystem } = useUnits()
+  const system = getUnitSystem(units)
+
+  return (
+    <div className="unit-settings">
+      <div className="unit-system-toggle" role="group" aria-label={t('units.system')}>
+        <button
+          type="button"
+          className={`unit-system-btn ${system === 'imperial' ? 'active' : ''}`}
+          aria-pressed={system === 'imperial'}
+          onClick={() => setUnitSystem('imperial')}
+        >
+          °F
+        </button>
+        <button
+          type="button"
+          className={`unit-system-btn ${system === 'metric' ? 'active' : ''}`}
+          aria-pressed={system === 'metric'}
+          onClick={() => setUnitSystem('metric')}
+        >
+          °C
+        </button>
+      </div>
+
+      <details className="unit-details">
+        <summary>{t('units.title')}</summary>
+        <div className="unit-details-panel">
+          {Object.entries(UNIT_OPTIONS).map(([dimension, options]) => (
+            <label key={dimension} className="unit-field">
+              <span>{t(`units.${dimension}`)}</span>
+              <select value={units[dimension]} onChange={(e) => setUnit(dimension, e.target.value)}>
+                {Object.entries(options).map(([unit, label]) => (
+                  <option key={unit} value={unit}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      </details>
+    </div>
+  )
+}
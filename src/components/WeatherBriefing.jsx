@@ -0,0 +1,38 @@
+import React from 'react'
+import ReactMarkdown from 'react-markdown'
+import '../style/WeatherBriefing.css'
+import useBriefing from '../hooks/useBriefing'
+import { t } from '../utils/i18n'
+
+/**
+ * WeatherBriefing Component
+ *
+ * CONCEPT: Hooks - useBriefing turns the report into a markdown briefing
+ * (today vs yesterday, rain timing, wind, the days ahead), written offline by
+ * rules or by a configured model backend.
+ *
+ * CONCEPT: Conditional Rendering - Shows a placeholder while a model backend
+ * is still writing.
+ *
+ * @param {Object} weather - Normalized WeatherReport
+ * @param {Object|null} [yesterday] - Yesterday's observed day, when history is available
+ * @param {boolean} [historyLoading=false] - History is on its way; the briefing waits for it
+ */
+export default function WeatherBriefing({ weather, yesterday = null, historyLoading = false }) {
+  const { data: briefing, isPending } = useBriefing(weather, { yesterday, waitForHistory: historyLoading })
+
+  return (
+    <div className="info-card weather-briefing">
+      <h3 className="info-card-title">{t('briefing.title')}</h3>
+      <div className="info-card-content">
+        {isPending && <p className="weather-briefing-status">{t('briefing.writing')}</p>}
+        {briefing && (
+          <>
+            <ReactMarkdown>{briefing.markdown}</ReactMarkdown>
+            <p className="weather-briefing-source">{t('briefing.source', { generator: briefing.generator })}</p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,21 @@
 import React, { useEffect } from 'react'
 import { motion } from 'framer-motion'
 import '../style/WeatherCard.css'
+import { useUnits } from '../context/unitsContext'
+import { useFavorites } from '../context/favoritesContext'
+import { t } from '../utils/i18n'
+import { compareWithHistory } from '../utils/history'
+
+/**
+ * CSS class for a temperature change, ignoring differences that round to 0°
+ * @param {number} changeC
+ * @returns {string}
+ */
+function deltaClass(changeC) {
+  const rounded = Math.round(changeC)
+  if (rounded > 0) return 'warmer'
+  return rounded < 0 ? 'colder' : ''
+}
 
 /**
  * WeatherCard Component
@@ -11,6 +26,9 @@ import '../style/WeatherCard.css'
  * CONCEPT: useEffect - Used here for debugging purposes to log weather prop changes.
  * This hook runs after every render when the 'weather' dependency changes.
  * 
+ * CONCEPT: Context API - Reads the user's unit preference via useUnits() so every value
+ * is shown in the chosen units.
+ *
  * CONCEPT: Passing Props - Receives weather data object from parent (Homepage) component.
  * The component is designed to be reusable with any weather data structure.
  * 
@@ -20,9 +38,16 @@ import '../style/WeatherCard.css'
  * - Error handling (image onError event)
  * - Animation integration with Framer Motion
  * 
- * @param {Object} weather - Weather data object containing location, temp, condition, etc.
+ * When the past days are known, the card also says how today compares
+ * ("+6° vs yesterday").
+ *
+ * @param {Object} weather - Normalized weather report ({ location, current, ... }) from the provider layer
+ * @param {Object|null} [history] - Observed days before today (WeatherHistory), when loaded
  */
-export default function WeatherCard({ weather }) {
+export default function WeatherCard({ weather, history = null }) {
+  const { format } = useUnits()
+  const { isFavorite, toggleFavorite } = useFavorites()
+
   // CONCEPT: useEffect - Side effect for debugging/logging when weather prop changes
   // The dependency array [weather] means this runs whenever the weather prop changes
   useEffect(() => {
@@ -34,9 +59,12 @@ export default function WeatherCard({ weather }) {
   // This prevents errors and unnecessary rendering of empty content
   if (!weather) return null
 
+  const { location, current } = weather
+  const { nowChangeC, highChangeC } = compareWithHistory(weather, history)
+
   // Data transformation and validation logic
   // normalize icon to full https URL or null
-  const rawIcon = weather.icon || ''
+  const rawIcon = current.condition.icon || ''
   const iconUrl =
     typeof rawIcon === 'string'
       ? rawIcon.startsWith('//')
@@ -52,11 +80,24 @@ export default function WeatherCard({ weather }) {
       transition={{ duration: 0.6 }}
     >
       {/* CONCEPT: Passing Props - Accessing data from the weather prop object */}
-      <h2 className="current-location">{weather.location}</h2>
+      <div className="weather-card-header">
+        <h2 className="current-location">
+          {location.region ? `${location.name}, ${location.region}` : location.name}
+        </h2>
+        {/* Save/unsave this city for the dashboard */}
+        <button
+          type="button"
+          className={`favorite-btn ${isFavorite(location) ? 'saved' : ''}`}
+          aria-pressed={isFavorite(location)}
+          onClick={() => toggleFavorite(location)}
+        >
+          {isFavorite(location) ? t('weather.saved') : t('weather.save')}
+        </button>
+      </div>
 
       <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
         <div className="current-temp" style={{ fontSize: '2.5rem' }}>
-          {weather.temp}°F
+          {format.temperature(current.tempC)}
         </div>
 
         {/* Conditional rendering with proper error handling */}
@@ -64,7 +105,7 @@ export default function WeatherCard({ weather }) {
           <motion.img
             key={iconUrl}
             src={iconUrl}
-            alt={weather.condition || 'weather icon'}
+            alt={current.condition.text || 'weather icon'}
             style={{ width: '64px', height: '64px', display: 'block' }}
             initial={{ opacity: 0, scale: 0.8 }}
             animate={{ opacity: 1, scale: 1 }}
@@ -78,28 +119,44 @@ export default function WeatherCard({ weather }) {
         ) : null}
       </div>
 
-      <p className="weather-description">{weather.condition}</p>
+      <p className="weather-description">{current.condition.text}</p>
+
+      {/* Deltas against the observed history, once it has loaded */}
+      {(nowChangeC !== null || highChangeC !== null) && (
+        <p className="weather-deltas">
+          {nowChangeC !== null && (
+            <span className={`weather-delta ${deltaClass(nowChangeC)}`}>
+              {t('history.nowVsYesterday', { change: format.temperatureChange(nowChangeC) })}
+            </span>
+          )}
+          {highChangeC !== null && (
+            <span className={`weather-delta ${deltaClass(highChangeC)}`}>
+              {t('history.highVsYesterday', { change: format.temperatureChange(highChangeC) })}
+            </span>
+          )}
+        </p>
+      )}
 
       {/* Weather details section demonstrating data display and calculations */}
       <div className="weather-details">
         <div className="weather-detail-item">
-          <div className="detail-label">Humidity</div>
-          <div className="detail-value">{weather.humidity}%</div>
+          <div className="detail-label">{t('weather.humidity')}</div>
+          <div className="detail-value">{current.humidity}%</div>
         </div>
         <div className="weather-detail-item">
-          <div className="detail-label">Wind</div>
-          <div className="detail-value">{weather.windSpeed} mph</div>
+          <div className="detail-label">{t('weather.wind')}</div>
+          <div className="detail-value">{format.wind(current.windKph)}</div>
         </div>
         <div className="weather-detail-item">
-          <div className="detail-label">Pressure</div>
+          <div className="detail-label">{t('weather.pressure')}</div>
           <div className="detail-value">
-            {/* Data transformation: converting millibars to inches of mercury */}
-            {(weather.pressure * 0.02953).toFixed(2)} inHg
+            {/* Data transformation: millibars converted to the preferred pressure unit */}
+            {format.pressure(current.pressureMb)}
           </div>
         </div>
         <div className="weather-detail-item">
-          <div className="detail-label">UV Index</div>
-          <div className="detail-value">{weather.uvIndex}</div>
+          <div className="detail-label">{t('weather.uv')}</div>
+          <div className="detail-value">{current.uv}</div>
         </div>
       </div>
     </motion.div>
@@ -0,0 +1,73 @@
+import React from 'react'
+import '../style/WeatherTrend.css'
+import { useUnits } from '../context/unitsContext'
+import { compareWithHistory } from '../utils/history'
+import { parseLocalTimestamp } from '../utils/forecast'
+import { formatDate, t } from '../utils/i18n'
+
+/**
+ * WeatherTrend Component
+ *
+ * CONCEPT: Composition - Lays the observed past week and the forecast week
+ * side by side as one strip of high/low ranges, so "is this warmer than last
+ * week?" can be read at a glance.
+ *
+ * @param {Object} weather - Normalized WeatherReport
+ * @param {Object|null} history - Observed days before today (WeatherHistory)
+ */
+export default function WeatherTrend({ weather, history }) {
+  const { format } = useUnits()
+  if (!history?.daily.length || weather.daily.length === 0) return null
+
+  const today = weather.daily[0].date
+  const days = [...history.daily, ...weather.daily]
+  // Every bar shares one scale, from the coldest low to the warmest high
+  const low = Math.min(...days.map((day) => day.minTempC))
+  const high = Math.max(...days.map((day) => day.maxTempC))
+  const span = Math.max(high - low, 1)
+  const { weekHighChangeC } = compareWithHistory(weather, history)
+
+  return (
+    <section className="weather-trend" aria-label={t('trend.title')}>
+      <header className="weather-trend-header">
+        <h3>{t('trend.title')}</h3>
+        <p>{t('trend.vsWeek', { change: format.temperatureChange(weekHighChangeC) })}</p>
+      </header>
+
+      <ol className="weather-trend-days">
+        {days.map((day) => {
+          const period = day.date < today ? 'past' : day.date === today ? 'today' : 'ahead'
+          return (
+            <li
+              key={day.date}
+              className={`weather-trend-day ${period}`}
+              title={`${formatDate(parseLocalTimestamp(day.date), { weekday: 'long', month: 'short', day: 'numeric' })}: ${day.condition.text}`}
+            >
+              <span className="weather-trend-high">{format.temperature(day.maxTempC, { short: true })}</span>
+              <span className="weather-trend-track">
+                <span
+                  className="weather-trend-bar"
+                  style={{
+                    bottom: `${((day.minTempC - low) / span) * 100}%`,
+                    height: `${((day.maxTempC - day.minTempC) / span) * 100}%`
+                  }}
+                />
+              </span>
+              <span className="weather-trend-low">{format.temperature(day.minTempC, { short: true })}</span>
+              <span className="weather-trend-label">
+                {period === 'today'
+                  ? t('trend.today')
+                  : formatDate(parseLocalTimestamp(day.date), { weekday: 'short' })}
+              </span>
+            </li>
+          )
+        })}
+      </ol>
+
+      <p className="weather-trend-legend">
+        <span className="weather-trend-key past" /> {t('trend.observed')}
+        <span className="weather-trend-key ahead" /> {t('trend.forecast')}
+      </p>
+    </section>
+  )
+}
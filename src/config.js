@@ -0,0 +1,27 @@
+/**
+ * App configuration
+ *
+ * Values come from Vite environment variables (.env) so they can differ
+ * between development and production builds without code changes.
+ */
+
+/**
+ * Which weather provider adapter to use.
+ * One of: 'weatherapi' (default), 'open-meteo', 'fixture'.
+ */
+export const WEATHER_PROVIDER = import.meta.env.VITE_WEATHER_PROVIDER || 'weatherapi'
+
+/**
+ * Where the 'weatherapi' provider finds the API proxy (server/), which holds
+ * the WeatherAPI.com key. Empty means the same origin, as with `npm run dev`.
+ */
+export const WEATHER_API_URL = import.meta.env.VITE_WEATHER_API_URL || ''
+
+/**
+ * Which briefing generator writes the forecast narrative.
+ * One of: 'rules' (default, offline), 'llm'.
+ */
+export const BRIEFING_GENERATOR = import.meta.env.VITE_BRIEFING_GENERATOR || 'rules'
+
+/** Model server endpoint for the 'llm' briefing generator (see src/services/briefing/llmGenerator.js) */
+export const BRIEFING_LLM_URL = import.meta.env.VITE_BRIEFING_LLM_URL
@@ -0,0 +1,48 @@
+import React, { useMemo } from 'react'
+import { FAVORITES_STORAGE_KEY, FavoritesContext, toFavorite } from './favoritesContext'
+import useLocalStorage from '../hooks/useLocalStorage'
+import { getLocationKey } from '../services/weather/model'
+
+/**
+ * FavoritesProvider Component
+ *
+ * CONCEPT: Context API - Keeps the ordered list of saved locations in
+ * localStorage and exposes it, plus add/remove/reorder actions, to the app.
+ */
+export default function FavoritesProvider({ children }) {
+  const [favorites, setFavorites] = useLocalStorage(FAVORITES_STORAGE_KEY, [])
+
+  const value = useMemo(() => {
+    const isFavorite = (location) => favorites.some((favorite) => favorite.id === getLocationKey(location))
+
+    const toggleFavorite = (location) => {
+      const id = getLocationKey(location)
+      setFavorites((previous) =>
+        previous.some((favorite) => favorite.id === id)
+          ? previous.filter((favorite) => favorite.id !== id)
+          : [...previous, toFavorite(location)]
+      )
+    }
+
+    const removeFavorite = (id) => {
+      setFavorites((previous) => previous.filter((favorite) => favorite.id !== id))
+    }
+
+    // Move a saved location one place up (-1) or down (+1) in the list
+    const moveFavorite = (id, direction) => {
+      setFavorites((previous) => {
+        const index = previous.findIndex((favorite) => favorite.id === id)
+        const target = index + direction
+        if (index === -1 || target < 0 || target >= previous.length) return previous
+
+        const next = [...previous]
+        ;[next[index], next[target]] = [next[target], next[index]]
+        return next
+      })
+    }
+
+    return { favorites, isFavorite, toggleFavorite, removeFavorite, moveFavorite }
+  }, [favorites, setFavorites])
+
+  return <FavoritesContext.Provider value={value}>{children}</FavoritesContext.Provider>
+}
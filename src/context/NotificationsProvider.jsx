@@ -0,0 +1,146 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { NotificationsContext } from './notificationsContext'
+import { useUnits } from './unitsContext'
+import useLocalStorage from '../hooks/useLocalStorage'
+import { forecastQueryKey, normalizeLocationQuery, useForecasts } from '../hooks/useForecast'
+import { getLocationKey } from '../services/weather/model'
+import {
+  describeMatch,
+  evaluateRules,
+  getNotificationPermission,
+  normalizeRule,
+  requestNotificationPermission,
+  showBrowserNotification
+} from '../services/notifications'
+
+const RULES_KEY = 'notificationRules'
+const NOTIFICATIONS_KEY = 'notifications'
+const FIRED_KEY = 'notificationsFired'
+// Oldest entries are dropped past these
+const MAX_NOTIFICATIONS = 50
+const MAX_FIRED_KEYS = 500
+
+/**
+ * NotificationsProvider Component
+ *
+ * CONCEPT: Context API - Keeps the user's threshold rules and the
+ * notifications they produced in localStorage and shares them with the app.
+ *
+ * CONCEPT: Hooks - Runs the rules whenever a forecast for a watched location
+ * loads or refreshes, from any page: the watched forecasts are kept loaded
+ * (and refreshing) here, and the query cache is observed for new results.
+ * Every match is remembered by its dedupe key, so it only fires once.
+ */
+export default function NotificationsProvider({ children }) {
+  const queryClient = useQueryClient()
+  const { format } = useUnits()
+  const [storedRules, setStoredRules] = useLocalStorage(RULES_KEY, [])
+  const [notifications, setNotifications] = useLocalStorage(NOTIFICATIONS_KEY, [])
+  const [firedKeys, setFiredKeys] = useLocalStorage(FIRED_KEY, [])
+  const [permission, setPermission] = useState(getNotificationPermission)
+
+  const rules = useMemo(() => storedRules.map(normalizeRule).filter(Boolean), [storedRules])
+  const watchedQueries = useMemo(
+    () => [...new Set(rules.filter((rule) => rule.enabled).map((rule) => rule.query))],
+    [rules]
+  )
+  useForecasts(watchedQueries)
+
+  // Matches already fired. A ref, so two results arriving before the next
+  // render can't both fire the same match
+  const fired = useRef(new Set(firedKeys))
+  // The latest rules and formatters for the cache subscription below
+  const latest = useRef({ rules, format })
+  useEffect(() => {
+    latest.current = { rules, format }
+  }, [rules, format])
+
+  // A report belongs to a rule when it was fetched with the rule's query, or
+  // (searched by name instead) lands on the same coordinates
+  const checkReport = useCallback(
+    (report, query) => {
+      if (!report?.location) return
+      const { rules: currentRules, format: currentFormat } = latest.current
+      const locationId = getLocationKey(report.location)
+      const watching = currentRules.filter(
+        (rule) =>
+          rule.enabled && (normalizeLocationQuery(rule.query) === query || rule.locationId === locationId)
+      )
+      const fresh = evaluateRules(watching, report).filter(({ key }) => !fired.current.has(key))
+      if (fresh.length === 0) return
+
+      const created = fresh.map(({ key, rule, match }) => ({
+        id: key,
+        ruleId: rule.id,
+        ...describeMatch(rule, match, currentFormat),
+        createdAt: Date.now(),
+        read: false
+      }))
+      fresh.forEach(({ key }) => fired.current.add(key))
+      created.forEach((notification) => showBrowserNotification({ ...notification, tag: notification.id }))
+
+      setNotifications((previous) => [...created, ...previous].slice(0, MAX_NOTIFICATIONS))
+      setFiredKeys((previous) => [...fresh.map(({ key }) => key), ...previous].slice(0, MAX_FIRED_KEYS))
+    },
+    [setNotifications, setFiredKeys]
+  )
+
+  // Every forecast that loads or refreshes, whichever page asked for it
+  useEffect(
+    () =>
+      queryClient.getQueryCache().subscribe((event) => {
+        if (event.type !== 'updated' || event.action.type !== 'success') return
+        if (event.query.queryKey[0] !== 'forecast') return
+        checkReport(event.query.state.data, event.query.queryKey[1])
+      }),
+    [queryClient, checkReport]
+  )
+
+  // Forecasts already in the cache (restored from storage, or loaded before a
+  // rule was added) are checked when the rules change
+  useEffect(() => {
+    watchedQueries.forEach((query) => {
+      const key = forecastQueryKey(query)
+      checkReport(queryClient.getQueryData(key), key[1])
+    })
+  }, [rules, watchedQueries, queryClient, checkReport])
+
+  const value = useMemo(() => {
+    const addRule = (rule) => {
+      const normalized = normalizeRule({ ...rule, id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}` })
+      if (normalized) setStoredRules((previous) => [...previous, normalized])
+    }
+
+    const removeRule = (id) => setStoredRules((previous) => previous.filter((rule) => rule.id !== id))
+
+    const toggleRule = (id) =>
+      setStoredRules((previous) =>
+        previous.map((rule) => (rule.id === id ? { ...rule, enabled: rule.enabled === false } : rule))
+      )
+
+    const markAllRead = () =>
+      setNotifications((previous) =>
+        previous.some((notification) => !notification.read)
+          ? previous.map((notification) => ({ ...notification, read: true }))
+          : previous
+      )
+
+    const requestPermission = async () => setPermission(await requestNotificationPermission())
+
+    return {
+      rules,
+      addRule,
+      removeRule,
+      toggleRule,
+      notifications,
+      unreadCount: notifications.filter((notification) => !notification.read).length,
+      markAllRead,
+      clearNotifications: () => setNotifications([]),
+      permission,
+      requestPermission
+    }
+  }, [rules, notifications, permission, setStoredRules, setNotifications])
+
+  return <NotificationsContext.Provider value={value}>{children}</NotificationsContext.Provider>
+}
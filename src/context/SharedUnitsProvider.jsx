@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { UnitsContext, useUnits } from './unitsContext'
+import { createUnitFormatters } from '../utils/units'
+import { parseUnitParam } from '../utils/routes'
+
+/**
+ * SharedUnitsProvider Component
+ *
+ * CONCEPT: Context API - A shared link's ?unit= shows the page in the
+ * sharer's units without touching the recipient's saved preference: this
+ * provider overrides the units below it while the param is in the URL. The
+ * first unit change drops the param, and the user's own preference (with
+ * that change) takes over. Must be rendered inside the router and a
+ * UnitsProvider.
+ */
+export default function SharedUnitsProvider({ children }) {
+  const parent = useUnits()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const unitParam = searchParams.get('unit')
+
+  const value = useMemo(() => {
+    const sharedUnits = parseUnitParam(unitParam)
+    if (!sharedUnits) return parent
+
+    const dropParam = () =>
+      setSearchParams(
+        (params) => {
+          const next = new URLSearchParams(params)
+          next.delete('unit')
+          return next
+        },
+        { replace: true }
+      )
+
+    return {
+      ...parent,
+      units: sharedUnits,
+      setUnit: (dimension, unit) => {
+        dropParam()
+        parent.setUnit(dimension, unit)
+      },
+      setUnitSystem: (system) => {
+        dropParam()
+        parent.setUnitSystem(system)
+      },
+      format: createUnitFormatters(sharedUnits)
+    }
+  }, [parent, unitParam, setSearchParams])
+
+  return <UnitsContext.Provider value={value}>{children}</UnitsContext.Provider>
+}
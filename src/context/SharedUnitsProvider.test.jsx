@@ -0,0 +1,64 @@
+import React from 'react'
+import { afterEach, describe, expect, it } from 'vitest'
+import { act, cleanup, render, screen } from '@testing-library/react'
+import { MemoryRouter, useLocation } from 'react-router-dom'
+import UnitsProvider from './UnitsProvider'
+import SharedUnitsProvider from './SharedUnitsProvider'
+import { useUnits } from './unitsContext'
+
+afterEach(() => {
+  cleanup()
+  localStorage.clear()
+})
+
+let unitsApi
+
+function Reading() {
+  unitsApi = useUnits()
+  const location = useLocation()
+  return (
+    <p>
+      <span data-testid="temperature">{unitsApi.format.temperature(20)}</span>
+      <span data-testid="search">{location.search}</span>
+    </p>
+  )
+}
+
+const renderAt = (url) =>
+  render(
+    <UnitsProvider>
+      <MemoryRouter initialEntries={[url]}>
+        <SharedUnitsProvider>
+          <Reading />
+        </SharedUnitsProvider>
+      </MemoryRouter>
+    </UnitsProvider>
+  )
+
+describe('SharedUnitsProvider', () => {
+  it("shows a shared link in the sharer's units without saving them", () => {
+    localStorage.setItem('weatherUnits', JSON.stringify({ temperature: 'c' }))
+    renderAt('/weather/Boston?unit=imperial')
+
+    expect(screen.getByTestId('temperature').textContent).toBe('68°F')
+    expect(JSON.parse(localStorage.getItem('weatherUnits'))).toEqual({ temperature: 'c' })
+  })
+
+  it("drops the shared units at the user's first change", () => {
+    localStorage.setItem('weatherUnits', JSON.stringify({ temperature: 'c' }))
+    renderAt('/weather/Boston?day=2026-10-15&unit=imperial')
+
+    act(() => unitsApi.setUnit('wind', 'mph'))
+
+    expect(screen.getByTestId('search').textContent).toBe('?day=2026-10-15')
+    expect(screen.getByTestId('temperature').textContent).toBe('20°C')
+    expect(JSON.parse(localStorage.getItem('weatherUnits'))).toEqual({ temperature: 'c', wind: 'mph' })
+  })
+
+  it('ignores an invalid param', () => {
+    localStorage.setItem('weatherUnits', JSON.stringify({ temperature: 'c' }))
+    renderAt('/weather/Boston?unit=kelvin')
+
+    expect(screen.getByTestId('temperature').textContent).toBe('20°C')
+  })
+})
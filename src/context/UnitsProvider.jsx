@@ -0,0 +1,39 @@
+import React, { useMemo } from 'react'
+import { UnitsContext } from './unitsContext'
+import useLocalStorage from '../hooks/useLocalStorage'
+import { UNIT_OPTIONS, UNIT_SYSTEMS, createUnitFormatters, getDefaultUnits } from '../utils/units'
+
+const STORAGE_KEY = 'weatherUnits'
+
+/**
+ * UnitsProvider Component
+ *
+ * CONCEPT: Context API - Wraps the app and supplies the unit preference plus
+ * formatters bound to it. Only the units the user picked are stored; the
+ * rest follow the browser locale, including when it changes later.
+ */
+export default function UnitsProvider({ children }) {
+  const [storedUnits, setStoredUnits] = useLocalStorage(STORAGE_KEY, {})
+
+  const units = useMemo(() => ({ ...getDefaultUnits(), ...storedUnits }), [storedUnits])
+
+  const value = useMemo(() => {
+    const setUnit = (dimension, unit) => {
+      if (!UNIT_OPTIONS[dimension]?.[unit]) return
+      setStoredUnits((previous) => ({ ...previous, [dimension]: unit }))
+    }
+
+    const setUnitSystem = (system) => {
+      if (UNIT_SYSTEMS[system]) setStoredUnits({ ...UNIT_SYSTEMS[system] })
+    }
+
+    return {
+      units,
+      setUnit,
+      setUnitSystem,
+      format: createUnitFormatters(units)
+    }
+  }, [units, setStoredUnits])
+
+  return <UnitsContext.Provider value={value}>{children}</UnitsContext.Provider>
+}
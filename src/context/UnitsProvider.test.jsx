@@ -0,0 +1,50 @@
+import React from 'react'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { act, cleanup, render, screen } from '@testing-library/react'
+import UnitsProvider from './UnitsProvider'
+import { useUnits } from './unitsContext'
+
+afterEach(() => {
+  cleanup()
+  localStorage.clear()
+  vi.restoreAllMocks()
+})
+
+let unitsApi
+
+function Reading() {
+  unitsApi = useUnits()
+  return <p data-testid="reading">{`${unitsApi.format.temperature(20)} ${unitsApi.format.wind(10)}`}</p>
+}
+
+const renderProvider = () =>
+  render(
+    <UnitsProvider>
+      <Reading />
+    </UnitsProvider>
+  )
+
+describe('UnitsProvider', () => {
+  it('follows the browser locale until the user picks units', () => {
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['en-US'])
+    const { unmount } = renderProvider()
+    expect(screen.getByTestId('reading').textContent).toBe('68°F 6 mph')
+    expect(JSON.parse(localStorage.getItem('weatherUnits'))).toEqual({})
+
+    // A later visit from a German browser isn't stuck with the first locale's units
+    unmount()
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['de-DE'])
+    renderProvider()
+    expect(screen.getByTestId('reading').textContent).toBe('20°C 10 km/h')
+  })
+
+  it('stores only the units the user picked', () => {
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['en-US'])
+    renderProvider()
+
+    act(() => unitsApi.setUnit('temperature', 'c'))
+
+    expect(JSON.parse(localStorage.getItem('weatherUnits'))).toEqual({ temperature: 'c' })
+    expect(screen.getByTestId('reading').textContent).toBe('20°C 6 mph')
+  })
+})
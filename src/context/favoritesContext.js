@@ -0,0 +1,43 @@
+import { createContext, useContext } from 'react'
+import { getLocationKey } from '../services/weather/model'
+
+/**
+ * CONCEPT: Context API - Shares the saved locations between the WeatherCard
+ * (save/unsave) and the Dashboard page (list, reorder, remove).
+ * The provider lives in FavoritesProvider.jsx.
+ */
+export const FavoritesContext = createContext(null)
+
+/** localStorage key holding the saved locations */
+export const FAVORITES_STORAGE_KEY = 'savedLocations'
+
+/**
+ * Build the stored shape for a location from a normalized report location
+ * @param {Object} location - report.location
+ * @returns {{id: string, name: string, region: string, country: string, lat: number, lon: number, query: string}}
+ */
+export function toFavorite(location) {
+  return {
+    id: getLocationKey(location),
+    name: location.name,
+    region: location.region,
+    country: location.country,
+    lat: location.lat,
+    lon: location.lon,
+    // Coordinates always resolve to the same place, unlike the name
+    query: `${location.lat},${location.lon}`
+  }
+}
+
+/**
+ * Access saved locations and the actions that change them
+ * @returns {{favorites: Array, isFavorite: Function, toggleFavorite: Function,
+ *   removeFavorite: Function, moveFavorite: Function}}
+ */
+export function useFavorites() {
+  const context = useContext(FavoritesContext)
+  if (!context) {
+    throw new Error('useFavorites must be used inside a <FavoritesProvider>')
+  }
+  return context
+}
@@ -0,0 +1,25 @@
+import { createContext, useContext } from 'react'
+
+/**
+ * CONCEPT: Context API - Shares the notification rules (edited on the
+ * Dashboard) and the notifications they produce (listed by the
+ * NotificationCenter in every page header). The provider, which also runs
+ * the rules, lives in NotificationsProvider.jsx.
+ */
+export const NotificationsContext = createContext(null)
+
+/**
+ * Access notification rules, notifications and the actions that change them
+ * @returns {{
+ *   rules: Array, addRule: Function, removeRule: Function, toggleRule: Function,
+ *   notifications: Array, unreadCount: number, markAllRead: Function, clearNotifications: Function,
+ *   permission: string, requestPermission: Function
+ * }}
+ */
+export function useNotifications() {
+  const context = useContext(NotificationsContext)
+  if (!context) {
+    throw new Error('useNotifications must be used inside a <NotificationsProvider>')
+  }
+  return context
+}
@@ -0,0 +1,20 @@
+import { createContext, useContext } from 'react'
+
+/**
+ * CONCEPT: Context API - Shares the unit preference with every component that
+ * displays a measurement, without passing it through each level as props.
+ * The provider lives in UnitsProvider.jsx.
+ */
+export const UnitsContext = createContext(null)
+
+/**
+ * Access the current units and unit-aware formatters
+ * @returns {{units: Object, setUnit: Function, setUnitSystem: Function, format: Object}}
+ */
+export function useUnits() {
+  const context = useContext(UnitsContext)
+  if (!context) {
+    throw new Error('useUnits must be used inside a <UnitsProvider>')
+  }
+  return context
+}
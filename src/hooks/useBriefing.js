@@ -0,0 +1,41 @@
+import { useQuery } from '@tanstack/react-query'
+import { generateBriefing } from '../services/briefing'
+import { getLocationKey } from '../services/weather/model'
+import { useUnits } from '../context/unitsContext'
+import { getLocale } from '../utils/i18n'
+
+/**
+ * useBriefing Hook
+ *
+ * CONCEPT: Hooks - Writes the markdown briefing for a report through TanStack
+ * Query, so a slow model backend loads like any other request and each report
+ * is only described once. The key includes the units and language, which
+ * change the wording.
+ *
+ * @param {import('../services/weather/model').WeatherReport|null} weather
+ * @param {Object} [options]
+ * @param {import('../services/weather/model').DailyForecast|null} [options.yesterday]
+ * @param {boolean} [options.waitForHistory=false] - Hold off while yesterday is still loading,
+ *   so the briefing is written once, with the comparison
+ * @returns {import('@tanstack/react-query').UseQueryResult<import('../services/briefing').Briefing>}
+ */
+export default function useBriefing(weather, { yesterday = null, waitForHistory = false } = {}) {
+  const { units, format } = useUnits()
+
+  return useQuery({
+    queryKey: [
+      'briefing',
+      weather ? getLocationKey(weather.location) : null,
+      weather?.current.time,
+      yesterday?.date ?? null,
+      units,
+      getLocale()
+    ],
+    queryFn: ({ signal }) => generateBriefing(weather, { format, units, yesterday, signal }),
+    enabled: Boolean(weather) && !waitForHistory,
+    // The key pins the exact report, so a briefing never goes stale
+    staleTime: Infinity,
+    // generateBriefing already falls back to the offline text
+    retry: false
+  })
+}
@@ -0,0 +1,50 @@
+import { useState } from 'react'
+
+/**
+ * useChartCursor Hook
+ *
+ * CONCEPT: Hooks - The "which point is active" state shared by the charts.
+ * The pointer picks the point under it; when the chart has focus, the arrow
+ * keys step through the points and Home/End jump to either end. Leaving or
+ * blurring the chart hides the tooltip.
+ *
+ * @param {number} count - Number of points
+ * @param {Function} indexAt - x offset inside the chart (px) -> point index
+ * @returns {{activeIndex: number|null, setActiveIndex: Function, handlers: Object}}
+ *   Spread `handlers` onto the focusable chart element
+ */
+export default function useChartCursor(count, indexAt) {
+  const [activeIndex, setActiveIndex] = useState(null)
+
+  const clamp = (index) => Math.min(Math.max(index, 0), count - 1)
+
+  const handlers = {
+    onPointerMove(event) {
+      const { left } = event.currentTarget.getBoundingClientRect()
+      setActiveIndex(clamp(indexAt(event.clientX - left)))
+    },
+    onPointerLeave() {
+      setActiveIndex(null)
+    },
+    onFocus() {
+      setActiveIndex((index) => index ?? 0)
+    },
+    onBlur() {
+      setActiveIndex(null)
+    },
+    onKeyDown(event) {
+      const moves = {
+        ArrowRight: (index) => index + 1,
+        ArrowLeft: (index) => index - 1,
+        Home: () => 0,
+        End: () => count - 1
+      }
+      const move = moves[event.key]
+      if (!move) return
+      event.preventDefault()
+      setActiveIndex((index) => clamp(move(index ?? 0)))
+    }
+  }
+
+  return { activeIndex, setActiveIndex, handlers }
+}
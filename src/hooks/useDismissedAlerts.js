@@ -0,0 +1,55 @@
+import { useCallback, useMemo } from 'react'
+import useLocalStorage from './useLocalStorage'
+
+const STORAGE_KEY = 'dismissedAlerts'
+// Alerts without an expiry stay dismissed for a day
+const DEFAULT_DISMISS_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Drop dismissals whose alert has expired so storage doesn't grow forever
+ * @param {Object} dismissed - { [locationKey]: { [alertId]: expiresAtMs } }
+ * @param {number} now
+ */
+function pruneExpired(dismissed, now) {
+  const pruned = {}
+  for (const [locationKey, alerts] of Object.entries(dismissed || {})) {
+    const active = Object.entries(alerts).filter(([, expiresAt]) => expiresAt > now)
+    if (active.length > 0) pruned[locationKey] = Object.fromEntries(active)
+  }
+  return pruned
+}
+
+/**
+ * useDismissedAlerts Hook
+ *
+ * CONCEPT: Hooks - Remembers which alerts the user dismissed for a location,
+ * until each alert expires, so the same warning doesn't reappear on every visit.
+ *
+ * @param {string|null} locationKey - Key from getLocationKey(), or null when no location
+ * @returns {{isDismissed: Function, dismiss: Function}}
+ */
+export default function useDismissedAlerts(locationKey) {
+  const [dismissed, setDismissed] = useLocalStorage(STORAGE_KEY, {})
+
+  const current = useMemo(() => pruneExpired(dismissed, Date.now()), [dismissed])
+
+  const isDismissed = useCallback(
+    (alert) => Boolean(locationKey && current[locationKey]?.[alert.id]),
+    [current, locationKey]
+  )
+
+  const dismiss = useCallback(
+    (alert) => {
+      if (!locationKey) return
+      const expiresAt = Date.parse(alert.expires) || Date.now() + DEFAULT_DISMISS_MS
+      setDismissed((previous) => {
+        const next = pruneExpired(previous, Date.now())
+        next[locationKey] = { ...next[locationKey], [alert.id]: expiresAt }
+        return next
+      })
+    },
+    [locationKey, setDismissed]
+  )
+
+  return { isDismissed, dismiss }
+}
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * useElementWidth Hook
+ *
+ * CONCEPT: Hooks - Tracks an element's rendered width with a ResizeObserver,
+ * so SVG charts can be drawn at their real size (text stays readable instead
+ * of being scaled with a viewBox).
+ *
+ * @param {React.RefObject<HTMLElement>} ref
+ * @param {number} [fallback=600] - Width used before the first measurement, or without ResizeObserver
+ * @returns {number} Width in CSS pixels
+ */
+export default function useElementWidth(ref, fallback = 600) {
+  const [width, setWidth] = useState(fallback)
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element || typeof ResizeObserver === 'undefined') return undefined
+
+    const observer = new ResizeObserver(([entry]) => {
+      const next = Math.round(entry.contentRect.width)
+      if (next > 0) setWidth(next)
+    })
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [ref])
+
+  return width
+}
@@ -0,0 +1,83 @@
+import { keepPreviousData, useQueries, useQuery } from '@tanstack/react-query'
+import { fetchForecast } from '../services/weather'
+
+const COORDINATES_PATTERN = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/
+// Refresh the visible forecast in the background while the page stays open
+const REFRESH_INTERVAL_MS = 15 * 60 * 1000
+// Days in a full forecast, as shown by the Homepage and dashboard
+const FORECAST_DAYS = 7
+
+/**
+ * Normalize a location query for use as a cache key, so "Boston",
+ * " boston " and "BOSTON" share one entry and coordinates that differ only
+ * past ~10 m do too
+ * @param {string} query - City name, "lat,lon", "id:<n>" or "auto:ip"
+ * @returns {string}
+ */
+export function normalizeLocationQuery(query) {
+  const trimmed = query.trim()
+  const coordinates = COORDINATES_PATTERN.exec(trimmed)
+  if (coordinates) {
+    return `${Number(coordinates[1]).toFixed(4)},${Number(coordinates[2]).toFixed(4)}`
+  }
+  return trimmed.replace(/\s+/g, ' ').toLowerCase()
+}
+
+/**
+ * Query key for a forecast
+ * @param {string} query
+ * @param {number} [days=FORECAST_DAYS]
+ * @returns {Array}
+ */
+export function forecastQueryKey(query, days = FORECAST_DAYS) {
+  return ['forecast', normalizeLocationQuery(query), days]
+}
+
+/**
+ * Shared query options for one location's forecast
+ * @param {string|null} query
+ * @param {number} days
+ * @returns {Object}
+ */
+function forecastQueryOptions(query, days) {
+  return {
+    queryKey: forecastQueryKey(query ?? '', days),
+    // TanStack Query aborts the signal when the query is cancelled or abandoned
+    queryFn: ({ signal }) => fetchForecast(query, { days, signal }),
+    enabled: Boolean(query),
+    refetchInterval: REFRESH_INTERVAL_MS
+  }
+}
+
+/**
+ * useForecast Hook
+ *
+ * CONCEPT: Hooks - Wraps TanStack Query so components ask for "the forecast
+ * for this place" and get cached, deduplicated, cancellable loading for free.
+ * Results belong to their query key, so a slow response for an earlier search
+ * can never replace the forecast for the current one.
+ *
+ * @param {string|null} query - Location query; null disables the query
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @param {boolean} [options.keepPrevious=false] - Keep showing the last forecast while a new location loads
+ * @returns {import('@tanstack/react-query').UseQueryResult<import('../services/weather/model').WeatherReport>}
+ */
+export default function useForecast(query, { days = FORECAST_DAYS, keepPrevious = false } = {}) {
+  return useQuery({
+    ...forecastQueryOptions(query, days),
+    placeholderData: keepPrevious ? keepPreviousData : undefined
+  })
+}
+
+/**
+ * Forecasts for several locations at once, fetched in parallel. Each entry
+ * shares its cache with useForecast() for the same query and days.
+ * @param {string[]} queries
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @returns {Array<import('@tanstack/react-query').UseQueryResult<import('../services/weather/model').WeatherReport>>}
+ */
+export function useForecasts(queries, { days = FORECAST_DAYS } = {}) {
+  return useQueries({ queries: queries.map((query) => forecastQueryOptions(query, days)) })
+}
@@ -0,0 +1,92 @@
+import { useCallback, useState } from 'react'
+import useLocalStorage from './useLocalStorage'
+
+const COORDS_KEY = 'deviceLocation'
+const PROMPTED_KEY = 'geolocationPrompted'
+const TIMEOUT_MS = 10000
+// A cached fix up to 10 minutes old is fine for a weather forecast
+const MAX_POSITION_AGE_MS = 10 * 60 * 1000
+
+/**
+ * Statuses meaning a location request failed and the IP-based guess is used;
+ * each has a 'geolocation.<status>' message explaining why
+ */
+export const GEOLOCATION_FAILURES = ['denied', 'timeout', 'unavailable', 'unsupported']
+
+/**
+ * Promise wrapper around navigator.geolocation.getCurrentPosition
+ * @returns {Promise<{lat: number, lon: number, accuracy: number}>}
+ *   Rejects with an Error whose message is one of GEOLOCATION_FAILURES
+ */
+function requestPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('unsupported'))
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) =>
+        resolve({
+          // ~10 m is plenty for weather and keeps URLs and cache keys short
+          lat: Number(coords.latitude.toFixed(4)),
+          lon: Number(coords.longitude.toFixed(4)),
+          accuracy: coords.accuracy
+        }),
+      (err) => {
+        const reason = { 1: 'denied', 2: 'unavailable', 3: 'timeout' }[err.code] ?? 'unavailable'
+        reject(new Error(reason))
+      },
+      { timeout: TIMEOUT_MS, maximumAge: MAX_POSITION_AGE_MS }
+    )
+  })
+}
+
+/**
+ * useGeolocation Hook
+ *
+ * CONCEPT: Hooks - Wraps the browser Geolocation API. A successful fix is
+ * remembered in localStorage so later visits use it without asking again,
+ * and whether the first-visit prompt has been answered is remembered too.
+ *
+ * @returns {{
+ *   coords: {lat: number, lon: number, accuracy: number, savedAt: number}|null,
+ *   status: 'idle'|'locating'|'located'|'denied'|'timeout'|'unavailable'|'unsupported',
+ *   shouldPrompt: boolean,
+ *   locate: Function,
+ *   dismissPrompt: Function
+ * }}
+ */
+export default function useGeolocation() {
+  const [coords, setCoords] = useLocalStorage(COORDS_KEY, null)
+  const [prompted, setPrompted] = useLocalStorage(PROMPTED_KEY, false)
+  const [status, setStatus] = useState('idle')
+
+  /**
+   * Ask the browser for the current position
+   * @returns {Promise<Object|null>} The new coordinates, or null on failure
+   */
+  const locate = useCallback(async () => {
+    setPrompted(true)
+    setStatus('locating')
+    try {
+      const position = { ...(await requestPosition()), savedAt: Date.now() }
+      setCoords(position)
+      setStatus('located')
+      return position
+    } catch (err) {
+      setStatus(err.message)
+      return null
+    }
+  }, [setCoords, setPrompted])
+
+  const dismissPrompt = useCallback(() => setPrompted(true), [setPrompted])
+
+  return {
+    coords,
+    status,
+    shouldPrompt: !prompted && !coords && Boolean(navigator.geolocation),
+    locate,
+    dismissPrompt
+  }
+}
@@ -0,0 +1,33 @@
+import { useQuery } from '@tanstack/react-query'
+import { fetchHistory } from '../services/weather'
+import { getLocationKey } from '../services/weather/model'
+
+// Days of history shown and compared against
+export const HISTORY_DAYS = 7
+
+/**
+ * useHistory Hook
+ *
+ * CONCEPT: Hooks - Loads the observed days before a report's "today" through
+ * TanStack Query. Past weather doesn't change, so a result is never refetched
+ * while its day is still "today"; the key moves on with the location's date.
+ *
+ * The history is requested for the report's own coordinates, so it describes
+ * the same place even when the search was a name.
+ *
+ * @param {import('../services/weather/model').WeatherReport|null} weather
+ * @param {Object} [options]
+ * @param {number} [options.days=HISTORY_DAYS]
+ * @returns {import('@tanstack/react-query').UseQueryResult<import('../services/weather/model').WeatherHistory>}
+ */
+export default function useHistory(weather, { days = HISTORY_DAYS } = {}) {
+  const query = weather ? getLocationKey(weather.location) : null
+  const today = weather?.location.localtime.slice(0, 10) ?? null
+
+  return useQuery({
+    queryKey: ['history', query, today, days],
+    queryFn: ({ signal }) => fetchHistory(query, { today, days, signal }),
+    enabled: Boolean(query && today),
+    staleTime: Infinity
+  })
+}
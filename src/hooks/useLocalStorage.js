@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react'
+
+/**
+ * Read a JSON value from localStorage without throwing
+ * (storage can be disabled, full, or hold malformed data)
+ * @param {string} key
+ * @param {*} fallback - Returned when nothing usable is stored
+ */
+export function readStorage(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key)
+    return stored === null ? fallback : JSON.parse(stored)
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Write a JSON value to localStorage, ignoring quota/privacy-mode errors
+ * @param {string} key
+ * @param {*} value
+ */
+export function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch {
+    // Persistence is best-effort; the in-memory state still works
+  }
+}
+
+/**
+ * useLocalStorage Hook
+ *
+ * CONCEPT: Hooks - A custom hook that works like useState but keeps the value
+ * in localStorage so it survives page reloads.
+ *
+ * @param {string} key - localStorage key
+ * @param {*} initialValue - Value (or function returning one) used when nothing is stored
+ * @returns {[*, Function]} - Current value and setter, same shape as useState
+ */
+export default function useLocalStorage(key, initialValue) {
+  const [value, setValue] = useState(() =>
+    readStorage(key, typeof initialValue === 'function' ? initialValue() : initialValue)
+  )
+
+  useEffect(() => {
+    writeStorage(key, value)
+  }, [key, value])
+
+  return [value, setValue]
+}
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react'
+import { keepPreviousData, useQuery } from '@tanstack/react-query'
+import { searchLocations } from '../services/weather'
+
+const DEBOUNCE_MS = 300
+const MIN_QUERY_LENGTH = 2
+const NO_SUGGESTIONS = []
+
+/**
+ * useLocationSuggestions Hook
+ *
+ * CONCEPT: useEffect - Debounces the typed query; TanStack Query then fetches
+ * and caches the matching places per search term. Results are keyed by term
+ * and the superseded request is aborted, so a slow response for "Port" can
+ * never replace the results for "Portland".
+ *
+ * @param {string} query - Current input text
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Set false to skip searching (e.g. numeric input)
+ * @returns {{suggestions: Array, loading: boolean}}
+ */
+export default function useLocationSuggestions(query, { enabled = true } = {}) {
+  const trimmed = query.trim()
+  const [debounced, setDebounced] = useState(trimmed)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(trimmed), DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [trimmed])
+
+  const shouldSearch = enabled && trimmed.length >= MIN_QUERY_LENGTH
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['locations', debounced.toLowerCase()],
+    queryFn: ({ signal }) => searchLocations(debounced, { signal }),
+    enabled: shouldSearch && debounced.length >= MIN_QUERY_LENGTH,
+    staleTime: Infinity,
+    // Keep the current list up while the next term loads instead of flashing empty
+    placeholderData: keepPreviousData,
+    // Suggestions are optional; a failed lookup just shows none
+    retry: false
+  })
+
+  return {
+    suggestions: shouldSearch ? (data ?? NO_SUGGESTIONS) : NO_SUGGESTIONS,
+    loading: shouldSearch && isFetching
+  }
+}
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react'
+import { getLocationTheme } from '../utils/theme'
+
+// The theme only changes at minute granularity
+const TICK_MS = 60 * 1000
+
+/**
+ * useLocationTheme Hook
+ *
+ * CONCEPT: useEffect - Re-renders once a minute so the theme follows the
+ * searched location's clock (sunrise, golden hour, a storm arriving in the
+ * hourly forecast) while the page stays open.
+ *
+ * @param {import('../services/weather/model').WeatherReport|null} weather
+ * @returns {{phase: string, timeOfDay: string, variant: string|null, clock: string}}
+ */
+export default function useLocationTheme(weather) {
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), TICK_MS)
+    return () => clearInterval(interval)
+  }, [])
+
+  return getLocationTheme(weather, now)
+}
@@ -0,0 +1,26 @@
+import { useSyncExternalStore } from 'react'
+
+function subscribe(onChange) {
+  window.addEventListener('online', onChange)
+  window.addEventListener('offline', onChange)
+  return () => {
+    window.removeEventListener('online', onChange)
+    window.removeEventListener('offline', onChange)
+  }
+}
+
+const getSnapshot = () => navigator.onLine
+// Assume a connection until the browser says otherwise
+const getServerSnapshot = () => true
+
+/**
+ * useOnlineStatus Hook
+ *
+ * CONCEPT: Hooks - Subscribes to the browser's online/offline events so a
+ * component re-renders when the connection drops or comes back.
+ *
+ * @returns {boolean} Whether the browser thinks it has a network connection
+ */
+export default function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot)
+}
@@ -0,0 +1,34 @@
+import { useCallback, useMemo } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { normalizeThresholds } from '../services/recommendations'
+
+const STORAGE_KEY = 'recommendationThresholds'
+
+/**
+ * useRecommendationThresholds Hook
+ *
+ * CONCEPT: Hooks - Keeps the user's own limits for the recommendation rules
+ * ("I'm fine running down to -10°") in localStorage. Only overridden values
+ * are stored, so new defaults still reach everyone else.
+ *
+ * @returns {{thresholds: Object, isCustomized: boolean, setThreshold: Function, resetThresholds: Function}}
+ */
+export default function useRecommendationThresholds() {
+  const [overrides, setOverrides] = useLocalStorage(STORAGE_KEY, {})
+
+  const thresholds = useMemo(() => normalizeThresholds(overrides), [overrides])
+
+  const setThreshold = useCallback(
+    (key, value) => setOverrides((previous) => ({ ...previous, [key]: value })),
+    [setOverrides]
+  )
+
+  const resetThresholds = useCallback(() => setOverrides({}), [setOverrides])
+
+  return {
+    thresholds,
+    isCustomized: Object.keys(overrides || {}).length > 0,
+    setThreshold,
+    resetThresholds
+  }
+}
@@ -0,0 +1,67 @@
+import React from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import '../style/Dashboard.css'
+import LocationTile from '../components/LocationTile'
+import UnitSettings from '../components/UnitSettings'
+import NotificationCenter from '../components/NotificationCenter'
+import NotificationRulesEditor from '../components/NotificationRulesEditor'
+import { useFavorites } from '../context/favoritesContext'
+import { weatherPath } from '../utils/routes'
+import { t } from '../utils/i18n'
+
+/**
+ * Dashboard Page
+ *
+ * CONCEPT: Context API - Reads saved locations from FavoritesContext, shared
+ * with the save button on WeatherCard.
+ *
+ * CONCEPT: Lifting State - Reorder/remove actions live in the provider; each
+ * LocationTile only reports what the user clicked.
+ *
+ * Shows a compact current-conditions tile per saved city. Clicking a tile
+ * opens the full Homepage view for that city. Weather alerts for the saved
+ * cities are set up below the tiles.
+ */
+export default function Dashboard() {
+  const { favorites, moveFavorite, removeFavorite } = useFavorites()
+  const navigate = useNavigate()
+
+  return (
+    <div className="homepage-container afternoon">
+      <header className="homepage-header">
+        <div className="homepage-logo">⛅ Cloudy with AI</div>
+        <div className="homepage-nav">
+          <Link to="/Homepage" className="nav-btn">
+            {t('nav.search')}
+          </Link>
+          <NotificationCenter />
+          <UnitSettings />
+        </div>
+      </header>
+
+      <main className="dashboard-main">
+        <h1 className="dashboard-title">{t('dashboard.title')}</h1>
+
+        {favorites.length === 0 ? (
+          <p className="status-message info">{t('dashboard.empty')}</p>
+        ) : (
+          <ul className="dashboard-grid">
+            {favorites.map((favorite, index) => (
+              <LocationTile
+                key={favorite.id}
+                favorite={favorite}
+                isFirst={index === 0}
+                isLast={index === favorites.length - 1}
+                onOpen={() => navigate(weatherPath(favorite.query))}
+                onMove={(direction) => moveFavorite(favorite.id, direction)}
+                onRemove={() => removeFavorite(favorite.id)}
+              />
+            ))}
+          </ul>
+        )}
+
+        <NotificationRulesEditor />
+      </main>
+    </div>
+  )
+}
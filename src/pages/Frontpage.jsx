@@ -1,4 +1,5 @@
  import { useNavigate } from "react-router-dom"
+import { t } from "../utils/i18n"
 
 /**
  * Frontpage Component
@@ -24,10 +25,10 @@ export default function Frontpage() {
   return (
       <section className="frontpage-section">
         <h1 className="frontpage-title">
-          Welcome to Cloudy with a chance of AI
+          {t('front.title')}
         </h1>
 
-        <p className="frontpage-subtext">weather app</p>
+        <p className="frontpage-subtext">{t('front.subtext')}</p>
 
         <div className="frontpage-buttons">
           
@@ -38,15 +39,15 @@ export default function Frontpage() {
           */}
           <button
             type="button"
-            aria-label="Continue without signing in"
+            aria-label={t('front.continueLabel')}
             onClick={() =>  navigate("/Homepage")}
             className="frontpage-btn secondary-btn"
           >
-            Continue
+            {t('front.continue')}
           </button>
         </div>
 
-        <p className="frontpage-footer">By continuing you agree to our terms and privacy policy.</p>
+        <p className="frontpage-footer">{t('front.footer')}</p>
       </section>
   )
 }
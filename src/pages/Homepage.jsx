@@ -1,186 +1,336 @@
 
 
-import React, { useState, useEffect } from 'react'
+import React, { useMemo } from 'react'
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import SearchBar from '../components/SearchBar'
 import WeatherCard from '../components/WeatherCard'
 import ForecastGrid from '../components/ForecastGrid'
+import ForecastDayDetail from '../components/ForecastDayDetail'
+import ForecastViewToggle from '../components/ForecastViewToggle'
+import DailyTrendChart from '../components/DailyTrendChart'
+import HourlyTrendChart from '../components/HourlyTrendChart'
+import HourlyForecast from '../components/HourlyForecast'
+import AlertBanner from '../components/AlertBanner'
+import AirQualityCard from '../components/AirQualityCard'
+import ErrorNotice from '../components/ErrorNotice'
+import StaleBadge from '../components/StaleBadge'
 import { processSearchInput } from '../utils/citySearch'
+import { answerIntent } from '../utils/queryIntent'
+import { getYesterday } from '../utils/history'
+import useForecast from '../hooks/useForecast'
+import useOnlineStatus from '../hooks/useOnlineStatus'
+import useHistory from '../hooks/useHistory'
+import useLocalStorage from '../hooks/useLocalStorage'
+import { getLocationKey } from '../services/weather/model'
+import { isTransientError } from '../services/weather'
+import UnitSettings from '../components/UnitSettings'
+import NotificationCenter from '../components/NotificationCenter'
+import ShareLinkButton from '../components/ShareLinkButton'
+import LocationPrompt from '../components/LocationPrompt'
+import DidYouMean from '../components/DidYouMean'
+import RegionOverview from '../components/RegionOverview'
+import WeatherBriefing from '../components/WeatherBriefing'
+import WeatherTrend from '../components/WeatherTrend'
+import RecommendationsCard from '../components/RecommendationsCard'
+import useGeolocation, { GEOLOCATION_FAILURES } from '../hooks/useGeolocation'
+import useLocationTheme from '../hooks/useLocationTheme'
+import { t } from '../utils/i18n'
+import { useUnits } from '../context/unitsContext'
+import { buildShareUrl, formatUnitParam, parseLocationParam, weatherPath } from '../utils/routes'
 
-export default function Homepage() {
-  const [currentWeather, setCurrentWeather] = useState(null)
-  const [forecast, setForecast] = useState([])
-  const [error, setError] = useState('')
-  const [loading, setLoading] = useState(false)
-  const [stateConversionMessage, setStateConversionMessage] = useState('')
-  // Initialize immediately so the badge shows without a flash
-  const [timeOfDay, setTimeOfDay] = useState(() => getTimeOfDay())
-
-  const API_KEY = import.meta.env.VITE_WEATHER_API_KEY
-
-  function getTimeOfDay() {
-    const now = new Date()
-    const hour = now.getHours()
-    if (hour >= 6 && hour < 12) return 'morning'
-    if (hour >= 12 && hour < 17) return 'afternoon'
-    if (hour >= 17 && hour < 20) return 'evening'
-    return 'night'
+/**
+ * Explain how the home view's location was found
+ * @param {Object} geolocation - Result of useGeolocation()
+ * @returns {string}
+ */
+function describeLocationMethod({ coords, status }) {
+  if (GEOLOCATION_FAILURES.includes(status)) {
+    const reason = t(`geolocation.${status}`)
+    return t(coords ? 'location.failedKnown' : 'location.failed', { reason })
+  }
+  return t(coords ? 'location.device' : 'location.ip')
+}
+
+/**
+ * Give a report the name of the gazetteer city it was loaded for. Those load
+ * by coordinates, which providers name after the nearest place they know, or
+ * not at all.
+ * @param {Object|undefined} report
+ * @param {Object|null} place - Gazetteer city from resolveSearch()
+ * @returns {Object|undefined}
+ */
+function nameAfterPlace(report, place) {
+  if (!report || !place) return report
+  return {
+    ...report,
+    location: { ...report.location, name: place.name, region: place.regionName ?? '', country: place.countryName }
+  }
+}
+
+/**
+ * Turn the :location route param into the provider query to load
+ * @param {string|undefined} locationParam
+ * @param {string} homeQuery - Query for the home view (no location in the URL)
+ * @returns {{query: string|null, place: Object|null, region: Object|null, intent: Object|null, correction: string, error: string, alternatives: Array}}
+ */
+function resolveSearch(locationParam, homeQuery) {
+  const resolved = {
+    query: homeQuery,
+    place: null,
+    region: null,
+    intent: null,
+    correction: '',
+    error: '',
+    alternatives: []
   }
+  if (!locationParam) return resolved
+
+  // Coordinates and picked suggestions ("id:2801268") already name one exact place
+  const { query, exact } = parseLocationParam(locationParam)
+  if (exact) return { ...resolved, query }
 
-  // No manual override function needed; theme updates automatically based on clock
-
-  async function fetchWeather(searchInput) {
-    try {
-      // Reset error state and set loading to true
-      setError('')
-      setLoading(true)
-      setStateConversionMessage('')
-
-      // Check if API key exists
-      if (!API_KEY) {
-        setError('Weather API key not found. Please check your environment variables.')
-        setLoading(false)
-        return
-      }
-
-let cityToSearch = searchInput
-      let searchResult = null
-
-      if (searchInput !== 'auto:ip') {
-        searchResult = processSearchInput(searchInput)
-        cityToSearch = searchResult.city
-      }
-
-      if (searchResult && searchResult.type === 'state') {
-        setStateConversionMessage(
-          `Found state "${searchResult.original}" - showing weather for ${cityToSearch}`
-        )
-      }
-
-
-
-      const res = await fetch(
-        `https://api.weatherapi.com/v1/forecast.json?key=${API_KEY}&q=${cityToSearch}&days=7&aqi=no&alerts=no`
-      )
-      const data = await res.json()
-
-      // Handle API-specific errors (city not found, etc.)
-      if (data.error) {
-        setError('City not found')
-        setCurrentWeather(null)
-        setForecast([])
-        setStateConversionMessage('')
-        return
-      }
-
-      setCurrentWeather({
-        location: `${data.location.name}, ${data.location.region}`,
-        temp: data.current.temp_f,
-        condition: data.current.condition.text,
-        humidity: data.current.humidity,
-        windSpeed: data.current.wind_mph,
-        pressure: data.current.pressure_mb,
-        uvIndex: data.current.uv,
-        icon: `https:${data.current.condition.icon}`
-      })
-
-      setForecast(
-        data.forecast.forecastday.map(day => ({
-          day: new Date(day.date).toLocaleDateString('en-US', { weekday: 'long' }),
-          temp: day.day.avgtemp_f,
-          condition: day.day.condition.text,
-          icon: `https:${day.day.condition.icon}`
-        }))
-      )
-    } catch (err) {
-      console.error(err)
-      setError('Failed to fetch weather data.')
-    } finally {
-      // Always set loading to false, whether success or error
-      setLoading(false)
+  try {
+    const searchResult = processSearchInput(query)
+    // States and countries show an overview of their cities instead of one forecast
+    const region = searchResult.cities
+      ? { id: searchResult.place.id, name: searchResult.place.name, cities: searchResult.cities }
+      : null
+    // A misspelling we fixed ("Philadelpia"), so the user knows why the name changed
+    const correction = searchResult.corrected
+      ? t('search.corrected', { name: searchResult.corrected, original: searchResult.original })
+      : ''
+    return {
+      ...resolved,
+      // A question without a place ("rain tomorrow?") is about the home location
+      query: searchResult.type === 'current' ? homeQuery : searchResult.city,
+      // Gazetteer cities load by coordinates; this names them
+      place: searchResult.city && searchResult.place?.type === 'city' ? searchResult.place : null,
+      region,
+      intent: searchResult.intent,
+      correction,
+      alternatives: searchResult.alternatives ?? []
     }
+  } catch (err) {
+    return { ...resolved, query: null, error: err.message }
   }
+}
 
-  useEffect(() => {
-    fetchWeather('auto:ip')
-  }, [])
+export default function Homepage() {
+  const { units, format } = useUnits()
+  // The location lives in the path (/weather/:location) so every search is a
+  // history entry; the selected day and unit system live in the query string
+  const { location: locationParam } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigate = useNavigate()
+  // Device coordinates (remembered between visits) replace the IP-based guess
+  const geolocation = useGeolocation()
+  const homeQuery = geolocation.coords ? `${geolocation.coords.lat},${geolocation.coords.lon}` : 'auto:ip'
+  // Resolve the URL's location once per navigation
+  const search = useMemo(() => resolveSearch(locationParam, homeQuery), [locationParam, homeQuery])
+  const forecastQuery = useForecast(search.query, { keepPrevious: true })
+  const online = useOnlineStatus()
+  // Keeps showing the previous report while a new search loads; cleared for
+  // region overviews, which load their own forecasts, and on errors other than
+  // connection problems, where the last-known forecast stays up
+  const report =
+    !search.query || (forecastQuery.isError && !isTransientError(forecastQuery.error)) ? null : forecastQuery.data
+  // The previous search's report, shown while this one loads, keeps its own name
+  const weather = useMemo(
+    () => (forecastQuery.isPlaceholderData ? report : nameAfterPlace(report, search.place)),
+    [report, forecastQuery.isPlaceholderData, search.place]
+  )
+  // Shown from the cache because it can't be refreshed right now
+  const lastKnown = Boolean(weather) && !forecastQuery.isPlaceholderData && (!online || forecastQuery.isError)
+  // Observed past week for "vs yesterday" comparisons; optional, so a failure just hides them
+  const historyQuery = useHistory(weather)
+  const history = historyQuery.data ?? null
+  // The briefing waits for the first attempt only; a retry that succeeds later rewrites it
+  const historyLoading = historyQuery.isLoading && historyQuery.failureCount === 0
+  // Cards or trend charts for the week; remembered between visits
+  const [storedView, setForecastView] = useLocalStorage('forecastView', 'cards')
+  const forecastView = storedView === 'chart' ? 'chart' : 'cards'
+  // Background refreshes of the current forecast don't show the loading message,
+  // and neither does a request paused until the connection comes back
+  const loading =
+    Boolean(search.query) &&
+    forecastQuery.fetchStatus !== 'paused' &&
+    (forecastQuery.isPending || forecastQuery.isPlaceholderData)
+  // fetchForecast only rejects with WeatherError, which knows how to recover
+  const error = search.error || (forecastQuery.isError ? forecastQuery.error : null)
+  // "Will it rain tomorrow?" gets a direct answer and the days it's about highlighted
+  const answer =
+    search.intent && weather && !forecastQuery.isPlaceholderData ? answerIntent(search.intent, weather, format) : null
 
-  useEffect(() => {
-    // Align updates to every minute to avoid unnecessary re-renders
-    const interval = setInterval(() => {
-      setTimeOfDay(getTimeOfDay())
-    }, 60000) // check every 60s
+  // Only honour ?day= if it is one of the days we actually have
+  const dayParam = searchParams.get('day')
+  const selectedDay = weather?.daily.find((day) => day.date === dayParam) ?? null
+  const selectedDate = selectedDay?.date ?? null
 
-    // Also do an immediate check on mount in case the minute just rolled over
-    setTimeOfDay(getTimeOfDay())
+  /**
+   * Select a forecast day; replaces the history entry so back/forward still
+   * steps through searches rather than clicks
+   * @param {string} date
+   */
+  function selectDay(date) {
+    setSearchParams(
+      (params) => {
+        const next = new URLSearchParams(params)
+        if (date === selectedDate) {
+          next.delete('day')
+        } else {
+          next.set('day', date)
+        }
+        return next
+      },
+      { replace: true }
+    )
+  }
+
+  /**
+   * "Use my location": locate the device, then show the home view, which
+   * falls back to the IP-based location if locating failed
+   */
+  async function handleUseMyLocation() {
+    await geolocation.locate()
+    if (locationParam) navigate('/weather')
+  }
 
-    return () => clearInterval(interval)
-  }, [])
+  // Share the resolved place rather than the typed text, so the link opens the
+  // same location even if search results change. Gazetteer cities are shared
+  // by id, which keeps the name nameAfterPlace() gave them
+  const locationQuery = locationParam && parseLocationParam(locationParam)
+  let shareUrl = null
+  if (weather) {
+    let query = locationQuery?.exact ? locationQuery.query : `${weather.location.lat},${weather.location.lon}`
+    if (search.place) query = `place:${search.place.id}`
+    shareUrl = buildShareUrl({
+      query,
+      day: selectedDate,
+      unit: formatUnitParam(units)
+    })
+  } else if (search.region) {
+    shareUrl = buildShareUrl({ query: `place:${search.region.id}`, unit: formatUnitParam(units) })
+  }
+
+  // Theme follows the searched place's clock and sky, not the browser's
+  const theme = useLocationTheme(weather)
+  const themeClass = [theme.timeOfDay, theme.variant && `weather-${theme.variant}`].filter(Boolean).join(' ')
 
   return (
-    <div className={`homepage-container ${timeOfDay}`}>
+    <div className={`homepage-container ${themeClass}`}>
       <header className="homepage-header">
         <div className="homepage-logo">⛅ Cloudy with AI</div>
         <div className="homepage-nav">
-          <div 
-            className="time-display"
-          >
-            {timeOfDay === 'morning' && '☀️ Morning'}
-            {timeOfDay === 'afternoon' && '🌤️ Afternoon'}
-            {timeOfDay === 'evening' && '🌅 Evening'}
-            {timeOfDay === 'night' && '🌙 Night'}
+          <div className="time-display" title={t('theme.localTime', { time: theme.clock.slice(11) })}>
+            {t(`theme.${theme.phase}`)}
+            {theme.variant && <span className="time-display-variant">{t(`theme.${theme.variant}`)}</span>}
           </div>
+          <Link to="/dashboard" className="nav-btn">
+            {t('nav.saved')}
+          </Link>
+          <button
+            type="button"
+            className="nav-btn"
+            onClick={handleUseMyLocation}
+            disabled={geolocation.status === 'locating'}
+          >
+            {geolocation.status === 'locating' ? t('nav.locating') : t('nav.myLocation')}
+          </button>
+          {shareUrl && <ShareLinkButton url={shareUrl} />}
+          <NotificationCenter />
+          <UnitSettings />
         </div>
       </header>
 
       <main className="homepage-main">
         <div className="main-content">
           {/* 
-            CONCEPT: Passing Props - Passing the fetchWeather function to SearchBar component
-            This allows the child component to trigger data fetching in the parent
+            CONCEPT: Passing Props - Passing navigation callbacks to SearchBar component
+            Searching changes the URL, and useForecast loads the weather for it
           */}
-          <SearchBar onSearch={fetchWeather} />
+          <SearchBar
+            onSearch={(text) => navigate(weatherPath(text))}
+            onSelectLocation={(suggestion) => navigate(weatherPath(suggestion.query))}
+          />
 
           {/* Conditional rendering based on state - shows different UI based on loading/error states */}
-          {loading && <p className="status-message loading">Loading your local weather...</p>}
-          {error && <p className="status-message error">{error}</p>}
-          {stateConversionMessage && <p className="status-message info">{stateConversionMessage}</p>}
+          {loading && (
+            <p className="status-message loading">
+              {forecastQuery.failureCount > 0
+                ? t('status.retrying', { attempt: forecastQuery.failureCount + 1 })
+                : t('status.loading')}
+            </p>
+          )}
+          <ErrorNotice
+            error={error}
+            onRetry={() => forecastQuery.refetch()}
+            retrying={forecastQuery.isFetching}
+          />
+          {search.query && !weather && forecastQuery.fetchStatus === 'paused' && (
+            <p className="status-message info">{t('status.offlineNoData')}</p>
+          )}
+          {search.correction && <p className="status-message info">{search.correction}</p>}
+          {answer && <p className="status-message answer">{answer.text}</p>}
+          {/* Other places an ambiguous or misspelled search could mean, shown on success and on error */}
+          <DidYouMean
+            alternatives={search.alternatives}
+            onPick={(alternative) => navigate(weatherPath(alternative.query))}
+          />
+          {!locationParam && weather && !forecastQuery.isPlaceholderData && (
+            <p className="status-message info">{describeLocationMethod(geolocation)}</p>
+          )}
+          {!locationParam && geolocation.shouldPrompt && (
+            <LocationPrompt onAccept={geolocation.locate} onDismiss={geolocation.dismissPrompt} />
+          )}
 
           {/* 
             CONCEPT: Passing Props - Passing state data down to child components
-            WeatherCard receives current weather data, ForecastGrid receives forecast array
+            WeatherCard receives the whole report, ForecastGrid receives the daily array
             This demonstrates how data flows down the component tree through props
           */}
-          <WeatherCard weather={currentWeather} />
+          {search.region && (
+            <RegionOverview
+              name={search.region.name}
+              cities={search.region.cities}
+              onOpenCity={(city) => navigate(weatherPath(city.placeQuery))}
+            />
+          )}
+          {weather && <AlertBanner alerts={weather.alerts} locationKey={getLocationKey(weather.location)} />}
+          {lastKnown && <StaleBadge updatedAt={forecastQuery.dataUpdatedAt} className="homepage-stale" />}
+          <WeatherCard weather={weather} history={history} />
+          {weather && <HourlyForecast hourly={weather.hourly} localtime={weather.location.localtime} />}
           <div className="forecast-section">
-            <ForecastGrid forecast={forecast} />
+            {weather && <ForecastViewToggle view={forecastView} onChange={setForecastView} />}
+            {forecastView === 'chart' && weather ? (
+              <>
+                <DailyTrendChart daily={weather.daily} selectedDate={selectedDate} onSelectDay={selectDay} />
+                <HourlyTrendChart hourly={weather.hourly} localtime={weather.location.localtime} />
+              </>
+            ) : (
+              <ForecastGrid
+                forecast={weather?.daily}
+                selectedDate={selectedDate}
+                highlightedDates={answer?.dates}
+                onSelectDay={selectDay}
+              />
+            )}
           </div>
+          {selectedDay && (
+            <ForecastDayDetail day={selectedDay} hourly={weather.hourly} onClose={() => selectDay(selectedDate)} />
+          )}
+          {weather && <WeatherTrend weather={weather} history={history} />}
         </div>
 
         {/* Sidebar with additional weather details */}
-        {currentWeather && (
+        {weather && (
           <div className="sidebar-content">
-            <div className="info-card">
-              <h3 className="info-card-title">Weather Details</h3>
-              <div className="info-card-content">
-                <p>
-                  Today's conditions in {currentWeather.location.split(',')[0]} are{' '}
-                  {currentWeather.condition.toLowerCase()}. The current temperature feels comfortable
-                  at {currentWeather.temp}°F.
-                </p>
-              </div>
-            </div>
-            <div className="info-card">
-              <h3 className="info-card-title">Air Quality</h3>
-              <div className="info-card-content">
-                <p>
-                  UV Index: {currentWeather.uvIndex}/10
-                  <br />
-                  Humidity: {currentWeather.humidity}%
-                  <br />
-                  Pressure: {(currentWeather.pressure * 0.02953).toFixed(2)} inHg
-                </p>
-              </div>
-            </div>
+            <WeatherBriefing
+              weather={weather}
+              yesterday={getYesterday(history, weather.location.localtime.slice(0, 10))}
+              historyLoading={historyLoading}
+            />
+            <RecommendationsCard weather={weather} />
+            <AirQualityCard airQuality={weather.airQuality} />
           </div>
         )}
       </main>
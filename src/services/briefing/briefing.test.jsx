@@ -0,0 +1,86 @@
+import React from 'react'
+import { beforeAll, describe, expect, it } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
+import { generateBriefing } from '.'
+import { fixtureProvider } from '../weather/fixtureProvider'
+import {
+  UNIT_SYSTEMS,
+  formatPrecipitation,
+  formatTemperature,
+  formatTemperatureChange,
+  formatWind
+} from '../../utils/units'
+import UnitsProvider from '../../context/UnitsProvider'
+import WeatherBriefing from '../../components/WeatherBriefing'
+
+const units = UNIT_SYSTEMS.metric
+const format = {
+  temperature: (celsius, options) => formatTemperature(celsius, units.temperature, options),
+  temperatureChange: (delta) => formatTemperatureChange(delta, units.temperature),
+  wind: (kph) => formatWind(kph, units.wind),
+  precipitation: (mm) => formatPrecipitation(mm, units.precipitation)
+}
+
+let report
+let yesterday
+
+beforeAll(async () => {
+  report = await fixtureProvider.fetchForecast('Boston, MA')
+  const today = report.location.localtime.slice(0, 10)
+  const history = await fixtureProvider.fetchHistory('Boston, MA', { today })
+  yesterday = history.daily.at(-1)
+})
+
+const briefingWith = (yesterdayDay) => generateBriefing(report, { format, units, yesterday: yesterdayDay })
+
+describe('generateBriefing today vs yesterday', () => {
+  it("compares today's high with yesterday's observed one", async () => {
+    const change = report.daily[0].maxTempC - yesterday.maxTempC
+    const { markdown, generator } = await briefingWith(yesterday)
+
+    expect(generator).toBe('Offline rules')
+    expect(markdown).toContain(`Today's high is ${formatTemperatureChange(change, 'c')} compared with yesterday.`)
+  })
+
+  it('says when today is about as warm as yesterday', async () => {
+    const { markdown } = await briefingWith({ ...yesterday, maxTempC: report.daily[0].maxTempC - 1 })
+
+    expect(markdown).toContain('About as warm as yesterday.')
+  })
+
+  it('reports a cooler day as a negative change', async () => {
+    const { markdown } = await briefingWith({ ...yesterday, maxTempC: report.daily[0].maxTempC + 4 })
+
+    expect(markdown).toContain("Today's high is -4° compared with yesterday.")
+  })
+
+  it('leaves the comparison out without history', async () => {
+    const { markdown } = await briefingWith(null)
+
+    expect(markdown).toContain('Boston')
+    expect(markdown).not.toMatch(/yesterday/i)
+  })
+})
+
+describe('WeatherBriefing', () => {
+  it('waits for history before writing, then includes yesterday', async () => {
+    const client = new QueryClient()
+    const wrapper = ({ children }) => (
+      <QueryClientProvider client={client}>
+        <UnitsProvider>{children}</UnitsProvider>
+      </QueryClientProvider>
+    )
+    const { rerender } = render(<WeatherBriefing weather={report} historyLoading />, { wrapper })
+
+    expect(screen.getByText('Writing your briefing…')).toBeTruthy()
+    const [waiting] = client.getQueryCache().findAll({ queryKey: ['briefing'] })
+    expect(waiting.state).toMatchObject({ status: 'pending', fetchStatus: 'idle' })
+
+    const cooler = { ...yesterday, maxTempC: report.daily[0].maxTempC + 4 }
+    rerender(<WeatherBriefing weather={report} yesterday={cooler} />)
+
+    expect(await screen.findByText(/compared with yesterday/)).toBeTruthy()
+    expect(client.getQueryCache().findAll({ queryKey: ['briefing'] })).toHaveLength(2)
+  })
+})
@@ -0,0 +1,21 @@
+/**
+ * Error raised by briefing generators.
+ *
+ * Briefing failures never reach the user directly: generateBriefing() falls
+ * back to the rule-based text and keeps the error for diagnostics.
+ */
+export class BriefingError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Machine-readable failure kind
+   * @param {unknown} [options.cause] - Underlying error, if any
+   */
+  constructor(message, { code = 'unknown', cause } = {}) {
+    super(message, { cause })
+    this.name = 'BriefingError'
+    this.code = code
+  }
+}
+
+export default BriefingError
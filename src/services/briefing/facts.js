@@ -0,0 +1,133 @@
+import { getUpcomingHours } from '../../utils/forecast'
+
+/**
+ * Briefing facts
+ *
+ * The notable things in a WeatherReport, picked out once so every briefing
+ * generator (offline rules or a language model) talks about the same events.
+ * Values stay in metric base units like the rest of the model.
+ */
+
+// Hourly chance of rain at which we call rain "likely"
+const RAIN_LIKELY_PERCENT = 50
+// Gusts worth a mention
+const NOTABLE_GUST_KPH = 40
+// Daily high/low range that counts as a big swing
+const BIG_SWING_C = 12
+// How much hotter/colder than today a later day must be to stand out
+const NOTABLE_DAY_CHANGE_C = 4
+const WET_DAY_PERCENT = 70
+const WET_DAY_MM = 10
+const SNOW_DAY_PERCENT = 50
+const WINDY_DAY_KPH = 40
+
+/**
+ * @typedef {Object} BriefingFacts
+ * @property {string} location - Place name
+ * @property {Object} now - { tempC, feelsLikeC, condition, humidity, windKph }
+ * @property {Object|null} today - { maxTempC, minTempC, bigSwing }
+ * @property {Object|null} yesterday - { maxTempC, changeC } when history is available
+ * @property {Object} rain - { raining, start, end, chance } over the next 24 hours; times are "YYYY-MM-DD HH:mm"
+ * @property {Object|null} gusts - { gustKph, time } for the strongest notable gust in the next 24 hours
+ * @property {Array<{date: string, events: Array<{type: string, value: number}>}>} daysAhead
+ */
+
+/**
+ * The rain window in the next 24 hours
+ * @param {Array} hours - Upcoming hourly forecast
+ * @returns {{raining: boolean, start: string|null, end: string|null, chance: number}}
+ */
+function findRain(hours) {
+  const startIndex = hours.findIndex((hour) => hour.chanceOfRain >= RAIN_LIKELY_PERCENT)
+  if (startIndex === -1) return { raining: false, start: null, end: null, chance: 0 }
+
+  const stopIndex = hours.findIndex((hour, index) => index > startIndex && hour.chanceOfRain < RAIN_LIKELY_PERCENT)
+  const rainyHours = hours.slice(startIndex, stopIndex === -1 ? undefined : stopIndex)
+  return {
+    raining: startIndex === 0,
+    start: hours[startIndex].time,
+    // null: still raining at the end of the 24 hours
+    end: stopIndex === -1 ? null : hours[stopIndex].time,
+    chance: Math.max(...rainyHours.map((hour) => hour.chanceOfRain))
+  }
+}
+
+/**
+ * The strongest gust in the next 24 hours, if it's worth mentioning
+ * @param {Array} hours
+ * @returns {{gustKph: number, time: string}|null}
+ */
+function findGusts(hours) {
+  const peak = hours.reduce((best, hour) => (hour.gustKph > (best?.gustKph ?? 0) ? hour : best), null)
+  return peak && peak.gustKph >= NOTABLE_GUST_KPH ? { gustKph: peak.gustKph, time: peak.time } : null
+}
+
+/**
+ * Later days that differ from today in a way worth calling out
+ * @param {Array} daily
+ * @returns {Array<{date: string, events: Array<{type: string, value: number}>}>}
+ */
+function findNotableDays(daily) {
+  const [today, ...ahead] = daily
+  if (!today || ahead.length === 0) return []
+
+  const hottest = ahead.reduce((best, day) => (day.maxTempC > best.maxTempC ? day : best))
+  const coldest = ahead.reduce((best, day) => (day.minTempC < best.minTempC ? day : best))
+
+  return ahead
+    .map((day) => {
+      const events = []
+      if (day === hottest && day.maxTempC >= today.maxTempC + NOTABLE_DAY_CHANGE_C) {
+        events.push({ type: 'hot', value: day.maxTempC })
+      }
+      if (day === coldest && day.minTempC <= today.minTempC - NOTABLE_DAY_CHANGE_C) {
+        events.push({ type: 'cold', value: day.minTempC })
+      }
+      if (day.chanceOfSnow >= SNOW_DAY_PERCENT) {
+        events.push({ type: 'snow', value: day.totalSnowCm })
+      } else if (day.chanceOfRain >= WET_DAY_PERCENT || day.totalPrecipMm >= WET_DAY_MM) {
+        events.push({ type: 'rain', value: day.totalPrecipMm })
+      }
+      if (day.maxWindKph >= WINDY_DAY_KPH) {
+        events.push({ type: 'wind', value: day.maxWindKph })
+      }
+      return { date: day.date, events }
+    })
+    .filter((day) => day.events.length > 0)
+}
+
+/**
+ * Pick out what a briefing should talk about
+ * @param {import('../weather/model').WeatherReport} report
+ * @param {Object} [options]
+ * @param {import('../weather/model').DailyForecast|null} [options.yesterday] - Observed history, when available
+ * @returns {BriefingFacts}
+ */
+export function collectBriefingFacts(report, { yesterday = null } = {}) {
+  const { location, current, daily, hourly } = report
+  const today = daily[0] ?? null
+  const hours = getUpcomingHours(hourly, location.localtime, 24)
+
+  return {
+    location: location.name,
+    now: {
+      tempC: current.tempC,
+      feelsLikeC: current.feelsLikeC,
+      condition: current.condition.text,
+      humidity: current.humidity,
+      windKph: current.windKph
+    },
+    today: today && {
+      maxTempC: today.maxTempC,
+      minTempC: today.minTempC,
+      bigSwing: today.maxTempC - today.minTempC >= BIG_SWING_C
+    },
+    yesterday:
+      today && yesterday
+        ? { maxTempC: yesterday.maxTempC, changeC: today.maxTempC - yesterday.maxTempC }
+        : null,
+    rain: findRain(hours),
+    gusts: findGusts(hours),
+    daysAhead: findNotableDays(daily)
+  }
+}
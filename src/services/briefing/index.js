@@ -0,0 +1,77 @@
+import { BRIEFING_GENERATOR, BRIEFING_LLM_URL } from '../../config'
+import { getLocale } from '../../utils/i18n'
+import { BriefingError } from './errors'
+import { collectBriefingFacts } from './facts'
+import { ruleBasedGenerator } from './ruleBasedGenerator'
+import { createLlmGenerator } from './llmGenerator'
+
+/**
+ * Forecast briefing layer
+ *
+ * Turns a WeatherReport into a short markdown briefing. Like the weather
+ * providers, each generator exposes the same interface:
+ *
+ *   { id, label, generate({ facts, draft, format, units, locale, signal }) }
+ *
+ * generate resolves to markdown. `facts` come from ./facts.js, so every
+ * generator describes the same events; `draft` is the rule-based briefing.
+ */
+
+export const GENERATORS = {
+  [ruleBasedGenerator.id]: ruleBasedGenerator,
+  llm: createLlmGenerator({ url: BRIEFING_LLM_URL })
+}
+
+/**
+ * Look up a briefing generator by id
+ * @param {string} [id] - Defaults to the configured VITE_BRIEFING_GENERATOR
+ * @returns {Object} Generator
+ */
+export function getBriefingGenerator(id = BRIEFING_GENERATOR) {
+  const generator = GENERATORS[id]
+  if (!generator) {
+    throw new BriefingError(`Unknown briefing generator "${id}".`, { code: 'config' })
+  }
+  return generator
+}
+
+/**
+ * @typedef {Object} Briefing
+ * @property {string} markdown
+ * @property {string} generator - Label of the generator that wrote it
+ * @property {BriefingError|Error|null} fallbackReason - Why the configured generator wasn't used
+ */
+
+/**
+ * Write the briefing for a report
+ *
+ * The rule-based text is always produced first; if the configured generator
+ * is something else and fails, that text is returned instead, so there is
+ * always a briefing.
+ *
+ * @param {import('../weather/model').WeatherReport} report
+ * @param {Object} options
+ * @param {Object} options.format - Unit formatters from useUnits()
+ * @param {Object} options.units - Unit preference from useUnits()
+ * @param {import('../weather/model').DailyForecast|null} [options.yesterday]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Briefing>}
+ */
+export async function generateBriefing(report, { format, units, yesterday = null, signal } = {}) {
+  const context = { facts: collectBriefingFacts(report, { yesterday }), format, units, locale: getLocale(), signal }
+  const draft = await ruleBasedGenerator.generate(context)
+
+  try {
+    const generator = getBriefingGenerator()
+    if (generator === ruleBasedGenerator) {
+      return { markdown: draft, generator: generator.label, fallbackReason: null }
+    }
+    const markdown = await generator.generate({ ...context, draft })
+    return { markdown, generator: generator.label, fallbackReason: null }
+  } catch (err) {
+    if (err.name === 'AbortError') throw err
+    return { markdown: draft, generator: ruleBasedGenerator.label, fallbackReason: err }
+  }
+}
+
+export { BriefingError, collectBriefingFacts }
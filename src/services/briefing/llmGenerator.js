@@ -0,0 +1,63 @@
+import { BriefingError } from './errors'
+
+/**
+ * Language-model briefing generator
+ *
+ * Sends the briefing facts to a model server and renders whatever markdown it
+ * writes. Anything that speaks this small JSON contract can be dropped in: a
+ * local stub that returns canned text, a wrapper around a hosted API, or a
+ * model running on this machine.
+ *
+ *   POST <url>
+ *   { "facts": BriefingFacts, "draft": "<rule-based markdown>", "locale": "en-US", "units": {...} }
+ *
+ *   200 { "markdown": "### Right now\n..." }
+ *
+ * Temperatures and speeds in `facts` are metric; `units` says how the user
+ * wants them shown. `draft` is the offline briefing, which a model can
+ * rephrase rather than start from scratch.
+ */
+
+/**
+ * Build a generator that calls a model server
+ * @param {Object} options
+ * @param {string} options.url - Endpoint implementing the contract above
+ * @param {string} [options.label]
+ * @returns {{id: string, label: string, generate: Function}}
+ */
+export function createLlmGenerator({ url, label = 'Language model' }) {
+  /**
+   * @param {Object} context
+   * @param {import('./facts').BriefingFacts} context.facts
+   * @param {string} context.draft - Rule-based briefing
+   * @param {string} context.locale
+   * @param {Object} context.units
+   * @param {AbortSignal} [context.signal]
+   * @returns {Promise<string>} Markdown
+   */
+  async function generate({ facts, draft, locale, units, signal }) {
+    if (!url) {
+      throw new BriefingError('No model server is configured (VITE_BRIEFING_LLM_URL).', { code: 'config' })
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ facts, draft, locale, units }),
+      signal
+    })
+    if (!response.ok) {
+      throw new BriefingError(`Model server responded with ${response.status}.`, { code: 'http_error' })
+    }
+
+    const { markdown } = await response.json()
+    if (typeof markdown !== 'string' || !markdown.trim()) {
+      throw new BriefingError('Model server returned an empty briefing.', { code: 'empty' })
+    }
+    return markdown
+  }
+
+  return { id: 'llm', label, generate }
+}
+
+export default createLlmGenerator
@@ -0,0 +1,147 @@
+import { formatDate, t } from '../../utils/i18n'
+import { parseLocalTimestamp } from '../../utils/forecast'
+
+/**
+ * Rule-based briefing generator
+ *
+ * Writes the briefing from fixed sentence templates, so it works offline,
+ * costs nothing and always says the same thing for the same forecast. It is
+ * the default generator and the fallback when a model backend fails.
+ */
+
+// Feels-like temperature (°C) upper bounds for each description, coldest first
+const FEELS_LIKE_BANDS = [
+  [-10, 'frigid'],
+  [0, 'freezing'],
+  [8, 'cold'],
+  [16, 'cool'],
+  [24, 'comfortable'],
+  [30, 'warm']
+]
+// Warm and this humid reads as "muggy" rather than "warm"
+const MUGGY_HUMIDITY = 70
+// Highs within this many degrees of yesterday's count as "about the same"
+const SAME_AS_YESTERDAY_C = 1.5
+
+/**
+ * How the current temperature feels, e.g. "freezing"
+ * @param {Object} now - BriefingFacts.now
+ * @returns {string}
+ */
+function describeFeel({ feelsLikeC, humidity }) {
+  const band = FEELS_LIKE_BANDS.find(([limit]) => feelsLikeC < limit)?.[1] ?? 'hot'
+  if ((band === 'warm' || band === 'hot') && humidity >= MUGGY_HUMIDITY) return t('briefing.feel.muggy')
+  return t(`briefing.feel.${band}`)
+}
+
+const formatHour = (timestamp) => formatDate(parseLocalTimestamp(timestamp), { hour: 'numeric' })
+const formatWeekday = (date) => formatDate(parseLocalTimestamp(date), { weekday: 'long' })
+
+/**
+ * "Right now" paragraph: conditions, how it feels, today's range and yesterday
+ * @param {import('./facts').BriefingFacts} facts
+ * @param {Object} format - Unit formatters from useUnits()
+ * @returns {string}
+ */
+function describeToday(facts, format) {
+  const { now, today, yesterday } = facts
+  const sentences = [
+    t('briefing.now', {
+      name: facts.location,
+      condition: now.condition.toLowerCase(),
+      temp: format.temperature(now.tempC),
+      feel: describeFeel(now),
+      feelsLike: format.temperature(now.feelsLikeC)
+    })
+  ]
+
+  if (today) {
+    const range = { low: format.temperature(today.minTempC), high: format.temperature(today.maxTempC) }
+    sentences.push(t(today.bigSwing ? 'briefing.swing' : 'briefing.range', range))
+  }
+
+  if (yesterday) {
+    if (Math.abs(yesterday.changeC) < SAME_AS_YESTERDAY_C) {
+      sentences.push(t('briefing.yesterday.same'))
+    } else {
+      sentences.push(t('briefing.yesterday.change', { change: format.temperatureChange(yesterday.changeC) }))
+    }
+  }
+
+  return sentences.join(' ')
+}
+
+/**
+ * "Next 24 hours" bullets: rain timing and gusts
+ * @param {import('./facts').BriefingFacts} facts
+ * @param {Object} format
+ * @returns {string[]}
+ */
+function describeNextHours({ rain, gusts }, format) {
+  const items = []
+
+  if (!rain.start) {
+    items.push(t('briefing.rain.none'))
+  } else {
+    const times = { start: formatHour(rain.start), end: rain.end && formatHour(rain.end), chance: rain.chance }
+    if (rain.raining) {
+      items.push(t(rain.end ? 'briefing.rain.nowUntil' : 'briefing.rain.nowAllDay', times))
+    } else {
+      items.push(t(rain.end ? 'briefing.rain.window' : 'briefing.rain.from', times))
+    }
+  }
+
+  if (gusts) {
+    items.push(t('briefing.gusts', { gust: format.wind(gusts.gustKph), time: formatHour(gusts.time) }))
+  }
+
+  return items
+}
+
+/**
+ * "Days ahead" bullets
+ * @param {import('./facts').BriefingFacts} facts
+ * @param {Object} format
+ * @returns {string[]}
+ */
+function describeDaysAhead({ daysAhead }, format) {
+  if (daysAhead.length === 0) return [t('briefing.ahead.quiet')]
+
+  const describeEvent = ({ type, value }) => {
+    if (type === 'hot' || type === 'cold') return t(`briefing.ahead.${type}`, { temp: format.temperature(value) })
+    if (type === 'wind') return t('briefing.ahead.wind', { wind: format.wind(value) })
+    if (type === 'rain') return t('briefing.ahead.rain', { amount: format.precipitation(value) })
+    return t('briefing.ahead.snow')
+  }
+
+  return daysAhead.map(
+    ({ date, events }) => `**${formatWeekday(date)}**: ${events.map(describeEvent).join(', ')}`
+  )
+}
+
+/**
+ * Write the markdown briefing
+ * @param {Object} context
+ * @param {import('./facts').BriefingFacts} context.facts
+ * @param {Object} context.format - Unit formatters from useUnits()
+ * @returns {Promise<string>} Markdown
+ */
+async function generate({ facts, format }) {
+  const bullets = (items) => items.map((item) => `- ${item}`).join('\n')
+  return [
+    `### ${t('briefing.heading.now')}`,
+    describeToday(facts, format),
+    `### ${t('briefing.heading.next')}`,
+    bullets(describeNextHours(facts, format)),
+    `### ${t('briefing.heading.ahead')}`,
+    bullets(describeDaysAhead(facts, format))
+  ].join('\n\n')
+}
+
+export const ruleBasedGenerator = {
+  id: 'rules',
+  label: 'Offline rules',
+  generate
+}
+
+export default ruleBasedGenerator
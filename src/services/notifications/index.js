@@ -0,0 +1,129 @@
+import { formatDate, t } from '../../utils/i18n'
+import { parseLocalTimestamp } from '../../utils/forecast'
+import { RULE_METRICS, evaluateRule } from './rules'
+
+/**
+ * Threshold notifications
+ *
+ * Evaluates the user's rules (./rules.js) against a fresh WeatherReport and
+ * turns matches into notifications. Each match has a key made of the rule
+ * and the day it is about, so a rule fires once per occurrence however often
+ * the forecast refreshes. Notifications go to the browser through the
+ * Notification API when the user allowed it; the app keeps its own list
+ * either way.
+ */
+
+/**
+ * @typedef {Object} AppNotification
+ * @property {string} id - Dedupe key, "<rule id>:<occurrence>"
+ * @property {string} ruleId
+ * @property {string} title
+ * @property {string} body
+ * @property {number} createdAt - ms since epoch
+ * @property {boolean} read
+ */
+
+const formatHour = (hour) => formatDate(new Date(2000, 0, 1, hour), { hour: 'numeric' })
+
+/**
+ * Format a rule's value (or an observed one) in the user's units
+ * @param {string} metric - Key of RULE_METRICS
+ * @param {number} value
+ * @param {Object} format - From useUnits()
+ * @returns {string}
+ */
+export function formatRuleValue(metric, value, format) {
+  const { kind } = RULE_METRICS[metric]
+  if (kind === 'temperature') return format.temperature(value)
+  if (kind === 'wind') return format.wind(value)
+  return `${Math.round(value)}%`
+}
+
+/**
+ * One-line summary of a rule, e.g. "Tomorrow's low below 32°F"
+ * @param {import('./rules').NotificationRule} rule
+ * @param {Object} format - From useUnits()
+ * @returns {string}
+ */
+export function describeRule(rule, format) {
+  const params = {
+    when: t(`notify.day.${rule.day}`),
+    operator: t(`notify.operator.${rule.operator}`),
+    value: formatRuleValue(rule.metric, rule.value, format)
+  }
+  if (RULE_METRICS[rule.metric].scope === 'day') return t(`notify.rule.${rule.metric}`, params)
+  if (rule.fromHour === null) return t(`notify.rule.${rule.metric}`, params)
+  return t(`notify.rule.${rule.metric}Window`, {
+    ...params,
+    from: formatHour(rule.fromHour),
+    to: formatHour(rule.toHour)
+  })
+}
+
+/**
+ * Rules that match a report, with their dedupe keys
+ * @param {import('./rules').NotificationRule[]} rules - Rules for the report's location
+ * @param {import('../weather/model').WeatherReport} report
+ * @returns {Array<{key: string, rule: Object, match: import('./rules').RuleMatch}>}
+ */
+export function evaluateRules(rules, report) {
+  return rules.flatMap((rule) => {
+    const match = evaluateRule(rule, report)
+    return match ? [{ key: `${rule.id}:${match.occurrence}`, rule, match }] : []
+  })
+}
+
+/**
+ * Notification text for a match
+ * @param {import('./rules').NotificationRule} rule
+ * @param {import('./rules').RuleMatch} match
+ * @param {Object} format - From useUnits()
+ * @returns {{title: string, body: string}}
+ */
+export function describeMatch(rule, match, format) {
+  const date = parseLocalTimestamp(match.time)
+  const time =
+    match.time.length > 10
+      ? formatDate(date, { weekday: 'long', hour: 'numeric' })
+      : formatDate(date, { weekday: 'long', month: 'short', day: 'numeric' })
+  return {
+    title: `${rule.locationName}: ${describeRule(rule, format)}`,
+    body: t('notify.match', { value: formatRuleValue(rule.metric, match.observed, format), time })
+  }
+}
+
+/**
+ * Browser notification permission
+ * @returns {'unsupported'|'default'|'granted'|'denied'}
+ */
+export function getNotificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+}
+
+/**
+ * Ask for permission to show browser notifications
+ * @returns {Promise<string>} The resulting permission
+ */
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return 'unsupported'
+  return Notification.requestPermission()
+}
+
+/**
+ * Show a browser notification if allowed
+ * @param {{title: string, body: string, tag: string}} notification
+ * @returns {boolean} Whether one was shown
+ */
+export function showBrowserNotification({ title, body, tag }) {
+  if (getNotificationPermission() !== 'granted') return false
+  try {
+    // tag makes the browser replace, rather than stack, a repeat of the same match
+    new Notification(title, { body, tag, icon: '/icons/icon-192.png' })
+    return true
+  } catch {
+    // Some mobile browsers only allow notifications from a service worker
+    return false
+  }
+}
+
+export { HOURS_AHEAD, RULE_DAYS, RULE_METRICS, RULE_OPERATORS, evaluateRule, normalizeRule } from './rules'
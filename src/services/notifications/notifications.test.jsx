@@ -0,0 +1,210 @@
+import React from 'react'
+import { afterEach, describe, expect, it } from 'vitest'
+import { act, cleanup, render, screen } from '@testing-library/react'
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
+import { evaluateRule, evaluateRules, normalizeRule } from '.'
+import { buildForecastFixture } from '../weather/fixtures/forecastFixture'
+import { normalizeForecast } from '../weather/weatherApiProvider'
+import { forecastQueryKey } from '../../hooks/useForecast'
+import { useNotifications } from '../../context/notificationsContext'
+import NotificationsProvider from '../../context/NotificationsProvider'
+import UnitsProvider from '../../context/UnitsProvider'
+
+/**
+ * The fixture forecast for Boston as of a local time. At 21:30 on the 14th
+ * the next 24 hours run to 20:00 on the 15th, whose rain chance climbs from
+ * 18% at midnight to 70% at 16:00 (69% at 17:00, 60% at 19:00)
+ * @param {number} [hour=21]
+ * @returns {import('../weather/model').WeatherReport}
+ */
+const reportAt = (hour = 21) =>
+  normalizeForecast(buildForecastFixture({ name: 'Boston', region: 'MA', now: new Date(2026, 9, 14, hour, 30) }))
+
+const TODAY = '2026-10-14'
+const TOMORROW = '2026-10-15'
+
+const rule = (overrides) =>
+  normalizeRule({ id: 'rule-1', locationId: 'boston', locationName: 'Boston', query: 'Boston', ...overrides })
+
+describe('evaluateRule', () => {
+  const report = reportAt()
+  const [today, tomorrow] = report.daily
+
+  it.each([
+    ['today', today],
+    ['tomorrow', tomorrow]
+  ])("matches %s's low below a limit", (day, forecast) => {
+    const below = rule({ metric: 'low', operator: 'below', value: forecast.minTempC + 1, day })
+
+    expect(evaluateRule(below, report)).toEqual({
+      occurrence: forecast.date,
+      observed: forecast.minTempC,
+      time: forecast.date
+    })
+    expect(evaluateRule({ ...below, value: forecast.minTempC }, report)).toBeNull()
+  })
+
+  it.each([
+    ['today', today],
+    ['tomorrow', tomorrow]
+  ])("matches %s's high above a limit", (day, forecast) => {
+    const above = rule({ metric: 'high', operator: 'above', value: forecast.maxTempC - 1, day })
+
+    expect(evaluateRule(above, report)).toMatchObject({ occurrence: forecast.date, observed: forecast.maxTempC })
+    expect(evaluateRule({ ...above, value: forecast.maxTempC }, report)).toBeNull()
+  })
+
+  it('reads the location’s today and tomorrow', () => {
+    expect([today.date, tomorrow.date]).toEqual([TODAY, TOMORROW])
+  })
+
+  it('reports the worst hour of the first matching day', () => {
+    expect(evaluateRule(rule({ metric: 'rain', operator: 'above', value: 60 }), report)).toEqual({
+      occurrence: TOMORROW,
+      observed: 70,
+      time: `${TOMORROW} 16:00`
+    })
+  })
+
+  it('only looks at the hours inside a window, end excluded', () => {
+    const commute = rule({ metric: 'rain', operator: 'above', value: 60, fromHour: 17, toHour: 18 })
+
+    expect(evaluateRule(commute, report)).toEqual({ occurrence: TOMORROW, observed: 69, time: `${TOMORROW} 17:00` })
+    // 60% at 19:00 isn't above 60, and 20:00 is the end of the window
+    expect(evaluateRule({ ...commute, fromHour: 19, toHour: 20 }, report)).toBeNull()
+  })
+
+  it('handles a window that wraps past midnight', () => {
+    const overnight = rule({ metric: 'rain', operator: 'above', value: 15, fromHour: 22, toHour: 2 })
+
+    // 22:00 and 23:00 stay low; the match is after midnight, not the wetter afternoon
+    expect(evaluateRule(overnight, report)).toEqual({ occurrence: TOMORROW, observed: 18, time: `${TOMORROW} 00:00` })
+    expect(evaluateRule({ ...overnight, fromHour: 2, toHour: 22, value: 75 }, report)).toBeNull()
+  })
+
+  it('matches wind below a limit too', () => {
+    const calm = rule({ metric: 'wind', operator: 'below', value: 10 })
+
+    expect(evaluateRule(calm, report)).toEqual({ occurrence: TODAY, observed: 9.2, time: `${TODAY} 21:00` })
+  })
+
+  it('ignores rules it doesn’t know and missing reports', () => {
+    const low = rule({ metric: 'low', operator: 'below', value: 50 })
+    expect(evaluateRule({ ...low, metric: 'humidity' }, report)).toBeNull()
+    expect(evaluateRule(low, null)).toBeNull()
+  })
+})
+
+describe('evaluateRules', () => {
+  it('keys each match by rule and occurrence, so a refreshed forecast gives the same key', () => {
+    const rules = [
+      rule({ metric: 'rain', operator: 'above', value: 60, fromHour: 17, toHour: 18 }),
+      rule({ id: 'rule-2', metric: 'high', operator: 'above', value: 100 })
+    ]
+
+    const first = evaluateRules(rules, reportAt(21))
+    expect(first.map(({ key }) => key)).toEqual([`rule-1:${TOMORROW}`])
+    expect(evaluateRules(rules, reportAt(22)).map(({ key }) => key)).toEqual([`rule-1:${TOMORROW}`])
+  })
+})
+
+describe('normalizeRule', () => {
+  it('fills in defaults', () => {
+    expect(normalizeRule({ id: 1, locationId: 'boston', query: 'Boston', metric: 'low', value: '-2' })).toEqual({
+      id: '1',
+      locationId: 'boston',
+      locationName: 'boston',
+      query: 'Boston',
+      metric: 'low',
+      operator: 'above',
+      value: -2,
+      day: 'tomorrow',
+      fromHour: null,
+      toHour: null,
+      enabled: true
+    })
+  })
+
+  it.each([
+    ['low', -500, -60],
+    ['high', 500, 60],
+    ['rain', 140, 100],
+    ['rain', -5, 0],
+    ['wind', 900, 250]
+  ])('clamps a %s of %i to %i', (metric, value, clamped) => {
+    expect(rule({ metric, value }).value).toBe(clamped)
+  })
+
+  it('drops a window that is incomplete, out of range or on a daily metric', () => {
+    expect(rule({ metric: 'rain', value: 50, fromHour: 17 })).toMatchObject({ fromHour: null, toHour: null })
+    expect(rule({ metric: 'rain', value: 50, fromHour: 17, toHour: 24 })).toMatchObject({ fromHour: null })
+    expect(rule({ metric: 'rain', value: 50, fromHour: 17.5, toHour: 18 })).toMatchObject({ fromHour: null })
+    expect(rule({ metric: 'low', value: 0, fromHour: 17, toHour: 18 })).toMatchObject({ fromHour: null })
+  })
+
+  it('replaces an unknown operator or day', () => {
+    expect(rule({ metric: 'low', value: 0, operator: 'equals', day: 'friday' })).toMatchObject({
+      operator: 'above',
+      day: 'tomorrow'
+    })
+  })
+
+  it.each([
+    ['no object', null],
+    ['an unknown metric', { id: 'a', locationId: 'b', query: 'c', metric: 'humidity', value: 50 }],
+    ['no id', { locationId: 'b', query: 'c', metric: 'low', value: 0 }],
+    ['no location', { id: 'a', query: 'c', metric: 'low', value: 0 }],
+    ['no query', { id: 'a', locationId: 'b', metric: 'low', value: 0 }],
+    ['a value that is not a number', { id: 'a', locationId: 'b', query: 'c', metric: 'low', value: 'cold' }]
+  ])('rejects a stored rule with %s', (_, stored) => {
+    expect(normalizeRule(stored)).toBeNull()
+  })
+})
+
+describe('NotificationsProvider', () => {
+  afterEach(() => {
+    cleanup()
+    localStorage.clear()
+  })
+
+  function NotificationIds() {
+    const { notifications } = useNotifications()
+    return <p data-testid="ids">{notifications.map((notification) => notification.id).join(' ')}</p>
+  }
+
+  const renderProvider = (client) =>
+    render(
+      <QueryClientProvider client={client}>
+        <UnitsProvider>
+          <NotificationsProvider>
+            <NotificationIds />
+          </NotificationsProvider>
+        </UnitsProvider>
+      </QueryClientProvider>
+    )
+
+  it('fires a match once, however often the forecast refreshes', () => {
+    localStorage.setItem(
+      'notificationRules',
+      JSON.stringify([rule({ metric: 'rain', operator: 'above', value: 60, fromHour: 17, toHour: 18 })])
+    )
+    // Nothing is fetched: the forecast is already in the cache and never stale
+    const client = new QueryClient({ defaultOptions: { queries: { staleTime: Infinity, retry: false } } })
+    client.setQueryData(forecastQueryKey('Boston'), reportAt(21))
+
+    const { unmount } = renderProvider(client)
+    expect(screen.getByTestId('ids').textContent).toBe(`rule-1:${TOMORROW}`)
+
+    act(() => {
+      client.setQueryData(forecastQueryKey('Boston'), reportAt(22))
+    })
+    expect(screen.getByTestId('ids').textContent).toBe(`rule-1:${TOMORROW}`)
+    expect(JSON.parse(localStorage.getItem('notificationsFired'))).toEqual([`rule-1:${TOMORROW}`])
+
+    // Nor again after a reload, once the list has been cleared
+    unmount()
+    localStorage.setItem('notifications', '[]')
+    renderProvider(client)
+    expect(screen.getByTestId('ids').textContent).toBe('')
+  })
+})
@@ -0,0 +1,126 @@
+import { addDays, getUpcomingHours } from '../../utils/forecast'
+
+/**
+ * Notification rules
+ *
+ * A rule watches one saved location for one condition, e.g. "tomorrow's low
+ * below 0 °C" or "rain chance above 60% between 17:00 and 18:00". Values are
+ * stored in metric base units like the weather model; the editor converts
+ * them to and from the user's units.
+ */
+
+/**
+ * @typedef {Object} NotificationRule
+ * @property {string} id
+ * @property {string} locationId - getLocationKey() of the saved location
+ * @property {string} locationName
+ * @property {string} query - Forecast query for the location
+ * @property {'low'|'high'|'rain'|'wind'} metric
+ * @property {'above'|'below'} operator
+ * @property {number} value - °C, percent or km/h, depending on the metric
+ * @property {'today'|'tomorrow'} day - Which day the low/high rules look at
+ * @property {number|null} fromHour - Local hour (0-23) the rain/wind window starts, or null for all day
+ * @property {number|null} toHour - Local hour the window ends (exclusive); may be before fromHour to span midnight
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} RuleMatch
+ * @property {string} occurrence - The day (or the day the hours fall on) the match is about,
+ *   "YYYY-MM-DD"; a rule fires once per occurrence
+ * @property {number} observed - The forecast value that crossed the limit (same unit as rule.value)
+ * @property {string} time - "YYYY-MM-DD" or "YYYY-MM-DD HH:mm" of that value
+ */
+
+// Rain and wind rules look at the next day's worth of hours
+export const HOURS_AHEAD = 24
+
+/**
+ * What each metric reads from the forecast: a daily value for the chosen
+ * day, or the most extreme hourly value in the window
+ */
+export const RULE_METRICS = {
+  low: { kind: 'temperature', scope: 'day', read: (day) => day.minTempC, min: -60, max: 60 },
+  high: { kind: 'temperature', scope: 'day', read: (day) => day.maxTempC, min: -60, max: 60 },
+  rain: { kind: 'percent', scope: 'hours', read: (hour) => hour.chanceOfRain, min: 0, max: 100 },
+  wind: { kind: 'wind', scope: 'hours', read: (hour) => hour.windKph, min: 0, max: 250 }
+}
+
+export const RULE_OPERATORS = ['above', 'below']
+export const RULE_DAYS = ['today', 'tomorrow']
+
+const crosses = (operator, observed, limit) => (operator === 'above' ? observed > limit : observed < limit)
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23
+
+/**
+ * Fill in and clamp a stored rule, so older or hand-edited rules can't break
+ * the evaluation; returns null for one that can't be repaired
+ * @param {Object} stored
+ * @returns {NotificationRule|null}
+ */
+export function normalizeRule(stored) {
+  const metric = RULE_METRICS[stored?.metric]
+  const value = Number(stored?.value)
+  if (!metric || !stored.id || !stored.locationId || !stored.query || !Number.isFinite(value)) return null
+
+  const hasWindow = metric.scope === 'hours' && isHour(stored.fromHour) && isHour(stored.toHour)
+  return {
+    id: String(stored.id),
+    locationId: stored.locationId,
+    locationName: stored.locationName || stored.locationId,
+    query: stored.query,
+    metric: stored.metric,
+    operator: RULE_OPERATORS.includes(stored.operator) ? stored.operator : 'above',
+    value: Math.min(metric.max, Math.max(metric.min, value)),
+    day: RULE_DAYS.includes(stored.day) ? stored.day : 'tomorrow',
+    fromHour: hasWindow ? stored.fromHour : null,
+    toHour: hasWindow ? stored.toHour : null,
+    enabled: stored.enabled !== false
+  }
+}
+
+/**
+ * Whether a local hour falls in a rule's window
+ * @param {NotificationRule} rule
+ * @param {number} hour - 0-23
+ * @returns {boolean}
+ */
+function inWindow(rule, hour) {
+  if (rule.fromHour === null || rule.fromHour === rule.toHour) return true
+  return rule.fromHour < rule.toHour
+    ? hour >= rule.fromHour && hour < rule.toHour
+    : hour >= rule.fromHour || hour < rule.toHour
+}
+
+/**
+ * Check one rule against a report
+ * @param {NotificationRule} rule
+ * @param {import('../weather/model').WeatherReport} report
+ * @returns {RuleMatch|null}
+ */
+export function evaluateRule(rule, report) {
+  const metric = RULE_METRICS[rule.metric]
+  if (!metric || !report) return null
+  const localtime = report.location.localtime
+
+  if (metric.scope === 'day') {
+    const date = addDays(localtime.slice(0, 10), rule.day === 'tomorrow' ? 1 : 0)
+    const day = report.daily.find((entry) => entry.date === date)
+    if (!day || !crosses(rule.operator, metric.read(day), rule.value)) return null
+    return { occurrence: date, observed: metric.read(day), time: date }
+  }
+
+  const hours = getUpcomingHours(report.hourly, localtime, HOURS_AHEAD).filter(
+    (hour) => inWindow(rule, Number(hour.time.slice(11, 13))) && crosses(rule.operator, metric.read(hour), rule.value)
+  )
+  if (hours.length === 0) return null
+
+  // Report the most extreme hour of the first day that matches
+  const occurrence = hours[0].time.slice(0, 10)
+  const sameDay = hours.filter((hour) => hour.time.startsWith(occurrence))
+  const worst = sameDay.reduce((best, hour) =>
+    crosses(rule.operator, metric.read(hour), metric.read(best)) ? hour : best
+  )
+  return { occurrence, observed: metric.read(worst), time: worst.time }
+}
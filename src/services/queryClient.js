@@ -0,0 +1,103 @@
+import { QueryClient, dehydrate, hashKey, hydrate } from '@tanstack/react-query'
+import { isTransientError } from './weather'
+import { readStorage, writeStorage } from '../hooks/useLocalStorage'
+
+/**
+ * Shared TanStack Query client
+ *
+ * Forecasts are served stale-while-revalidate: cached data renders at once
+ * and is refetched in the background once it is older than staleTime.
+ * Successful forecasts and histories are also written to localStorage so the
+ * last view renders instantly after a reload, past days aren't fetched twice,
+ * and the last-known forecast can be shown while offline.
+ */
+
+const STORAGE_KEY = 'weatherQueryCache'
+// Bump when the cached data shape changes so old entries are discarded
+const CACHE_VERSION = 1
+// A few days, so a last-known forecast survives a long stretch offline
+const MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000
+// Most recent queries kept per kind, besides pinned ones. Forecasts are large
+// (hourly data for a week); histories never change, so they are worth keeping more of
+const MAX_PERSISTED_QUERIES = { forecast: 10, history: 20 }
+const PERSIST_DELAY_MS = 1000
+const MAX_RETRIES = 3
+
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      staleTime: 10 * 60 * 1000,
+      // Must outlive the persisted copy, or restored entries are dropped unused
+      gcTime: MAX_AGE_MS,
+      // Only failures that may go away by themselves (see ERROR_KINDS)
+      retry: (failureCount, error) => failureCount < MAX_RETRIES && isTransientError(error),
+      // The provider's Retry-After when it sent one, else 1s, 2s, 4s ... capped at 30s
+      retryDelay: (attempt, error) => error?.retryAfterMs ?? Math.min(1000 * 2 ** attempt, 30000)
+    }
+  }
+})
+
+/**
+ * A dehydrated query as its last successful result. A refetch that failed
+ * (say, on a flaky connection) keeps its data, which is worth restoring; the
+ * error itself wouldn't survive JSON anyway
+ * @param {Object} query - Entry of dehydrate().queries
+ * @returns {Object}
+ */
+function asLastKnown(query) {
+  if (query.state.status === 'success') return query
+  return {
+    ...query,
+    state: { ...query.state, status: 'success', error: null, fetchFailureCount: 0, fetchFailureReason: null }
+  }
+}
+
+/**
+ * Load persisted forecasts into the cache (call once before rendering)
+ */
+export function restoreQueryCache() {
+  const stored = readStorage(STORAGE_KEY, null)
+  if (!stored || stored.version !== CACHE_VERSION || Date.now() - stored.savedAt > MAX_AGE_MS) return
+  hydrate(queryClient, stored.state)
+}
+
+/**
+ * Write forecast and history queries that have data to localStorage whenever the cache
+ * changes, batched so a burst of updates causes one write
+ * @param {Object} [options]
+ * @param {Function} [options.getPinnedKeys] - Returns query keys kept on top of the
+ *   per-kind limits (e.g. saved locations' forecasts); read at every write
+ * @returns {Function} Unsubscribe
+ */
+export function persistQueryCache({ getPinnedKeys = () => [] } = {}) {
+  let timer = null
+
+  const save = () => {
+    timer = null
+    const state = dehydrate(queryClient, {
+      shouldDehydrateQuery: (query) => query.state.data !== undefined && query.queryKey[0] in MAX_PERSISTED_QUERIES
+    })
+    const pinned = new Set(getPinnedKeys().map(hashKey))
+    state.queries = Object.entries(MAX_PERSISTED_QUERIES).flatMap(([kind, limit]) => {
+      const queries = state.queries.filter((query) => query.queryKey[0] === kind)
+      return [
+        ...queries.filter((query) => pinned.has(query.queryHash)),
+        ...queries
+          .filter((query) => !pinned.has(query.queryHash))
+          .sort((a, b) => b.state.dataUpdatedAt - a.state.dataUpdatedAt)
+          .slice(0, limit)
+      ].map(asLastKnown)
+    })
+    writeStorage(STORAGE_KEY, { version: CACHE_VERSION, savedAt: Date.now(), state })
+  }
+
+  const unsubscribe = queryClient.getQueryCache().subscribe((event) => {
+    if (event.type !== 'updated' || timer) return
+    timer = setTimeout(save, PERSIST_DELAY_MS)
+  })
+
+  return () => {
+    clearTimeout(timer)
+    unsubscribe()
+  }
+}
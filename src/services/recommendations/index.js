@@ -0,0 +1,286 @@
+import { formatDate, t } from '../../utils/i18n'
+import { getUpcomingHours, parseLocalTimestamp } from '../../utils/forecast'
+import { getEpaCategory } from '../weather/airQuality'
+import { DEFAULT_THRESHOLDS } from './thresholds'
+
+/**
+ * Activity and clothing recommendations
+ *
+ * A small rules engine over a WeatherReport: each rule looks at the hours
+ * ahead (plus air quality) and answers one everyday question — coat or not,
+ * umbrella, sunscreen, a run, a bike ride, the commute — with the reason
+ * behind the answer. All limits come from the user's thresholds.
+ *
+ * Providers without an hourly forecast get the same rules over a single
+ * stand-in hour built from the current conditions and today's forecast; the
+ * commute rule needs real hours and is left out.
+ */
+
+/**
+ * @typedef {Object} Recommendation
+ * @property {string} id - Rule id, e.g. "umbrella"
+ * @property {string} icon
+ * @property {'good'|'caution'|'avoid'} level
+ * @property {string} title - The advice, e.g. "Take an umbrella"
+ * @property {string} reason - Why, e.g. "60% chance of rain around 3 PM."
+ */
+
+// Hours the clothing, umbrella, sunscreen and activity rules look at
+const DAY_HOURS = 12
+// The commute rule looks for the next commute within a day
+const COMMUTE_HOURS = 24
+
+const formatHour = (timestamp) => formatDate(parseLocalTimestamp(timestamp), { hour: 'numeric' })
+const hourOf = (timestamp) => Number(timestamp.slice(11, 13))
+const maxBy = (items, value) => items.reduce((best, item) => (value(item) > value(best) ? item : best))
+const minBy = (items, value) => items.reduce((best, item) => (value(item) < value(best) ? item : best))
+
+/**
+ * Stand-in for the hours ahead when there's no hourly forecast: the current
+ * feels-like and wind with today's chance of rain or snow and maximum UV
+ * @param {import('../weather/model').WeatherReport} report
+ * @returns {Object|null} - HourlyForecast-shaped, or null without current conditions or a daily forecast
+ */
+function currentAsHour(report) {
+  const today = report.daily?.[0]
+  if (!report.current || !today) return null
+  return {
+    ...report.current,
+    time: report.location.localtime,
+    chanceOfRain: today.chanceOfRain,
+    chanceOfSnow: today.chanceOfSnow,
+    uv: today.uv
+  }
+}
+
+/**
+ * Why an hour is no good for an activity, or null if it's fine
+ * @param {Object} hour - HourlyForecast
+ * @param {Object} limits - { minC, maxC, maxWindKph? }
+ * @param {Object} context
+ * @returns {string|null} - Reason text
+ */
+function findActivityProblem(hour, limits, { thresholds, format }) {
+  const feelsLike = format.temperature(hour.feelsLikeC)
+  if (hour.feelsLikeC < limits.minC) {
+    return t('recommend.reason.tooCold', { temp: feelsLike, limit: format.temperature(limits.minC) })
+  }
+  if (hour.feelsLikeC > limits.maxC) {
+    return t('recommend.reason.tooHot', { temp: feelsLike, limit: format.temperature(limits.maxC) })
+  }
+  const chance = Math.max(hour.chanceOfRain, hour.chanceOfSnow)
+  if (chance >= thresholds.umbrellaPercent) return t('recommend.reason.wet', { chance })
+  if (limits.maxWindKph !== undefined && hour.windKph > limits.maxWindKph) {
+    return t('recommend.reason.windy', { wind: format.wind(hour.windKph), limit: format.wind(limits.maxWindKph) })
+  }
+  return null
+}
+
+/**
+ * Build a rule for an outdoor activity: the first good hour ahead, or why
+ * there isn't one
+ * @param {string} id - 'run' or 'cycle'
+ * @param {string} icon
+ * @param {Function} getLimits - thresholds -> { minC, maxC, maxWindKph? }
+ */
+function activityRule(id, icon, getLimits) {
+  return (context) => {
+    const { hours, aqi, thresholds, format } = context
+    if (aqi && aqi > thresholds.exerciseMaxAqi) {
+      return {
+        icon,
+        level: 'avoid',
+        title: t(`recommend.${id}.indoors`),
+        reason: t('recommend.reason.airQuality', { label: getEpaCategory(aqi).label, index: aqi })
+      }
+    }
+
+    // Daylight hours only, unless it's dark for the whole stretch
+    const daylight = hours.filter((hour) => hour.isDay)
+    const candidates = daylight.length > 0 ? daylight : hours
+    const limits = getLimits(thresholds)
+    const good = candidates.find((hour) => !findActivityProblem(hour, limits, context))
+
+    if (!good) {
+      return {
+        icon,
+        level: 'avoid',
+        title: t(`recommend.${id}.skip`),
+        reason: findActivityProblem(candidates[0], limits, context)
+      }
+    }
+    return {
+      icon,
+      level: 'good',
+      title: good === hours[0] ? t(`recommend.${id}.now`) : t(`recommend.${id}.at`, { time: formatHour(good.time) }),
+      reason: t('recommend.reason.conditions', {
+        temp: format.temperature(good.feelsLikeC),
+        chance: good.chanceOfRain
+      })
+    }
+  }
+}
+
+const RULES = [
+  {
+    id: 'clothing',
+    evaluate({ hours, hourly, thresholds, format }) {
+      const coldest = minBy(hours, (hour) => hour.feelsLikeC)
+      const warmest = maxBy(hours, (hour) => hour.feelsLikeC)
+      const nowReason = !hourly && t('recommend.reason.feelsNow', { temp: format.temperature(coldest.feelsLikeC) })
+      const coldReason = nowReason || t('recommend.reason.coldest', { temp: format.temperature(coldest.feelsLikeC) })
+
+      if (coldest.feelsLikeC < thresholds.coatC) {
+        return { icon: '🧥', level: 'caution', title: t('recommend.clothing.coat'), reason: coldReason }
+      }
+      if (coldest.feelsLikeC < thresholds.jacketC) {
+        return { icon: '🧥', level: 'caution', title: t('recommend.clothing.jacket'), reason: coldReason }
+      }
+      if (warmest.feelsLikeC >= thresholds.lightClothesC) {
+        return {
+          icon: '👕',
+          level: 'caution',
+          title: t('recommend.clothing.light'),
+          reason: nowReason || t('recommend.reason.warmest', { temp: format.temperature(warmest.feelsLikeC) })
+        }
+      }
+      return {
+        icon: '👕',
+        level: 'good',
+        title: t('recommend.clothing.layers'),
+        reason:
+          nowReason ||
+          t('recommend.reason.feelsRange', {
+            low: format.temperature(coldest.feelsLikeC),
+            high: format.temperature(warmest.feelsLikeC)
+          })
+      }
+    }
+  },
+  {
+    id: 'umbrella',
+    evaluate({ hours, hourly, thresholds }) {
+      const wettest = maxBy(hours, (hour) => hour.chanceOfRain)
+      if (wettest.chanceOfRain >= thresholds.umbrellaPercent) {
+        return {
+          icon: '☂️',
+          level: 'caution',
+          title: t('recommend.umbrella.yes'),
+          reason: hourly
+            ? t('recommend.reason.rainAt', { chance: wettest.chanceOfRain, time: formatHour(wettest.time) })
+            : t('recommend.reason.rainToday', { chance: wettest.chanceOfRain })
+        }
+      }
+      return {
+        icon: '☂️',
+        level: 'good',
+        title: t('recommend.umbrella.no'),
+        reason: t('recommend.reason.rainAtMost', { chance: wettest.chanceOfRain })
+      }
+    }
+  },
+  {
+    id: 'sunscreen',
+    evaluate({ hours, hourly, thresholds }) {
+      // Today's maximum UV is a daytime figure even when asked at night
+      const daylight = hourly ? hours.filter((hour) => hour.isDay) : hours
+      if (daylight.length === 0) return null
+      const sunniest = maxBy(daylight, (hour) => hour.uv)
+      const uv = Math.round(sunniest.uv)
+      if (uv >= thresholds.sunscreenUv) {
+        return {
+          icon: '🧴',
+          level: 'caution',
+          title: t('recommend.sunscreen.yes'),
+          reason: hourly
+            ? t('recommend.reason.uvAt', { uv, time: formatHour(sunniest.time) })
+            : t('recommend.reason.uvToday', { uv })
+        }
+      }
+      return { icon: '🧴', level: 'good', title: t('recommend.sunscreen.no'), reason: t('recommend.reason.uvLow', { uv }) }
+    }
+  },
+  {
+    id: 'run',
+    evaluate: activityRule('run', '🏃', (thresholds) => ({ minC: thresholds.runMinC, maxC: thresholds.runMaxC }))
+  },
+  {
+    id: 'cycle',
+    evaluate: activityRule('cycle', '🚴', (thresholds) => ({
+      minC: thresholds.cycleMinC,
+      maxC: thresholds.cycleMaxC,
+      maxWindKph: thresholds.cycleWindKph
+    }))
+  },
+  {
+    id: 'commute',
+    evaluate({ commuteHours, thresholds, format }) {
+      const commuteIndex = commuteHours.findIndex((hour) =>
+        [thresholds.morningCommuteHour, thresholds.eveningCommuteHour].includes(hourOf(hour.time))
+      )
+      if (commuteIndex === -1) return null
+
+      const planned = commuteHours[commuteIndex]
+      const time = formatHour(planned.time)
+      if (planned.chanceOfRain < thresholds.umbrellaPercent) {
+        return {
+          icon: '🚆',
+          level: 'good',
+          title: t('recommend.commute.dry', { time }),
+          reason: t('recommend.reason.conditions', {
+            temp: format.temperature(planned.feelsLikeC),
+            chance: planned.chanceOfRain
+          })
+        }
+      }
+
+      // An hour either side is usually easy to shift to
+      const nearby = commuteHours.slice(Math.max(0, commuteIndex - 1), commuteIndex + 2)
+      const driest = minBy(nearby, (hour) => hour.chanceOfRain)
+      if (driest.chanceOfRain < thresholds.umbrellaPercent) {
+        return {
+          icon: '🚆',
+          level: 'caution',
+          title: t('recommend.commute.shift', { time: formatHour(driest.time) }),
+          reason: t('recommend.reason.rainDrops', { from: planned.chanceOfRain, to: driest.chanceOfRain })
+        }
+      }
+      return {
+        icon: '🚆',
+        level: 'caution',
+        title: t('recommend.commute.wet', { time }),
+        reason: t('recommend.reason.rainAt', { chance: planned.chanceOfRain, time })
+      }
+    }
+  }
+]
+
+/**
+ * Work out the recommendations for a report
+ * @param {import('../weather/model').WeatherReport} report
+ * @param {Object} options
+ * @param {Object} options.format - Unit formatters from useUnits()
+ * @param {Object} [options.thresholds] - From normalizeThresholds()
+ * @returns {Recommendation[]} - Empty when the report has neither hourly nor current and daily data
+ */
+export function getRecommendations(report, { format, thresholds = DEFAULT_THRESHOLDS }) {
+  const commuteHours = getUpcomingHours(report.hourly, report.location.localtime, COMMUTE_HOURS)
+  const hourly = commuteHours.length > 0
+  const fallback = hourly ? null : currentAsHour(report)
+  if (!hourly && !fallback) return []
+
+  const context = {
+    hours: hourly ? commuteHours.slice(0, DAY_HOURS) : [fallback],
+    hourly,
+    commuteHours,
+    aqi: report.airQuality?.usEpaIndex ?? null,
+    thresholds,
+    format
+  }
+  return RULES.map(({ id, evaluate }) => {
+    const recommendation = evaluate(context)
+    return recommendation && { id, ...recommendation }
+  }).filter(Boolean)
+}
+
+export { DEFAULT_THRESHOLDS, THRESHOLD_FIELDS, normalizeThresholds } from './thresholds'
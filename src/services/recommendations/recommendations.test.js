@@ -0,0 +1,70 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { getRecommendations } from '.'
+import { fixtureProvider } from '../weather/fixtureProvider'
+import { UNIT_SYSTEMS, formatTemperature, formatWind } from '../../utils/units'
+
+const units = UNIT_SYSTEMS.metric
+const format = {
+  temperature: (celsius, options) => formatTemperature(celsius, units.temperature, options),
+  wind: (kph) => formatWind(kph, units.wind)
+}
+
+let report
+
+beforeAll(async () => {
+  report = await fixtureProvider.fetchForecast('Boston, MA')
+})
+
+// The report as a provider without an hourly forecast would return it
+const withoutHourly = ({ current = {}, today = {} } = {}) => ({
+  ...report,
+  hourly: [],
+  airQuality: null,
+  current: { ...report.current, isDay: false, feelsLikeC: 3, windKph: 10, ...current },
+  daily: [{ ...report.daily[0], chanceOfRain: 75, chanceOfSnow: 0, uv: 7, ...today }, ...report.daily.slice(1)]
+})
+
+const byId = (recommendations) => Object.fromEntries(recommendations.map((item) => [item.id, item]))
+
+describe('getRecommendations', () => {
+  it('reads the hours ahead when the report has them', () => {
+    const recommendations = byId(getRecommendations(report, { format }))
+
+    expect(Object.keys(recommendations)).toEqual(expect.arrayContaining(['clothing', 'umbrella', 'run', 'cycle']))
+    expect(recommendations.clothing.reason).not.toMatch(/right now/)
+  })
+
+  describe('without an hourly forecast', () => {
+    it("falls back to the current feels-like and today's chance of rain and UV", () => {
+      const recommendations = byId(getRecommendations(withoutHourly(), { format }))
+
+      expect(recommendations.clothing).toMatchObject({ title: 'Wear a warm coat', reason: 'Feels like 3°C right now.' })
+      expect(recommendations.umbrella).toMatchObject({ level: 'caution', reason: '75% chance of rain today.' })
+      expect(recommendations.sunscreen).toMatchObject({ level: 'caution', reason: 'UV index reaches 7 today.' })
+      expect(recommendations.run.level).toBe('avoid')
+    })
+
+    it('leaves out the commute, which needs real hours', () => {
+      const recommendations = byId(getRecommendations(withoutHourly(), { format }))
+
+      expect(recommendations.commute).toBeUndefined()
+    })
+
+    it('suggests going out now when the current conditions are fine', () => {
+      const recommendations = byId(
+        getRecommendations(withoutHourly({ current: { feelsLikeC: 18 }, today: { chanceOfRain: 10, uv: 2 } }), {
+          format
+        })
+      )
+
+      expect(recommendations.umbrella.level).toBe('good')
+      expect(recommendations.sunscreen.level).toBe('good')
+      expect(recommendations.run).toMatchObject({ level: 'good', reason: 'Feels like 18°C, 10% chance of rain.' })
+    })
+
+    it('returns nothing without current conditions or a daily forecast', () => {
+      expect(getRecommendations({ ...withoutHourly(), daily: [] }, { format })).toEqual([])
+      expect(getRecommendations({ ...withoutHourly(), current: null }, { format })).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,63 @@
+/**
+ * Recommendation thresholds
+ *
+ * Every limit the recommendation rules use, in metric base units like the
+ * weather model. Users can override any of them; the settings form converts
+ * temperatures and speeds to and from their display units.
+ */
+
+export const DEFAULT_THRESHOLDS = {
+  // Clothing, by the coldest and warmest feels-like temperature ahead
+  coatC: 5,
+  jacketC: 15,
+  lightClothesC: 25,
+  // Umbrella and sunscreen
+  umbrellaPercent: 40,
+  sunscreenUv: 3,
+  // Running and cycling: comfortable feels-like range, wind limit for bikes
+  runMinC: -5,
+  runMaxC: 26,
+  cycleMinC: 2,
+  cycleMaxC: 30,
+  cycleWindKph: 30,
+  // Highest US EPA index (1-6) still fine for outdoor exercise
+  exerciseMaxAqi: 3,
+  // Commute hours (local, 0-23)
+  morningCommuteHour: 8,
+  eveningCommuteHour: 17
+}
+
+/**
+ * How each threshold is edited: which unit it is shown in and its allowed range
+ * (in that kind's base unit)
+ */
+export const THRESHOLD_FIELDS = [
+  { key: 'coatC', kind: 'temperature', min: -40, max: 30 },
+  { key: 'jacketC', kind: 'temperature', min: -40, max: 30 },
+  { key: 'lightClothesC', kind: 'temperature', min: 10, max: 45 },
+  { key: 'umbrellaPercent', kind: 'percent', min: 0, max: 100 },
+  { key: 'sunscreenUv', kind: 'uv', min: 0, max: 11 },
+  { key: 'runMinC', kind: 'temperature', min: -40, max: 30 },
+  { key: 'runMaxC', kind: 'temperature', min: 0, max: 45 },
+  { key: 'cycleMinC', kind: 'temperature', min: -40, max: 30 },
+  { key: 'cycleMaxC', kind: 'temperature', min: 0, max: 45 },
+  { key: 'cycleWindKph', kind: 'wind', min: 0, max: 150 },
+  { key: 'exerciseMaxAqi', kind: 'aqi', min: 1, max: 6 },
+  { key: 'morningCommuteHour', kind: 'hour', min: 0, max: 23 },
+  { key: 'eveningCommuteHour', kind: 'hour', min: 0, max: 23 }
+]
+
+/**
+ * Fill in and clamp stored thresholds, so older or hand-edited settings
+ * can't break the rules
+ * @param {Object} [stored]
+ * @returns {typeof DEFAULT_THRESHOLDS}
+ */
+export function normalizeThresholds(stored = {}) {
+  return Object.fromEntries(
+    THRESHOLD_FIELDS.map(({ key, min, max }) => {
+      const value = Number(stored?.[key])
+      return [key, Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_THRESHOLDS[key]]
+    })
+  )
+}
@@ -0,0 +1,17 @@
+/**
+ * Register the service worker (src/sw.js) that makes the app installable and
+ * lets it open offline. Production builds only: the dev server has no
+ * precache list and should always serve fresh files.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+      // The app works without it, just not offline
+      console.warn('Service worker registration failed:', err)
+    })
+  })
+}
+
+export default registerServiceWorker
@@ -0,0 +1,147 @@
+import { t } from '../../utils/i18n'
+
+/**
+ * Air quality model and health categories
+ *
+ * Providers fill `report.airQuality` (current) and `daily[].airQuality`
+ * with the shapes below. Pollutant concentrations are all µg/m³.
+ */
+
+/**
+ * @typedef {Object} Pollutants
+ * @property {number|null} pm2_5
+ * @property {number|null} pm10
+ * @property {number|null} o3
+ * @property {number|null} no2
+ * @property {number|null} so2
+ * @property {number|null} co
+ */
+
+/**
+ * @typedef {Object} AirQuality
+ * @property {number|null} usEpaIndex - 1 (Good) to 6 (Hazardous)
+ * @property {number|null} gbDefraIndex - 1 (Low) to 10 (Very High)
+ * @property {Pollutants} [pollutants] - Only present for current conditions
+ */
+
+// US EPA index (1-6) -> level, used for colours and message keys
+const EPA_LEVELS = {
+  1: 'good',
+  2: 'moderate',
+  3: 'usg',
+  4: 'unhealthy',
+  5: 'very-unhealthy',
+  6: 'hazardous'
+}
+
+/**
+ * US EPA index category, with advice for everyone and for sensitive groups
+ * (people with asthma or heart/lung disease, children, older adults)
+ * @param {number|null} index - 1 to 6
+ * @returns {{level: string, label: string, advice: string, sensitiveAdvice: string}|null}
+ */
+export function getEpaCategory(index) {
+  const level = EPA_LEVELS[index]
+  if (!level) return null
+  return {
+    level,
+    label: t(`aqi.epa.${index}`),
+    advice: t(`aqi.epa.${index}.advice`),
+    sensitiveAdvice: t(`aqi.epa.${index}.sensitive`)
+  }
+}
+
+/**
+ * UK DEFRA Daily Air Quality Index bands
+ * @param {number} index - 1 to 10
+ * @returns {{label: string, level: string}|null}
+ */
+export function getDefraBand(index) {
+  if (!index) return null
+  if (index <= 3) return { label: t('aqi.defra.low'), level: 'good' }
+  if (index <= 6) return { label: t('aqi.defra.moderate'), level: 'moderate' }
+  if (index <= 9) return { label: t('aqi.defra.high'), level: 'unhealthy' }
+  return { label: t('aqi.defra.veryHigh'), level: 'hazardous' }
+}
+
+/**
+ * Convert a US AQI value (0-500) to the 1-6 EPA index
+ * @param {number} aqi
+ * @returns {number|null}
+ */
+export function usAqiToEpaIndex(aqi) {
+  if (aqi === null || aqi === undefined || Number.isNaN(aqi)) return null
+  if (aqi <= 50) return 1
+  if (aqi <= 100) return 2
+  if (aqi <= 150) return 3
+  if (aqi <= 200) return 4
+  if (aqi <= 300) return 5
+  return 6
+}
+
+// Upper bound (µg/m³) of DEFRA bands 1-9 for each pollutant; above the last is band 10
+const DEFRA_BREAKPOINTS = {
+  pm2_5: [11, 23, 35, 41, 47, 53, 58, 64, 70],
+  pm10: [16, 33, 50, 58, 66, 75, 83, 91, 100],
+  o3: [33, 66, 100, 120, 140, 160, 187, 213, 240],
+  no2: [67, 134, 200, 267, 334, 400, 467, 534, 600],
+  so2: [88, 177, 266, 354, 443, 532, 710, 887, 1064]
+}
+
+// DEFRA doesn't band carbon monoxide; use US EPA 8-hour breakpoints (ppm -> µg/m³)
+const CO_EPA_BREAKPOINTS = [4.4, 9.4, 12.4, 15.4, 30.4].map((ppm) => ppm * 1145)
+
+/**
+ * DEFRA band (1-10) for one pollutant concentration
+ * @param {string} pollutant - Key of Pollutants
+ * @param {number} value - µg/m³
+ * @returns {number|null}
+ */
+function getDefraPollutantIndex(pollutant, value) {
+  const breakpoints = DEFRA_BREAKPOINTS[pollutant]
+  if (!breakpoints || value === null || value === undefined) return null
+  const band = breakpoints.findIndex((limit) => value <= limit)
+  return band === -1 ? 10 : band + 1
+}
+
+/**
+ * Overall DEFRA index: the worst band across the banded pollutants
+ * @param {Pollutants} pollutants
+ * @returns {number|null}
+ */
+export function calculateDefraIndex(pollutants) {
+  const bands = Object.keys(DEFRA_BREAKPOINTS)
+    .map((key) => getDefraPollutantIndex(key, pollutants[key]))
+    .filter((band) => band !== null)
+  return bands.length ? Math.max(...bands) : null
+}
+
+/**
+ * Pollutants shown in the breakdown, in display order; their full names are
+ * the aqi.pollutant.<key> messages
+ */
+export const POLLUTANTS = [
+  { key: 'pm2_5', label: 'PM2.5' },
+  { key: 'pm10', label: 'PM10' },
+  { key: 'o3', label: 'O₃' },
+  { key: 'no2', label: 'NO₂' },
+  { key: 'so2', label: 'SO₂' },
+  { key: 'co', label: 'CO' }
+]
+
+/**
+ * Health level for a single pollutant reading
+ * @param {string} pollutant - Key of Pollutants
+ * @param {number} value - µg/m³
+ * @returns {string|null} - 'good', 'moderate', 'unhealthy', 'hazardous' or null
+ */
+export function getPollutantLevel(pollutant, value) {
+  if (value === null || value === undefined) return null
+
+  if (pollutant === 'co') {
+    const band = CO_EPA_BREAKPOINTS.findIndex((limit) => value <= limit)
+    return ['good', 'moderate', 'usg', 'unhealthy', 'very-unhealthy'][band] ?? 'hazardous'
+  }
+
+  return getDefraBand(getDefraPollutantIndex(pollutant, value))?.level ?? null
+}
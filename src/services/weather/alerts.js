@@ -0,0 +1,127 @@
+/**
+ * Severe weather alert model
+ *
+ * Providers map their alert payloads into WeatherAlert objects with
+ * normalizeWeatherApiAlert(); mergeOverlappingAlerts() then collapses the
+ * per-zone duplicates that alert feeds usually contain.
+ */
+
+/**
+ * @typedef {Object} WeatherAlert
+ * @property {string} id - Stable id derived from the alert content
+ * @property {string} event - e.g. "Winter Storm Warning"
+ * @property {string} headline
+ * @property {'extreme'|'severe'|'moderate'|'minor'|'unknown'} severity
+ * @property {'immediate'|'expected'|'future'|'past'|'unknown'} urgency
+ * @property {string} certainty
+ * @property {string[]} areas
+ * @property {string|null} effective - ISO timestamp with offset
+ * @property {string|null} expires - ISO timestamp with offset
+ * @property {string} description
+ * @property {string} instruction
+ */
+
+export const SEVERITY_RANK = { extreme: 4, severe: 3, moderate: 2, minor: 1, unknown: 0 }
+
+const URGENCIES = ['immediate', 'expected', 'future', 'past']
+
+function normalizeEnum(value, allowed) {
+  const normalized = (value || '').trim().toLowerCase()
+  return allowed.includes(normalized) ? normalized : 'unknown'
+}
+
+/**
+ * Small deterministic string hash (djb2) used for alert ids
+ * @param {string} value
+ * @returns {string}
+ */
+function hashString(value) {
+  let hash = 5381
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0
+  }
+  return (hash >>> 0).toString(36)
+}
+
+/**
+ * Split a provider "areas" string ("Kings; Queens; Bronx") into a list
+ * @param {string} areas
+ * @returns {string[]}
+ */
+function splitAreas(areas) {
+  return (areas || '')
+    .split(/[;\n]/)
+    .map((area) => area.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Map one WeatherAPI alert into a WeatherAlert
+ * @param {Object} raw - Entry from data.alerts.alert
+ * @returns {WeatherAlert}
+ */
+export function normalizeWeatherApiAlert(raw) {
+  const event = (raw.event || raw.headline || 'Weather alert').trim()
+  const effective = raw.effective || null
+  const expires = raw.expires || null
+
+  return {
+    id: hashString(`${event}|${raw.headline || ''}|${effective}|${expires}`),
+    event,
+    headline: (raw.headline || event).trim(),
+    severity: normalizeEnum(raw.severity, Object.keys(SEVERITY_RANK)),
+    urgency: normalizeEnum(raw.urgency, URGENCIES),
+    certainty: (raw.certainty || '').trim(),
+    areas: splitAreas(raw.areas),
+    effective,
+    expires,
+    description: (raw.desc || '').trim(),
+    instruction: (raw.instruction || '').trim()
+  }
+}
+
+/**
+ * Collapse alerts that describe the same event over the same window
+ * (providers often repeat one warning per forecast zone), combining
+ * their areas. Result is sorted by severity, then soonest expiry.
+ * @param {WeatherAlert[]} alerts
+ * @returns {WeatherAlert[]}
+ */
+export function mergeOverlappingAlerts(alerts) {
+  const merged = new Map()
+
+  for (const alert of alerts) {
+    const existing = merged.get(alert.id)
+    if (existing) {
+      existing.areas = [...new Set([...existing.areas, ...alert.areas])]
+      if (alert.description.length > existing.description.length) {
+        existing.description = alert.description
+      }
+    } else {
+      merged.set(alert.id, { ...alert, areas: [...alert.areas] })
+    }
+  }
+
+  return [...merged.values()].sort(compareAlerts)
+}
+
+/**
+ * Sort comparator: most severe first, then the one expiring soonest
+ * @param {WeatherAlert} a
+ * @param {WeatherAlert} b
+ */
+export function compareAlerts(a, b) {
+  const bySeverity = SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]
+  if (bySeverity !== 0) return bySeverity
+  return (Date.parse(a.expires) || Infinity) - (Date.parse(b.expires) || Infinity)
+}
+
+/**
+ * Whether an alert is still in force (or upcoming) at a given moment
+ * @param {WeatherAlert} alert
+ * @param {Date} [now=new Date()]
+ */
+export function isAlertActive(alert, now = new Date()) {
+  const expires = Date.parse(alert.expires)
+  return Number.isNaN(expires) || expires > now.getTime()
+}
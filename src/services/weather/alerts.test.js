@@ -0,0 +1,176 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { isAlertActive, mergeOverlappingAlerts, normalizeWeatherApiAlert } from './alerts'
+import { buildAlertsFixture } from './fixtures/alertsFixture'
+import useDismissedAlerts from '../../hooks/useDismissedAlerts'
+
+const NOW = new Date('2025-01-15T12:00:00Z')
+const HOUR = 60 * 60 * 1000
+
+const fixtureAlerts = () => buildAlertsFixture(NOW).map(normalizeWeatherApiAlert)
+
+describe('normalizeWeatherApiAlert', () => {
+  it('maps a WeatherAPI alert', () => {
+    const [floodWatch] = fixtureAlerts()
+
+    expect(floodWatch).toMatchObject({
+      event: 'Flood Watch',
+      headline: 'Flood Watch issued for the metro area',
+      severity: 'severe',
+      urgency: 'expected',
+      certainty: 'Possible',
+      areas: ['Philadelphia', 'Delaware'],
+      effective: new Date(NOW.getTime() - 2 * HOUR).toISOString(),
+      expires: new Date(NOW.getTime() + 30 * HOUR).toISOString()
+    })
+    expect(floodWatch.description).toMatch(/^\* WHAT/)
+    expect(floodWatch.instruction).toMatch(/^Monitor/)
+  })
+
+  it('gives the same id to the same alert repeated for another zone', () => {
+    const [first, repeat, other] = fixtureAlerts()
+
+    expect(repeat.id).toBe(first.id)
+    expect(other.id).not.toBe(first.id)
+  })
+
+  it('fills in missing and unknown fields', () => {
+    const alert = normalizeWeatherApiAlert({ headline: ' Heat Advisory ', severity: 'Catastrophic', areas: '' })
+
+    expect(alert).toMatchObject({
+      event: 'Heat Advisory',
+      headline: 'Heat Advisory',
+      severity: 'unknown',
+      urgency: 'unknown',
+      areas: [],
+      effective: null,
+      expires: null,
+      description: '',
+      instruction: ''
+    })
+  })
+})
+
+describe('mergeOverlappingAlerts', () => {
+  it('merges the areas of overlapping alerts and keeps the longest description', () => {
+    const merged = mergeOverlappingAlerts(fixtureAlerts())
+    const floodWatch = merged.find((alert) => alert.event === 'Flood Watch')
+
+    expect(merged).toHaveLength(3)
+    expect(floodWatch.areas).toEqual(['Philadelphia', 'Delaware', 'Montgomery', 'Bucks'])
+    expect(floodWatch.description).toContain('* WHERE')
+  })
+
+  it('takes a longer description from a later duplicate', () => {
+    const [full, short] = fixtureAlerts()
+    const [merged] = mergeOverlappingAlerts([short, full])
+
+    expect(merged.description).toBe(full.description)
+    expect(merged.areas).toEqual(['Montgomery', 'Bucks', 'Philadelphia', 'Delaware'])
+  })
+
+  it('does not change the alerts it was given', () => {
+    const alerts = fixtureAlerts()
+    mergeOverlappingAlerts(alerts)
+
+    expect(alerts[0].areas).toEqual(['Philadelphia', 'Delaware'])
+  })
+
+  it('sorts by severity, then by the soonest expiry', () => {
+    const at = (hours) => new Date(NOW.getTime() + hours * HOUR).toISOString()
+    const alert = (event, severity, expires) => normalizeWeatherApiAlert({ event, severity, expires })
+    const merged = mergeOverlappingAlerts([
+      alert('Minor', 'Minor', at(1)),
+      alert('Severe later', 'Severe', at(10)),
+      alert('No expiry', 'Severe', null),
+      alert('Extreme', 'Extreme', at(20)),
+      alert('Severe sooner', 'Severe', at(5))
+    ])
+
+    expect(merged.map((entry) => entry.event)).toEqual([
+      'Extreme',
+      'Severe sooner',
+      'Severe later',
+      'No expiry',
+      'Minor'
+    ])
+  })
+
+  it('orders the fixture alerts', () => {
+    expect(mergeOverlappingAlerts(fixtureAlerts()).map((alert) => alert.event)).toEqual([
+      'Flood Watch',
+      'Wind Advisory',
+      'Dense Fog Advisory'
+    ])
+  })
+})
+
+describe('isAlertActive', () => {
+  it('drops alerts that have expired', () => {
+    const active = mergeOverlappingAlerts(fixtureAlerts()).filter((alert) => isAlertActive(alert, NOW))
+
+    expect(active.map((alert) => alert.event)).toEqual(['Flood Watch', 'Wind Advisory'])
+  })
+})
+
+describe('useDismissedAlerts', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(NOW)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const windAdvisory = () => fixtureAlerts()[2]
+
+  it('keeps an alert dismissed for its location until it expires', () => {
+    const alert = windAdvisory()
+    const { result } = renderHook(() => useDismissedAlerts('39.95,-75.16'))
+
+    act(() => result.current.dismiss(alert))
+    expect(result.current.isDismissed(alert)).toBe(true)
+    expect(renderHook(() => useDismissedAlerts('40.71,-74.01')).result.current.isDismissed(alert)).toBe(false)
+
+    vi.setSystemTime(NOW.getTime() + 15 * HOUR)
+    expect(renderHook(() => useDismissedAlerts('39.95,-75.16')).result.current.isDismissed(alert)).toBe(true)
+
+    vi.setSystemTime(NOW.getTime() + 17 * HOUR)
+    expect(renderHook(() => useDismissedAlerts('39.95,-75.16')).result.current.isDismissed(alert)).toBe(false)
+  })
+
+  it('keeps an alert without an expiry dismissed for a day', () => {
+    const alert = { ...windAdvisory(), expires: null }
+    const { result } = renderHook(() => useDismissedAlerts('39.95,-75.16'))
+    act(() => result.current.dismiss(alert))
+
+    vi.setSystemTime(NOW.getTime() + 23 * HOUR)
+    expect(renderHook(() => useDismissedAlerts('39.95,-75.16')).result.current.isDismissed(alert)).toBe(true)
+
+    vi.setSystemTime(NOW.getTime() + 25 * HOUR)
+    expect(renderHook(() => useDismissedAlerts('39.95,-75.16')).result.current.isDismissed(alert)).toBe(false)
+  })
+
+  it('prunes expired dismissals from storage on the next dismissal', () => {
+    const [floodWatch, , windAlert] = fixtureAlerts()
+    const { result } = renderHook(() => useDismissedAlerts('39.95,-75.16'))
+    act(() => result.current.dismiss(windAlert))
+
+    vi.setSystemTime(NOW.getTime() + 20 * HOUR)
+    act(() => result.current.dismiss(floodWatch))
+
+    expect(JSON.parse(localStorage.getItem('dismissedAlerts'))).toEqual({
+      '39.95,-75.16': { [floodWatch.id]: Date.parse(floodWatch.expires) }
+    })
+  })
+
+  it('does nothing without a location', () => {
+    const { result } = renderHook(() => useDismissedAlerts(null))
+    act(() => result.current.dismiss(windAdvisory()))
+
+    expect(result.current.isDismissed(windAdvisory())).toBe(false)
+    expect(JSON.parse(localStorage.getItem('dismissedAlerts'))).toEqual({})
+  })
+})
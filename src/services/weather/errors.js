@@ -0,0 +1,115 @@
+import { t } from '../../utils/i18n'
+
+/**
+ * Error raised by weather providers.
+ *
+ * The message is safe to show to users; `code` lets callers branch on the
+ * kind of failure without parsing the message.
+ */
+export class WeatherError extends Error {
+  /**
+   * @param {string} message - User-facing description of the failure
+   * @param {Object} [options]
+   * @param {string} [options.code] - Machine-readable failure kind (see ERROR_KINDS)
+   * @param {unknown} [options.cause] - Underlying error, if any
+   * @param {number} [options.status] - HTTP status of the failed response
+   * @param {number} [options.retryAfterMs] - How long the provider asked us to wait
+   */
+  constructor(message, { code = 'unknown', cause, status, retryAfterMs } = {}) {
+    super(message, { cause })
+    this.name = 'WeatherError'
+    this.code = code
+    this.status = status ?? null
+    this.retryAfterMs = retryAfterMs ?? null
+  }
+}
+
+/**
+ * Every failure kind, with the key of its default message in
+ * utils/messages.js, what the user can do about it and whether simply
+ * trying again may work
+ *
+ * Recovery actions:
+ * - retry: try the same request again now
+ * - try_later: the provider is busy or out of quota; wait, then retry
+ * - check_key: the API key is missing, wrong or not allowed to do this
+ * - search_again: the search itself can't be answered; change it
+ */
+export const ERROR_KINDS = {
+  offline: { messageKey: 'error.kind.offline', action: 'retry', transient: true },
+  network: { messageKey: 'error.kind.network', action: 'retry', transient: true },
+  provider_unavailable: { messageKey: 'error.kind.provider_unavailable', action: 'try_later', transient: true },
+  rate_limited: { messageKey: 'error.kind.rate_limited', action: 'try_later', transient: true },
+  quota_exceeded: { messageKey: 'error.kind.quota_exceeded', action: 'try_later', transient: false },
+  missing_key: { messageKey: 'error.kind.missing_key', action: 'check_key', transient: false },
+  invalid_key: { messageKey: 'error.kind.invalid_key', action: 'check_key', transient: false },
+  key_disabled: { messageKey: 'error.kind.key_disabled', action: 'check_key', transient: false },
+  plan_restricted: { messageKey: 'error.kind.plan_restricted', action: 'check_key', transient: false },
+  not_found: { messageKey: 'error.kind.not_found', action: 'search_again', transient: false },
+  bad_request: { messageKey: 'error.kind.bad_request', action: 'search_again', transient: false },
+  unsupported_query: { messageKey: 'error.kind.unsupported_query', action: 'search_again', transient: false },
+  config: { messageKey: 'error.kind.config', action: null, transient: false },
+  unknown: { messageKey: 'error.kind.unknown', action: 'retry', transient: false }
+}
+
+/**
+ * Build a WeatherError of a known kind
+ * @param {string} code - Key of ERROR_KINDS
+ * @param {Object} [options] - WeatherError options; `message` overrides the default text
+ *   with a provider-specific one (already translated)
+ * @returns {WeatherError}
+ */
+export function createWeatherError(code, { message, ...options } = {}) {
+  const kind = ERROR_KINDS[code] ?? ERROR_KINDS.unknown
+  return new WeatherError(message ?? t(kind.messageKey), { ...options, code })
+}
+
+/**
+ * Error kind for an HTTP status the provider didn't explain itself
+ * @param {number} status
+ * @returns {string}
+ */
+export function codeForStatus(status) {
+  if (status === 401) return 'invalid_key'
+  if (status === 403) return 'key_disabled'
+  if (status === 404) return 'not_found'
+  if (status === 429) return 'rate_limited'
+  if (status >= 500) return 'provider_unavailable'
+  return 'bad_request'
+}
+
+/**
+ * Turn anything thrown while talking to a provider into a WeatherError:
+ * a failed fetch() is "offline" when the browser knows it has no
+ * connection, and "network" otherwise
+ * @param {unknown} err
+ * @returns {WeatherError}
+ */
+export function toWeatherError(err) {
+  if (err instanceof WeatherError) return err
+  const offline = typeof navigator !== 'undefined' && navigator.onLine === false
+  return createWeatherError(offline ? 'offline' : 'network', { cause: err })
+}
+
+/**
+ * Whether an error is worth retrying (network blips, outages, rate limits)
+ * as opposed to one that will fail the same way every time (unknown city,
+ * bad API key)
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isTransientError(err) {
+  return err instanceof WeatherError && Boolean(ERROR_KINDS[err.code]?.transient)
+}
+
+/**
+ * What the user can do about an error
+ * @param {unknown} err
+ * @returns {'retry'|'try_later'|'check_key'|'search_again'|null}
+ */
+export function getRecoveryAction(err) {
+  if (!(err instanceof WeatherError)) return 'retry'
+  return ERROR_KINDS[err.code]?.action ?? null
+}
+
+export default WeatherError
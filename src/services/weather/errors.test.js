@@ -0,0 +1,126 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import {
+  ERROR_KINDS,
+  WeatherError,
+  codeForStatus,
+  createWeatherError,
+  getRecoveryAction,
+  isTransientError,
+  toWeatherError
+} from './errors'
+import { queryClient } from '../queryClient'
+import { MESSAGES } from '../../utils/messages'
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('codeForStatus', () => {
+  it.each([
+    [401, 'invalid_key', 'check_key'],
+    [403, 'key_disabled', 'check_key'],
+    [404, 'not_found', 'search_again'],
+    [429, 'rate_limited', 'try_later'],
+    [500, 'provider_unavailable', 'try_later'],
+    [503, 'provider_unavailable', 'try_later'],
+    [400, 'bad_request', 'search_again'],
+    [418, 'bad_request', 'search_again']
+  ])('maps %i to %s (%s)', (status, code, action) => {
+    expect(codeForStatus(status)).toBe(code)
+    expect(getRecoveryAction(createWeatherError(code, { status }))).toBe(action)
+  })
+})
+
+describe('createWeatherError', () => {
+  it('uses the kind’s message unless given one', () => {
+    expect(createWeatherError('not_found').message).toBe('City not found')
+    expect(createWeatherError('config', { message: 'No provider' })).toMatchObject({
+      code: 'config',
+      message: 'No provider'
+    })
+  })
+
+  it.each(Object.entries(ERROR_KINDS))('has a message for %s in messages.js', (code, kind) => {
+    expect(MESSAGES.en[kind.messageKey]).toBeDefined()
+    expect(createWeatherError(code).message).toBe(MESSAGES.en[kind.messageKey])
+  })
+
+  it('writes the message in the browser’s language', () => {
+    vi.spyOn(navigator, 'languages', 'get').mockReturnValue(['de-DE'])
+
+    expect(createWeatherError('not_found').message).toBe('Stadt nicht gefunden')
+  })
+
+  it('keeps the status and Retry-After', () => {
+    expect(createWeatherError('rate_limited', { status: 429, retryAfterMs: 5000 })).toMatchObject({
+      status: 429,
+      retryAfterMs: 5000
+    })
+  })
+
+  it('gives unknown codes the unknown message', () => {
+    const error = createWeatherError('nonsense')
+    expect(error.message).toBe('Failed to fetch weather data.')
+    expect(getRecoveryAction(error)).toBeNull()
+  })
+})
+
+describe('toWeatherError', () => {
+  it('is "offline" when the browser knows it has no connection', () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    const cause = new TypeError('Failed to fetch')
+
+    expect(toWeatherError(cause)).toMatchObject({ code: 'offline', cause })
+  })
+
+  it('is "network" otherwise', () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(true)
+
+    expect(toWeatherError(new TypeError('Failed to fetch')).code).toBe('network')
+  })
+
+  it('passes WeatherErrors through', () => {
+    const error = createWeatherError('invalid_key')
+    expect(toWeatherError(error)).toBe(error)
+  })
+})
+
+describe('recovery', () => {
+  it('offers a retry for anything that isn’t a WeatherError', () => {
+    expect(getRecoveryAction(new Error('boom'))).toBe('retry')
+    expect(isTransientError(new Error('boom'))).toBe(false)
+  })
+
+  it.each(Object.entries(ERROR_KINDS))('%s is transient only when its kind says so', (code, kind) => {
+    expect(isTransientError(createWeatherError(code))).toBe(kind.transient)
+  })
+})
+
+describe('queryClient retry', () => {
+  const { retry, retryDelay } = queryClient.getDefaultOptions().queries
+
+  it('retries transient errors a few times', () => {
+    const error = createWeatherError('network')
+    expect(retry(0, error)).toBe(true)
+    expect(retry(2, error)).toBe(true)
+    expect(retry(3, error)).toBe(false)
+  })
+
+  it.each(['not_found', 'invalid_key', 'quota_exceeded', 'bad_request', 'unknown'])('never retries %s', (code) => {
+    expect(retry(0, createWeatherError(code))).toBe(false)
+  })
+
+  it('never retries errors from outside the provider layer', () => {
+    expect(retry(0, new TypeError('x is undefined'))).toBe(false)
+  })
+
+  it('waits as long as Retry-After asked, else backs off', () => {
+    expect(retryDelay(1, createWeatherError('rate_limited', { retryAfterMs: 7000 }))).toBe(7000)
+    expect(retryDelay(1, createWeatherError('network'))).toBe(2000)
+    expect(retryDelay(10, createWeatherError('network'))).toBe(30000)
+  })
+
+  it('is the WeatherError class components check against', () => {
+    expect(createWeatherError('network')).toBeInstanceOf(WeatherError)
+  })
+})
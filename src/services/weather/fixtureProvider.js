@@ -0,0 +1,93 @@
+import { buildForecastFixture } from './fixtures/forecastFixture'
+import { buildAlertsFixture } from './fixtures/alertsFixture'
+import { FIXTURE_LOCATIONS } from './fixtures/locationsFixture'
+import { normalizeForecast } from './weatherApiProvider'
+import { addDays } from '../../utils/forecast'
+
+/**
+ * Fixture adapter
+ *
+ * Serves generated WeatherAPI-shaped payloads through the same normalizer as
+ * the real WeatherAPI adapter, so the app runs offline with no API key.
+ * Set VITE_WEATHER_PROVIDER=fixture to use it.
+ */
+
+const COORDINATES_PATTERN = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/
+const ID_PATTERN = /^id:(\w+)$/
+
+/**
+ * Build fixture options from a search query
+ * @param {string} query
+ * @returns {Object} Options for buildForecastFixture()
+ */
+function optionsForQuery(query) {
+  if (!query || query === 'auto:ip') return {}
+
+  const id = ID_PATTERN.exec(query.trim())
+  const place = id && FIXTURE_LOCATIONS.find((location) => location.id === id[1])
+  if (place) {
+    const { name, region, country, lat, lon, timezone } = place
+    return { name, region, country, lat, lon, timezone }
+  }
+
+  const coordinates = COORDINATES_PATTERN.exec(query.trim())
+  if (coordinates) {
+    return { lat: Number(coordinates[1]), lon: Number(coordinates[2]), name: 'Current location', region: '' }
+  }
+
+  const [name, region = ''] = query.split(',').map((part) => part.trim())
+  return { name, region }
+}
+
+/**
+ * Resolve a forecast from fixture data
+ * @param {string} query - City name, "lat,lon" or "auto:ip"
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @returns {Promise<import('./model').WeatherReport>}
+ */
+async function fetchForecast(query, { days = 7 } = {}) {
+  const report = normalizeForecast(
+    buildForecastFixture({ ...optionsForQuery(query), days, alerts: buildAlertsFixture() })
+  )
+  return { ...report, provider: 'fixture' }
+}
+
+/**
+ * Resolve past days from fixture data: the same generated week, a few
+ * degrees cooler, so comparisons have something to show
+ * @param {string} query
+ * @param {Object} options
+ * @param {string} options.today - Location's "YYYY-MM-DD"; history ends the day before
+ * @param {number} [options.days=7]
+ * @returns {Promise<import('./model').WeatherHistory>}
+ */
+async function fetchHistory(query, { today, days = 7 } = {}) {
+  const start = new Date(`${addDays(today, -days)}T12:00`)
+  const { daily, hourly } = normalizeForecast(
+    buildForecastFixture({ ...optionsForQuery(query), now: start, days, baseTempC: 14 })
+  )
+  return { provider: 'fixture', daily, hourly }
+}
+
+/**
+ * Find fixture locations whose name starts with the query
+ * @param {string} query
+ * @returns {Promise<import('./model').LocationSuggestion[]>}
+ */
+async function searchLocations(query) {
+  const needle = query.trim().toLowerCase()
+  return FIXTURE_LOCATIONS.filter((place) => place.name.toLowerCase().startsWith(needle)).map(
+    ({ id, name, region, country, lat, lon }) => ({ id, name, region, country, lat, lon, query: `id:${id}` })
+  )
+}
+
+export const fixtureProvider = {
+  id: 'fixture',
+  label: 'Offline fixtures',
+  fetchForecast,
+  fetchHistory,
+  searchLocations
+}
+
+export default fixtureProvider
@@ -0,0 +1,77 @@
+/**
+ * WeatherAPI-shaped alert payloads for offline development.
+ *
+ * Includes the awkward cases real feeds produce: several simultaneous
+ * alerts, the same warning repeated for neighbouring zones, and an alert
+ * that has already expired.
+ */
+
+const HOUR = 60 * 60 * 1000
+
+/**
+ * @param {Date} [now=new Date()]
+ * @returns {Object[]} Entries shaped like data.alerts.alert
+ */
+export function buildAlertsFixture(now = new Date()) {
+  const at = (hoursFromNow) => new Date(now.getTime() + hoursFromNow * HOUR).toISOString()
+
+  const floodWatch = {
+    headline: 'Flood Watch issued for the metro area',
+    msgtype: 'Alert',
+    severity: 'Severe',
+    urgency: 'Expected',
+    category: 'Met',
+    certainty: 'Possible',
+    event: 'Flood Watch',
+    effective: at(-2),
+    expires: at(30),
+    note: '',
+    instruction: 'Monitor later forecasts and be prepared to take action should flash flood warnings be issued.'
+  }
+
+  return [
+    {
+      ...floodWatch,
+      areas: 'Philadelphia; Delaware',
+      desc: '* WHAT...Flash flooding caused by excessive rainfall is possible.\n\n* WHERE...Portions of southeast Pennsylvania.'
+    },
+    // Same watch repeated for a neighbouring zone with a shorter description
+    {
+      ...floodWatch,
+      areas: 'Montgomery; Bucks',
+      desc: '* WHAT...Flash flooding caused by excessive rainfall is possible.'
+    },
+    {
+      headline: 'Wind Advisory in effect from this evening',
+      msgtype: 'Alert',
+      severity: 'Moderate',
+      urgency: 'Expected',
+      category: 'Met',
+      certainty: 'Likely',
+      event: 'Wind Advisory',
+      areas: 'Philadelphia',
+      effective: at(4),
+      expires: at(16),
+      note: '',
+      desc: '* WHAT...Southwest winds 20 to 30 mph with gusts up to 50 mph expected.\n\n* IMPACTS...Gusty winds will blow around unsecured objects.',
+      instruction: 'Use extra caution when driving, especially if operating a high profile vehicle.'
+    },
+    {
+      headline: 'Dense Fog Advisory has expired',
+      msgtype: 'Alert',
+      severity: 'Minor',
+      urgency: 'Past',
+      category: 'Met',
+      certainty: 'Observed',
+      event: 'Dense Fog Advisory',
+      areas: 'Philadelphia',
+      effective: at(-12),
+      expires: at(-3),
+      note: '',
+      desc: 'Visibility one quarter mile or less in dense fog.',
+      instruction: ''
+    }
+  ]
+}
+
+export default buildAlertsFixture
@@ -0,0 +1,206 @@
+/**
+ * Deterministic WeatherAPI-shaped forecast payloads for offline development.
+ *
+ * The numbers follow simple daily patterns (warm afternoons, a rainy day two
+ * days out, a windy day later in the week) so every part of the UI has
+ * something realistic to render. Timestamps are built around `now` so the
+ * "current hour" always lands inside the data.
+ */
+
+const pad = (value) => String(value).padStart(2, '0')
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+const formatTime = (date) => `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+const round1 = (value) => Math.round(value * 10) / 10
+
+// Per-day shape of the week: temperature offset, rain chance, wind offset
+const DAY_PATTERNS = [
+  { tempOffset: 0, rain: 10, wind: 0 },
+  { tempOffset: 2, rain: 70, wind: 5 },
+  { tempOffset: -3, rain: 30, wind: 2 },
+  { tempOffset: 1, rain: 0, wind: -3 },
+  { tempOffset: 4, rain: 90, wind: 18 },
+  { tempOffset: -1, rain: 40, wind: 6 },
+  { tempOffset: -2, rain: 20, wind: 0 }
+]
+
+function conditionFor(chanceOfRain, cloud, isDay) {
+  const variant = isDay ? 'day' : 'night'
+  if (chanceOfRain >= 60) {
+    return { text: 'Moderate rain', icon: `//cdn.weatherapi.com/weather/64x64/${variant}/302.png`, code: 1189 }
+  }
+  if (chanceOfRain >= 30) {
+    return { text: 'Patchy rain nearby', icon: `//cdn.weatherapi.com/weather/64x64/${variant}/176.png`, code: 1063 }
+  }
+  if (cloud >= 40) {
+    return { text: 'Partly cloudy', icon: `//cdn.weatherapi.com/weather/64x64/${variant}/116.png`, code: 1003 }
+  }
+  return { text: isDay ? 'Sunny' : 'Clear', icon: `//cdn.weatherapi.com/weather/64x64/${variant}/113.png`, code: 1000 }
+}
+
+function buildHour(date, pattern, baseTempC) {
+  const hour = date.getHours()
+  const isDay = hour >= 7 && hour < 19
+  // Warmest mid-afternoon, coolest just before dawn
+  const tempC = round1(baseTempC + pattern.tempOffset + 6 * Math.sin(((hour - 9) / 24) * 2 * Math.PI))
+  // Rain is most likely in the late afternoon
+  const chanceOfRain = Math.round(pattern.rain * (0.5 + 0.5 * Math.sin(((hour - 10) / 24) * 2 * Math.PI)))
+  const windKph = round1(12 + pattern.wind + 4 * Math.sin((hour / 24) * 2 * Math.PI))
+  const cloud = Math.min(100, chanceOfRain + 25)
+
+  return {
+    time_epoch: Math.floor(date.getTime() / 1000),
+    time: formatTime(date),
+    temp_c: tempC,
+    temp_f: round1((tempC * 9) / 5 + 32),
+    is_day: isDay ? 1 : 0,
+    condition: conditionFor(chanceOfRain, cloud, isDay),
+    wind_kph: windKph,
+    wind_mph: round1(windKph / 1.609344),
+    wind_dir: pattern.wind > 10 ? 'SW' : 'NW',
+    pressure_mb: 1015 - Math.round(pattern.rain / 10),
+    precip_mm: chanceOfRain >= 60 ? 1.2 : chanceOfRain >= 30 ? 0.2 : 0,
+    humidity: Math.min(100, 45 + Math.round(chanceOfRain / 2)),
+    cloud,
+    feelslike_c: round1(tempC - windKph / 10),
+    chance_of_rain: chanceOfRain,
+    chance_of_snow: 0,
+    gust_kph: round1(windKph * 1.5),
+    uv: isDay ? Math.max(0, Math.round(7 * Math.sin(((hour - 7) / 12) * Math.PI))) : 0
+  }
+}
+
+// Air quality drifts with the weather: stagnant dry days are worse, rain clears the air
+function airQualityFor(pattern) {
+  const pm2_5 = round1(Math.max(4, 30 - pattern.rain / 4 - pattern.wind / 2))
+  const usEpaIndex = pm2_5 <= 12 ? 1 : pm2_5 <= 35 ? 2 : 3
+  return {
+    co: 290.4,
+    no2: round1(18 - pattern.wind / 2),
+    o3: round1(60 + pattern.tempOffset * 5),
+    so2: 3.1,
+    pm2_5,
+    pm10: round1(pm2_5 * 1.6),
+    'us-epa-index': usEpaIndex,
+    'gb-defra-index': pm2_5 <= 11 ? 1 : pm2_5 <= 23 ? 2 : 3
+  }
+}
+
+function summarizeDay(date, hours, pattern) {
+  const temps = hours.map((hour) => hour.temp_c)
+  const maxChance = Math.max(...hours.map((hour) => hour.chance_of_rain))
+  const totalPrecip = hours.reduce((sum, hour) => sum + hour.precip_mm, 0)
+  const maxWind = Math.max(...hours.map((hour) => hour.wind_kph))
+  const avgTemp = temps.reduce((sum, temp) => sum + temp, 0) / temps.length
+
+  return {
+    date: formatDate(date),
+    date_epoch: Math.floor(date.getTime() / 1000),
+    day: {
+      maxtemp_c: Math.max(...temps),
+      maxtemp_f: round1((Math.max(...temps) * 9) / 5 + 32),
+      mintemp_c: Math.min(...temps),
+      mintemp_f: round1((Math.min(...temps) * 9) / 5 + 32),
+      avgtemp_c: round1(avgTemp),
+      avgtemp_f: round1((avgTemp * 9) / 5 + 32),
+      maxwind_kph: maxWind,
+      maxwind_mph: round1(maxWind / 1.609344),
+      totalprecip_mm: round1(totalPrecip),
+      totalprecip_in: round1(totalPrecip / 25.4),
+      totalsnow_cm: 0,
+      avghumidity: Math.round(hours.reduce((sum, hour) => sum + hour.humidity, 0) / hours.length),
+      daily_will_it_rain: maxChance >= 50 ? 1 : 0,
+      daily_chance_of_rain: maxChance,
+      daily_will_it_snow: 0,
+      daily_chance_of_snow: 0,
+      condition: conditionFor(maxChance, maxChance + 25, true),
+      uv: Math.max(...hours.map((hour) => hour.uv)),
+      air_quality: airQualityFor(pattern)
+    },
+    astro: {
+      sunrise: '06:45 AM',
+      sunset: '07:30 PM',
+      moonrise: '09:12 PM',
+      moonset: '10:03 AM',
+      moon_phase: 'Waxing Gibbous',
+      moon_illumination: 78
+    },
+    hour: hours
+  }
+}
+
+/**
+ * Build a forecast.json-style payload
+ * @param {Object} [options]
+ * @param {string} [options.name='Philadelphia']
+ * @param {string} [options.region='Pennsylvania']
+ * @param {string} [options.country='United States of America']
+ * @param {number} [options.lat=39.95]
+ * @param {number} [options.lon=-75.16]
+ * @param {string} [options.timezone='America/New_York']
+ * @param {Date} [options.now=new Date()] - Treated as the location's local clock
+ * @param {number} [options.days=7]
+ * @param {number} [options.baseTempC=18]
+ * @param {Object[]} [options.alerts=[]] - Raw alert entries (see alertsFixture.js)
+ * @returns {Object} Raw WeatherAPI forecast response
+ */
+export function buildForecastFixture({
+  name = 'Philadelphia',
+  region = 'Pennsylvania',
+  country = 'United States of America',
+  lat = 39.95,
+  lon = -75.16,
+  timezone = 'America/New_York',
+  now = new Date(),
+  days = 7,
+  baseTempC = 18,
+  alerts = []
+} = {}) {
+  const forecastday = []
+
+  for (let dayIndex = 0; dayIndex < days; dayIndex++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayIndex)
+    const pattern = DAY_PATTERNS[dayIndex % DAY_PATTERNS.length]
+    const hours = Array.from({ length: 24 }, (_, hour) =>
+      buildHour(new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour), pattern, baseTempC)
+    )
+    forecastday.push(summarizeDay(date, hours, pattern))
+  }
+
+  const currentHour = forecastday[0].hour[now.getHours()]
+
+  return {
+    location: {
+      name,
+      region,
+      country,
+      lat,
+      lon,
+      tz_id: timezone,
+      localtime_epoch: Math.floor(now.getTime() / 1000),
+      localtime: formatTime(now)
+    },
+    current: {
+      last_updated: formatTime(new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours())),
+      temp_c: currentHour.temp_c,
+      temp_f: currentHour.temp_f,
+      is_day: currentHour.is_day,
+      condition: currentHour.condition,
+      wind_kph: currentHour.wind_kph,
+      wind_mph: currentHour.wind_mph,
+      wind_dir: currentHour.wind_dir,
+      pressure_mb: currentHour.pressure_mb,
+      precip_mm: currentHour.precip_mm,
+      humidity: currentHour.humidity,
+      cloud: currentHour.cloud,
+      feelslike_c: currentHour.feelslike_c,
+      vis_km: 10,
+      uv: currentHour.uv,
+      gust_kph: currentHour.gust_kph,
+      air_quality: forecastday[0].day.air_quality
+    },
+    forecast: { forecastday },
+    alerts: { alert: alerts }
+  }
+}
+
+export default buildForecastFixture
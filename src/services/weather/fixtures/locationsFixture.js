@@ -0,0 +1,19 @@
+/**
+ * Places served by the fixture provider's location search.
+ * Deliberately includes ambiguous names (two Portlands, several Springfields)
+ * so the suggestion dropdown can be exercised offline.
+ */
+export const FIXTURE_LOCATIONS = [
+  { id: '1', name: 'Portland', region: 'Oregon', country: 'United States of America', lat: 45.52, lon: -122.68, timezone: 'America/Los_Angeles' },
+  { id: '2', name: 'Portland', region: 'Maine', country: 'United States of America', lat: 43.66, lon: -70.26, timezone: 'America/New_York' },
+  { id: '3', name: 'Springfield', region: 'Illinois', country: 'United States of America', lat: 39.8, lon: -89.64, timezone: 'America/Chicago' },
+  { id: '4', name: 'Springfield', region: 'Massachusetts', country: 'United States of America', lat: 42.1, lon: -72.59, timezone: 'America/New_York' },
+  { id: '5', name: 'Springfield', region: 'Missouri', country: 'United States of America', lat: 37.22, lon: -93.3, timezone: 'America/Chicago' },
+  { id: '6', name: 'Philadelphia', region: 'Pennsylvania', country: 'United States of America', lat: 39.95, lon: -75.16, timezone: 'America/New_York' },
+  { id: '7', name: 'London', region: 'City of London, Greater London', country: 'United Kingdom', lat: 51.52, lon: -0.11, timezone: 'Europe/London' },
+  { id: '8', name: 'London', region: 'Ontario', country: 'Canada', lat: 42.98, lon: -81.25, timezone: 'America/Toronto' },
+  { id: '9', name: 'Paris', region: 'Ile-de-France', country: 'France', lat: 48.87, lon: 2.33, timezone: 'Europe/Paris' },
+  { id: '10', name: 'Tokyo', region: 'Tokyo', country: 'Japan', lat: 35.69, lon: 139.69, timezone: 'Asia/Tokyo' }
+]
+
+export default FIXTURE_LOCATIONS
@@ -0,0 +1,55 @@
+import { codeForStatus, createWeatherError, toWeatherError } from './errors'
+
+/**
+ * JSON requests for provider adapters, with failures mapped onto the error
+ * kinds in ./errors.js
+ */
+
+// Upper bound on a Retry-After we are willing to honour automatically
+const MAX_RETRY_AFTER_MS = 60 * 1000
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} header
+ * @returns {number|null} Milliseconds
+ */
+function parseRetryAfter(header) {
+  if (!header) return null
+  const seconds = Number(header)
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now()
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : null
+}
+
+/**
+ * GET a URL and parse its JSON body
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.readError] - (body, response) -> error code or null, for
+ *   providers that describe failures in the body (checked before the HTTP status)
+ * @returns {Promise<*>} Parsed body
+ * @throws {WeatherError}
+ */
+export async function fetchJson(url, { signal, readError = () => null } = {}) {
+  let res
+  try {
+    res = await fetch(url, { signal })
+  } catch (err) {
+    if (err.name === 'AbortError') throw err
+    throw toWeatherError(err)
+  }
+
+  const data = await res.json().catch(() => null)
+  const code = readError(data, res) ?? (res.ok ? null : codeForStatus(res.status))
+  if (code) {
+    throw createWeatherError(code, {
+      status: res.status,
+      retryAfterMs: parseRetryAfter(res.headers.get('Retry-After'))
+    })
+  }
+  // A 200 without a JSON body means something between us and the provider broke
+  if (data === null) throw createWeatherError('provider_unavailable', { status: res.status })
+  return data
+}
+
+export default fetchJson
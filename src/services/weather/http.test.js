@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { ERROR_KINDS, getRecoveryAction } from './errors'
+import { fetchJson } from './http'
+import { t } from '../../utils/i18n'
+import { weatherApiProvider } from './weatherApiProvider'
+
+const NOW = new Date('2026-10-14T12:00:00Z')
+
+const respond = (body, { status = 200, headers = {} } = {}) =>
+  vi.fn(async () => new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, headers }))
+
+/**
+ * What fetchJson threw, so the error's fields can be checked
+ * @param {Promise} promise
+ * @returns {Promise<unknown>}
+ */
+async function rejectionOf(promise) {
+  try {
+    await promise
+  } catch (err) {
+    return err
+  }
+  throw new Error('Expected the request to fail')
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(NOW)
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+describe('fetchJson', () => {
+  it('returns the parsed body', async () => {
+    vi.stubGlobal('fetch', respond({ ok: true }))
+
+    await expect(fetchJson('/api/forecast')).resolves.toEqual({ ok: true })
+  })
+
+  it('maps an HTTP status the body does not explain', async () => {
+    vi.stubGlobal('fetch', respond({ error: { message: 'Not here' } }, { status: 404 }))
+
+    expect(await rejectionOf(fetchJson('/api/forecast'))).toMatchObject({ code: 'not_found', status: 404 })
+  })
+
+  it('treats a 200 without a JSON body as the provider being unavailable', async () => {
+    vi.stubGlobal('fetch', respond('<html>Gateway login</html>'))
+
+    expect(await rejectionOf(fetchJson('/api/forecast'))).toMatchObject({
+      code: 'provider_unavailable',
+      status: 200
+    })
+  })
+
+  it('turns a failed fetch into a network or offline error', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')))
+
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(true)
+    expect((await rejectionOf(fetchJson('/api/forecast'))).code).toBe('network')
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    expect((await rejectionOf(fetchJson('/api/forecast'))).code).toBe('offline')
+  })
+
+  it('lets aborts through untouched', async () => {
+    const abort = new DOMException('Aborted', 'AbortError')
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(abort))
+
+    expect(await rejectionOf(fetchJson('/api/forecast'))).toBe(abort)
+  })
+
+  describe('Retry-After', () => {
+    const retryAfterMs = async (header) => {
+      vi.stubGlobal('fetch', respond({}, { status: 429, headers: header === null ? {} : { 'Retry-After': header } }))
+      return (await rejectionOf(fetchJson('/api/forecast'))).retryAfterMs
+    }
+
+    it('reads seconds', async () => {
+      expect(await retryAfterMs('12')).toBe(12000)
+    })
+
+    it('reads an HTTP date', async () => {
+      expect(await retryAfterMs(new Date(NOW.getTime() + 30000).toUTCString())).toBe(30000)
+    })
+
+    it('caps long waits at a minute', async () => {
+      expect(await retryAfterMs('3600')).toBe(60000)
+    })
+
+    it('ignores a missing, past or garbled header', async () => {
+      expect(await retryAfterMs(null)).toBeNull()
+      expect(await retryAfterMs(new Date(NOW.getTime() - 30000).toUTCString())).toBeNull()
+      expect(await retryAfterMs('soon')).toBeNull()
+    })
+  })
+})
+
+describe('WeatherAPI error codes', () => {
+  it.each([
+    [1002, 401, 'missing_key', 'check_key'],
+    [1003, 400, 'bad_request', 'search_again'],
+    [1005, 400, 'bad_request', 'search_again'],
+    [1006, 400, 'not_found', 'search_again'],
+    [2006, 401, 'invalid_key', 'check_key'],
+    [2007, 403, 'quota_exceeded', 'try_later'],
+    [2008, 403, 'key_disabled', 'check_key'],
+    [2009, 403, 'plan_restricted', 'check_key'],
+    [9000, 400, 'bad_request', 'search_again'],
+    [9001, 400, 'bad_request', 'search_again'],
+    [9999, 400, 'provider_unavailable', 'try_later']
+  ])('maps %i (HTTP %i) to %s', async (apiCode, status, code, action) => {
+    vi.stubGlobal('fetch', respond({ error: { code: apiCode, message: 'Upstream says no' } }, { status }))
+
+    const error = await rejectionOf(weatherApiProvider.searchLocations('Boston'))
+    expect(error).toMatchObject({ code, status, message: t(ERROR_KINDS[code].messageKey) })
+    expect(getRecoveryAction(error)).toBe(action)
+  })
+
+  it('leaves unknown codes to the HTTP status', async () => {
+    vi.stubGlobal('fetch', respond({ error: { code: 1234 } }, { status: 503 }))
+
+    expect((await rejectionOf(weatherApiProvider.searchLocations('Boston'))).code).toBe('provider_unavailable')
+  })
+})
@@ -0,0 +1,94 @@
+import { WEATHER_PROVIDER } from '../../config'
+import { WeatherError, createWeatherError, getRecoveryAction, isTransientError, toWeatherError } from './errors'
+import { weatherApiProvider } from './weatherApiProvider'
+import { openMeteoProvider } from './openMeteoProvider'
+import { fixtureProvider } from './fixtureProvider'
+import { t } from '../../utils/i18n'
+
+/**
+ * Weather provider layer
+ *
+ * Components call these functions instead of talking to a vendor API
+ * directly. Each provider adapter exposes the same interface:
+ *
+ *   { id, label, fetchForecast(query, { days, signal }),
+ *     fetchHistory(query, { today, days, signal }), searchLocations(query, { signal }) }
+ *
+ * fetchForecast resolves to the normalized WeatherReport, fetchHistory to the
+ * WeatherHistory of the days before `today` and searchLocations to
+ * LocationSuggestion[], all documented in ./model.js.
+ */
+
+export const PROVIDERS = {
+  [weatherApiProvider.id]: weatherApiProvider,
+  [openMeteoProvider.id]: openMeteoProvider,
+  [fixtureProvider.id]: fixtureProvider
+}
+
+/**
+ * Look up a provider adapter by id
+ * @param {string} [id] - Defaults to the configured VITE_WEATHER_PROVIDER
+ * @returns {Object} Provider adapter
+ */
+export function getWeatherProvider(id = WEATHER_PROVIDER) {
+  const provider = PROVIDERS[id]
+  if (!provider) {
+    throw createWeatherError('config', { message: t('error.unknownProvider', { id }) })
+  }
+  return provider
+}
+
+/**
+ * Fetch a normalized forecast from the configured provider
+ * @param {string} query - City name, "lat,lon" or "auto:ip"
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').WeatherReport>}
+ */
+export async function fetchForecast(query, options = {}) {
+  try {
+    return await getWeatherProvider().fetchForecast(query, options)
+  } catch (err) {
+    // Provider errors already carry a user-facing message; anything else
+    // becomes an offline or network error
+    if (err.name === 'AbortError') throw err
+    throw toWeatherError(err)
+  }
+}
+
+/**
+ * Fetch the observed weather for the days before a location's today
+ * @param {string} query - City name or "lat,lon"
+ * @param {Object} options
+ * @param {string} options.today - Location's "YYYY-MM-DD"
+ * @param {number} [options.days=7]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').WeatherHistory>}
+ */
+export async function fetchHistory(query, options) {
+  try {
+    return await getWeatherProvider().fetchHistory(query, options)
+  } catch (err) {
+    if (err.name === 'AbortError') throw err
+    throw toWeatherError(err)
+  }
+}
+
+/**
+ * Search the configured provider for places matching a partial name
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').LocationSuggestion[]>}
+ */
+export async function searchLocations(query, options = {}) {
+  try {
+    return await getWeatherProvider().searchLocations(query, options)
+  } catch (err) {
+    if (err.name === 'AbortError') throw err
+    throw toWeatherError(err)
+  }
+}
+
+export { WeatherError, getRecoveryAction, isTransientError }
@@ -0,0 +1,166 @@
+/**
+ * Normalized weather model
+ *
+ * Every provider adapter maps its own response into these shapes so the UI
+ * never touches vendor field names. All values use metric base units; the
+ * display layer converts them (see src/utils/units.js).
+ *
+ * Times are location-local strings: dates as "YYYY-MM-DD", timestamps as
+ * "YYYY-MM-DD HH:mm" and astro times as 24-hour "HH:mm".
+ */
+
+/**
+ * @typedef {Object} Condition
+ * @property {string} text - Human-readable summary, e.g. "Partly cloudy"
+ * @property {number|null} code - Provider condition code
+ * @property {string} icon - Absolute icon URL
+ */
+
+/**
+ * @typedef {Object} Location
+ * @property {string} name
+ * @property {string} region
+ * @property {string} country
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} timezone - IANA zone, e.g. "America/New_York"
+ * @property {string} localtime - "YYYY-MM-DD HH:mm" at the location
+ */
+
+/**
+ * @typedef {Object} CurrentConditions
+ * @property {string} time
+ * @property {number} tempC
+ * @property {number} feelsLikeC
+ * @property {Condition} condition
+ * @property {boolean} isDay
+ * @property {number} humidity - Percent
+ * @property {number} windKph
+ * @property {string} windDir - Compass direction, e.g. "NW"
+ * @property {number} gustKph
+ * @property {number} pressureMb
+ * @property {number} precipMm
+ * @property {number} cloud - Percent cover
+ * @property {number} uv
+ * @property {number} visibilityKm
+ */
+
+/**
+ * @typedef {Object} Astro
+ * @property {string|null} sunrise
+ * @property {string|null} sunset
+ * @property {string|null} moonrise
+ * @property {string|null} moonset
+ * @property {string|null} moonPhase
+ */
+
+/**
+ * @typedef {Object} DailyForecast
+ * @property {string} date
+ * @property {number} maxTempC
+ * @property {number} minTempC
+ * @property {number} avgTempC
+ * @property {Condition} condition
+ * @property {number} totalPrecipMm
+ * @property {number} totalSnowCm
+ * @property {number} chanceOfRain - Percent
+ * @property {number} chanceOfSnow - Percent
+ * @property {number} maxWindKph
+ * @property {number} avgHumidity - Percent
+ * @property {number} uv
+ * @property {import('./airQuality').AirQuality|null} airQuality - Daily AQI forecast, when the provider has one
+ * @property {Astro} astro
+ */
+
+/**
+ * @typedef {Object} HourlyForecast
+ * @property {string} time
+ * @property {number} tempC
+ * @property {number} feelsLikeC
+ * @property {Condition} condition
+ * @property {boolean} isDay
+ * @property {number} chanceOfRain - Percent
+ * @property {number} chanceOfSnow - Percent
+ * @property {number} precipMm
+ * @property {number} windKph
+ * @property {string} windDir
+ * @property {number} gustKph
+ * @property {number} humidity - Percent
+ * @property {number} uv
+ */
+
+/**
+ * @typedef {Object} WeatherReport
+ * @property {string} provider - Id of the adapter that produced the report
+ * @property {Location} location
+ * @property {CurrentConditions} current
+ * @property {DailyForecast[]} daily
+ * @property {HourlyForecast[]} hourly
+ * @property {import('./airQuality').AirQuality|null} airQuality - Current air quality
+ * @property {import('./alerts').WeatherAlert[]} alerts
+ * @property {Astro|null} astro - Today's astro data (same as daily[0].astro)
+ */
+
+/**
+ * @typedef {Object} WeatherHistory
+ * @property {string} provider
+ * @property {DailyForecast[]} daily - Observed days, oldest first, ending yesterday
+ * @property {HourlyForecast[]} hourly - Observed hours for the same days
+ */
+
+/**
+ * @typedef {Object} LocationSuggestion
+ * @property {string} id - Provider-specific id, unique within one result list
+ * @property {string} name
+ * @property {string} region
+ * @property {string} country
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} query - Unambiguous query to pass back to fetchForecast(),
+ *   e.g. "id:2801268" or "45.52,-122.68"
+ */
+
+/**
+ * Make protocol-relative icon URLs ("//cdn...") absolute
+ * @param {string} icon
+ * @returns {string}
+ */
+export function toAbsoluteIconUrl(icon) {
+  if (!icon) return ''
+  return icon.startsWith('//') ? `https:${icon}` : icon
+}
+
+/**
+ * Convert "06:45 AM" style times to 24-hour "06:45".
+ * Returns null for placeholders such as "No moonrise".
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function to24Hour(value) {
+  const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)$/i.exec((value || '').trim())
+  if (!match) return null
+
+  let hours = Number(match[1]) % 12
+  if (match[3].toUpperCase() === 'PM') hours += 12
+  return `${String(hours).padStart(2, '0')}:${match[2]}`
+}
+
+/**
+ * Convert degrees to a 16-point compass direction
+ * @param {number} degrees
+ * @returns {string}
+ */
+export function degreesToCompass(degrees) {
+  const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+  return points[Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16]
+}
+
+/**
+ * Stable key for a location, used to store per-location preferences.
+ * Coordinates are rounded so tiny provider differences map to the same key.
+ * @param {{lat: number, lon: number}} location
+ * @returns {string}
+ */
+export function getLocationKey(location) {
+  return `${Number(location.lat).toFixed(2)},${Number(location.lon).toFixed(2)}`
+}
@@ -0,0 +1,398 @@
+import { createWeatherError } from './errors'
+import { fetchJson } from './http'
+import { degreesToCompass } from './model'
+import { usAqiToEpaIndex, calculateDefraIndex } from './airQuality'
+import { addDays } from '../../utils/forecast'
+import { t } from '../../utils/i18n'
+
+/**
+ * Open-Meteo adapter
+ *
+ * Open-Meteo needs no API key but only accepts coordinates, so place names
+ * are resolved through its geocoding API first. Conditions arrive as WMO
+ * weather codes, which are mapped to text and WeatherAPI's icon set so the
+ * UI looks the same whichever provider is active.
+ */
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast'
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search'
+const GEOCODING_LOOKUP_URL = 'https://geocoding-api.open-meteo.com/v1/get'
+const AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality'
+const ICON_BASE = 'https://cdn.weatherapi.com/weather/64x64'
+
+// WMO code -> [description, WeatherAPI icon number]
+const WMO_CODES = {
+  0: ['Clear', 113],
+  1: ['Mainly clear', 116],
+  2: ['Partly cloudy', 116],
+  3: ['Overcast', 122],
+  45: ['Fog', 248],
+  48: ['Freezing fog', 260],
+  51: ['Light drizzle', 266],
+  53: ['Drizzle', 266],
+  55: ['Heavy drizzle', 266],
+  56: ['Light freezing drizzle', 281],
+  57: ['Freezing drizzle', 284],
+  61: ['Light rain', 296],
+  63: ['Moderate rain', 302],
+  65: ['Heavy rain', 308],
+  66: ['Light freezing rain', 311],
+  67: ['Freezing rain', 314],
+  71: ['Light snow', 326],
+  73: ['Moderate snow', 332],
+  75: ['Heavy snow', 338],
+  77: ['Snow grains', 350],
+  80: ['Light rain showers', 353],
+  81: ['Rain showers', 356],
+  82: ['Violent rain showers', 359],
+  85: ['Light snow showers', 368],
+  86: ['Heavy snow showers', 371],
+  95: ['Thunderstorm', 389],
+  96: ['Thunderstorm with hail', 395],
+  99: ['Thunderstorm with heavy hail', 395]
+}
+
+const COORDINATES_PATTERN = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/
+const ID_PATTERN = /^id:(\d+)$/
+
+// Variables requested for forecasts and history alike
+const HOURLY_FIELDS = [
+  'temperature_2m', 'apparent_temperature', 'relative_humidity_2m', 'is_day',
+  'precipitation_probability', 'precipitation', 'snowfall', 'weather_code',
+  'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m', 'uv_index'
+].join(',')
+const DAILY_FIELDS = [
+  'weather_code', 'temperature_2m_max', 'temperature_2m_min', 'precipitation_sum',
+  'snowfall_sum', 'precipitation_probability_max', 'wind_speed_10m_max',
+  'uv_index_max', 'sunrise', 'sunset'
+].join(',')
+
+function normalizeCondition(code, isDay = true) {
+  const [text, icon] = WMO_CODES[code] ?? ['Unknown', 116]
+  return {
+    text: code === 0 && isDay ? 'Sunny' : text,
+    code,
+    icon: `${ICON_BASE}/${isDay ? 'day' : 'night'}/${icon}.png`
+  }
+}
+
+// Open-Meteo returns ISO "YYYY-MM-DDTHH:mm"; the model uses a space separator
+const toLocalTimestamp = (iso) => iso.replace('T', ' ')
+const toClockTime = (iso) => (iso ? iso.slice(11, 16) : null)
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0
+
+// Open-Meteo explains bad requests as { error: true, reason }; there is no key to go wrong
+const readApiError = (data, res) => (data?.error ? (res.status === 429 ? 'rate_limited' : 'bad_request') : null)
+const getJson = (url, signal) => fetchJson(url, { signal, readError: readApiError })
+
+/**
+ * Turn a free-text query into coordinates plus display names
+ * @param {string} query
+ * @param {AbortSignal} [signal]
+ */
+async function resolveLocation(query, signal) {
+  if (query === 'auto:ip') {
+    throw createWeatherError('unsupported_query', { message: t('error.openMeteoAutoIp') })
+  }
+
+  const coordinates = COORDINATES_PATTERN.exec(query.trim())
+  if (coordinates) {
+    const lat = Number(coordinates[1])
+    const lon = Number(coordinates[2])
+    return { name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`, region: '', country: '', lat, lon }
+  }
+
+  // "id:<geonameId>" comes from a picked suggestion and names one exact place
+  const id = ID_PATTERN.exec(query.trim())
+  if (id) {
+    const place = await getJson(`${GEOCODING_LOOKUP_URL}?id=${id[1]}`, signal)
+    if (!place?.latitude) {
+      throw createWeatherError('not_found')
+    }
+    return toPlace(place)
+  }
+
+  // Geocoding matches on the place name only, so drop any ", ST" suffix
+  const name = query.split(',')[0].trim()
+  const params = new URLSearchParams({ name, count: '1', language: 'en', format: 'json' })
+  const data = await getJson(`${GEOCODING_URL}?${params}`, signal)
+  const match = data.results?.[0]
+  if (!match) {
+    throw createWeatherError('not_found')
+  }
+
+  return toPlace(match)
+}
+
+function toPlace(result) {
+  return {
+    name: result.name,
+    region: result.admin1 || '',
+    country: result.country || '',
+    lat: result.latitude,
+    lon: result.longitude
+  }
+}
+
+/**
+ * Map the air-quality API response into current and per-day AirQuality
+ * @param {Object|null} data - Parsed air-quality response, or null if it failed
+ * @returns {{current: Object|null, byDate: Object}}
+ */
+function normalizeAirQuality(data) {
+  if (!data?.current) return { current: null, byDate: {} }
+
+  const { current, hourly } = data
+  const pollutants = {
+    pm2_5: current.pm2_5 ?? null,
+    pm10: current.pm10 ?? null,
+    o3: current.ozone ?? null,
+    no2: current.nitrogen_dioxide ?? null,
+    so2: current.sulphur_dioxide ?? null,
+    co: current.carbon_monoxide ?? null
+  }
+
+  // Daily trend: worst hourly US AQI, DEFRA from daily means (particles) and peaks (gases)
+  const byDate = {}
+  const dates = [...new Set((hourly?.time ?? []).map((time) => time.slice(0, 10)))]
+  for (const date of dates) {
+    const indexes = hourly.time.flatMap((time, i) => (time.startsWith(date) ? [i] : []))
+    const values = (key) => indexes.map((i) => hourly[key][i]).filter((value) => value !== null)
+    const usAqi = values('us_aqi')
+    if (usAqi.length === 0) continue
+
+    byDate[date] = {
+      usEpaIndex: usAqiToEpaIndex(Math.max(...usAqi)),
+      gbDefraIndex: calculateDefraIndex({
+        pm2_5: average(values('pm2_5')),
+        pm10: average(values('pm10')),
+        o3: Math.max(0, ...values('ozone')),
+        no2: Math.max(0, ...values('nitrogen_dioxide')),
+        so2: Math.max(0, ...values('sulphur_dioxide'))
+      })
+    }
+  }
+
+  return {
+    current: {
+      usEpaIndex: usAqiToEpaIndex(current.us_aqi),
+      gbDefraIndex: calculateDefraIndex(pollutants),
+      pollutants
+    },
+    byDate
+  }
+}
+
+/**
+ * Map Open-Meteo's hourly arrays into HourlyForecast entries
+ * @param {Object} hours - The response's `hourly` block
+ * @returns {import('./model').HourlyForecast[]}
+ */
+function normalizeHourly(hours) {
+  return hours.time.map((time, i) => {
+    const isDay = hours.is_day[i] === 1
+    return {
+      time: toLocalTimestamp(time),
+      tempC: hours.temperature_2m[i],
+      feelsLikeC: hours.apparent_temperature[i],
+      condition: normalizeCondition(hours.weather_code[i], isDay),
+      isDay,
+      chanceOfRain: hours.precipitation_probability[i] ?? 0,
+      chanceOfSnow: hours.snowfall[i] > 0 ? hours.precipitation_probability[i] ?? 0 : 0,
+      precipMm: hours.precipitation[i] ?? 0,
+      windKph: hours.wind_speed_10m[i],
+      windDir: degreesToCompass(hours.wind_direction_10m[i]),
+      gustKph: hours.wind_gusts_10m[i],
+      humidity: hours.relative_humidity_2m[i],
+      uv: hours.uv_index[i] ?? 0
+    }
+  })
+}
+
+/**
+ * Map Open-Meteo's daily arrays into DailyForecast entries
+ * @param {Object} days - The response's `daily` block
+ * @param {import('./model').HourlyForecast[]} hourly - Normalized hours, for daily averages
+ * @param {Object} [airQualityByDate]
+ * @returns {import('./model').DailyForecast[]}
+ */
+function normalizeDaily(days, hourly, airQualityByDate = {}) {
+  return days.time.map((date, i) => {
+    const dayHours = hourly.filter((hour) => hour.time.startsWith(date))
+    return {
+      date,
+      maxTempC: days.temperature_2m_max[i],
+      minTempC: days.temperature_2m_min[i],
+      avgTempC: average(dayHours.map((hour) => hour.tempC)),
+      condition: normalizeCondition(days.weather_code[i]),
+      totalPrecipMm: days.precipitation_sum[i] ?? 0,
+      totalSnowCm: days.snowfall_sum[i] ?? 0,
+      chanceOfRain: days.precipitation_probability_max[i] ?? 0,
+      chanceOfSnow: days.snowfall_sum[i] > 0 ? days.precipitation_probability_max[i] ?? 0 : 0,
+      maxWindKph: days.wind_speed_10m_max[i],
+      avgHumidity: Math.round(average(dayHours.map((hour) => hour.humidity))),
+      uv: days.uv_index_max[i] ?? 0,
+      airQuality: airQualityByDate[date] ?? null,
+      astro: {
+        sunrise: toClockTime(days.sunrise[i]),
+        sunset: toClockTime(days.sunset[i]),
+        moonrise: null,
+        moonset: null,
+        moonPhase: null
+      }
+    }
+  })
+}
+
+/**
+ * Map a raw Open-Meteo forecast response into a WeatherReport
+ * @param {Object} data - Parsed Open-Meteo forecast response
+ * @param {Object} place - Resolved location from resolveLocation()
+ * @param {Object|null} [airData] - Parsed air-quality response, if available
+ * @returns {import('./model').WeatherReport}
+ */
+export function normalizeForecast(data, place, airData = null) {
+  const { current } = data
+  const airQuality = normalizeAirQuality(airData)
+  const hourly = normalizeHourly(data.hourly)
+  const daily = normalizeDaily(data.daily, hourly, airQuality.byDate)
+  const isDay = current.is_day === 1
+
+  return {
+    provider: 'open-meteo',
+    location: {
+      name: place.name,
+      region: place.region,
+      country: place.country,
+      lat: data.latitude,
+      lon: data.longitude,
+      timezone: data.timezone,
+      localtime: toLocalTimestamp(current.time)
+    },
+    current: {
+      time: toLocalTimestamp(current.time),
+      tempC: current.temperature_2m,
+      feelsLikeC: current.apparent_temperature,
+      condition: normalizeCondition(current.weather_code, isDay),
+      isDay,
+      humidity: current.relative_humidity_2m,
+      windKph: current.wind_speed_10m,
+      windDir: degreesToCompass(current.wind_direction_10m),
+      gustKph: current.wind_gusts_10m,
+      pressureMb: current.pressure_msl,
+      precipMm: current.precipitation ?? 0,
+      cloud: current.cloud_cover ?? 0,
+      uv: current.uv_index ?? 0,
+      visibilityKm: (current.visibility ?? 0) / 1000
+    },
+    daily,
+    hourly,
+    airQuality: airQuality.current,
+    alerts: [],
+    astro: daily[0]?.astro ?? null
+  }
+}
+
+/**
+ * Fetch a forecast for a location query
+ * @param {string} query - City name or "lat,lon"
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').WeatherReport>}
+ */
+async function fetchForecast(query, { days = 7, signal } = {}) {
+  const place = await resolveLocation(query, signal)
+
+  const params = new URLSearchParams({
+    latitude: String(place.lat),
+    longitude: String(place.lon),
+    timezone: 'auto',
+    forecast_days: String(days),
+    current: [
+      'temperature_2m', 'apparent_temperature', 'relative_humidity_2m', 'is_day',
+      'precipitation', 'weather_code', 'cloud_cover', 'pressure_msl',
+      'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m', 'uv_index', 'visibility'
+    ].join(','),
+    hourly: HOURLY_FIELDS,
+    daily: DAILY_FIELDS
+  })
+
+  const airParams = new URLSearchParams({
+    latitude: String(place.lat),
+    longitude: String(place.lon),
+    timezone: 'auto',
+    forecast_days: String(Math.min(days, 7)),
+    current: 'us_aqi,pm2_5,pm10,ozone,nitrogen_dioxide,sulphur_dioxide,carbon_monoxide',
+    hourly: 'us_aqi,pm2_5,pm10,ozone,nitrogen_dioxide,sulphur_dioxide'
+  })
+
+  // Air quality is a nice-to-have: a failure there shouldn't hide the forecast
+  const [data, airData] = await Promise.all([
+    getJson(`${FORECAST_URL}?${params}`, signal),
+    getJson(`${AIR_QUALITY_URL}?${airParams}`, signal).catch((err) => {
+      if (err.name === 'AbortError') throw err
+      return null
+    })
+  ])
+  return normalizeForecast(data, place, airData)
+}
+
+/**
+ * Fetch the observed weather for the days before `today`
+ *
+ * The forecast API serves recent past days through start_date/end_date with
+ * the same variables as the forecast (chances of rain are empty for them).
+ *
+ * @param {string} query - City name or "lat,lon"
+ * @param {Object} options
+ * @param {string} options.today - Location's "YYYY-MM-DD"; history ends the day before
+ * @param {number} [options.days=7]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').WeatherHistory>}
+ */
+async function fetchHistory(query, { today, days = 7, signal } = {}) {
+  const place = await resolveLocation(query, signal)
+
+  const params = new URLSearchParams({
+    latitude: String(place.lat),
+    longitude: String(place.lon),
+    timezone: 'auto',
+    start_date: addDays(today, -days),
+    end_date: addDays(today, -1),
+    hourly: HOURLY_FIELDS,
+    daily: DAILY_FIELDS
+  })
+  const data = await getJson(`${FORECAST_URL}?${params}`, signal)
+  const hourly = normalizeHourly(data.hourly)
+  return { provider: 'open-meteo', daily: normalizeDaily(data.daily, hourly), hourly }
+}
+
+/**
+ * Find locations matching a partial name via the geocoding API
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').LocationSuggestion[]>}
+ */
+async function searchLocations(query, { signal } = {}) {
+  const params = new URLSearchParams({ name: query.trim(), count: '8', language: 'en', format: 'json' })
+  const data = await getJson(`${GEOCODING_URL}?${params}`, signal)
+
+  return (data.results ?? []).map((result) => ({
+    id: String(result.id),
+    ...toPlace(result),
+    query: `id:${result.id}`
+  }))
+}
+
+export const openMeteoProvider = {
+  id: 'open-meteo',
+  label: 'Open-Meteo',
+  fetchForecast,
+  fetchHistory,
+  searchLocations
+}
+
+export default openMeteoProvider
@@ -0,0 +1,243 @@
+import { WEATHER_API_URL } from '../../config'
+import { fetchJson } from './http'
+import { toAbsoluteIconUrl, to24Hour } from './model'
+import { normalizeWeatherApiAlert, mergeOverlappingAlerts } from './alerts'
+import { addDays } from '../../utils/forecast'
+
+/**
+ * WeatherAPI.com adapter
+ *
+ * Calls WeatherAPI's forecast, history and search endpoints through the API
+ * proxy in server/ (which adds the key) and maps their responses into the
+ * normalized model described in ./model.js.
+ */
+
+const BASE_URL = `${WEATHER_API_URL}/api`
+
+// WeatherAPI's error codes -> our error kinds
+// (https://www.weatherapi.com/docs/#intro-error-codes)
+const API_ERROR_CODES = {
+  1002: 'missing_key',
+  1003: 'bad_request',
+  1005: 'bad_request',
+  1006: 'not_found',
+  2006: 'invalid_key',
+  2007: 'quota_exceeded',
+  2008: 'key_disabled',
+  2009: 'plan_restricted',
+  9000: 'bad_request',
+  9001: 'bad_request',
+  9999: 'provider_unavailable'
+}
+
+/**
+ * Error kind for a WeatherAPI error body ({ error: { code, message } })
+ *
+ * Unknown codes, including the proxy's own errors that have none, are left
+ * to the HTTP status.
+ * @param {Object|null} data
+ * @returns {string|null}
+ */
+function readApiError(data) {
+  return API_ERROR_CODES[data?.error?.code] ?? null
+}
+
+function normalizeCondition(condition = {}) {
+  return {
+    text: condition.text || '',
+    code: condition.code ?? null,
+    icon: toAbsoluteIconUrl(condition.icon)
+  }
+}
+
+function normalizeAstro(astro = {}) {
+  return {
+    sunrise: to24Hour(astro.sunrise),
+    sunset: to24Hour(astro.sunset),
+    moonrise: to24Hour(astro.moonrise),
+    moonset: to24Hour(astro.moonset),
+    moonPhase: astro.moon_phase || null
+  }
+}
+
+/**
+ * Map WeatherAPI's air_quality block (present when requested with aqi=yes)
+ * @param {Object} [raw]
+ * @returns {import('./airQuality').AirQuality|null}
+ */
+function normalizeAirQuality(raw) {
+  if (!raw) return null
+  return {
+    usEpaIndex: raw['us-epa-index'] ?? null,
+    gbDefraIndex: raw['gb-defra-index'] ?? null,
+    pollutants: {
+      pm2_5: raw.pm2_5 ?? null,
+      pm10: raw.pm10 ?? null,
+      o3: raw.o3 ?? null,
+      no2: raw.no2 ?? null,
+      so2: raw.so2 ?? null,
+      co: raw.co ?? null
+    }
+  }
+}
+
+function normalizeHour(hour) {
+  return {
+    time: hour.time,
+    tempC: hour.temp_c,
+    feelsLikeC: hour.feelslike_c,
+    condition: normalizeCondition(hour.condition),
+    isDay: hour.is_day === 1,
+    chanceOfRain: hour.chance_of_rain ?? 0,
+    chanceOfSnow: hour.chance_of_snow ?? 0,
+    precipMm: hour.precip_mm ?? 0,
+    windKph: hour.wind_kph,
+    windDir: hour.wind_dir,
+    gustKph: hour.gust_kph ?? hour.wind_kph,
+    humidity: hour.humidity,
+    uv: hour.uv ?? 0
+  }
+}
+
+function normalizeDay(forecastDay) {
+  const { day } = forecastDay
+  return {
+    date: forecastDay.date,
+    maxTempC: day.maxtemp_c,
+    minTempC: day.mintemp_c,
+    avgTempC: day.avgtemp_c,
+    condition: normalizeCondition(day.condition),
+    totalPrecipMm: day.totalprecip_mm ?? 0,
+    totalSnowCm: day.totalsnow_cm ?? 0,
+    chanceOfRain: day.daily_chance_of_rain ?? 0,
+    chanceOfSnow: day.daily_chance_of_snow ?? 0,
+    maxWindKph: day.maxwind_kph,
+    avgHumidity: day.avghumidity,
+    uv: day.uv ?? 0,
+    airQuality: normalizeAirQuality(day.air_quality),
+    astro: normalizeAstro(forecastDay.astro)
+  }
+}
+
+/**
+ * Map a raw forecast.json response into a WeatherReport
+ * @param {Object} data - Parsed WeatherAPI response body
+ * @returns {import('./model').WeatherReport}
+ */
+export function normalizeForecast(data) {
+  const forecastDays = data.forecast?.forecastday ?? []
+  const daily = forecastDays.map(normalizeDay)
+
+  return {
+    provider: 'weatherapi',
+    location: {
+      name: data.location.name,
+      region: data.location.region,
+      country: data.location.country,
+      lat: data.location.lat,
+      lon: data.location.lon,
+      timezone: data.location.tz_id,
+      localtime: data.location.localtime
+    },
+    current: {
+      time: data.current.last_updated,
+      tempC: data.current.temp_c,
+      feelsLikeC: data.current.feelslike_c,
+      condition: normalizeCondition(data.current.condition),
+      isDay: data.current.is_day === 1,
+      humidity: data.current.humidity,
+      windKph: data.current.wind_kph,
+      windDir: data.current.wind_dir,
+      gustKph: data.current.gust_kph ?? data.current.wind_kph,
+      pressureMb: data.current.pressure_mb,
+      precipMm: data.current.precip_mm ?? 0,
+      cloud: data.current.cloud ?? 0,
+      uv: data.current.uv ?? 0,
+      visibilityKm: data.current.vis_km
+    },
+    daily,
+    hourly: forecastDays.flatMap((day) => (day.hour ?? []).map(normalizeHour)),
+    airQuality: normalizeAirQuality(data.current.air_quality),
+    alerts: mergeOverlappingAlerts((data.alerts?.alert ?? []).map(normalizeWeatherApiAlert)),
+    astro: daily[0]?.astro ?? null
+  }
+}
+
+/**
+ * Fetch a forecast for a location query
+ * @param {string} query - City name, "lat,lon" or "auto:ip"
+ * @param {Object} [options]
+ * @param {number} [options.days=7]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').WeatherReport>}
+ */
+async function fetchForecast(query, { days = 7, signal } = {}) {
+  const params = new URLSearchParams({ q: query, days: String(days) })
+  const data = await fetchJson(`${BASE_URL}/forecast?${params}`, { signal, readError: readApiError })
+  return normalizeForecast(data)
+}
+
+/**
+ * Fetch the observed weather for the days before `today` (history.json)
+ *
+ * history.json returns one date per call on most plans, so the days are
+ * requested in parallel.
+ *
+ * @param {string} query - City name or "lat,lon"
+ * @param {Object} options
+ * @param {string} options.today - Location's "YYYY-MM-DD"; history ends the day before
+ * @param {number} [options.days=7]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').WeatherHistory>}
+ */
+async function fetchHistory(query, { today, days = 7, signal } = {}) {
+  const dates = Array.from({ length: days }, (_, index) => addDays(today, index - days))
+  const responses = await Promise.all(
+    dates.map(async (dt) => {
+      const params = new URLSearchParams({ q: query, dt })
+      const data = await fetchJson(`${BASE_URL}/history?${params}`, { signal, readError: readApiError })
+      return data.forecast?.forecastday ?? []
+    })
+  )
+
+  const forecastDays = responses.flat()
+  return {
+    provider: 'weatherapi',
+    daily: forecastDays.map(normalizeDay),
+    hourly: forecastDays.flatMap((day) => (day.hour ?? []).map(normalizeHour))
+  }
+}
+
+/**
+ * Find locations matching a partial name (search.json)
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<import('./model').LocationSuggestion[]>}
+ */
+async function searchLocations(query, { signal } = {}) {
+  const params = new URLSearchParams({ q: query })
+  const data = await fetchJson(`${BASE_URL}/search?${params}`, { signal, readError: readApiError })
+  if (!Array.isArray(data)) return []
+
+  return data.map((place) => ({
+    id: String(place.id),
+    name: place.name,
+    region: place.region,
+    country: place.country,
+    lat: place.lat,
+    lon: place.lon,
+    // WeatherAPI accepts "id:<n>" to pin the exact place that was picked
+    query: `id:${place.id}`
+  }))
+}
+
+export const weatherApiProvider = {
+  id: 'weatherapi',
+  label: 'WeatherAPI',
+  fetchForecast,
+  fetchHistory,
+  searchLocations
+}
+
+export default weatherApiProvider
@@ -0,0 +1,80 @@
+/**
+ * Service worker
+ *
+ * Built by the service-worker plugin in vite.config.js, which fills in the
+ * build's file list below, so every deploy installs a new worker with its
+ * own shell cache.
+ *
+ * - The app shell (index.html, scripts, styles, icons) is precached, and
+ *   page loads are answered from it, so the app opens without a connection.
+ * - Weather icons are cached as they are seen.
+ * - /api requests always go to the network: the app keeps the last-known
+ *   forecasts itself (src/services/queryClient.js) and shows how old they are.
+ */
+
+const { version, base, urls } = self.__PRECACHE__
+const SHELL_CACHE = `shell-${version}`
+const IMAGE_CACHE = 'images'
+const MAX_IMAGES = 150
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(urls))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key.startsWith('shell-') && key !== SHELL_CACHE).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+/**
+ * Serve from the cache, or fetch and remember the response
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirstImage(request) {
+  const cache = await caches.open(IMAGE_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  // Cross-origin icons come back opaque (status 0), which is fine for <img>
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone())
+    const keys = await cache.keys()
+    await Promise.all(keys.slice(0, Math.max(keys.length - MAX_IMAGES, 0)).map((key) => cache.delete(key)))
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+
+  if (sameOrigin && url.pathname.startsWith(`${base}api/`)) return
+
+  // Every route is the same single-page app
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match(base, { cacheName: SHELL_CACHE }).then((cached) => cached ?? fetch(request)))
+    return
+  }
+
+  if (sameOrigin) {
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then((cached) => cached ?? fetch(request)))
+    return
+  }
+
+  if (request.destination === 'image') event.respondWith(cacheFirstImage(request))
+})
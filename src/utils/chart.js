@@ -0,0 +1,60 @@
+/**
+ * Small helpers for the hand-drawn SVG charts (no charting library)
+ */
+
+/**
+ * Map a value range onto a pixel range
+ * @param {[number, number]} domain - Data range
+ * @param {[number, number]} range - Pixel range (may be reversed, e.g. for a y axis)
+ * @returns {Function} value -> pixel
+ */
+export function linearScale([d0, d1], [r0, r1]) {
+  const span = d1 - d0 || 1
+  return (value) => r0 + ((value - d0) / span) * (r1 - r0)
+}
+
+/**
+ * Round axis bounds outward to a "nice" step (1, 2 or 5 times a power of
+ * ten) and list the ticks between them
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=4] - Roughly how many intervals to aim for
+ * @returns {{min: number, max: number, ticks: number[]}}
+ */
+export function niceTicks(min, max, count = 4) {
+  if (min === max) {
+    min -= 1
+    max += 1
+  }
+  const rough = (max - min) / count
+  const magnitude = 10 ** Math.floor(Math.log10(rough))
+  const step = [1, 2, 5, 10].map((factor) => factor * magnitude).find((candidate) => candidate >= rough)
+
+  const niceMin = Math.floor(min / step) * step
+  const niceMax = Math.ceil(max / step) * step
+  const ticks = []
+  // Rounding keeps 0.1 + 0.2-style float noise out of the labels
+  for (let tick = niceMin; tick <= niceMax + step / 2; tick += step) {
+    ticks.push(Number(tick.toFixed(6)))
+  }
+  return { min: niceMin, max: niceMax, ticks }
+}
+
+/**
+ * SVG path through points, as straight segments
+ * @param {Array<[number, number]>} points
+ * @returns {string}
+ */
+export function linePath(points) {
+  return points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ')
+}
+
+/**
+ * Closed SVG path for the band between an upper and a lower line that share x positions
+ * @param {Array<[number, number]>} upper
+ * @param {Array<[number, number]>} lower
+ * @returns {string}
+ */
+export function bandPath(upper, lower) {
+  return `${linePath([...upper, ...[...lower].reverse()])} Z`
+}
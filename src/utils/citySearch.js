@@ -1,156 +1,17 @@
-// City nicknames and common abbreviations mapping
-const CITY_NICKNAMES = {
-  'philly': 'Philadelphia',
-  'nyc': 'New York City',
-  'la': 'Los Angeles',
-  'sf': 'San Francisco',
-  'chi': 'Chicago',
-  'bos': 'Boston',
-  'dc': 'Washington DC',
-  'miami': 'Miami, FL',
-  'vegas': 'Las Vegas, NV',
-  'phoenix': 'Phoenix, AZ',
-  'seattle': 'Seattle, WA',
-  'portland': 'Portland, OR',
-  'denver': 'Denver, CO',
-  'atlanta': 'Atlanta, GA',
-  'dallas': 'Dallas, TX',
-  'houston': 'Houston, TX',
-  'austin': 'Austin, TX',
-  'nola': 'New Orleans, LA',
-  'nashville': 'Nashville, TN',
-  'charlotte': 'Charlotte, NC',
-  'tampa': 'Tampa, FL',
-  'orlando': 'Orlando, FL',
-  'detroit': 'Detroit, MI',
-  'columbus': 'Columbus, OH',
-  'indy': 'Indianapolis, IN',
-  'milwaukee': 'Milwaukee, WI',
-  'memphis': 'Memphis, TN',
-  'baltimore': 'Baltimore, MD',
-  'sacramento': 'Sacramento, CA',
-  'kansas city': 'Kansas City, MO',
-  'salt lake city': 'Salt Lake City, UT',
-  'tucson': 'Tucson, AZ',
-  'fresno': 'Fresno, CA',
-  'mesa': 'Mesa, AZ',
-  'virginia beach': 'Virginia Beach, VA',
-  'oklahoma city': 'Oklahoma City, OK',
-  'raleigh': 'Raleigh, NC',
-  'long beach': 'Long Beach, CA',
-  'colorado springs': 'Colorado Springs, CO',
-  'omaha': 'Omaha, NE',
-  'buffalo': 'Buffalo, NY',
-  'newark': 'Newark, NJ',
-  'pittsburgh': 'Pittsburgh, PA'
-};
+import { lookupPlace, getPlace, getCitiesIn, toProviderQuery, formatPlaceLabel } from './gazetteer';
+import { t } from './i18n';
+import { parseQueryIntent } from './queryIntent';
 
-// State to cities mapping for random city selection
-const STATE_CITIES = {
-  // Major US States with popular cities
-  'alabama': ['Birmingham', 'Montgomery', 'Mobile', 'Huntsville'],
-  'alaska': ['Anchorage', 'Fairbanks', 'Juneau'],
-  'arizona': ['Phoenix', 'Tucson', 'Mesa', 'Chandler', 'Scottsdale'],
-  'arkansas': ['Little Rock', 'Fort Smith', 'Fayetteville'],
-  'california': ['Los Angeles', 'San Francisco', 'San Diego', 'Sacramento', 'Oakland', 'Fresno'],
-  'colorado': ['Denver', 'Colorado Springs', 'Aurora', 'Boulder'],
-  'connecticut': ['Hartford', 'New Haven', 'Stamford', 'Bridgeport'],
-  'delaware': ['Wilmington', 'Dover', 'Newark'],
-  'florida': ['Miami', 'Orlando', 'Tampa', 'Jacksonville', 'Fort Lauderdale'],
-  'georgia': ['Atlanta', 'Augusta', 'Columbus', 'Savannah'],
-  'hawaii': ['Honolulu', 'Hilo', 'Kailua'],
-  'idaho': ['Boise', 'Meridian', 'Nampa'],
-  'illinois': ['Chicago', 'Aurora', 'Rockford', 'Joliet'],
-  'indiana': ['Indianapolis', 'Fort Wayne', 'Evansville'],
-  'iowa': ['Des Moines', 'Cedar Rapids', 'Davenport'],
-  'kansas': ['Wichita', 'Overland Park', 'Kansas City', 'Topeka'],
-  'kentucky': ['Louisville', 'Lexington', 'Bowling Green'],
-  'louisiana': ['New Orleans', 'Baton Rouge', 'Shreveport'],
-  'maine': ['Portland', 'Lewiston', 'Bangor'],
-  'maryland': ['Baltimore', 'Frederick', 'Rockville', 'Gaithersburg'],
-  'massachusetts': ['Boston', 'Worcester', 'Springfield', 'Cambridge'],
-  'michigan': ['Detroit', 'Grand Rapids', 'Warren', 'Sterling Heights'],
-  'minnesota': ['Minneapolis', 'Saint Paul', 'Rochester', 'Duluth'],
-  'mississippi': ['Jackson', 'Gulfport', 'Southaven'],
-  'missouri': ['Kansas City', 'Saint Louis', 'Springfield', 'Columbia'],
-  'montana': ['Billings', 'Missoula', 'Great Falls'],
-  'nebraska': ['Omaha', 'Lincoln', 'Bellevue'],
-  'nevada': ['Las Vegas', 'Henderson', 'Reno', 'Carson City'],
-  'new hampshire': ['Manchester', 'Nashua', 'Concord'],
-  'new jersey': ['Newark', 'Jersey City', 'Paterson', 'Elizabeth'],
-  'new mexico': ['Albuquerque', 'Las Cruces', 'Rio Rancho', 'Santa Fe'],
-  'new york': ['New York City', 'Buffalo', 'Rochester', 'Yonkers', 'Syracuse'],
-  'north carolina': ['Charlotte', 'Raleigh', 'Greensboro', 'Durham', 'Winston-Salem'],
-  'north dakota': ['Fargo', 'Bismarck', 'Grand Forks'],
-  'ohio': ['Columbus', 'Cleveland', 'Cincinnati', 'Toledo', 'Akron'],
-  'oklahoma': ['Oklahoma City', 'Tulsa', 'Norman'],
-  'oregon': ['Portland', 'Salem', 'Eugene', 'Gresham'],
-  'pennsylvania': ['Philadelphia', 'Pittsburgh', 'Allentown', 'Erie'],
-  'rhode island': ['Providence', 'Warwick', 'Cranston'],
-  'south carolina': ['Charleston', 'Columbia', 'North Charleston'],
-  'south dakota': ['Sioux Falls', 'Rapid City', 'Aberdeen'],
-  'tennessee': ['Nashville', 'Memphis', 'Knoxville', 'Chattanooga'],
-  'texas': ['Houston', 'San Antonio', 'Dallas', 'Austin', 'Fort Worth', 'El Paso'],
-  'utah': ['Salt Lake City', 'West Valley City', 'Provo', 'West Jordan'],
-  'vermont': ['Burlington', 'Essex', 'South Burlington'],
-  'virginia': ['Virginia Beach', 'Norfolk', 'Chesapeake', 'Richmond'],
-  'washington': ['Seattle', 'Spokane', 'Tacoma', 'Vancouver'],
-  'west virginia': ['Charleston', 'Huntington', 'Morgantown'],
-  'wisconsin': ['Milwaukee', 'Madison', 'Green Bay'],
-  'wyoming': ['Cheyenne', 'Casper', 'Laramie'],
-  
-  // Common abbreviations
-  'ca': ['Los Angeles', 'San Francisco', 'San Diego', 'Sacramento'],
-  'ny': ['New York City', 'Buffalo', 'Rochester', 'Syracuse'],
-  'tx': ['Houston', 'San Antonio', 'Dallas', 'Austin'],
-  'fl': ['Miami', 'Orlando', 'Tampa', 'Jacksonville'],
-  'il': ['Chicago', 'Aurora', 'Rockford'],
-  'pa': ['Philadelphia', 'Pittsburgh', 'Allentown'],
-  'oh': ['Columbus', 'Cleveland', 'Cincinnati'],
-  'ga': ['Atlanta', 'Augusta', 'Columbus'],
-  'nc': ['Charlotte', 'Raleigh', 'Greensboro'],
-  'mi': ['Detroit', 'Grand Rapids', 'Warren'],
-  'nj': ['Newark', 'Jersey City', 'Paterson'],
-  'va': ['Virginia Beach', 'Norfolk', 'Richmond'],
-  'wa': ['Seattle', 'Spokane', 'Tacoma'],
-  'az': ['Phoenix', 'Tucson', 'Mesa'],
-  'ma': ['Boston', 'Worcester', 'Springfield'],
-  'tn': ['Nashville', 'Memphis', 'Knoxville'],
-  'in': ['Indianapolis', 'Fort Wayne', 'Evansville'],
-  'mo': ['Kansas City', 'Saint Louis', 'Springfield'],
-  'md': ['Baltimore', 'Frederick', 'Rockville'],
-  'wi': ['Milwaukee', 'Madison', 'Green Bay'],
-  'co': ['Denver', 'Colorado Springs', 'Aurora'],
-  'mn': ['Minneapolis', 'Saint Paul', 'Rochester'],
-  'sc': ['Charleston', 'Columbia', 'North Charleston'],
-  'al': ['Birmingham', 'Montgomery', 'Mobile'],
-  'la': ['New Orleans', 'Baton Rouge', 'Shreveport'],
-  'ky': ['Louisville', 'Lexington', 'Bowling Green'],
-  'or': ['Portland', 'Salem', 'Eugene'],
-  'ok': ['Oklahoma City', 'Tulsa', 'Norman'],
-  'ct': ['Hartford', 'New Haven', 'Stamford'],
-  'ut': ['Salt Lake City', 'West Valley City', 'Provo'],
-  'ia': ['Des Moines', 'Cedar Rapids', 'Davenport'],
-  'nv': ['Las Vegas', 'Henderson', 'Reno'],
-  'ar': ['Little Rock', 'Fort Smith', 'Fayetteville'],
-  'ms': ['Jackson', 'Gulfport', 'Southaven'],
-  'ks': ['Wichita', 'Overland Park', 'Kansas City'],
-  'nm': ['Albuquerque', 'Las Cruces', 'Santa Fe'],
-  'ne': ['Omaha', 'Lincoln', 'Bellevue'],
-  'id': ['Boise', 'Meridian', 'Nampa'],
-  'wv': ['Charleston', 'Huntington', 'Morgantown'],
-  'hi': ['Honolulu', 'Hilo', 'Kailua'],
-  'me': ['Portland', 'Lewiston', 'Bangor'],
-  'nh': ['Manchester', 'Nashua', 'Concord'],
-  'ri': ['Providence', 'Warwick', 'Cranston'],
-  'mt': ['Billings', 'Missoula', 'Great Falls'],
-  'de': ['Wilmington', 'Dover', 'Newark'],
-  'sd': ['Sioux Falls', 'Rapid City', 'Aberdeen'],
-  'nd': ['Fargo', 'Bismarck', 'Grand Forks'],
-  'ak': ['Anchorage', 'Fairbanks', 'Juneau'],
-  'vt': ['Burlington', 'Essex', 'South Burlington'],
-  'wy': ['Cheyenne', 'Casper', 'Laramie']
-};
+// Below this the top candidate is only offered as a suggestion and the input is searched as typed
+const MIN_CONFIDENCE = 0.3;
+// A typo'd name ("Philadelpia") is only corrected silently above this; below it's a suggestion
+const AUTO_CORRECT_CONFIDENCE = 0.7;
+// Weaker candidates than this aren't worth a "did you mean"
+const MIN_ALTERNATIVE_CONFIDENCE = 0.1;
+// A region or country search compares this many of its biggest cities
+const MAX_AREA_CITIES = 12;
+// "place:us-me-portland" pins one gazetteer entry, e.g. from a "did you mean" link
+const PLACE_ID_PATTERN = /^place:([\w-]+)$/;
 
 /**
  * Check if input contains only numbers and numeric characters
@@ -164,48 +25,161 @@ function isNumericOnly(input) {
 }
 
 /**
- * Processes search input to handle state names and return a city
- * If a state name is entered, returns a random city from that state
- * Otherwise returns the original input
+ * A candidate the user can pick instead of the one we went with
+ * @param {import('./gazetteer').PlaceCandidate} candidate
+ * @returns {{id: string, label: string, kind: string, confidence: number, query: string}}
+ */
+function toAlternative({ place, confidence }) {
+  return {
+    id: place.id,
+    label: formatPlaceLabel(place),
+    kind: place.kind,
+    confidence,
+    query: `place:${place.id}`
+  };
+}
+
+/**
+ * Turn a gazetteer place into the city to search for
+ * @param {import('./gazetteer').PlaceCandidate} candidate
+ */
+function resolveCandidate({ place, match }) {
+  if (place.type === 'city') {
+    return { city: toProviderQuery(place), type: match === 'alias' ? 'nickname' : 'city', place };
+  }
+
+  // Regions and countries: their biggest cities, for a side-by-side overview
+  const areaCities = getCitiesIn(place).slice(0, MAX_AREA_CITIES);
+  // The gazetteer doesn't list cities everywhere; with one there's nothing to compare,
+  // with none let the provider find the place itself
+  if (areaCities.length === 1) {
+    return { city: toProviderQuery(areaCities[0]), type: 'city', place: areaCities[0] };
+  }
+  if (areaCities.length === 0) {
+    return { city: place.name, type: 'direct', place };
+  }
+
+  const cities = areaCities.map((city) => ({
+      id: city.id,
+      name: city.name,
+      // Country overviews span regions, so say which one each city is in
+      detail: place.type === 'country' ? city.regionName : null,
+      query: toProviderQuery(city),
+      placeQuery: `place:${city.id}`
+    }));
+  return {
+    city: null,
+    type: place.type === 'country' ? 'country' : 'state',
+    kind: place.kind,
+    place,
+    cities
+  };
+}
+
+/**
+ * Processes search input to handle nicknames, state, region and country names and return a city
+ *
+ * The input is looked up in the gazetteer. The most likely place wins; if it's a
+ * region or country, its biggest cities are returned as `cities` (and `city` is
+ * null) so they can be compared side by side. Other plausible places are
+ * returned as `alternatives` for a "did you mean" prompt. Unknown input, or input
+ * that only weakly matches something (like "in" for Indiana), is searched as typed.
+ * A close misspelling ("Pittsburg") is corrected: `original` keeps the typed
+ * text and `corrected` names the place searched instead. A doubtful one is
+ * searched as typed and offered as an alternative.
  * 
- * @param {string} input - User's search input
- * @returns {string} - City name to search for
+ * Questions such as "coldest day this week in Denver" are split up first: the
+ * place is resolved as above and the rest is returned as `intent` (see
+ * ./queryIntent.js). A question with no place, like "rain tomorrow?", has
+ * type 'current' and a null city, meaning the user's own location.
+ *
+ * @param {string} input - User's search input, or "place:<id>" for an exact gazetteer entry
+ * @returns {{
+ *   city: string,
+ *   type: 'nickname'|'city'|'state'|'country'|'direct'|'current',
+ *   kind?: string,
+ *   place?: import('./gazetteer').Place,
+ *   cities?: Array<{id: string, name: string, detail: string|null, query: string, placeQuery: string}>,
+ *   original?: string - The place text as typed,
+ *   corrected?: string - Name of the place a misspelling was corrected to,
+ *   confidence?: number,
+ *   alternatives?: Array,
+ *   intent?: import('./queryIntent').QueryIntent|null
+ * }} - `city` is the provider query: "lat,lon" for a gazetteer city, the typed text for
+ *   'direct', null for regions and countries; type 'state' covers any first-level region
  */
 export function processSearchInput(input) {
   if (!input || typeof input !== 'string') {
     return { city: input, type: 'direct' };
   }
 
-  // Clean and normalize the input
-  const cleanInput = input.trim().toLowerCase();
+  const original = input.trim();
   
   // Reject numeric-only inputs
-  if (isNumericOnly(cleanInput)) {
-    throw new Error('Please enter a city or state name, not numbers.');
+  if (isNumericOnly(original)) {
+    throw new Error(t('search.numbers'));
   }
 
-  // Check if the input matches a city nickname first
-  if (CITY_NICKNAMES[cleanInput]) {
-    return { 
-      city: CITY_NICKNAMES[cleanInput], 
-      type: 'nickname',
-      original: input.trim()
-    };
+  // "will it rain in Boston tomorrow?": resolve the place, keep the question
+  const intent = parseQueryIntent(original);
+  if (!intent) return { ...resolvePlace(original), intent: null };
+  if (!intent.location) {
+    return { city: null, type: 'current', original, alternatives: [], intent };
   }
-  
-  // Check if the input matches a state name or abbreviation
-  if (STATE_CITIES[cleanInput]) {
-    const cities = STATE_CITIES[cleanInput];
-    const selectedCity = cities[Math.floor(Math.random() * cities.length)];
-    return { 
-      city: selectedCity, 
-      type: 'state',
-      original: input.trim()
+  return { ...resolvePlace(intent.location), intent };
+}
+
+/**
+ * Look place text up in the gazetteer (see processSearchInput)
+ * @param {string} original - Trimmed place text
+ * @returns {Object}
+ */
+function resolvePlace(original) {
+  const pinned = PLACE_ID_PATTERN.exec(original);
+  const pinnedPlace = pinned && getPlace(pinned[1]);
+  const candidates = pinnedPlace
+    ? [{ place: pinnedPlace, match: 'name', confidence: 1, corrected: false }]
+    : lookupPlace(original);
+  const [best, ...others] = candidates;
+  const threshold = best?.corrected ? AUTO_CORRECT_CONFIDENCE : MIN_CONFIDENCE;
+
+  if (!best || best.confidence < threshold) {
+    // Not a place we know well enough: let the weather provider interpret it
+    return {
+      city: original,
+      type: 'direct',
+      original,
+      confidence: best?.confidence ?? 0,
+      alternatives: candidates
+        .filter((candidate) => candidate.confidence >= MIN_ALTERNATIVE_CONFIDENCE)
+        .map(toAlternative)
     };
   }
 
-  // If not a state or known nickname, return the original input (assuming it's a city)
-  return { city: input.trim(), type: 'direct' };
+  return {
+    ...resolveCandidate(best),
+    original,
+    corrected: best.corrected ? best.place.name : undefined,
+    confidence: best.confidence,
+    alternatives: others
+      .filter((candidate) => candidate.confidence >= MIN_ALTERNATIVE_CONFIDENCE)
+      .map(toAlternative)
+  };
+}
+
+/**
+ * Known places the input looks like a misspelling of, for suggestions while
+ * typing. Empty when the input matches something exactly or nothing at all.
+ * @param {string} input
+ * @returns {Array} - Same shape as processSearchInput()'s `alternatives`
+ */
+export function suggestCorrections(input) {
+  const original = (input ?? '').trim();
+  if (!original || isNumericOnly(original)) return [];
+
+  return lookupPlace(original)
+    .filter((candidate) => candidate.corrected && candidate.confidence >= MIN_ALTERNATIVE_CONFIDENCE)
+    .map(toAlternative);
 }
 
-export default processSearchInput;
\ No newline at end of file
+export default processSearchInput;
@@ -0,0 +1,176 @@
+import { describe, expect, it } from 'vitest'
+import { processSearchInput, suggestCorrections } from './citySearch'
+
+const alternativeIds = (result) => result.alternatives.map((alternative) => alternative.id)
+
+describe('processSearchInput collisions', () => {
+  it('reads "la" as Los Angeles and offers Louisiana', () => {
+    for (const input of ['la', 'LA']) {
+      const result = processSearchInput(input)
+      expect(result).toMatchObject({ type: 'nickname', city: '34.05,-118.24' })
+      expect(result.place.id).toBe('us-ca-los-angeles')
+      expect(alternativeIds(result)).toEqual(['us-la'])
+    }
+  })
+
+  it('reaches Louisiana by name', () => {
+    const result = processSearchInput('Louisiana')
+    expect(result).toMatchObject({ type: 'state', city: null, confidence: 1 })
+    expect(result.place.id).toBe('us-la')
+  })
+
+  it.each([
+    ['in', 'us-in'],
+    ['or', 'us-or'],
+    ['me', 'us-me'],
+    ['ok', 'us-ok'],
+    ['hi', 'us-hi'],
+    ['oh', 'us-oh'],
+    ['id', 'us-id']
+  ])('searches the common word "%s" as typed and offers the state', (input, stateId) => {
+    const result = processSearchInput(input)
+    expect(result).toMatchObject({ type: 'direct', city: input })
+    expect(alternativeIds(result)).toEqual([stateId])
+  })
+
+  it.each([
+    ['IN', 'us-in'],
+    ['OR', 'us-or'],
+    ['ME', 'us-me'],
+    ['OK', 'us-ok'],
+    ['HI', 'us-hi']
+  ])('reads the capitalised code "%s" as the state', (input, stateId) => {
+    const result = processSearchInput(input)
+    expect(result.type).toBe('state')
+    expect(result.place.id).toBe(stateId)
+  })
+
+  it.each([
+    ['sea', 'us-wa-seattle'],
+    ['mel', 'au-vic-melbourne']
+  ])('searches the word "%s" as typed rather than as a city alias', (input, cityId) => {
+    const result = processSearchInput(input)
+    expect(result).toMatchObject({ type: 'direct', city: input })
+    expect(alternativeIds(result)).toEqual([cityId])
+  })
+
+  it.each([
+    ['Portland', 'us-or-portland', 'us-me-portland'],
+    ['Springfield', 'us-mo-springfield', 'us-ma-springfield'],
+    ['London', 'gb-eng-london', 'ca-on-london'],
+    ['Birmingham', 'gb-eng-birmingham', 'us-al-birmingham'],
+    ['Columbus', 'us-oh-columbus', 'us-ga-columbus'],
+    ['Kansas City', 'us-mo-kansas-city', 'us-ks-kansas-city']
+  ])('picks the bigger "%s" and offers the other', (input, bestId, otherId) => {
+    const result = processSearchInput(input)
+    expect(result.type).toBe('city')
+    expect(result.place.id).toBe(bestId)
+    expect(result.confidence).toBeLessThan(1)
+    expect(alternativeIds(result)).toContain(otherId)
+  })
+
+  it.each([
+    ['Portland, ME', 'us-me-portland'],
+    ['Portland, Oregon', 'us-or-portland'],
+    ['London, Canada', 'ca-on-london']
+  ])('settles "%s" with its qualifier', (input, id) => {
+    const result = processSearchInput(input)
+    expect(result.place.id).toBe(id)
+    expect(result.confidence).toBe(1)
+    expect(result.alternatives).toEqual([])
+  })
+
+  it('prefers a state to its namesake city, and offers the city', () => {
+    const washington = processSearchInput('Washington')
+    expect(washington.place.id).toBe('us-wa')
+    expect(alternativeIds(washington)).toEqual(['us-dc-washington'])
+
+    const newYork = processSearchInput('New York')
+    expect(newYork.place.id).toBe('us-ny')
+    expect(alternativeIds(newYork)).toEqual(['us-ny-new-york-city'])
+
+    const victoria = processSearchInput('Victoria')
+    expect(victoria.place.id).toBe('au-vic')
+    expect(alternativeIds(victoria)).toEqual(['ca-bc-victoria'])
+  })
+
+  it('prefers a curated alias to a region code', () => {
+    const result = processSearchInput('KL')
+    expect(result.place.id).toBe('my-14-kuala-lumpur')
+    expect(alternativeIds(result)).toEqual(['in-kl'])
+  })
+
+  it('treats a city-state as one place', () => {
+    const result = processSearchInput('Singapore')
+    expect(result).toMatchObject({ type: 'city', confidence: 1, alternatives: [] })
+  })
+
+  it('resolves nicknames', () => {
+    expect(processSearchInput('NYC').place.id).toBe('us-ny-new-york-city')
+    expect(processSearchInput('big apple').place.id).toBe('us-ny-new-york-city')
+    expect(processSearchInput('philly').place.id).toBe('us-pa-philadelphia')
+  })
+})
+
+describe('processSearchInput provider queries', () => {
+  it('loads gazetteer cities by their coordinates', () => {
+    expect(processSearchInput('Portland, ME').city).toBe('43.66,-70.26')
+    expect(processSearchInput('Portland, Oregon').city).toBe('45.52,-122.68')
+  })
+
+  it('opens the exact city picked from "did you mean"', () => {
+    const portland = processSearchInput('Portland')
+    const maine = portland.alternatives.find((alternative) => alternative.id === 'us-me-portland')
+
+    expect(maine).toMatchObject({ label: 'Portland, Maine, United States', query: 'place:us-me-portland' })
+    expect(processSearchInput(maine.query)).toMatchObject({ type: 'city', city: '43.66,-70.26', confidence: 1 })
+  })
+
+  it('lists region cities with coordinates and pinned place queries', () => {
+    const result = processSearchInput('Oregon')
+    const portland = result.cities.find((city) => city.id === 'us-or-portland')
+
+    expect(result).toMatchObject({ type: 'state', city: null })
+    expect(portland).toMatchObject({ query: '45.52,-122.68', placeQuery: 'place:us-or-portland' })
+  })
+
+  it('searches unknown places as typed', () => {
+    expect(processSearchInput('Hot Springs')).toMatchObject({ type: 'direct', city: 'Hot Springs', alternatives: [] })
+  })
+
+  it('rejects numbers', () => {
+    expect(() => processSearchInput('12345')).toThrow()
+  })
+})
+
+describe('processSearchInput corrections', () => {
+  it.each([
+    ['Philadelpia', 'Philadelphia', 'us-pa-philadelphia'],
+    ['Californa', 'California', 'us-ca'],
+    ['Califronia', 'California', 'us-ca'],
+    ['Pittsburg', 'Pittsburgh', 'us-pa-pittsburgh'],
+    ['Sna Francisco', 'San Francisco', 'us-ca-san-francisco']
+  ])('corrects "%s" to %s', (input, name, id) => {
+    const result = processSearchInput(input)
+    expect(result).toMatchObject({ original: input, corrected: name })
+    expect(result.place.id).toBe(id)
+  })
+
+  it('leaves a correctly spelled name alone', () => {
+    expect(processSearchInput('Pittsburgh')).toMatchObject({ original: 'Pittsburgh', corrected: undefined })
+  })
+
+  it('searches a doubtful misspelling as typed and suggests the place', () => {
+    const result = processSearchInput('Bostn')
+    expect(result).toMatchObject({ type: 'direct', city: 'Bostn', original: 'Bostn' })
+    expect(result.corrected).toBeUndefined()
+    expect(alternativeIds(result)).toEqual(['us-ma-boston'])
+    expect(suggestCorrections('Bostn').map((suggestion) => suggestion.id)).toEqual(['us-ma-boston'])
+  })
+
+  it('suggests nothing for exact matches or unknown text', () => {
+    expect(suggestCorrections('Boston')).toEqual([])
+    expect(suggestCorrections('Rainy River')).toEqual([])
+    expect(suggestCorrections('')).toEqual([])
+  })
+})
@@ -0,0 +1,45 @@
+/**
+ * Helpers for working with the normalized forecast model
+ * (see src/services/weather/model.js)
+ */
+
+/**
+ * Parse a location-local "YYYY-MM-DD HH:mm" (or "YYYY-MM-DD") string.
+ * The result is a Date whose local fields match the location's wall clock,
+ * which is what we want for labels like "3 PM" or "Tuesday".
+ * @param {string} value
+ * @returns {Date}
+ */
+export function parseLocalTimestamp(value) {
+  const [date, time = '00:00'] = value.split(' ')
+  return new Date(`${date}T${time}`)
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" date (negative to go back)
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  // Noon UTC keeps daylight-saving shifts from moving the date
+  const next = new Date(`${date}T12:00:00Z`)
+  next.setUTCDate(next.getUTCDate() + days)
+  return next.toISOString().slice(0, 10)
+}
+
+/**
+ * Hourly entries from the location's current hour onwards
+ * @param {Array} hourly - Normalized hourly forecast
+ * @param {string} localtime - Location's current "YYYY-MM-DD HH:mm"
+ * @param {number} [count=48] - Maximum number of hours to return
+ * @returns {Array}
+ */
+export function getUpcomingHours(hourly, localtime, count = 48) {
+  if (!hourly?.length) return []
+  // Compare against the start of the current hour so "now" is included
+  const currentHour = `${localtime.slice(0, 13)}:00`
+  const startIndex = hourly.findIndex((hour) => hour.time >= currentHour)
+  if (startIndex === -1) return []
+  return hourly.slice(startIndex, startIndex + count)
+}
@@ -0,0 +1,340 @@
+import { COUNTRY_ROWS, REGION_ROWS, CITY_ROWS } from './gazetteerData'
+
+/**
+ * Gazetteer: structured place lookup for search input
+ *
+ * Every country, first-level region and city has a canonical id
+ * ("us", "us-la", "us-ca-los-angeles"), coordinates or population, admin
+ * codes and aliases. lookupPlace() returns every place a query could mean,
+ * ranked with a confidence score, so callers can act on a clear winner and
+ * offer "did you mean" for the rest instead of silently guessing.
+ */
+
+/**
+ * @typedef {Object} Place
+ * @property {string} id - Canonical id, e.g. "us-or-portland"
+ * @property {'country'|'region'|'city'} type
+ * @property {string} kind - 'country', 'city', or the region kind ('state', 'province', ...)
+ * @property {string} name
+ * @property {string} countryCode - ISO 3166-1 alpha-2
+ * @property {string} countryName
+ * @property {string} adminCode - First-level subdivision code ('' for countries)
+ * @property {string|null} regionName - Name of that subdivision, when the gazetteer has it
+ * @property {number|null} lat
+ * @property {number|null} lon
+ * @property {number} population
+ * @property {string[]} aliases
+ */
+
+/**
+ * @typedef {Object} PlaceCandidate
+ * @property {Place} place
+ * @property {'name'|'alias'|'code'} match - What part of the place the query matched
+ * @property {number} confidence - 0 to 1
+ * @property {boolean} corrected - Matched only after allowing for typos
+ */
+
+// How strongly each kind of match suggests the user meant that place
+const MATCH_WEIGHTS = { name: 1, alias: 0.85, code: 0.6 }
+// A code typed in capitals ("LA", "IN") is probably meant as a code, though a
+// curated alias ("KL" for Kuala Lumpur) still counts for more
+const UPPERCASE_CODE_WEIGHT = 0.7
+// Codes/aliases that are also everyday words, typed in lower case
+const COMMON_WORD_WEIGHT = 0.25
+const COMMON_WORDS = new Set([
+  'in', 'or', 'me', 'ok', 'hi', 'oh', 'id', 'on', 'by', 'he', 'so', 'to', 'no', 'is',
+  'it', 'at', 'as', 'an', 'am', 'do', 'go', 'if', 'my', 'of', 'up', 'us', 'we', 'be',
+  'sea', 'sin', 'mass', 'mel'
+])
+// Typos tolerated when nothing matches exactly: one per four letters typed, at most three
+const LETTERS_PER_TYPO = 4
+const MAX_TYPOS = 3
+
+/**
+ * Lower-case, collapse spaces and strip accents, so "Québec" matches "quebec"
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldName(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+const slugify = (text) =>
+  foldName(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+
+const COUNTRIES = new Map(
+  COUNTRY_ROWS.map(([code, name, population, aliases]) => [
+    code,
+    {
+      id: code.toLowerCase(),
+      type: 'country',
+      kind: 'country',
+      name,
+      countryCode: code,
+      countryName: name,
+      adminCode: '',
+      regionName: null,
+      lat: null,
+      lon: null,
+      population,
+      aliases
+    }
+  ])
+)
+
+const REGIONS = new Map(
+  REGION_ROWS.map(([countryCode, adminCode, name, kind, population, aliases]) => [
+    `${countryCode}-${adminCode}`,
+    {
+      id: `${countryCode}-${adminCode}`.toLowerCase(),
+      type: 'region',
+      kind,
+      name,
+      countryCode,
+      countryName: COUNTRIES.get(countryCode).name,
+      adminCode,
+      regionName: name,
+      lat: null,
+      lon: null,
+      population,
+      aliases
+    }
+  ])
+)
+
+const CITIES = CITY_ROWS.map(([countryCode, adminCode, name, lat, lon, population, aliases]) => ({
+  id: [countryCode.toLowerCase(), adminCode.toLowerCase(), slugify(name)].filter(Boolean).join('-'),
+  type: 'city',
+  kind: 'city',
+  name,
+  countryCode,
+  countryName: COUNTRIES.get(countryCode).name,
+  adminCode,
+  regionName: REGIONS.get(`${countryCode}-${adminCode}`)?.name ?? null,
+  lat,
+  lon,
+  population,
+  aliases
+}))
+
+const PLACES = new Map(
+  [...COUNTRIES.values(), ...REGIONS.values(), ...CITIES].map((place) => [place.id, place])
+)
+
+// Folded name/alias/code -> every place it can refer to
+const INDEX = new Map()
+
+function addToIndex(key, place, match) {
+  const folded = foldName(key)
+  if (!INDEX.has(folded)) INDEX.set(folded, [])
+  INDEX.get(folded).push({ place, match })
+}
+
+PLACES.forEach((place) => {
+  addToIndex(place.name, place, 'name')
+  place.aliases.forEach((alias) => addToIndex(alias, place, 'alias'))
+  // Region codes are how people abbreviate states ("TX", "NSW"); country codes
+  // are left out on purpose (see gazetteerData.js)
+  if (place.type === 'region' && /^[a-z]/i.test(place.adminCode)) {
+    addToIndex(place.adminCode, place, 'code')
+  }
+})
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring letters
+ * ("Califronia") as one edit. Gives up once the distance is over `limit`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} limit
+ * @returns {number} - The distance, or limit + 1 if it's larger
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1
+
+  let beforePrevious = []
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > limit) return limit + 1
+    beforePrevious = previous
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Index entries within a few typos of a folded name ("philadelpia" ->
+ * Philadelphia). Codes are skipped: "TZ" is not a typo of "TX".
+ * @param {string} folded
+ * @returns {Array<{place: Place, match: string, similarity: number}>}
+ */
+function findNearMatches(folded) {
+  const limit = Math.min(MAX_TYPOS, Math.floor(folded.length / LETTERS_PER_TYPO))
+  if (!limit) return []
+
+  const found = []
+  INDEX.forEach((entries, key) => {
+    const distance = editDistance(folded, key, limit)
+    if (distance > limit) return
+    const similarity = 1 - distance / Math.max(folded.length, key.length)
+    entries
+      .filter(({ match }) => match !== 'code')
+      .forEach((entry) => found.push({ ...entry, similarity }))
+  })
+  return found
+}
+
+/**
+ * Look a place up by canonical id
+ * @param {string} id
+ * @returns {Place|null}
+ */
+export function getPlace(id) {
+  return PLACES.get(id) ?? null
+}
+
+/**
+ * Cities inside a region or country, largest first
+ * @param {Place} place
+ * @returns {Place[]}
+ */
+export function getCitiesIn(place) {
+  return CITIES.filter(
+    (city) =>
+      city.countryCode === place.countryCode && (place.type === 'country' || city.adminCode === place.adminCode)
+  ).sort((a, b) => b.population - a.population)
+}
+
+/**
+ * Human-readable label, e.g. "Portland, Maine, United States"
+ * @param {Place} place
+ * @returns {string}
+ */
+export function formatPlaceLabel(place) {
+  if (place.type === 'country') return place.name
+  // US cities outside any state (Washington, DC) still get their code
+  const region = place.regionName ?? (place.countryCode === 'US' ? place.adminCode : null)
+  const parts = [place.name, place.type === 'city' ? region : null, place.countryName]
+  // City-states like Singapore shouldn't read "Singapore, Singapore"
+  return [...new Set(parts.filter(Boolean))].join(', ')
+}
+
+/**
+ * Query string for the weather provider: the city's coordinates. A name like
+ * "Portland, ME" would be geocoded again by the provider, and not every
+ * provider honours the state (Open-Meteo takes the first "Portland").
+ * @param {Place} city
+ * @returns {string} - "lat,lon"
+ */
+export function toProviderQuery(city) {
+  return `${city.lat},${city.lon}`
+}
+
+/**
+ * Whether a qualifier like "ME", "Maine" or "France" describes a place
+ * @param {Place} place
+ * @param {string} qualifier - Folded
+ * @returns {boolean}
+ */
+function matchesQualifier(place, qualifier) {
+  const country = COUNTRIES.get(place.countryCode)
+  const names = [
+    place.adminCode,
+    place.regionName,
+    place.countryCode,
+    place.countryName,
+    ...country.aliases,
+    ...(REGIONS.get(`${place.countryCode}-${place.adminCode}`)?.aliases ?? [])
+  ]
+  return names.some((name) => name && foldName(name) === qualifier)
+}
+
+/**
+ * Weight of a single match before ranking
+ * @param {'name'|'alias'|'code'} match
+ * @param {string} typed - The text as the user typed it
+ * @returns {number}
+ */
+function matchWeight(match, typed) {
+  if (match === 'name') return MATCH_WEIGHTS.name
+  if (COMMON_WORDS.has(typed)) return COMMON_WORD_WEIGHT
+  if (match === 'code' && typed.length <= 3 && typed === typed.toUpperCase()) return UPPERCASE_CODE_WEIGHT
+  return MATCH_WEIGHTS[match]
+}
+
+/**
+ * Every place a query could refer to, most likely first
+ *
+ * Supports qualified queries ("Portland, ME", "London, Canada"). Candidates
+ * are weighted by how they matched and, as a tie-breaker between namesakes,
+ * by population; confidence is that weight's share of the total, scaled by
+ * the match quality. A unique name scores 1; "Portland" splits between
+ * Oregon and Maine; lower-case "in" barely suggests Indiana.
+ *
+ * When nothing matches exactly, names within a few typos are tried instead
+ * and marked `corrected`; the more letters are off, the lower the confidence.
+ *
+ * @param {string} query
+ * @returns {PlaceCandidate[]}
+ */
+export function lookupPlace(query) {
+  const [namePart, ...qualifiers] = query.split(',').map((part) => part.trim())
+  const foldedQualifiers = qualifiers.filter(Boolean).map(foldName)
+
+  const folded = foldName(namePart)
+  let matches = INDEX.get(folded) ?? findNearMatches(folded)
+  if (foldedQualifiers.length) {
+    matches = matches.filter(({ place }) =>
+      foldedQualifiers.every((qualifier) => matchesQualifier(place, qualifier))
+    )
+  }
+
+  // One entry per place, keeping its strongest match
+  const byPlace = new Map()
+  matches.forEach(({ place, match, similarity = 1 }) => {
+    const weight = matchWeight(match, namePart) * similarity ** 2
+    if (!byPlace.has(place.id) || byPlace.get(place.id).weight < weight) {
+      byPlace.set(place.id, { place, match, weight, corrected: similarity < 1 })
+    }
+  })
+
+  // A city-state is one place, not a country and a city that tie
+  const entries = [...byPlace.values()].filter(
+    ({ place }) =>
+      place.type !== 'country' ||
+      ![...byPlace.values()].some(
+        (other) => other.place.type === 'city' && other.place.countryCode === place.countryCode
+      )
+  )
+
+  const scored = entries.map((entry) => ({
+    ...entry,
+    score: entry.weight ** 4 * Math.max(entry.place.population, 1) ** 0.25
+  }))
+  const total = scored.reduce((sum, entry) => sum + entry.score, 0)
+
+  return scored
+    .map(({ place, match, weight, score, corrected }) => ({
+      place,
+      match,
+      confidence: Math.round(weight * (score / total) * 100) / 100,
+      corrected
+    }))
+    .sort((a, b) => b.confidence - a.confidence || b.place.population - a.place.population)
+}
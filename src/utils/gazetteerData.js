@@ -0,0 +1,559 @@
+/**
+ * Gazetteer source data
+ *
+ * Compact rows, expanded into place records by ./gazetteer.js. Populations
+ * are approximate (recent censuses/estimates) and only used for ranking, so
+ * a bigger place wins a tie between namesakes. Coordinates are city centres.
+ *
+ * Aliases are lower-case nicknames, alternative spellings and codes people
+ * actually type. Bare ISO country codes are not aliases: "DE" and "IN" mean
+ * Delaware and Indiana far more often than Germany and India here.
+ */
+
+/**
+ * Countries: [iso2, name, population, aliases]
+ */
+export const COUNTRY_ROWS = [
+  ['US', 'United States', 331000000, ['usa', 'united states of america', 'america']],
+  ['CA', 'Canada', 38000000, []],
+  ['AU', 'Australia', 25700000, []],
+  ['GB', 'United Kingdom', 67000000, ['uk', 'great britain', 'britain']],
+  ['IE', 'Ireland', 5100000, ['éire', 'eire']],
+  ['DE', 'Germany', 83000000, ['deutschland']],
+  ['FR', 'France', 67000000, []],
+  ['ES', 'Spain', 47000000, ['españa', 'espana']],
+  ['IT', 'Italy', 59000000, ['italia']],
+  ['NL', 'Netherlands', 17500000, ['holland', 'the netherlands']],
+  ['DK', 'Denmark', 5900000, ['danmark']],
+  ['TR', 'Turkey', 85000000, ['türkiye', 'turkiye']],
+  ['AE', 'United Arab Emirates', 9900000, ['uae']],
+  ['JP', 'Japan', 125000000, ['nippon']],
+  ['KR', 'South Korea', 51700000, ['korea']],
+  ['IN', 'India', 1400000000, []],
+  ['MY', 'Malaysia', 33000000, []],
+  ['SG', 'Singapore', 5600000, []],
+  ['HK', 'Hong Kong', 7400000, []],
+  ['TH', 'Thailand', 70000000, []],
+  ['MX', 'Mexico', 126000000, ['méxico']],
+  ['BR', 'Brazil', 214000000, ['brasil']],
+  ['AR', 'Argentina', 46000000, []],
+  ['NZ', 'New Zealand', 5100000, ['nz', 'aotearoa']],
+  ['ZA', 'South Africa', 60000000, []]
+]
+
+/**
+ * First-level subdivisions: [country, adminCode, name, kind, population, aliases]
+ * kind is 'state', 'province', 'territory', 'nation', 'land', 'region' or 'prefecture'.
+ * Admin codes are ISO 3166-2 where one exists and match as codes ("TX", "NSW").
+ * German city-states (Berlin, Hamburg, Bremen) are listed only as cities.
+ */
+export const REGION_ROWS = [
+  ['US', 'AL', 'Alabama', 'state', 5020000, []],
+  ['US', 'AK', 'Alaska', 'state', 733000, []],
+  ['US', 'AZ', 'Arizona', 'state', 7150000, []],
+  ['US', 'AR', 'Arkansas', 'state', 3010000, []],
+  ['US', 'CA', 'California', 'state', 39500000, ['cali']],
+  ['US', 'CO', 'Colorado', 'state', 5770000, []],
+  ['US', 'CT', 'Connecticut', 'state', 3610000, []],
+  ['US', 'DE', 'Delaware', 'state', 990000, []],
+  ['US', 'FL', 'Florida', 'state', 21500000, []],
+  ['US', 'GA', 'Georgia', 'state', 10700000, []],
+  ['US', 'HI', 'Hawaii', 'state', 1460000, ["hawai'i"]],
+  ['US', 'ID', 'Idaho', 'state', 1840000, []],
+  ['US', 'IL', 'Illinois', 'state', 12800000, []],
+  ['US', 'IN', 'Indiana', 'state', 6790000, []],
+  ['US', 'IA', 'Iowa', 'state', 3190000, []],
+  ['US', 'KS', 'Kansas', 'state', 2940000, []],
+  ['US', 'KY', 'Kentucky', 'state', 4510000, []],
+  ['US', 'LA', 'Louisiana', 'state', 4660000, []],
+  ['US', 'ME', 'Maine', 'state', 1360000, []],
+  ['US', 'MD', 'Maryland', 'state', 6180000, []],
+  ['US', 'MA', 'Massachusetts', 'state', 7030000, ['mass']],
+  ['US', 'MI', 'Michigan', 'state', 10080000, []],
+  ['US', 'MN', 'Minnesota', 'state', 5710000, []],
+  ['US', 'MS', 'Mississippi', 'state', 2960000, []],
+  ['US', 'MO', 'Missouri', 'state', 6150000, []],
+  ['US', 'MT', 'Montana', 'state', 1080000, []],
+  ['US', 'NE', 'Nebraska', 'state', 1960000, []],
+  ['US', 'NV', 'Nevada', 'state', 3100000, []],
+  ['US', 'NH', 'New Hampshire', 'state', 1380000, []],
+  ['US', 'NJ', 'New Jersey', 'state', 9290000, ['jersey']],
+  ['US', 'NM', 'New Mexico', 'state', 2120000, []],
+  ['US', 'NY', 'New York', 'state', 20200000, ['new york state']],
+  ['US', 'NC', 'North Carolina', 'state', 10400000, []],
+  ['US', 'ND', 'North Dakota', 'state', 779000, []],
+  ['US', 'OH', 'Ohio', 'state', 11800000, []],
+  ['US', 'OK', 'Oklahoma', 'state', 3960000, []],
+  ['US', 'OR', 'Oregon', 'state', 4240000, []],
+  ['US', 'PA', 'Pennsylvania', 'state', 13000000, []],
+  ['US', 'RI', 'Rhode Island', 'state', 1100000, []],
+  ['US', 'SC', 'South Carolina', 'state', 5120000, []],
+  ['US', 'SD', 'South Dakota', 'state', 887000, []],
+  ['US', 'TN', 'Tennessee', 'state', 6910000, []],
+  ['US', 'TX', 'Texas', 'state', 29100000, []],
+  ['US', 'UT', 'Utah', 'state', 3270000, []],
+  ['US', 'VT', 'Vermont', 'state', 643000, []],
+  ['US', 'VA', 'Virginia', 'state', 8630000, []],
+  ['US', 'WA', 'Washington', 'state', 7710000, ['washington state']],
+  ['US', 'WV', 'West Virginia', 'state', 1790000, []],
+  ['US', 'WI', 'Wisconsin', 'state', 5890000, []],
+  ['US', 'WY', 'Wyoming', 'state', 577000, []],
+
+  ['CA', 'ON', 'Ontario', 'province', 14200000, []],
+  ['CA', 'QC', 'Quebec', 'province', 8500000, ['québec']],
+  ['CA', 'BC', 'British Columbia', 'province', 5000000, []],
+  ['CA', 'AB', 'Alberta', 'province', 4300000, []],
+  ['CA', 'MB', 'Manitoba', 'province', 1340000, []],
+  ['CA', 'SK', 'Saskatchewan', 'province', 1130000, []],
+  ['CA', 'NS', 'Nova Scotia', 'province', 970000, []],
+  ['CA', 'NB', 'New Brunswick', 'province', 780000, []],
+  ['CA', 'NL', 'Newfoundland and Labrador', 'province', 510000, ['newfoundland']],
+  ['CA', 'PE', 'Prince Edward Island', 'province', 154000, ['pei']],
+  ['CA', 'YT', 'Yukon', 'territory', 40000, []],
+  ['CA', 'NT', 'Northwest Territories', 'territory', 41000, ['nwt']],
+  ['CA', 'NU', 'Nunavut', 'territory', 37000, []],
+
+  ['AU', 'NSW', 'New South Wales', 'state', 8100000, []],
+  ['AU', 'VIC', 'Victoria', 'state', 6600000, []],
+  ['AU', 'QLD', 'Queensland', 'state', 5200000, []],
+  ['AU', 'WA', 'Western Australia', 'state', 2700000, []],
+  ['AU', 'SA', 'South Australia', 'state', 1800000, []],
+  ['AU', 'TAS', 'Tasmania', 'state', 570000, []],
+  ['AU', 'NT', 'Northern Territory', 'territory', 250000, []],
+  ['AU', 'ACT', 'Australian Capital Territory', 'territory', 450000, []],
+
+  ['GB', 'ENG', 'England', 'nation', 56500000, []],
+  ['GB', 'SCT', 'Scotland', 'nation', 5460000, []],
+  ['GB', 'WLS', 'Wales', 'nation', 3100000, ['cymru']],
+  ['GB', 'NIR', 'Northern Ireland', 'nation', 1900000, ['ni']],
+
+  ['DE', 'BY', 'Bavaria', 'land', 13100000, ['bayern']],
+  ['DE', 'BW', 'Baden-Württemberg', 'land', 11100000, ['baden-wurttemberg', 'baden-wuerttemberg']],
+  ['DE', 'NW', 'North Rhine-Westphalia', 'land', 17900000, ['nordrhein-westfalen', 'nrw']],
+  ['DE', 'HE', 'Hesse', 'land', 6300000, ['hessen']],
+  ['DE', 'NI', 'Lower Saxony', 'land', 8000000, ['niedersachsen']],
+  ['DE', 'SN', 'Saxony', 'land', 4100000, ['sachsen']],
+  ['DE', 'RP', 'Rhineland-Palatinate', 'land', 4100000, ['rheinland-pfalz']],
+  ['DE', 'SH', 'Schleswig-Holstein', 'land', 2900000, []],
+  ['DE', 'BB', 'Brandenburg', 'land', 2500000, []],
+  ['DE', 'TH', 'Thuringia', 'land', 2100000, ['thüringen', 'thueringen']],
+  ['DE', 'ST', 'Saxony-Anhalt', 'land', 2200000, ['sachsen-anhalt']],
+  ['DE', 'MV', 'Mecklenburg-Vorpommern', 'land', 1600000, ['mecklenburg-western pomerania']],
+  ['DE', 'SL', 'Saarland', 'land', 980000, []],
+
+  ['ES', 'CT', 'Catalonia', 'region', 7700000, ['catalunya', 'cataluña']],
+  ['ES', 'AN', 'Andalusia', 'region', 8500000, ['andalucía', 'andalucia']],
+  ['FR', 'IDF', 'Île-de-France', 'region', 12300000, ['ile-de-france']],
+  ['FR', 'PAC', "Provence-Alpes-Côte d'Azur", 'region', 5100000, ['provence']],
+  ['FR', 'BRE', 'Brittany', 'region', 3400000, ['bretagne']],
+  ['IT', 'LOM', 'Lombardy', 'region', 10000000, ['lombardia']],
+  ['IT', 'TOS', 'Tuscany', 'region', 3700000, ['toscana']],
+  ['IT', 'SIC', 'Sicily', 'region', 4800000, ['sicilia']],
+  ['JP', '01', 'Hokkaido', 'prefecture', 5200000, []],
+  ['JP', '47', 'Okinawa', 'prefecture', 1470000, []],
+  ['IN', 'MH', 'Maharashtra', 'state', 112000000, []],
+  ['IN', 'KA', 'Karnataka', 'state', 61000000, []],
+  ['IN', 'KL', 'Kerala', 'state', 33000000, []]
+]
+
+/**
+ * Cities: [country, adminCode, name, lat, lon, population, aliases]
+ */
+export const CITY_ROWS = [
+  // United States
+  ['US', 'AL', 'Birmingham', 33.52, -86.8, 200733, []],
+  ['US', 'AL', 'Montgomery', 32.37, -86.3, 200603, []],
+  ['US', 'AL', 'Mobile', 30.69, -88.04, 187041, []],
+  ['US', 'AL', 'Huntsville', 34.73, -86.59, 215006, []],
+  ['US', 'AK', 'Anchorage', 61.22, -149.9, 291247, []],
+  ['US', 'AK', 'Fairbanks', 64.84, -147.72, 32515, []],
+  ['US', 'AK', 'Juneau', 58.3, -134.42, 32255, []],
+  ['US', 'AZ', 'Phoenix', 33.45, -112.07, 1608139, ['phx']],
+  ['US', 'AZ', 'Tucson', 32.22, -110.97, 542629, []],
+  ['US', 'AZ', 'Mesa', 33.42, -111.83, 504258, []],
+  ['US', 'AZ', 'Chandler', 33.31, -111.84, 275987, []],
+  ['US', 'AZ', 'Scottsdale', 33.49, -111.93, 241361, []],
+  ['US', 'AR', 'Little Rock', 34.75, -92.29, 202591, []],
+  ['US', 'AR', 'Fort Smith', 35.39, -94.4, 89142, []],
+  ['US', 'AR', 'Fayetteville', 36.06, -94.16, 93949, []],
+  ['US', 'CA', 'Los Angeles', 34.05, -118.24, 3898747, ['la', 'l.a.']],
+  ['US', 'CA', 'San Francisco', 37.77, -122.42, 873965, ['sf', 'san fran', 'frisco']],
+  ['US', 'CA', 'San Diego', 32.72, -117.16, 1386932, []],
+  ['US', 'CA', 'Sacramento', 38.58, -121.49, 524943, []],
+  ['US', 'CA', 'Oakland', 37.8, -122.27, 440646, []],
+  ['US', 'CA', 'Fresno', 36.74, -119.79, 542107, []],
+  ['US', 'CA', 'Long Beach', 33.77, -118.19, 466742, []],
+  ['US', 'CO', 'Denver', 39.74, -104.99, 715522, []],
+  ['US', 'CO', 'Colorado Springs', 38.83, -104.82, 478961, []],
+  ['US', 'CO', 'Aurora', 39.73, -104.83, 386261, []],
+  ['US', 'CO', 'Boulder', 40.01, -105.27, 108250, []],
+  ['US', 'CT', 'Hartford', 41.76, -72.69, 121054, []],
+  ['US', 'CT', 'New Haven', 41.31, -72.92, 134023, []],
+  ['US', 'CT', 'Stamford', 41.05, -73.54, 135470, []],
+  ['US', 'CT', 'Bridgeport', 41.19, -73.2, 148654, []],
+  ['US', 'DC', 'Washington', 38.91, -77.04, 689545, ['dc', 'washington dc', 'washington d.c.']],
+  ['US', 'DE', 'Wilmington', 39.74, -75.55, 70898, []],
+  ['US', 'DE', 'Dover', 39.16, -75.52, 39403, []],
+  ['US', 'DE', 'Newark', 39.68, -75.75, 30601, []],
+  ['US', 'FL', 'Miami', 25.76, -80.19, 442241, []],
+  ['US', 'FL', 'Orlando', 28.54, -81.38, 307573, []],
+  ['US', 'FL', 'Tampa', 27.95, -82.46, 384959, []],
+  ['US', 'FL', 'Jacksonville', 30.33, -81.66, 949611, ['jax']],
+  ['US', 'FL', 'Fort Lauderdale', 26.12, -80.14, 182760, []],
+  ['US', 'GA', 'Atlanta', 33.75, -84.39, 498715, ['atl']],
+  ['US', 'GA', 'Augusta', 33.47, -81.97, 202081, []],
+  ['US', 'GA', 'Columbus', 32.46, -84.99, 206922, []],
+  ['US', 'GA', 'Savannah', 32.08, -81.09, 147780, []],
+  ['US', 'HI', 'Honolulu', 21.31, -157.86, 350964, []],
+  ['US', 'HI', 'Hilo', 19.71, -155.09, 44186, []],
+  ['US', 'HI', 'Kailua', 21.4, -157.74, 40514, []],
+  ['US', 'ID', 'Boise', 43.62, -116.21, 235684, []],
+  ['US', 'ID', 'Meridian', 43.61, -116.39, 117635, []],
+  ['US', 'ID', 'Nampa', 43.54, -116.56, 100200, []],
+  ['US', 'IL', 'Chicago', 41.88, -87.63, 2746388, ['chi', 'chitown', 'windy city']],
+  ['US', 'IL', 'Aurora', 41.76, -88.32, 180542, []],
+  ['US', 'IL', 'Rockford', 42.27, -89.09, 148655, []],
+  ['US', 'IL', 'Joliet', 41.53, -88.08, 150362, []],
+  ['US', 'IN', 'Indianapolis', 39.77, -86.16, 887642, ['indy']],
+  ['US', 'IN', 'Fort Wayne', 41.08, -85.14, 263886, []],
+  ['US', 'IN', 'Evansville', 37.97, -87.57, 117298, []],
+  ['US', 'IA', 'Des Moines', 41.59, -93.62, 214133, []],
+  ['US', 'IA', 'Cedar Rapids', 41.98, -91.67, 137710, []],
+  ['US', 'IA', 'Davenport', 41.52, -90.58, 101724, []],
+  ['US', 'KS', 'Wichita', 37.69, -97.34, 397532, []],
+  ['US', 'KS', 'Overland Park', 38.98, -94.67, 197238, []],
+  ['US', 'KS', 'Kansas City', 39.11, -94.63, 156607, []],
+  ['US', 'KS', 'Topeka', 39.05, -95.68, 126587, []],
+  ['US', 'KY', 'Louisville', 38.25, -85.76, 633045, []],
+  ['US', 'KY', 'Lexington', 38.04, -84.5, 322570, []],
+  ['US', 'KY', 'Bowling Green', 36.99, -86.44, 72294, []],
+  ['US', 'LA', 'New Orleans', 29.95, -90.07, 383997, ['nola', 'the big easy']],
+  ['US', 'LA', 'Baton Rouge', 30.45, -91.15, 227470, []],
+  ['US', 'LA', 'Shreveport', 32.53, -93.75, 187593, []],
+  ['US', 'ME', 'Portland', 43.66, -70.26, 68408, []],
+  ['US', 'ME', 'Lewiston', 44.1, -70.21, 37121, []],
+  ['US', 'ME', 'Bangor', 44.8, -68.77, 31753, []],
+  ['US', 'MD', 'Baltimore', 39.29, -76.61, 585708, ['bmore']],
+  ['US', 'MD', 'Frederick', 39.41, -77.41, 78171, []],
+  ['US', 'MD', 'Rockville', 39.08, -77.15, 67117, []],
+  ['US', 'MD', 'Gaithersburg', 39.14, -77.2, 69657, []],
+  ['US', 'MA', 'Boston', 42.36, -71.06, 675647, ['bos', 'beantown']],
+  ['US', 'MA', 'Worcester', 42.26, -71.8, 206518, []],
+  ['US', 'MA', 'Springfield', 42.1, -72.59, 155929, []],
+  ['US', 'MA', 'Cambridge', 42.37, -71.11, 118403, []],
+  ['US', 'MI', 'Detroit', 42.33, -83.05, 639111, []],
+  ['US', 'MI', 'Grand Rapids', 42.96, -85.67, 198917, []],
+  ['US', 'MI', 'Warren', 42.49, -83.03, 139387, []],
+  ['US', 'MI', 'Sterling Heights', 42.58, -83.03, 134346, []],
+  ['US', 'MN', 'Minneapolis', 44.98, -93.27, 429954, []],
+  ['US', 'MN', 'Saint Paul', 44.95, -93.09, 311527, ['st paul', 'st. paul']],
+  ['US', 'MN', 'Rochester', 44.02, -92.47, 121395, []],
+  ['US', 'MN', 'Duluth', 46.79, -92.1, 86697, []],
+  ['US', 'MS', 'Jackson', 32.3, -90.18, 153701, []],
+  ['US', 'MS', 'Gulfport', 30.37, -89.09, 72926, []],
+  ['US', 'MS', 'Southaven', 34.99, -90.01, 54648, []],
+  ['US', 'MO', 'Kansas City', 39.1, -94.58, 508090, ['kc']],
+  ['US', 'MO', 'Saint Louis', 38.63, -90.2, 301578, ['st louis', 'st. louis', 'stl']],
+  ['US', 'MO', 'Springfield', 37.21, -93.29, 169176, []],
+  ['US', 'MO', 'Columbia', 38.95, -92.33, 126254, []],
+  ['US', 'MT', 'Billings', 45.78, -108.5, 117116, []],
+  ['US', 'MT', 'Missoula', 46.87, -113.99, 73489, []],
+  ['US', 'MT', 'Great Falls', 47.5, -111.3, 60442, []],
+  ['US', 'NE', 'Omaha', 41.26, -95.93, 486051, []],
+  ['US', 'NE', 'Lincoln', 40.81, -96.68, 291082, []],
+  ['US', 'NE', 'Bellevue', 41.14, -95.89, 64176, []],
+  ['US', 'NV', 'Las Vegas', 36.17, -115.14, 641903, ['vegas', 'lv']],
+  ['US', 'NV', 'Henderson', 36.04, -114.98, 317610, []],
+  ['US', 'NV', 'Reno', 39.53, -119.81, 264165, []],
+  ['US', 'NV', 'Carson City', 39.16, -119.77, 58639, []],
+  ['US', 'NH', 'Manchester', 42.99, -71.46, 115644, []],
+  ['US', 'NH', 'Nashua', 42.77, -71.47, 91322, []],
+  ['US', 'NH', 'Concord', 43.21, -71.54, 43976, []],
+  ['US', 'NJ', 'Newark', 40.74, -74.17, 311549, []],
+  ['US', 'NJ', 'Jersey City', 40.73, -74.08, 292449, []],
+  ['US', 'NJ', 'Paterson', 40.92, -74.17, 159732, []],
+  ['US', 'NJ', 'Elizabeth', 40.66, -74.21, 137298, []],
+  ['US', 'NM', 'Albuquerque', 35.08, -106.65, 564559, ['abq']],
+  ['US', 'NM', 'Las Cruces', 32.32, -106.76, 111385, []],
+  ['US', 'NM', 'Rio Rancho', 35.23, -106.66, 104046, []],
+  ['US', 'NM', 'Santa Fe', 35.69, -105.94, 87505, []],
+  ['US', 'NY', 'New York City', 40.71, -74.01, 8804190, ['nyc', 'new york', 'big apple', 'the big apple']],
+  ['US', 'NY', 'Buffalo', 42.89, -78.88, 278349, []],
+  ['US', 'NY', 'Rochester', 43.16, -77.61, 211328, []],
+  ['US', 'NY', 'Yonkers', 40.93, -73.9, 211569, []],
+  ['US', 'NY', 'Syracuse', 43.05, -76.15, 148620, []],
+  ['US', 'NC', 'Charlotte', 35.23, -80.84, 874579, ['clt']],
+  ['US', 'NC', 'Raleigh', 35.78, -78.64, 467665, []],
+  ['US', 'NC', 'Greensboro', 36.07, -79.79, 299035, []],
+  ['US', 'NC', 'Durham', 35.99, -78.9, 283506, []],
+  ['US', 'NC', 'Winston-Salem', 36.1, -80.24, 249545, []],
+  ['US', 'ND', 'Fargo', 46.88, -96.79, 125990, []],
+  ['US', 'ND', 'Bismarck', 46.81, -100.78, 73622, []],
+  ['US', 'ND', 'Grand Forks', 47.93, -97.03, 59166, []],
+  ['US', 'OH', 'Columbus', 39.96, -83.0, 905748, []],
+  ['US', 'OH', 'Cleveland', 41.5, -81.69, 372624, []],
+  ['US', 'OH', 'Cincinnati', 39.1, -84.51, 309317, ['cincy']],
+  ['US', 'OH', 'Toledo', 41.65, -83.54, 270871, []],
+  ['US', 'OH', 'Akron', 41.08, -81.52, 190469, []],
+  ['US', 'OK', 'Oklahoma City', 35.47, -97.52, 681054, ['okc']],
+  ['US', 'OK', 'Tulsa', 36.15, -95.99, 413066, []],
+  ['US', 'OK', 'Norman', 35.22, -97.44, 128026, []],
+  ['US', 'OR', 'Portland', 45.52, -122.68, 652503, ['pdx']],
+  ['US', 'OR', 'Salem', 44.94, -123.04, 175535, []],
+  ['US', 'OR', 'Eugene', 44.05, -123.09, 176654, []],
+  ['US', 'OR', 'Gresham', 45.5, -122.43, 114247, []],
+  ['US', 'PA', 'Philadelphia', 39.95, -75.17, 1603797, ['philly']],
+  ['US', 'PA', 'Pittsburgh', 40.44, -80.0, 302971, []],
+  ['US', 'PA', 'Allentown', 40.6, -75.47, 125845, []],
+  ['US', 'PA', 'Erie', 42.13, -80.09, 94831, []],
+  ['US', 'RI', 'Providence', 41.82, -71.41, 190934, []],
+  ['US', 'RI', 'Warwick', 41.7, -71.42, 82823, []],
+  ['US', 'RI', 'Cranston', 41.78, -71.44, 82934, []],
+  ['US', 'SC', 'Charleston', 32.78, -79.93, 150227, []],
+  ['US', 'SC', 'Columbia', 34.0, -81.03, 136632, []],
+  ['US', 'SC', 'North Charleston', 32.85, -79.97, 114852, []],
+  ['US', 'SD', 'Sioux Falls', 43.54, -96.73, 192517, []],
+  ['US', 'SD', 'Rapid City', 44.08, -103.23, 74703, []],
+  ['US', 'SD', 'Aberdeen', 45.46, -98.49, 28495, []],
+  ['US', 'TN', 'Nashville', 36.16, -86.78, 689447, ['nashvegas']],
+  ['US', 'TN', 'Memphis', 35.15, -90.05, 633104, []],
+  ['US', 'TN', 'Knoxville', 35.96, -83.92, 190740, []],
+  ['US', 'TN', 'Chattanooga', 35.05, -85.31, 181099, []],
+  ['US', 'TX', 'Houston', 29.76, -95.37, 2304580, ['htown']],
+  ['US', 'TX', 'San Antonio', 29.42, -98.49, 1434625, ['satx']],
+  ['US', 'TX', 'Dallas', 32.78, -96.8, 1304379, ['big d']],
+  ['US', 'TX', 'Austin', 30.27, -97.74, 961855, ['atx']],
+  ['US', 'TX', 'Fort Worth', 32.76, -97.33, 918915, []],
+  ['US', 'TX', 'El Paso', 31.76, -106.49, 678815, []],
+  ['US', 'UT', 'Salt Lake City', 40.76, -111.89, 199723, ['slc']],
+  ['US', 'UT', 'West Valley City', 40.69, -112.0, 140230, []],
+  ['US', 'UT', 'Provo', 40.23, -111.66, 115162, []],
+  ['US', 'UT', 'West Jordan', 40.61, -111.94, 116961, []],
+  ['US', 'VT', 'Burlington', 44.48, -73.21, 44743, []],
+  ['US', 'VT', 'Essex', 44.49, -73.11, 22094, []],
+  ['US', 'VT', 'South Burlington', 44.47, -73.17, 20292, []],
+  ['US', 'VA', 'Virginia Beach', 36.85, -75.98, 459470, []],
+  ['US', 'VA', 'Norfolk', 36.85, -76.29, 238005, []],
+  ['US', 'VA', 'Chesapeake', 36.77, -76.29, 249422, []],
+  ['US', 'VA', 'Richmond', 37.54, -77.44, 226610, []],
+  ['US', 'WA', 'Seattle', 47.61, -122.33, 737015, ['sea']],
+  ['US', 'WA', 'Spokane', 47.66, -117.43, 228989, []],
+  ['US', 'WA', 'Tacoma', 47.25, -122.44, 219346, []],
+  ['US', 'WA', 'Vancouver', 45.64, -122.66, 190915, []],
+  ['US', 'WV', 'Charleston', 38.35, -81.63, 48864, []],
+  ['US', 'WV', 'Huntington', 38.42, -82.45, 46842, []],
+  ['US', 'WV', 'Morgantown', 39.63, -79.96, 30347, []],
+  ['US', 'WI', 'Milwaukee', 43.04, -87.91, 577222, []],
+  ['US', 'WI', 'Madison', 43.07, -89.4, 269840, []],
+  ['US', 'WI', 'Green Bay', 44.51, -88.01, 107395, []],
+  ['US', 'WY', 'Cheyenne', 41.14, -104.82, 65132, []],
+  ['US', 'WY', 'Casper', 42.87, -106.31, 59038, []],
+  ['US', 'WY', 'Laramie', 41.31, -105.59, 31407, []],
+
+  // Canada
+  ['CA', 'ON', 'Toronto', 43.65, -79.38, 2794356, ['yyz', 'the 6ix', 't.o.']],
+  ['CA', 'ON', 'Ottawa', 45.42, -75.7, 1017449, []],
+  ['CA', 'ON', 'Hamilton', 43.26, -79.87, 569353, []],
+  ['CA', 'ON', 'London', 42.98, -81.25, 422324, []],
+  ['CA', 'QC', 'Montreal', 45.5, -73.57, 1762949, ['mtl', 'montréal']],
+  ['CA', 'QC', 'Quebec City', 46.81, -71.21, 549459, ['québec city']],
+  ['CA', 'QC', 'Gatineau', 45.48, -75.7, 291041, []],
+  ['CA', 'BC', 'Vancouver', 49.28, -123.12, 662248, ['yvr']],
+  ['CA', 'BC', 'Victoria', 48.43, -123.37, 91867, []],
+  ['CA', 'BC', 'Kelowna', 49.89, -119.5, 144576, []],
+  ['CA', 'AB', 'Calgary', 51.05, -114.07, 1306784, ['yyc']],
+  ['CA', 'AB', 'Edmonton', 53.55, -113.49, 1010899, ['yeg']],
+  ['CA', 'AB', 'Red Deer', 52.27, -113.81, 100844, []],
+  ['CA', 'MB', 'Winnipeg', 49.9, -97.14, 749607, []],
+  ['CA', 'MB', 'Brandon', 49.85, -99.95, 51313, []],
+  ['CA', 'SK', 'Saskatoon', 52.13, -106.67, 266141, []],
+  ['CA', 'SK', 'Regina', 50.45, -104.61, 226404, []],
+  ['CA', 'NS', 'Halifax', 44.65, -63.58, 439819, []],
+  ['CA', 'NS', 'Sydney', 46.14, -60.19, 29904, []],
+  ['CA', 'NB', 'Moncton', 46.09, -64.78, 79470, []],
+  ['CA', 'NB', 'Saint John', 45.27, -66.06, 69895, []],
+  ['CA', 'NB', 'Fredericton', 45.96, -66.64, 63116, []],
+  ['CA', 'NL', "St. John's", 47.56, -52.71, 110525, ["st john's"]],
+  ['CA', 'NL', 'Corner Brook', 48.95, -57.95, 19316, []],
+  ['CA', 'PE', 'Charlottetown', 46.24, -63.13, 38809, []],
+  ['CA', 'PE', 'Summerside', 46.4, -63.79, 16001, []],
+  ['CA', 'YT', 'Whitehorse', 60.72, -135.06, 28201, []],
+  ['CA', 'YT', 'Dawson City', 64.06, -139.43, 1577, []],
+  ['CA', 'NT', 'Yellowknife', 62.45, -114.37, 20340, []],
+  ['CA', 'NT', 'Inuvik', 68.36, -133.72, 3137, []],
+  ['CA', 'NU', 'Iqaluit', 63.75, -68.52, 7429, []],
+  ['CA', 'NU', 'Rankin Inlet', 62.81, -92.09, 2975, []],
+
+  // Australia
+  ['AU', 'NSW', 'Sydney', -33.87, 151.21, 5312163, ['syd']],
+  ['AU', 'NSW', 'Newcastle', -32.93, 151.78, 322278, []],
+  ['AU', 'NSW', 'Wollongong', -34.42, 150.89, 302739, []],
+  ['AU', 'VIC', 'Melbourne', -37.81, 144.96, 5078193, ['melbs', 'mel']],
+  ['AU', 'VIC', 'Geelong', -38.15, 144.36, 268277, []],
+  ['AU', 'VIC', 'Ballarat', -37.56, 143.85, 111973, []],
+  ['AU', 'QLD', 'Brisbane', -27.47, 153.03, 2560720, ['brissy', 'bne']],
+  ['AU', 'QLD', 'Gold Coast', -28.02, 153.4, 679127, []],
+  ['AU', 'QLD', 'Cairns', -16.92, 145.77, 153952, []],
+  ['AU', 'WA', 'Perth', -31.95, 115.86, 2085973, []],
+  ['AU', 'WA', 'Bunbury', -33.33, 115.64, 75000, []],
+  ['AU', 'WA', 'Broome', -17.96, 122.24, 14660, []],
+  ['AU', 'SA', 'Adelaide', -34.93, 138.6, 1376601, []],
+  ['AU', 'SA', 'Mount Gambier', -37.83, 140.78, 26878, []],
+  ['AU', 'TAS', 'Hobart', -42.88, 147.33, 240342, []],
+  ['AU', 'TAS', 'Launceston', -41.43, 147.14, 87645, []],
+  ['AU', 'NT', 'Darwin', -12.46, 130.84, 147255, []],
+  ['AU', 'NT', 'Alice Springs', -23.7, 133.88, 25186, []],
+  ['AU', 'ACT', 'Canberra', -35.28, 149.13, 453558, []],
+
+  // United Kingdom and Ireland
+  ['GB', 'ENG', 'London', 51.51, -0.13, 8982000, ['ldn']],
+  ['GB', 'ENG', 'Manchester', 53.48, -2.24, 552858, ['manc']],
+  ['GB', 'ENG', 'Birmingham', 52.49, -1.89, 1144919, ['brum']],
+  ['GB', 'ENG', 'Leeds', 53.8, -1.55, 793139, []],
+  ['GB', 'ENG', 'Bristol', 51.45, -2.59, 467099, []],
+  ['GB', 'SCT', 'Edinburgh', 55.95, -3.19, 524930, ['edi']],
+  ['GB', 'SCT', 'Glasgow', 55.86, -4.25, 635640, []],
+  ['GB', 'SCT', 'Aberdeen', 57.15, -2.09, 198590, []],
+  ['GB', 'SCT', 'Inverness', 57.48, -4.22, 47790, []],
+  ['GB', 'WLS', 'Cardiff', 51.48, -3.18, 362756, []],
+  ['GB', 'WLS', 'Swansea', 51.62, -3.94, 246563, []],
+  ['GB', 'WLS', 'Newport', 51.58, -3.0, 159587, []],
+  ['GB', 'NIR', 'Belfast', 54.6, -5.93, 345418, []],
+  ['GB', 'NIR', 'Derry', 55.0, -7.32, 85279, ['londonderry']],
+  ['GB', 'NIR', 'Lisburn', 54.52, -6.04, 45370, []],
+  ['IE', 'L', 'Dublin', 53.35, -6.26, 592713, []],
+  ['IE', 'M', 'Cork', 51.9, -8.47, 224004, []],
+  ['IE', 'C', 'Galway', 53.27, -9.06, 85910, []],
+
+  // Germany
+  ['DE', 'BY', 'Munich', 48.14, 11.58, 1488202, ['muc', 'münchen', 'muenchen']],
+  ['DE', 'BY', 'Nuremberg', 49.45, 11.08, 518365, ['nürnberg', 'nuernberg']],
+  ['DE', 'BY', 'Augsburg', 48.37, 10.9, 296582, []],
+  ['DE', 'BY', 'Regensburg', 49.01, 12.1, 153094, []],
+  ['DE', 'BW', 'Stuttgart', 48.78, 9.18, 635911, []],
+  ['DE', 'BW', 'Karlsruhe', 49.01, 8.4, 308436, []],
+  ['DE', 'BW', 'Freiburg', 47.99, 7.84, 231195, []],
+  ['DE', 'BW', 'Heidelberg', 49.4, 8.67, 160355, []],
+  ['DE', 'NW', 'Cologne', 50.94, 6.96, 1083498, ['köln', 'koeln']],
+  ['DE', 'NW', 'Düsseldorf', 51.23, 6.77, 620523, ['dusseldorf', 'duesseldorf']],
+  ['DE', 'NW', 'Dortmund', 51.51, 7.47, 588250, []],
+  ['DE', 'NW', 'Essen', 51.46, 7.01, 582760, []],
+  ['DE', 'HE', 'Frankfurt', 50.11, 8.68, 753056, ['fra']],
+  ['DE', 'HE', 'Wiesbaden', 50.08, 8.24, 278609, []],
+  ['DE', 'HE', 'Kassel', 51.31, 9.48, 201585, []],
+  ['DE', 'NI', 'Hanover', 52.38, 9.73, 535061, ['hannover']],
+  ['DE', 'NI', 'Brunswick', 52.27, 10.52, 248292, ['braunschweig']],
+  ['DE', 'NI', 'Osnabrück', 52.28, 8.05, 165251, ['osnabrueck']],
+  ['DE', 'SN', 'Dresden', 51.05, 13.74, 556780, []],
+  ['DE', 'SN', 'Leipzig', 51.34, 12.37, 597493, []],
+  ['DE', 'SN', 'Chemnitz', 50.83, 12.92, 246334, []],
+  ['DE', 'RP', 'Mainz', 50.0, 8.27, 217118, []],
+  ['DE', 'RP', 'Koblenz', 50.36, 7.59, 113844, []],
+  ['DE', 'RP', 'Trier', 49.75, 6.64, 110636, []],
+  ['DE', 'SH', 'Kiel', 54.32, 10.14, 246794, []],
+  ['DE', 'SH', 'Lübeck', 53.87, 10.69, 216530, ['luebeck']],
+  ['DE', 'SH', 'Flensburg', 54.79, 9.44, 90164, []],
+  ['DE', 'BB', 'Potsdam', 52.39, 13.06, 182112, []],
+  ['DE', 'BB', 'Cottbus', 51.76, 14.33, 99678, []],
+  ['DE', 'TH', 'Erfurt', 50.98, 11.03, 213981, []],
+  ['DE', 'TH', 'Jena', 50.93, 11.59, 111407, []],
+  ['DE', 'TH', 'Weimar', 50.98, 11.33, 65228, []],
+  ['DE', 'ST', 'Magdeburg', 52.12, 11.63, 237565, []],
+  ['DE', 'ST', 'Halle', 51.48, 11.97, 238762, []],
+  ['DE', 'MV', 'Rostock', 54.09, 12.1, 209191, []],
+  ['DE', 'MV', 'Schwerin', 53.64, 11.4, 95653, []],
+  ['DE', 'SL', 'Saarbrücken', 49.23, 7.0, 180374, ['saarbruecken']],
+  ['DE', 'BE', 'Berlin', 52.52, 13.4, 3664088, ['ber']],
+  ['DE', 'HH', 'Hamburg', 53.55, 9.99, 1852478, []],
+  ['DE', 'HB', 'Bremen', 53.08, 8.8, 566573, []],
+
+  // Rest of Europe
+  ['ES', 'CT', 'Barcelona', 41.39, 2.17, 1620343, ['bcn', 'barna']],
+  ['ES', 'CT', 'Girona', 41.98, 2.82, 103369, []],
+  ['ES', 'CT', 'Tarragona', 41.12, 1.25, 134515, []],
+  ['ES', 'AN', 'Seville', 37.39, -5.98, 684234, ['sevilla']],
+  ['ES', 'AN', 'Málaga', 36.72, -4.42, 578460, ['malaga']],
+  ['ES', 'AN', 'Granada', 37.18, -3.6, 232462, []],
+  ['ES', 'MD', 'Madrid', 40.42, -3.7, 3223334, []],
+  ['ES', 'VC', 'Valencia', 39.47, -0.38, 791413, []],
+  ['FR', 'IDF', 'Paris', 48.86, 2.35, 2161000, []],
+  ['FR', 'IDF', 'Versailles', 48.8, 2.13, 85205, []],
+  ['FR', 'PAC', 'Marseille', 43.3, 5.37, 870018, []],
+  ['FR', 'PAC', 'Nice', 43.71, 7.26, 342669, []],
+  ['FR', 'PAC', 'Avignon', 43.95, 4.81, 91143, []],
+  ['FR', 'BRE', 'Rennes', 48.11, -1.68, 217728, []],
+  ['FR', 'BRE', 'Brest', 48.39, -4.49, 139926, []],
+  ['FR', 'BRE', 'Saint-Malo', 48.65, -2.03, 46097, []],
+  ['FR', 'ARA', 'Lyon', 45.76, 4.84, 516092, []],
+  ['FR', 'OCC', 'Toulouse', 43.6, 1.44, 479553, []],
+  ['FR', 'NAQ', 'Bordeaux', 44.84, -0.58, 257068, []],
+  ['IT', 'LOM', 'Milan', 45.46, 9.19, 1396059, ['milano']],
+  ['IT', 'LOM', 'Bergamo', 45.7, 9.67, 120287, []],
+  ['IT', 'LOM', 'Brescia', 45.54, 10.21, 196745, []],
+  ['IT', 'TOS', 'Florence', 43.77, 11.26, 382258, ['firenze']],
+  ['IT', 'TOS', 'Pisa', 43.72, 10.4, 90488, []],
+  ['IT', 'TOS', 'Siena', 43.32, 11.33, 53901, []],
+  ['IT', 'SIC', 'Palermo', 38.12, 13.36, 630828, []],
+  ['IT', 'SIC', 'Catania', 37.5, 15.09, 311584, []],
+  ['IT', 'SIC', 'Messina', 38.19, 15.55, 227424, []],
+  ['IT', 'LAZ', 'Rome', 41.9, 12.5, 2872800, ['roma']],
+  ['IT', 'CAM', 'Naples', 40.85, 14.27, 959188, ['napoli']],
+  ['IT', 'VEN', 'Venice', 45.44, 12.32, 258685, ['venezia']],
+  ['NL', 'NH', 'Amsterdam', 52.37, 4.9, 872680, ['ams', 'a\'dam']],
+  ['NL', 'ZH', 'Rotterdam', 51.92, 4.48, 651446, []],
+  ['NL', 'UT', 'Utrecht', 52.09, 5.12, 361924, []],
+  ['NL', 'ZH', 'The Hague', 52.07, 4.3, 548320, ['den haag']],
+  ['DK', '84', 'Copenhagen', 55.68, 12.57, 644431, ['cph', 'københavn']],
+  ['TR', '34', 'Istanbul', 41.01, 28.98, 15460000, ['ist']],
+
+  // Asia, Middle East, Oceania, Africa and the Americas
+  ['AE', 'DU', 'Dubai', 25.2, 55.27, 3331000, ['dxb']],
+  ['JP', '13', 'Tokyo', 35.68, 139.69, 13960000, ['tyo']],
+  ['JP', '27', 'Osaka', 34.69, 135.5, 2752000, ['osa']],
+  ['JP', '26', 'Kyoto', 35.01, 135.77, 1464000, []],
+  ['JP', '40', 'Fukuoka', 33.59, 130.4, 1612000, []],
+  ['JP', '01', 'Sapporo', 43.06, 141.35, 1973395, []],
+  ['JP', '01', 'Hakodate', 41.77, 140.73, 251084, []],
+  ['JP', '01', 'Asahikawa', 43.77, 142.36, 329306, []],
+  ['JP', '47', 'Naha', 26.21, 127.68, 317625, []],
+  ['JP', '47', 'Nago', 26.59, 127.98, 63554, []],
+  ['KR', '11', 'Seoul', 37.57, 126.98, 9776000, []],
+  ['KR', '26', 'Busan', 35.18, 129.08, 3429000, ['pusan']],
+  ['KR', '28', 'Incheon', 37.46, 126.71, 2948000, []],
+  ['IN', 'MH', 'Mumbai', 19.08, 72.88, 12442373, ['bombay']],
+  ['IN', 'MH', 'Pune', 18.52, 73.86, 3124458, []],
+  ['IN', 'MH', 'Nagpur', 21.15, 79.09, 2405665, []],
+  ['IN', 'KA', 'Bengaluru', 12.97, 77.59, 8443675, ['bangalore', 'blr']],
+  ['IN', 'KA', 'Mysuru', 12.3, 76.64, 920550, ['mysore']],
+  ['IN', 'KA', 'Mangaluru', 12.91, 74.86, 623841, ['mangalore']],
+  ['IN', 'KL', 'Kochi', 9.93, 76.27, 677381, ['cochin']],
+  ['IN', 'KL', 'Thiruvananthapuram', 8.52, 76.94, 957730, ['trivandrum']],
+  ['IN', 'KL', 'Kozhikode', 11.26, 75.78, 609224, ['calicut']],
+  ['IN', 'DL', 'Delhi', 28.7, 77.1, 11034555, ['new delhi']],
+  ['IN', 'TN', 'Chennai', 13.08, 80.27, 4646732, ['madras']],
+  ['IN', 'WB', 'Kolkata', 22.57, 88.36, 4496694, ['calcutta']],
+  ['MY', '14', 'Kuala Lumpur', 3.14, 101.69, 1982112, ['kl']],
+  ['MY', '07', 'George Town', 5.41, 100.33, 708127, ['penang']],
+  ['MY', '01', 'Johor Bahru', 1.49, 103.74, 858118, ['jb']],
+  ['SG', '', 'Singapore', 1.35, 103.82, 5637000, ['sg', 'sin']],
+  ['HK', '', 'Hong Kong', 22.32, 114.17, 7413000, ['hk', 'hkg']],
+  ['TH', '10', 'Bangkok', 13.76, 100.5, 10539000, ['bkk']],
+  ['NZ', 'AUK', 'Auckland', -36.85, 174.76, 1693000, ['akl']],
+  ['NZ', 'WGN', 'Wellington', -41.29, 174.78, 215400, ['welly']],
+  ['NZ', 'CAN', 'Christchurch', -43.53, 172.64, 381500, ['chch']],
+  ['NZ', 'OTA', 'Queenstown', -45.03, 168.66, 15850, []],
+  ['ZA', 'WC', 'Cape Town', -33.92, 18.42, 4618000, []],
+  ['ZA', 'GP', 'Johannesburg', -26.2, 28.05, 5635000, ['jozi', 'joburg', 'jhb']],
+  ['ZA', 'KZN', 'Durban', -29.86, 31.02, 3442000, []],
+  ['MX', 'CMX', 'Mexico City', 19.43, -99.13, 9209944, ['cdmx', 'ciudad de méxico']],
+  ['MX', 'JAL', 'Guadalajara', 20.66, -103.35, 1385629, []],
+  ['MX', 'NLE', 'Monterrey', 25.69, -100.32, 1142994, []],
+  ['MX', 'ROO', 'Cancún', 21.16, -86.85, 888797, ['cancun']],
+  ['BR', 'SP', 'São Paulo', -23.55, -46.63, 12325232, ['sao paulo', 'sampa']],
+  ['BR', 'RJ', 'Rio de Janeiro', -22.91, -43.17, 6747815, ['rio']],
+  ['BR', 'DF', 'Brasília', -15.79, -47.88, 3055149, ['brasilia']],
+  ['BR', 'BA', 'Salvador', -12.97, -38.5, 2886698, []],
+  ['AR', 'C', 'Buenos Aires', -34.6, -58.38, 3075646, ['bsas']],
+  ['AR', 'X', 'Córdoba', -31.42, -64.18, 1391000, ['cordoba']],
+  ['AR', 'M', 'Mendoza', -32.89, -68.84, 115041, []]
+]
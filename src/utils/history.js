@@ -0,0 +1,44 @@
+import { addDays } from './forecast'
+
+/**
+ * Comparisons between a forecast and the observed days before it
+ * (see fetchHistory in src/services/weather)
+ */
+
+/**
+ * Yesterday's observed day, if the history reaches it
+ * @param {import('../services/weather/model').WeatherHistory|null} history
+ * @param {string} today - Location's "YYYY-MM-DD"
+ * @returns {import('../services/weather/model').DailyForecast|null}
+ */
+export function getYesterday(history, today) {
+  const yesterday = addDays(today, -1)
+  return history?.daily.find((day) => day.date === yesterday) ?? null
+}
+
+/**
+ * How today compares with yesterday and the past week, in °C differences
+ * @param {import('../services/weather/model').WeatherReport} weather
+ * @param {import('../services/weather/model').WeatherHistory|null} history
+ * @returns {{nowChangeC: number|null, highChangeC: number|null, weekHighChangeC: number|null}}
+ *   - nowChangeC: current temperature vs the same hour yesterday
+ *   - highChangeC: today's high vs yesterday's
+ *   - weekHighChangeC: today's high vs the past week's average high
+ */
+export function compareWithHistory(weather, history) {
+  const none = { nowChangeC: null, highChangeC: null, weekHighChangeC: null }
+  const today = weather.daily[0]
+  if (!history?.daily.length || !today) return none
+
+  const { localtime } = weather.location
+  const sameHour = `${addDays(localtime.slice(0, 10), -1)} ${localtime.slice(11, 13)}:00`
+  const hourYesterday = history.hourly.find((hour) => hour.time === sameHour)
+  const yesterday = getYesterday(history, today.date)
+  const weekHigh = history.daily.reduce((sum, day) => sum + day.maxTempC, 0) / history.daily.length
+
+  return {
+    nowChangeC: hourYesterday ? weather.current.tempC - hourYesterday.tempC : null,
+    highChangeC: yesterday ? today.maxTempC - yesterday.maxTempC : null,
+    weekHighChangeC: today.maxTempC - weekHigh
+  }
+}
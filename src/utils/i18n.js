@@ -0,0 +1,57 @@
+import { MESSAGES } from './messages'
+
+/**
+ * Locale helpers
+ *
+ * Everything follows the browser's preferred language: UI strings come from
+ * ./messages.js and dates/numbers are formatted with Intl for that locale.
+ */
+
+const FALLBACK_LOCALE = 'en-US'
+
+/**
+ * The browser's preferred locale, e.g. "de-DE"
+ * @returns {string}
+ */
+export function getLocale() {
+  if (typeof navigator === 'undefined') return FALLBACK_LOCALE
+  return navigator.languages?.[0] || navigator.language || FALLBACK_LOCALE
+}
+
+/**
+ * Look up a UI string and fill in its {placeholders}
+ * @param {string} key - Key in MESSAGES, e.g. 'hourly.title'
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [locale] - Defaults to the browser locale
+ * @returns {string}
+ */
+export function t(key, params = {}, locale = getLocale()) {
+  const language = locale.split('-')[0].toLowerCase()
+  const template = MESSAGES[language]?.[key] ?? MESSAGES.en[key] ?? key
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+}
+
+/**
+ * Format a number with the locale's separators, e.g. 1013.2 -> "1.013,2" in German
+ * @param {number} value
+ * @param {number} [fractionDigits=0] - Exact number of decimals
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatNumber(value, fractionDigits = 0, locale = getLocale()) {
+  return new Intl.NumberFormat(locale, {
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  }).format(value)
+}
+
+/**
+ * Format a Date with the browser locale
+ * @param {Date} date
+ * @param {Intl.DateTimeFormatOptions} options
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatDate(date, options, locale = getLocale()) {
+  return date.toLocaleString(locale, options)
+}
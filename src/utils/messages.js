@@ -0,0 +1,1368 @@
+/**
+ * UI strings by language
+ *
+ * English is the fallback for any key a language is missing. Placeholders
+ * in {braces} are filled in by t() in ./i18n.js.
+ */
+export const MESSAGES = {
+  en: {
+    'search.placeholder': 'Enter a place, or ask "rain in Boston tomorrow?"',
+    'search.button': 'Search 🔍',
+    'search.numbers': 'Please enter a city or state name, not numbers.',
+    'search.didYouMean': 'Did you mean:',
+    'search.corrected': 'Showing results for {name} instead of "{original}"',
+    'intent.when.today': 'today',
+    'intent.when.tomorrow': 'tomorrow',
+    'intent.when.on': 'on {day}',
+    'intent.when.weekend': 'this weekend',
+    'intent.when.week': 'this week',
+    'intent.beyondForecast': "That's beyond the 7-day forecast.",
+    'intent.coldest': 'Coldest: {day}, down to {temp}.',
+    'intent.warmest': 'Warmest: {day}, up to {temp}.',
+    'intent.rain.yes': 'Yes, rain is likely {when} ({chance}% chance).',
+    'intent.rain.no': 'Probably not: at most a {chance}% chance of rain {when}.',
+    'intent.rain.on': 'Rain is likely on {days} (up to {chance}%).',
+    'intent.snow.yes': 'Yes, snow is likely {when} ({chance}% chance).',
+    'intent.snow.no': 'Probably not: at most a {chance}% chance of snow {when}.',
+    'intent.snow.on': 'Snow is likely on {days} (up to {chance}%).',
+    'intent.wind.single': 'Winds up to {wind} {when}.',
+    'intent.wind.windiest': 'Windiest: {day}, up to {wind}.',
+    'intent.forecast': '{when}: {condition}, {low} to {high}.',
+    'region.title': 'Weather across {name}',
+    'region.surprise': '🎲 Surprise me',
+    'region.warmest': 'Warmest',
+    'region.coldest': 'Coldest',
+    'region.wettest': 'Wettest',
+    'region.loading': 'Loading…',
+    'region.rain': '{chance}% rain',
+    'status.loading': 'Loading your local weather...',
+    'status.retrying': 'Still trying to load the weather (attempt {attempt})…',
+    'status.offline': "📡 You're offline. Showing the last weather that loaded; it will refresh when you reconnect.",
+    'status.asOf': '📦 Saved forecast · as of {time}',
+    'status.offlineNoData': "There's no saved forecast for this place yet. It will load when you're back online.",
+    'error.try_later': 'Wait a minute, then try again.',
+    'error.check_key': 'Check WEATHER_API_KEY in the .env file read by the API server, then restart it.',
+    'error.search_again': 'Try a different city name, a postcode or coordinates.',
+    'error.retryButton': 'Try again',
+    'error.retrying': 'Retrying…',
+    'error.kind.offline': "You're offline. Check your connection and try again.",
+    'error.kind.network': "Couldn't reach the weather service. Check your connection and try again.",
+    'error.kind.provider_unavailable': 'The weather service is having problems right now.',
+    'error.kind.rate_limited': 'Too many requests to the weather service in a short time.',
+    'error.kind.quota_exceeded': 'The weather API key has used up its quota for this period.',
+    'error.kind.missing_key': 'Weather API key not found. Please check your environment variables.',
+    'error.kind.invalid_key': 'The weather API key was rejected as invalid.',
+    'error.kind.key_disabled': 'The weather API key has been disabled.',
+    'error.kind.plan_restricted': "The weather API key's plan doesn't include this data.",
+    'error.kind.not_found': 'City not found',
+    'error.kind.bad_request': "The weather service couldn't understand that request.",
+    'error.kind.unsupported_query': "This weather service can't answer that search.",
+    'error.kind.config': 'The weather service is misconfigured.',
+    'error.kind.unknown': 'Failed to fetch weather data.',
+    'error.unknownProvider': 'Unknown weather provider "{id}".',
+    'error.openMeteoAutoIp': 'Open-Meteo cannot detect your location by IP. Search for a city instead.',
+    'nav.saved': '⭐ Saved',
+    'nav.myLocation': '📍 My location',
+    'nav.locating': '📍 Locating…',
+    'theme.dawn': '🌄 Sunrise',
+    'theme.morning': '☀️ Morning',
+    'theme.afternoon': '🌤️ Afternoon',
+    'theme.golden': '🌇 Golden hour',
+    'theme.dusk': '🌆 Dusk',
+    'theme.night': '🌙 Night',
+    'theme.rain': '🌧️ Rain',
+    'theme.snow': '❄️ Snow',
+    'theme.storm': '⛈️ Storm',
+    'theme.localTime': 'Local time {time}',
+    'share.copy': '🔗 Copy link',
+    'share.copied': '✅ Copied!',
+    'share.failed': '⚠️ Copy failed',
+    'location.device': '📍 Showing weather for your device location.',
+    'location.ip': 'Showing an approximate location based on your IP address.',
+    'location.failed': "Couldn't get your precise location because {reason} - showing an approximate location based on your IP address instead.",
+    'location.failedKnown': "Couldn't update your precise location because {reason} - showing your last known device location.",
+    'location.prompt': 'We guessed your location from your IP address, which can be a city or more off. Use your device location for a more accurate forecast?',
+    'location.accept': 'Use my location',
+    'location.dismiss': 'Not now',
+    'geolocation.denied': 'location permission was denied',
+    'geolocation.timeout': 'finding your position took too long',
+    'geolocation.unavailable': 'your device could not determine its position',
+    'geolocation.unsupported': "this browser doesn't support location access",
+    'weather.humidity': 'Humidity',
+    'weather.wind': 'Wind',
+    'weather.pressure': 'Pressure',
+    'weather.uv': 'UV Index',
+    'weather.save': '☆ Save',
+    'weather.saved': '★ Saved',
+    'nav.search': '🔍 Search',
+    'front.title': 'Welcome to Cloudy with a chance of AI',
+    'front.subtext': 'weather app',
+    'front.continue': 'Continue',
+    'front.continueLabel': 'Continue without signing in',
+    'front.footer': 'By continuing you agree to our terms and privacy policy.',
+    'dashboard.title': 'Saved locations',
+    'dashboard.empty': 'No saved locations yet. Search for a city and tap ☆ Save on its weather card.',
+    'tile.loading': 'Loading…',
+    'tile.range': 'H {high} · L {low}',
+    'tile.moveUp': 'Move {name} up',
+    'tile.moveDown': 'Move {name} down',
+    'tile.remove': 'Remove {name}',
+    'units.title': 'Units',
+    'units.system': 'Unit system',
+    'units.temperature': 'Temperature',
+    'units.wind': 'Wind',
+    'units.pressure': 'Pressure',
+    'units.precipitation': 'Precipitation',
+    'alert.region': 'Weather alerts',
+    'alert.details': 'Details',
+    'alert.dismiss': 'Dismiss {event}',
+    'alert.close': 'Close alert details',
+    'alert.severity': 'Severity',
+    'alert.urgency': 'Urgency',
+    'alert.certainty': 'Certainty',
+    'alert.effective': 'Effective',
+    'alert.expires': 'Expires',
+    'alert.areas': 'Areas',
+    'alert.instruction': 'What to do:',
+    'alert.notSpecified': 'Not specified',
+    'alert.severity.extreme': 'Extreme',
+    'alert.severity.severe': 'Severe',
+    'alert.severity.moderate': 'Moderate',
+    'alert.severity.minor': 'Minor',
+    'alert.severity.unknown': 'Unknown',
+    'alert.urgency.immediate': 'Immediate',
+    'alert.urgency.expected': 'Expected',
+    'alert.urgency.future': 'Future',
+    'alert.urgency.past': 'Past',
+    'alert.urgency.unknown': 'Unknown',
+    'alert.certainty.observed': 'Observed',
+    'alert.certainty.likely': 'Likely',
+    'alert.certainty.possible': 'Possible',
+    'alert.certainty.unlikely': 'Unlikely',
+    'aqi.title': 'Air Quality',
+    'aqi.unavailable': "Air quality data isn't available for this location.",
+    'aqi.indexLabel': 'US EPA index {index} of 6',
+    'aqi.scale': 'US EPA index (1–6)',
+    'aqi.defra': 'UK DEFRA:',
+    'aqi.sensitive': 'Asthma & sensitive groups:',
+    'aqi.forecastTitle': 'Air quality: {label}',
+    'aqi.epa.1': 'Good',
+    'aqi.epa.1.advice': 'Air quality is satisfactory. Enjoy your usual outdoor activities.',
+    'aqi.epa.1.sensitive': 'No precautions needed.',
+    'aqi.epa.2': 'Moderate',
+    'aqi.epa.2.advice': 'Air quality is acceptable for most people.',
+    'aqi.epa.2.sensitive': 'Unusually sensitive people should consider reducing prolonged or heavy exertion outdoors.',
+    'aqi.epa.3': 'Unhealthy for Sensitive Groups',
+    'aqi.epa.3.advice': 'Most people are unlikely to be affected.',
+    'aqi.epa.3.sensitive': 'People with asthma should keep reliever medication handy and reduce prolonged or heavy exertion outdoors.',
+    'aqi.epa.4': 'Unhealthy',
+    'aqi.epa.4.advice': 'Everyone may begin to feel effects. Reduce prolonged or heavy exertion outdoors.',
+    'aqi.epa.4.sensitive': 'Avoid prolonged or heavy exertion; move activities indoors or reschedule.',
+    'aqi.epa.5': 'Very Unhealthy',
+    'aqi.epa.5.advice': 'Health alert: everyone should avoid prolonged or heavy exertion outdoors.',
+    'aqi.epa.5.sensitive': 'Avoid all physical activity outdoors.',
+    'aqi.epa.6': 'Hazardous',
+    'aqi.epa.6.advice': 'Health warning of emergency conditions: everyone should avoid all outdoor exertion.',
+    'aqi.epa.6.sensitive': 'Remain indoors and keep activity levels low.',
+    'aqi.defra.low': 'Low',
+    'aqi.defra.moderate': 'Moderate',
+    'aqi.defra.high': 'High',
+    'aqi.defra.veryHigh': 'Very High',
+    'aqi.pollutant.pm2_5': 'Fine particles',
+    'aqi.pollutant.pm10': 'Coarse particles',
+    'aqi.pollutant.o3': 'Ozone',
+    'aqi.pollutant.no2': 'Nitrogen dioxide',
+    'aqi.pollutant.so2': 'Sulphur dioxide',
+    'aqi.pollutant.co': 'Carbon monoxide',
+    'hourly.title': 'Next {count} hours',
+    'hourly.now': 'Now',
+    'hourly.label': 'Hourly forecast',
+    'chart.view': 'Forecast view',
+    'chart.view.cards': '🗂️ Cards',
+    'chart.view.chart': '📊 Chart',
+    'chart.dailyTitle': 'Temperature and precipitation this week',
+    'chart.hourlyTitle': 'Next {count} hours',
+    'chart.roleDescription': 'chart',
+    'chart.dailyKeys': 'Daily temperature range and chance of precipitation. Use the left and right arrow keys to read each day, Enter to open it.',
+    'chart.hourlyKeys': 'Hourly temperature, feels-like temperature and wind. Use the left and right arrow keys to read each hour.',
+    'chart.high': 'High',
+    'chart.low': 'Low',
+    'chart.precipChance': '{chance}% chance of precipitation',
+    'chart.range': 'Low to high',
+    'chart.precip': 'Chance of precipitation',
+    'chart.temperature': 'Temperature',
+    'chart.feelsLike': 'Feels like',
+    'chart.wind': 'Wind',
+    'notify.center.label': 'Notifications ({count} unread)',
+    'notify.center.title': 'Notifications',
+    'notify.center.clear': 'Clear',
+    'notify.center.empty': 'No alerts yet. Set some up on the dashboard.',
+    'notify.editor.title': '🔔 Weather alerts',
+    'notify.editor.noLocations': 'Save a location to set up alerts for it.',
+    'notify.editor.location': 'Location',
+    'notify.editor.metric': 'Alert me when',
+    'notify.editor.operator': 'Is',
+    'notify.editor.value': 'Value',
+    'notify.editor.day': 'Day',
+    'notify.editor.onlyBetween': 'Only between',
+    'notify.editor.from': 'From',
+    'notify.editor.to': 'To',
+    'notify.editor.add': 'Add alert',
+    'notify.editor.enabled': 'Alert on',
+    'notify.editor.remove': 'Delete alert',
+    'notify.metric.low': 'Low temperature',
+    'notify.metric.high': 'High temperature',
+    'notify.metric.rain': 'Chance of rain',
+    'notify.metric.wind': 'Wind speed',
+    'notify.operator.above': 'above',
+    'notify.operator.below': 'below',
+    'notify.day.today': 'Today',
+    'notify.day.tomorrow': 'Tomorrow',
+    'notify.rule.low': "{when}'s low {operator} {value}",
+    'notify.rule.high': "{when}'s high {operator} {value}",
+    'notify.rule.rain': 'Chance of rain {operator} {value}',
+    'notify.rule.rainWindow': 'Chance of rain {operator} {value} between {from} and {to}',
+    'notify.rule.wind': 'Wind {operator} {value}',
+    'notify.rule.windWindow': 'Wind {operator} {value} between {from} and {to}',
+    'notify.match': 'Forecast: {value}, {time}',
+    'notify.permission.ask': 'Allow browser notifications',
+    'notify.permission.granted': 'Browser notifications are on.',
+    'notify.permission.denied': 'Browser notifications are blocked, so alerts only show under 🔔.',
+    'notify.permission.unsupported': "This browser can't show notifications, so alerts only show under 🔔.",
+    'hourly.chanceOfRain': 'Chance of rain',
+    'hourly.windFrom': 'Wind from {direction}',
+    'detail.high': 'High',
+    'detail.low': 'Low',
+    'detail.chanceOfRain': 'Chance of rain',
+    'detail.chanceOfSnow': 'Chance of snow',
+    'detail.precipitation': 'Precipitation',
+    'detail.snow': 'Snowfall',
+    'detail.maxWind': 'Max wind',
+    'detail.sunrise': 'Sunrise',
+    'detail.sunset': 'Sunset',
+    'detail.moonPhase': 'Moon',
+    'detail.title': 'Details for {day}',
+    'detail.close': 'Close day details',
+    'detail.noHourly': "Hourly data isn't available for this day.",
+    'detail.hourly': 'Hour by hour',
+    'detail.time': 'Time',
+    'detail.conditions': 'Sky',
+    'detail.temp': 'Temp',
+    'detail.feelsLike': 'feels {temp}',
+    'history.nowVsYesterday': '{change} vs this time yesterday',
+    'history.highVsYesterday': 'High {change} vs yesterday',
+    'trend.title': 'Past week & week ahead',
+    'trend.vsWeek': "Today's high: {change} vs the past week's average",
+    'trend.today': 'Today',
+    'trend.observed': 'Observed',
+    'trend.forecast': 'Forecast',
+    'briefing.title': 'Forecast Briefing',
+    'briefing.writing': 'Writing your briefing…',
+    'briefing.source': 'Written by: {generator}',
+    'briefing.heading.now': 'Right now',
+    'briefing.heading.next': 'Next 24 hours',
+    'briefing.heading.ahead': 'Days ahead',
+    'briefing.now': 'It is {condition} in {name} at {temp}, and it feels {feel} ({feelsLike}).',
+    'briefing.feel.frigid': 'bitterly cold',
+    'briefing.feel.freezing': 'freezing',
+    'briefing.feel.cold': 'cold',
+    'briefing.feel.cool': 'cool',
+    'briefing.feel.comfortable': 'comfortable',
+    'briefing.feel.warm': 'warm',
+    'briefing.feel.hot': 'hot',
+    'briefing.feel.muggy': 'muggy',
+    'briefing.range': 'Today ranges from {low} to {high}.',
+    'briefing.swing': 'Expect a big swing today, from {low} up to {high}.',
+    'briefing.yesterday.change': "Today's high is {change} compared with yesterday.",
+    'briefing.yesterday.same': 'About as warm as yesterday.',
+    'briefing.rain.none': 'No rain expected.',
+    'briefing.rain.from': 'Rain likely from about {start} ({chance}% chance).',
+    'briefing.rain.window': 'Rain likely from about {start} until {end} ({chance}% chance).',
+    'briefing.rain.nowUntil': 'Rain likely until about {end}.',
+    'briefing.rain.nowAllDay': 'Rain likely on and off all day ({chance}% chance).',
+    'briefing.gusts': 'Gusts up to {gust} around {time}.',
+    'briefing.ahead.quiet': 'No big changes in the days ahead.',
+    'briefing.ahead.hot': 'warmest day ahead, up to {temp}',
+    'briefing.ahead.cold': 'coldest night ahead, down to {temp}',
+    'briefing.ahead.rain': 'wet, around {amount}',
+    'briefing.ahead.snow': 'snow likely',
+    'briefing.ahead.wind': 'windy, up to {wind}',
+    'recommend.title': 'What to Wear & Do',
+    'recommend.unavailable': "Recommendations need a forecast, which isn't available here.",
+    'recommend.customize': 'Adjust thresholds',
+    'recommend.reset': 'Reset to defaults',
+    'recommend.suffix.percent': '%',
+    'recommend.suffix.uv': 'UV',
+    'recommend.suffix.aqi': 'EPA',
+    'recommend.suffix.hour': ':00',
+    'recommend.threshold.coatC': 'Coat below',
+    'recommend.threshold.jacketC': 'Jacket below',
+    'recommend.threshold.lightClothesC': 'Dress light from',
+    'recommend.threshold.umbrellaPercent': 'Umbrella from',
+    'recommend.threshold.sunscreenUv': 'Sunscreen from',
+    'recommend.threshold.runMinC': 'Run: coldest',
+    'recommend.threshold.runMaxC': 'Run: warmest',
+    'recommend.threshold.cycleMinC': 'Cycle: coldest',
+    'recommend.threshold.cycleMaxC': 'Cycle: warmest',
+    'recommend.threshold.cycleWindKph': 'Cycle: windiest',
+    'recommend.threshold.exerciseMaxAqi': 'Exercise: worst air',
+    'recommend.threshold.morningCommuteHour': 'Morning commute',
+    'recommend.threshold.eveningCommuteHour': 'Evening commute',
+    'recommend.clothing.coat': 'Wear a warm coat',
+    'recommend.clothing.jacket': 'Bring a jacket',
+    'recommend.clothing.light': 'Dress light',
+    'recommend.clothing.layers': 'Light layers are enough',
+    'recommend.umbrella.yes': 'Take an umbrella',
+    'recommend.umbrella.no': 'No umbrella needed',
+    'recommend.sunscreen.yes': 'Wear sunscreen',
+    'recommend.sunscreen.no': 'No sunscreen needed',
+    'recommend.run.now': 'Good time for a run',
+    'recommend.run.at': 'Best run: around {time}',
+    'recommend.run.skip': 'Not a day for a run',
+    'recommend.run.indoors': 'Run indoors today',
+    'recommend.cycle.now': 'Good time for a ride',
+    'recommend.cycle.at': 'Best ride: around {time}',
+    'recommend.cycle.skip': 'Not a day for cycling',
+    'recommend.cycle.indoors': 'Skip the ride today',
+    'recommend.commute.dry': 'Dry commute at {time}',
+    'recommend.commute.shift': 'Leave around {time} for a drier commute',
+    'recommend.commute.wet': 'Wet commute at {time}',
+    'recommend.reason.tooCold': 'Feels like {temp}, below your {limit} limit.',
+    'recommend.reason.tooHot': 'Feels like {temp}, above your {limit} limit.',
+    'recommend.reason.wet': '{chance}% chance of rain or snow.',
+    'recommend.reason.windy': 'Wind {wind}, above your {limit} limit.',
+    'recommend.reason.airQuality': 'Air quality is {label} (EPA {index}).',
+    'recommend.reason.conditions': 'Feels like {temp}, {chance}% chance of rain.',
+    'recommend.reason.coldest': 'Feels as cold as {temp} in the next 12 hours.',
+    'recommend.reason.warmest': 'Feels as warm as {temp} in the next 12 hours.',
+    'recommend.reason.feelsRange': 'Feels between {low} and {high}.',
+    'recommend.reason.rainAt': '{chance}% chance of rain around {time}.',
+    'recommend.reason.rainAtMost': 'Rain chance stays at or below {chance}%.',
+    'recommend.reason.uvAt': 'UV index reaches {uv} around {time}.',
+    'recommend.reason.feelsNow': 'Feels like {temp} right now.',
+    'recommend.reason.rainToday': '{chance}% chance of rain today.',
+    'recommend.reason.uvToday': 'UV index reaches {uv} today.',
+    'recommend.reason.uvLow': 'UV index stays at {uv} or below.',
+    'recommend.reason.rainDrops': 'Rain chance drops from {from}% to {to}%.'
+  },
+  es: {
+    'search.placeholder': 'Introduce un lugar o pregunta en inglés, p. ej. "rain in Boston tomorrow?"',
+    'search.button': 'Buscar 🔍',
+    'search.numbers': 'Introduce el nombre de una ciudad o región, no números.',
+    'search.didYouMean': '¿Quisiste decir?',
+    'search.corrected': 'Mostrando resultados para {name} en lugar de "{original}"',
+    'intent.when.today': 'hoy',
+    'intent.when.tomorrow': 'mañana',
+    'intent.when.on': 'el {day}',
+    'intent.when.weekend': 'este fin de semana',
+    'intent.when.week': 'esta semana',
+    'intent.beyondForecast': 'Eso queda fuera del pronóstico de 7 días.',
+    'intent.coldest': 'Día más frío: {day}, con mínimas de {temp}.',
+    'intent.warmest': 'Día más cálido: {day}, con máximas de {temp}.',
+    'intent.rain.yes': 'Sí, es probable que llueva {when} ({chance}% de probabilidad).',
+    'intent.rain.no': 'Probablemente no: como mucho un {chance}% de probabilidad de lluvia {when}.',
+    'intent.rain.on': 'Es probable que llueva el {days} (hasta un {chance}%).',
+    'intent.snow.yes': 'Sí, es probable que nieve {when} ({chance}% de probabilidad).',
+    'intent.snow.no': 'Probablemente no: como mucho un {chance}% de probabilidad de nieve {when}.',
+    'intent.snow.on': 'Es probable que nieve el {days} (hasta un {chance}%).',
+    'intent.wind.single': 'Vientos de hasta {wind} {when}.',
+    'intent.wind.windiest': 'Día más ventoso: {day}, con vientos de hasta {wind}.',
+    'intent.forecast': '{when}: {condition}, de {low} a {high}.',
+    'region.title': 'El tiempo en {name}',
+    'region.surprise': '🎲 Sorpréndeme',
+    'region.warmest': 'Más cálida',
+    'region.coldest': 'Más fría',
+    'region.wettest': 'Más lluviosa',
+    'region.loading': 'Cargando…',
+    'region.rain': '{chance}% lluvia',
+    'status.loading': 'Cargando el tiempo local...',
+    'status.retrying': 'Seguimos intentando cargar el tiempo (intento {attempt})…',
+    'status.offline': '📡 Sin conexión. Se muestra el último tiempo cargado; se actualizará al volver a conectarte.',
+    'status.asOf': '📦 Pronóstico guardado · a las {time}',
+    'status.offlineNoData': 'Aún no hay un pronóstico guardado para este lugar. Se cargará cuando vuelvas a tener conexión.',
+    'error.try_later': 'Espera un minuto y vuelve a intentarlo.',
+    'error.check_key': 'Revisa WEATHER_API_KEY en el archivo .env que lee el servidor de la API y reinícialo.',
+    'error.search_again': 'Prueba con otra ciudad, un código postal o coordenadas.',
+    'error.retryButton': 'Reintentar',
+    'error.retrying': 'Reintentando…',
+    'error.kind.offline': 'No tienes conexión. Compruébala y vuelve a intentarlo.',
+    'error.kind.network': 'No se pudo contactar con el servicio meteorológico. Comprueba tu conexión y vuelve a intentarlo.',
+    'error.kind.provider_unavailable': 'El servicio meteorológico tiene problemas en este momento.',
+    'error.kind.rate_limited': 'Demasiadas solicitudes al servicio meteorológico en poco tiempo.',
+    'error.kind.quota_exceeded': 'La clave de la API del tiempo ha agotado su cuota para este periodo.',
+    'error.kind.missing_key': 'No se encontró la clave de la API del tiempo. Revisa las variables de entorno.',
+    'error.kind.invalid_key': 'La clave de la API del tiempo se rechazó por no ser válida.',
+    'error.kind.key_disabled': 'La clave de la API del tiempo está desactivada.',
+    'error.kind.plan_restricted': 'El plan de la clave de la API del tiempo no incluye estos datos.',
+    'error.kind.not_found': 'Ciudad no encontrada',
+    'error.kind.bad_request': 'El servicio meteorológico no entendió esa solicitud.',
+    'error.kind.unsupported_query': 'Este servicio meteorológico no puede responder a esa búsqueda.',
+    'error.kind.config': 'El servicio meteorológico está mal configurado.',
+    'error.kind.unknown': 'No se pudieron obtener los datos del tiempo.',
+    'error.unknownProvider': 'Proveedor meteorológico desconocido "{id}".',
+    'error.openMeteoAutoIp': 'Open-Meteo no puede detectar tu ubicación por IP. Busca una ciudad.',
+    'nav.saved': '⭐ Guardados',
+    'nav.myLocation': '📍 Mi ubicación',
+    'nav.locating': '📍 Localizando…',
+    'theme.dawn': '🌄 Amanecer',
+    'theme.morning': '☀️ Mañana',
+    'theme.afternoon': '🌤️ Tarde',
+    'theme.golden': '🌇 Hora dorada',
+    'theme.dusk': '🌆 Anochecer',
+    'theme.night': '🌙 Noche',
+    'theme.rain': '🌧️ Lluvia',
+    'theme.snow': '❄️ Nieve',
+    'theme.storm': '⛈️ Tormenta',
+    'theme.localTime': 'Hora local {time}',
+    'share.copy': '🔗 Copiar enlace',
+    'share.copied': '✅ ¡Copiado!',
+    'share.failed': '⚠️ No se pudo copiar',
+    'location.device': '📍 Mostrando el tiempo de la ubicación de tu dispositivo.',
+    'location.ip': 'Mostrando una ubicación aproximada según tu dirección IP.',
+    'location.failed': 'No se pudo obtener tu ubicación precisa porque {reason}; se muestra una ubicación aproximada según tu dirección IP.',
+    'location.failedKnown': 'No se pudo actualizar tu ubicación precisa porque {reason}; se muestra la última ubicación conocida de tu dispositivo.',
+    'location.prompt': 'Hemos estimado tu ubicación a partir de tu dirección IP, que puede fallar por una ciudad o más. ¿Usar la ubicación de tu dispositivo para un pronóstico más preciso?',
+    'location.accept': 'Usar mi ubicación',
+    'location.dismiss': 'Ahora no',
+    'geolocation.denied': 'se denegó el permiso de ubicación',
+    'geolocation.timeout': 'localizarte tardó demasiado',
+    'geolocation.unavailable': 'tu dispositivo no pudo determinar su posición',
+    'geolocation.unsupported': 'este navegador no permite acceder a la ubicación',
+    'weather.humidity': 'Humedad',
+    'weather.wind': 'Viento',
+    'weather.pressure': 'Presión',
+    'weather.uv': 'Índice UV',
+    'weather.save': '☆ Guardar',
+    'weather.saved': '★ Guardado',
+    'nav.search': '🔍 Buscar',
+    'front.title': 'Bienvenido a Cloudy with a chance of AI',
+    'front.subtext': 'app del tiempo',
+    'front.continue': 'Continuar',
+    'front.continueLabel': 'Continuar sin iniciar sesión',
+    'front.footer': 'Al continuar aceptas nuestros términos y la política de privacidad.',
+    'dashboard.title': 'Ubicaciones guardadas',
+    'dashboard.empty': 'Aún no hay ubicaciones guardadas. Busca una ciudad y pulsa ☆ Guardar en su tarjeta del tiempo.',
+    'tile.loading': 'Cargando…',
+    'tile.range': 'Máx. {high} · Mín. {low}',
+    'tile.moveUp': 'Subir {name}',
+    'tile.moveDown': 'Bajar {name}',
+    'tile.remove': 'Quitar {name}',
+    'units.title': 'Unidades',
+    'units.system': 'Sistema de unidades',
+    'units.temperature': 'Temperatura',
+    'units.wind': 'Viento',
+    'units.pressure': 'Presión',
+    'units.precipitation': 'Precipitación',
+    'alert.region': 'Avisos meteorológicos',
+    'alert.details': 'Detalles',
+    'alert.dismiss': 'Descartar {event}',
+    'alert.close': 'Cerrar los detalles del aviso',
+    'alert.severity': 'Gravedad',
+    'alert.urgency': 'Urgencia',
+    'alert.certainty': 'Certeza',
+    'alert.effective': 'En vigor desde',
+    'alert.expires': 'Expira',
+    'alert.areas': 'Zonas',
+    'alert.instruction': 'Qué hacer:',
+    'alert.notSpecified': 'Sin especificar',
+    'alert.severity.extreme': 'Extrema',
+    'alert.severity.severe': 'Grave',
+    'alert.severity.moderate': 'Moderada',
+    'alert.severity.minor': 'Leve',
+    'alert.severity.unknown': 'Desconocida',
+    'alert.urgency.immediate': 'Inmediata',
+    'alert.urgency.expected': 'Prevista',
+    'alert.urgency.future': 'Futura',
+    'alert.urgency.past': 'Pasada',
+    'alert.urgency.unknown': 'Desconocida',
+    'alert.certainty.observed': 'Observado',
+    'alert.certainty.likely': 'Probable',
+    'alert.certainty.possible': 'Posible',
+    'alert.certainty.unlikely': 'Improbable',
+    'aqi.title': 'Calidad del aire',
+    'aqi.unavailable': 'No hay datos de calidad del aire para esta ubicación.',
+    'aqi.indexLabel': 'Índice EPA de EE. UU. {index} de 6',
+    'aqi.scale': 'Índice EPA de EE. UU. (1–6)',
+    'aqi.defra': 'DEFRA (Reino Unido):',
+    'aqi.sensitive': 'Asma y grupos sensibles:',
+    'aqi.forecastTitle': 'Calidad del aire: {label}',
+    'aqi.epa.1': 'Buena',
+    'aqi.epa.1.advice': 'La calidad del aire es satisfactoria. Disfruta de tus actividades al aire libre habituales.',
+    'aqi.epa.1.sensitive': 'No hace falta tomar precauciones.',
+    'aqi.epa.2': 'Moderada',
+    'aqi.epa.2.advice': 'La calidad del aire es aceptable para la mayoría de las personas.',
+    'aqi.epa.2.sensitive': 'Las personas especialmente sensibles deberían reducir los esfuerzos prolongados o intensos al aire libre.',
+    'aqi.epa.3': 'Dañina para grupos sensibles',
+    'aqi.epa.3.advice': 'Es poco probable que afecte a la mayoría de las personas.',
+    'aqi.epa.3.sensitive': 'Las personas con asma deberían llevar su medicación de rescate y reducir los esfuerzos prolongados o intensos al aire libre.',
+    'aqi.epa.4': 'Dañina',
+    'aqi.epa.4.advice': 'Cualquiera puede empezar a notar efectos. Reduce los esfuerzos prolongados o intensos al aire libre.',
+    'aqi.epa.4.sensitive': 'Evita los esfuerzos prolongados o intensos; haz las actividades en interior o cámbialas de día.',
+    'aqi.epa.5': 'Muy dañina',
+    'aqi.epa.5.advice': 'Alerta sanitaria: todo el mundo debería evitar los esfuerzos prolongados o intensos al aire libre.',
+    'aqi.epa.5.sensitive': 'Evita cualquier actividad física al aire libre.',
+    'aqi.epa.6': 'Peligrosa',
+    'aqi.epa.6.advice': 'Aviso sanitario de emergencia: todo el mundo debería evitar cualquier esfuerzo al aire libre.',
+    'aqi.epa.6.sensitive': 'Permanece en interior y mantén un nivel de actividad bajo.',
+    'aqi.defra.low': 'Bajo',
+    'aqi.defra.moderate': 'Moderado',
+    'aqi.defra.high': 'Alto',
+    'aqi.defra.veryHigh': 'Muy alto',
+    'aqi.pollutant.pm2_5': 'Partículas finas',
+    'aqi.pollutant.pm10': 'Partículas gruesas',
+    'aqi.pollutant.o3': 'Ozono',
+    'aqi.pollutant.no2': 'Dióxido de nitrógeno',
+    'aqi.pollutant.so2': 'Dióxido de azufre',
+    'aqi.pollutant.co': 'Monóxido de carbono',
+    'hourly.title': 'Próximas {count} horas',
+    'hourly.now': 'Ahora',
+    'hourly.label': 'Pronóstico por horas',
+    'chart.view': 'Vista del pronóstico',
+    'chart.view.cards': '🗂️ Tarjetas',
+    'chart.view.chart': '📊 Gráfico',
+    'chart.dailyTitle': 'Temperatura y precipitación esta semana',
+    'chart.hourlyTitle': 'Próximas {count} horas',
+    'chart.roleDescription': 'gráfico',
+    'chart.dailyKeys': 'Rango de temperatura diario y probabilidad de precipitación. Usa las flechas izquierda y derecha para leer cada día y Enter para abrirlo.',
+    'chart.hourlyKeys': 'Temperatura, sensación térmica y viento por hora. Usa las flechas izquierda y derecha para leer cada hora.',
+    'chart.high': 'Máx.',
+    'chart.low': 'Mín.',
+    'chart.precipChance': '{chance}% de probabilidad de precipitación',
+    'chart.range': 'Mínima a máxima',
+    'chart.precip': 'Probabilidad de precipitación',
+    'chart.temperature': 'Temperatura',
+    'chart.feelsLike': 'Sensación',
+    'chart.wind': 'Viento',
+    'notify.center.label': 'Notificaciones ({count} sin leer)',
+    'notify.center.title': 'Notificaciones',
+    'notify.center.clear': 'Borrar',
+    'notify.center.empty': 'Aún no hay alertas. Configúralas en el panel.',
+    'notify.editor.title': '🔔 Alertas del tiempo',
+    'notify.editor.noLocations': 'Guarda una ubicación para configurar alertas.',
+    'notify.editor.location': 'Ubicación',
+    'notify.editor.metric': 'Avisarme cuando',
+    'notify.editor.operator': 'Esté',
+    'notify.editor.value': 'Valor',
+    'notify.editor.day': 'Día',
+    'notify.editor.onlyBetween': 'Solo entre',
+    'notify.editor.from': 'Desde',
+    'notify.editor.to': 'Hasta',
+    'notify.editor.add': 'Añadir alerta',
+    'notify.editor.enabled': 'Alerta activa',
+    'notify.editor.remove': 'Eliminar alerta',
+    'notify.metric.low': 'Temperatura mínima',
+    'notify.metric.high': 'Temperatura máxima',
+    'notify.metric.rain': 'Probabilidad de lluvia',
+    'notify.metric.wind': 'Velocidad del viento',
+    'notify.operator.above': 'por encima de',
+    'notify.operator.below': 'por debajo de',
+    'notify.day.today': 'Hoy',
+    'notify.day.tomorrow': 'Mañana',
+    'notify.rule.low': '{when}: mínima {operator} {value}',
+    'notify.rule.high': '{when}: máxima {operator} {value}',
+    'notify.rule.rain': 'Probabilidad de lluvia {operator} {value}',
+    'notify.rule.rainWindow': 'Probabilidad de lluvia {operator} {value} entre {from} y {to}',
+    'notify.rule.wind': 'Viento {operator} {value}',
+    'notify.rule.windWindow': 'Viento {operator} {value} entre {from} y {to}',
+    'notify.match': 'Pronóstico: {value}, {time}',
+    'notify.permission.ask': 'Permitir notificaciones del navegador',
+    'notify.permission.granted': 'Las notificaciones del navegador están activadas.',
+    'notify.permission.denied': 'Las notificaciones del navegador están bloqueadas; las alertas solo aparecen en 🔔.',
+    'notify.permission.unsupported': 'Este navegador no puede mostrar notificaciones; las alertas solo aparecen en 🔔.',
+    'hourly.chanceOfRain': 'Probabilidad de lluvia',
+    'hourly.windFrom': 'Viento del {direction}',
+    'detail.high': 'Máxima',
+    'detail.low': 'Mínima',
+    'detail.chanceOfRain': 'Probabilidad de lluvia',
+    'detail.chanceOfSnow': 'Probabilidad de nieve',
+    'detail.precipitation': 'Precipitación',
+    'detail.snow': 'Nieve',
+    'detail.maxWind': 'Viento máximo',
+    'detail.sunrise': 'Amanecer',
+    'detail.sunset': 'Atardecer',
+    'detail.moonPhase': 'Luna',
+    'detail.title': 'Detalles del {day}',
+    'detail.close': 'Cerrar detalles del día',
+    'detail.noHourly': 'No hay datos por horas para este día.',
+    'detail.hourly': 'Hora a hora',
+    'detail.time': 'Hora',
+    'detail.conditions': 'Cielo',
+    'detail.temp': 'Temp.',
+    'detail.feelsLike': 'sensación {temp}',
+    'history.nowVsYesterday': '{change} respecto a ayer a esta hora',
+    'history.highVsYesterday': 'Máxima {change} respecto a ayer',
+    'trend.title': 'Semana pasada y próxima',
+    'trend.vsWeek': 'Máxima de hoy: {change} respecto a la media de la semana pasada',
+    'trend.today': 'Hoy',
+    'trend.observed': 'Observado',
+    'trend.forecast': 'Pronóstico',
+    'briefing.title': 'Resumen del pronóstico',
+    'briefing.writing': 'Preparando tu resumen…',
+    'briefing.source': 'Escrito por: {generator}',
+    'briefing.heading.now': 'Ahora mismo',
+    'briefing.heading.next': 'Próximas 24 horas',
+    'briefing.heading.ahead': 'Próximos días',
+    'briefing.now': 'En {name}: {condition}, {temp}, con sensación {feel} ({feelsLike}).',
+    'briefing.feel.frigid': 'gélida',
+    'briefing.feel.freezing': 'de helada',
+    'briefing.feel.cold': 'fría',
+    'briefing.feel.cool': 'fresca',
+    'briefing.feel.comfortable': 'agradable',
+    'briefing.feel.warm': 'cálida',
+    'briefing.feel.hot': 'de calor',
+    'briefing.feel.muggy': 'bochornosa',
+    'briefing.range': 'Hoy entre {low} y {high}.',
+    'briefing.swing': 'Gran contraste hoy: de {low} a {high}.',
+    'briefing.yesterday.change': 'Máxima de hoy: {change} respecto a ayer.',
+    'briefing.yesterday.same': 'Temperaturas parecidas a las de ayer.',
+    'briefing.rain.none': 'No se espera lluvia.',
+    'briefing.rain.from': 'Lluvia probable desde las {start} ({chance}% de probabilidad).',
+    'briefing.rain.window': 'Lluvia probable de {start} a {end} ({chance}% de probabilidad).',
+    'briefing.rain.nowUntil': 'Lluvia probable hasta las {end}.',
+    'briefing.rain.nowAllDay': 'Lluvia intermitente todo el día ({chance}% de probabilidad).',
+    'briefing.gusts': 'Rachas de hasta {gust} hacia las {time}.',
+    'briefing.ahead.quiet': 'Sin grandes cambios en los próximos días.',
+    'briefing.ahead.hot': 'el día más cálido, hasta {temp}',
+    'briefing.ahead.cold': 'la noche más fría, hasta {temp}',
+    'briefing.ahead.rain': 'lluvioso, unos {amount}',
+    'briefing.ahead.snow': 'probable nieve',
+    'briefing.ahead.wind': 'ventoso, hasta {wind}',
+    'recommend.title': 'Qué ponerse y qué hacer',
+    'recommend.unavailable': 'Las recomendaciones necesitan un pronóstico, que no está disponible aquí.',
+    'recommend.customize': 'Ajustar umbrales',
+    'recommend.reset': 'Restablecer valores',
+    'recommend.suffix.percent': '%',
+    'recommend.suffix.uv': 'UV',
+    'recommend.suffix.aqi': 'EPA',
+    'recommend.suffix.hour': ':00',
+    'recommend.threshold.coatC': 'Abrigo por debajo de',
+    'recommend.threshold.jacketC': 'Chaqueta por debajo de',
+    'recommend.threshold.lightClothesC': 'Ropa ligera desde',
+    'recommend.threshold.umbrellaPercent': 'Paraguas desde',
+    'recommend.threshold.sunscreenUv': 'Protector solar desde',
+    'recommend.threshold.runMinC': 'Correr: mínima',
+    'recommend.threshold.runMaxC': 'Correr: máxima',
+    'recommend.threshold.cycleMinC': 'Bici: mínima',
+    'recommend.threshold.cycleMaxC': 'Bici: máxima',
+    'recommend.threshold.cycleWindKph': 'Bici: viento máximo',
+    'recommend.threshold.exerciseMaxAqi': 'Ejercicio: peor aire',
+    'recommend.threshold.morningCommuteHour': 'Trayecto de mañana',
+    'recommend.threshold.eveningCommuteHour': 'Trayecto de tarde',
+    'recommend.clothing.coat': 'Ponte un abrigo',
+    'recommend.clothing.jacket': 'Lleva una chaqueta',
+    'recommend.clothing.light': 'Ropa ligera',
+    'recommend.clothing.layers': 'Basta con capas ligeras',
+    'recommend.umbrella.yes': 'Lleva paraguas',
+    'recommend.umbrella.no': 'No hace falta paraguas',
+    'recommend.sunscreen.yes': 'Usa protector solar',
+    'recommend.sunscreen.no': 'No hace falta protector solar',
+    'recommend.run.now': 'Buen momento para correr',
+    'recommend.run.at': 'Mejor hora para correr: hacia las {time}',
+    'recommend.run.skip': 'No es día para correr',
+    'recommend.run.indoors': 'Hoy mejor correr bajo techo',
+    'recommend.cycle.now': 'Buen momento para la bici',
+    'recommend.cycle.at': 'Mejor hora para la bici: hacia las {time}',
+    'recommend.cycle.skip': 'No es día para la bici',
+    'recommend.cycle.indoors': 'Hoy mejor sin bici',
+    'recommend.commute.dry': 'Trayecto seco a las {time}',
+    'recommend.commute.shift': 'Sal hacia las {time} para evitar la lluvia',
+    'recommend.commute.wet': 'Trayecto con lluvia a las {time}',
+    'recommend.reason.tooCold': 'Sensación de {temp}, por debajo de tu límite de {limit}.',
+    'recommend.reason.tooHot': 'Sensación de {temp}, por encima de tu límite de {limit}.',
+    'recommend.reason.wet': '{chance}% de probabilidad de lluvia o nieve.',
+    'recommend.reason.windy': 'Viento de {wind}, por encima de tu límite de {limit}.',
+    'recommend.reason.airQuality': 'Calidad del aire: {label} (EPA {index}).',
+    'recommend.reason.conditions': 'Sensación de {temp}, {chance}% de probabilidad de lluvia.',
+    'recommend.reason.coldest': 'Sensación de hasta {temp} en las próximas 12 horas.',
+    'recommend.reason.warmest': 'Sensación de hasta {temp} en las próximas 12 horas.',
+    'recommend.reason.feelsRange': 'Sensación entre {low} y {high}.',
+    'recommend.reason.rainAt': '{chance}% de probabilidad de lluvia hacia las {time}.',
+    'recommend.reason.rainAtMost': 'Como mucho un {chance}% de probabilidad de lluvia.',
+    'recommend.reason.uvAt': 'El índice UV llega a {uv} hacia las {time}.',
+    'recommend.reason.feelsNow': 'Sensación térmica de {temp} ahora mismo.',
+    'recommend.reason.rainToday': '{chance}% de probabilidad de lluvia hoy.',
+    'recommend.reason.uvToday': 'El índice UV llega a {uv} hoy.',
+    'recommend.reason.uvLow': 'El índice UV no pasa de {uv}.',
+    'recommend.reason.rainDrops': 'La probabilidad de lluvia baja del {from}% al {to}%.'
+  },
+  fr: {
+    'search.placeholder': 'Saisissez un lieu ou posez une question en anglais, ex. « rain in Boston tomorrow? »',
+    'search.button': 'Rechercher 🔍',
+    'search.numbers': "Saisissez un nom de ville ou de région, pas des chiffres.",
+    'search.didYouMean': 'Vouliez-vous dire :',
+    'search.corrected': 'Résultats pour {name} au lieu de « {original} »',
+    'intent.when.today': "aujourd'hui",
+    'intent.when.tomorrow': 'demain',
+    'intent.when.on': '{day}',
+    'intent.when.weekend': 'ce week-end',
+    'intent.when.week': 'cette semaine',
+    'intent.beyondForecast': 'Cela dépasse les prévisions à 7 jours.',
+    'intent.coldest': 'Jour le plus froid : {day}, minimales de {temp}.',
+    'intent.warmest': 'Jour le plus chaud : {day}, maximales de {temp}.',
+    'intent.rain.yes': 'Oui, de la pluie est probable {when} ({chance} % de risque).',
+    'intent.rain.no': 'Probablement pas : au plus {chance} % de risque de pluie {when}.',
+    'intent.rain.on': 'Pluie probable {days} (jusqu’à {chance} %).',
+    'intent.snow.yes': 'Oui, de la neige est probable {when} ({chance} % de risque).',
+    'intent.snow.no': 'Probablement pas : au plus {chance} % de risque de neige {when}.',
+    'intent.snow.on': 'Neige probable {days} (jusqu’à {chance} %).',
+    'intent.wind.single': 'Vent jusqu’à {wind} {when}.',
+    'intent.wind.windiest': 'Jour le plus venteux : {day}, jusqu’à {wind}.',
+    'intent.forecast': '{when} : {condition}, de {low} à {high}.',
+    'region.title': 'La météo en {name}',
+    'region.surprise': '🎲 Surprenez-moi',
+    'region.warmest': 'La plus chaude',
+    'region.coldest': 'La plus froide',
+    'region.wettest': 'La plus pluvieuse',
+    'region.loading': 'Chargement…',
+    'region.rain': '{chance} % de pluie',
+    'status.loading': 'Chargement de la météo locale...',
+    'status.retrying': 'Nouvelle tentative de chargement de la météo (essai {attempt})…',
+    'status.offline': '📡 Vous êtes hors ligne. Dernière météo chargée affichée ; elle sera mise à jour à la reconnexion.',
+    'status.asOf': '📦 Prévisions enregistrées · à {time}',
+    'status.offlineNoData': 'Aucune prévision enregistrée pour ce lieu. Elle se chargera dès le retour de la connexion.',
+    'error.try_later': 'Patientez une minute, puis réessayez.',
+    'error.check_key': 'Vérifiez WEATHER_API_KEY dans le fichier .env lu par le serveur d’API, puis redémarrez-le.',
+    'error.search_again': 'Essayez un autre nom de ville, un code postal ou des coordonnées.',
+    'error.retryButton': 'Réessayer',
+    'error.retrying': 'Nouvelle tentative…',
+    'error.kind.offline': 'Vous êtes hors ligne. Vérifiez votre connexion et réessayez.',
+    'error.kind.network': 'Impossible de joindre le service météo. Vérifiez votre connexion et réessayez.',
+    'error.kind.provider_unavailable': 'Le service météo rencontre des problèmes en ce moment.',
+    'error.kind.rate_limited': 'Trop de requêtes envoyées au service météo en peu de temps.',
+    'error.kind.quota_exceeded': 'La clé de l’API météo a épuisé son quota pour cette période.',
+    'error.kind.missing_key': 'Clé de l’API météo introuvable. Vérifiez vos variables d’environnement.',
+    'error.kind.invalid_key': 'La clé de l’API météo a été refusée car non valide.',
+    'error.kind.key_disabled': 'La clé de l’API météo a été désactivée.',
+    'error.kind.plan_restricted': 'L’abonnement de la clé de l’API météo n’inclut pas ces données.',
+    'error.kind.not_found': 'Ville introuvable',
+    'error.kind.bad_request': 'Le service météo n’a pas compris cette requête.',
+    'error.kind.unsupported_query': 'Ce service météo ne peut pas répondre à cette recherche.',
+    'error.kind.config': 'Le service météo est mal configuré.',
+    'error.kind.unknown': 'Impossible de récupérer les données météo.',
+    'error.unknownProvider': 'Fournisseur météo inconnu « {id} ».',
+    'error.openMeteoAutoIp': 'Open-Meteo ne peut pas vous localiser par IP. Recherchez plutôt une ville.',
+    'nav.saved': '⭐ Favoris',
+    'nav.myLocation': '📍 Ma position',
+    'nav.locating': '📍 Localisation…',
+    'theme.dawn': '🌄 Lever du soleil',
+    'theme.morning': '☀️ Matin',
+    'theme.afternoon': '🌤️ Après-midi',
+    'theme.golden': '🌇 Heure dorée',
+    'theme.dusk': '🌆 Crépuscule',
+    'theme.night': '🌙 Nuit',
+    'theme.rain': '🌧️ Pluie',
+    'theme.snow': '❄️ Neige',
+    'theme.storm': '⛈️ Orage',
+    'theme.localTime': 'Heure locale {time}',
+    'share.copy': '🔗 Copier le lien',
+    'share.copied': '✅ Copié !',
+    'share.failed': '⚠️ Échec de la copie',
+    'location.device': '📍 Météo affichée pour la position de votre appareil.',
+    'location.ip': "Position approximative estimée à partir de votre adresse IP.",
+    'location.failed': "Impossible d'obtenir votre position précise car {reason} - position approximative estimée à partir de votre adresse IP.",
+    'location.failedKnown': "Impossible de mettre à jour votre position précise car {reason} - dernière position connue de votre appareil affichée.",
+    'location.prompt': "Nous avons estimé votre position à partir de votre adresse IP, ce qui peut être imprécis. Utiliser la position de votre appareil pour une prévision plus précise ?",
+    'location.accept': 'Utiliser ma position',
+    'location.dismiss': 'Plus tard',
+    'geolocation.denied': "l'autorisation de localisation a été refusée",
+    'geolocation.timeout': 'la localisation a pris trop de temps',
+    'geolocation.unavailable': "votre appareil n'a pas pu déterminer sa position",
+    'geolocation.unsupported': 'ce navigateur ne permet pas la localisation',
+    'weather.humidity': 'Humidité',
+    'weather.wind': 'Vent',
+    'weather.pressure': 'Pression',
+    'weather.uv': 'Indice UV',
+    'weather.save': '☆ Enregistrer',
+    'weather.saved': '★ Enregistré',
+    'nav.search': '🔍 Rechercher',
+    'front.title': 'Bienvenue sur Cloudy with a chance of AI',
+    'front.subtext': 'application météo',
+    'front.continue': 'Continuer',
+    'front.continueLabel': 'Continuer sans se connecter',
+    'front.footer': 'En continuant, vous acceptez nos conditions et notre politique de confidentialité.',
+    'dashboard.title': 'Lieux enregistrés',
+    'dashboard.empty': 'Aucun lieu enregistré pour l’instant. Recherchez une ville et touchez ☆ Enregistrer sur sa carte météo.',
+    'tile.loading': 'Chargement…',
+    'tile.range': 'Max. {high} · Min. {low}',
+    'tile.moveUp': 'Monter {name}',
+    'tile.moveDown': 'Descendre {name}',
+    'tile.remove': 'Retirer {name}',
+    'units.title': 'Unités',
+    'units.system': 'Système d’unités',
+    'units.temperature': 'Température',
+    'units.wind': 'Vent',
+    'units.pressure': 'Pression',
+    'units.precipitation': 'Précipitations',
+    'alert.region': 'Alertes météo',
+    'alert.details': 'Détails',
+    'alert.dismiss': 'Masquer {event}',
+    'alert.close': 'Fermer les détails de l’alerte',
+    'alert.severity': 'Gravité',
+    'alert.urgency': 'Urgence',
+    'alert.certainty': 'Certitude',
+    'alert.effective': 'En vigueur',
+    'alert.expires': 'Expire',
+    'alert.areas': 'Zones',
+    'alert.instruction': 'Que faire :',
+    'alert.notSpecified': 'Non précisé',
+    'alert.severity.extreme': 'Extrême',
+    'alert.severity.severe': 'Sévère',
+    'alert.severity.moderate': 'Modérée',
+    'alert.severity.minor': 'Faible',
+    'alert.severity.unknown': 'Inconnue',
+    'alert.urgency.immediate': 'Immédiate',
+    'alert.urgency.expected': 'Attendue',
+    'alert.urgency.future': 'Future',
+    'alert.urgency.past': 'Passée',
+    'alert.urgency.unknown': 'Inconnue',
+    'alert.certainty.observed': 'Observé',
+    'alert.certainty.likely': 'Probable',
+    'alert.certainty.possible': 'Possible',
+    'alert.certainty.unlikely': 'Peu probable',
+    'aqi.title': 'Qualité de l’air',
+    'aqi.unavailable': 'Aucune donnée de qualité de l’air pour ce lieu.',
+    'aqi.indexLabel': 'Indice EPA (États-Unis) {index} sur 6',
+    'aqi.scale': 'Indice EPA (États-Unis, 1–6)',
+    'aqi.defra': 'DEFRA (Royaume-Uni) :',
+    'aqi.sensitive': 'Asthme et personnes sensibles :',
+    'aqi.forecastTitle': 'Qualité de l’air : {label}',
+    'aqi.epa.1': 'Bonne',
+    'aqi.epa.1.advice': 'La qualité de l’air est satisfaisante. Profitez de vos activités extérieures habituelles.',
+    'aqi.epa.1.sensitive': 'Aucune précaution nécessaire.',
+    'aqi.epa.2': 'Moyenne',
+    'aqi.epa.2.advice': 'La qualité de l’air est acceptable pour la plupart des gens.',
+    'aqi.epa.2.sensitive': 'Les personnes particulièrement sensibles devraient limiter les efforts prolongés ou intenses en extérieur.',
+    'aqi.epa.3': 'Mauvaise pour les personnes sensibles',
+    'aqi.epa.3.advice': 'La plupart des gens ne devraient pas être gênés.',
+    'aqi.epa.3.sensitive': 'Les personnes asthmatiques devraient garder leur traitement de secours à portée de main et limiter les efforts prolongés ou intenses en extérieur.',
+    'aqi.epa.4': 'Mauvaise',
+    'aqi.epa.4.advice': 'Tout le monde peut commencer à ressentir des effets. Limitez les efforts prolongés ou intenses en extérieur.',
+    'aqi.epa.4.sensitive': 'Évitez les efforts prolongés ou intenses ; pratiquez vos activités en intérieur ou reportez-les.',
+    'aqi.epa.5': 'Très mauvaise',
+    'aqi.epa.5.advice': 'Alerte sanitaire : tout le monde devrait éviter les efforts prolongés ou intenses en extérieur.',
+    'aqi.epa.5.sensitive': 'Évitez toute activité physique en extérieur.',
+    'aqi.epa.6': 'Dangereuse',
+    'aqi.epa.6.advice': 'Alerte sanitaire d’urgence : tout le monde devrait éviter tout effort en extérieur.',
+    'aqi.epa.6.sensitive': 'Restez à l’intérieur et limitez votre activité.',
+    'aqi.defra.low': 'Faible',
+    'aqi.defra.moderate': 'Modéré',
+    'aqi.defra.high': 'Élevé',
+    'aqi.defra.veryHigh': 'Très élevé',
+    'aqi.pollutant.pm2_5': 'Particules fines',
+    'aqi.pollutant.pm10': 'Particules grossières',
+    'aqi.pollutant.o3': 'Ozone',
+    'aqi.pollutant.no2': 'Dioxyde d’azote',
+    'aqi.pollutant.so2': 'Dioxyde de soufre',
+    'aqi.pollutant.co': 'Monoxyde de carbone',
+    'hourly.title': 'Prochaines {count} heures',
+    'hourly.now': 'Maintenant',
+    'hourly.label': 'Prévisions heure par heure',
+    'chart.view': 'Affichage des prévisions',
+    'chart.view.cards': '🗂️ Cartes',
+    'chart.view.chart': '📊 Graphique',
+    'chart.dailyTitle': 'Températures et précipitations de la semaine',
+    'chart.hourlyTitle': 'Prochaines {count} heures',
+    'chart.roleDescription': 'graphique',
+    'chart.dailyKeys': 'Écart de température quotidien et risque de précipitations. Utilisez les flèches gauche et droite pour parcourir les jours, Entrée pour en ouvrir un.',
+    'chart.hourlyKeys': 'Température, ressenti et vent heure par heure. Utilisez les flèches gauche et droite pour parcourir les heures.',
+    'chart.high': 'Max.',
+    'chart.low': 'Min.',
+    'chart.precipChance': '{chance} % de risque de précipitations',
+    'chart.range': 'Minimale à maximale',
+    'chart.precip': 'Risque de précipitations',
+    'chart.temperature': 'Température',
+    'chart.feelsLike': 'Ressenti',
+    'chart.wind': 'Vent',
+    'notify.center.label': 'Notifications ({count} non lues)',
+    'notify.center.title': 'Notifications',
+    'notify.center.clear': 'Effacer',
+    'notify.center.empty': 'Aucune alerte pour l’instant. Configurez-en depuis le tableau de bord.',
+    'notify.editor.title': '🔔 Alertes météo',
+    'notify.editor.noLocations': 'Enregistrez un lieu pour lui ajouter des alertes.',
+    'notify.editor.location': 'Lieu',
+    'notify.editor.metric': 'M’alerter quand',
+    'notify.editor.operator': 'Est',
+    'notify.editor.value': 'Valeur',
+    'notify.editor.day': 'Jour',
+    'notify.editor.onlyBetween': 'Seulement entre',
+    'notify.editor.from': 'De',
+    'notify.editor.to': 'À',
+    'notify.editor.add': 'Ajouter l’alerte',
+    'notify.editor.enabled': 'Alerte active',
+    'notify.editor.remove': 'Supprimer l’alerte',
+    'notify.metric.low': 'Température minimale',
+    'notify.metric.high': 'Température maximale',
+    'notify.metric.rain': 'Risque de pluie',
+    'notify.metric.wind': 'Vitesse du vent',
+    'notify.operator.above': 'au-dessus de',
+    'notify.operator.below': 'en dessous de',
+    'notify.day.today': 'Aujourd’hui',
+    'notify.day.tomorrow': 'Demain',
+    'notify.rule.low': '{when} : minimale {operator} {value}',
+    'notify.rule.high': '{when} : maximale {operator} {value}',
+    'notify.rule.rain': 'Risque de pluie {operator} {value}',
+    'notify.rule.rainWindow': 'Risque de pluie {operator} {value} entre {from} et {to}',
+    'notify.rule.wind': 'Vent {operator} {value}',
+    'notify.rule.windWindow': 'Vent {operator} {value} entre {from} et {to}',
+    'notify.match': 'Prévision : {value}, {time}',
+    'notify.permission.ask': 'Autoriser les notifications du navigateur',
+    'notify.permission.granted': 'Les notifications du navigateur sont activées.',
+    'notify.permission.denied': 'Les notifications du navigateur sont bloquées : les alertes n’apparaissent que sous 🔔.',
+    'notify.permission.unsupported': 'Ce navigateur ne peut pas afficher de notifications : les alertes n’apparaissent que sous 🔔.',
+    'hourly.chanceOfRain': 'Risque de pluie',
+    'hourly.windFrom': 'Vent du {direction}',
+    'detail.high': 'Max.',
+    'detail.low': 'Min.',
+    'detail.chanceOfRain': 'Risque de pluie',
+    'detail.chanceOfSnow': 'Risque de neige',
+    'detail.precipitation': 'Précipitations',
+    'detail.snow': 'Neige',
+    'detail.maxWind': 'Vent max.',
+    'detail.sunrise': 'Lever du soleil',
+    'detail.sunset': 'Coucher du soleil',
+    'detail.moonPhase': 'Lune',
+    'detail.title': 'Détails pour {day}',
+    'detail.close': 'Fermer les détails du jour',
+    'detail.noHourly': 'Pas de données horaires pour ce jour.',
+    'detail.hourly': 'Heure par heure',
+    'detail.time': 'Heure',
+    'detail.conditions': 'Ciel',
+    'detail.temp': 'Temp.',
+    'detail.feelsLike': 'ressenti {temp}',
+    'history.nowVsYesterday': '{change} par rapport à hier à la même heure',
+    'history.highVsYesterday': 'Max. {change} par rapport à hier',
+    'trend.title': 'Semaine passée et à venir',
+    'trend.vsWeek': 'Max. du jour : {change} par rapport à la moyenne de la semaine passée',
+    'trend.today': 'Auj.',
+    'trend.observed': 'Observé',
+    'trend.forecast': 'Prévision',
+    'briefing.title': 'Bulletin météo',
+    'briefing.writing': 'Rédaction du bulletin…',
+    'briefing.source': 'Rédigé par : {generator}',
+    'briefing.heading.now': 'En ce moment',
+    'briefing.heading.next': 'Prochaines 24 heures',
+    'briefing.heading.ahead': 'Jours à venir',
+    'briefing.now': 'À {name} : {condition}, {temp}, ressenti {feel} ({feelsLike}).',
+    'briefing.feel.frigid': 'glacial',
+    'briefing.feel.freezing': 'très froid',
+    'briefing.feel.cold': 'froid',
+    'briefing.feel.cool': 'frais',
+    'briefing.feel.comfortable': 'agréable',
+    'briefing.feel.warm': 'doux',
+    'briefing.feel.hot': 'chaud',
+    'briefing.feel.muggy': 'lourd',
+    'briefing.range': "Aujourd'hui entre {low} et {high}.",
+    'briefing.swing': "Gros écart aujourd'hui : de {low} à {high}.",
+    'briefing.yesterday.change': "Maximale d'aujourd'hui : {change} par rapport à hier.",
+    'briefing.yesterday.same': "Températures proches d'hier.",
+    'briefing.rain.none': 'Pas de pluie prévue.',
+    'briefing.rain.from': 'Pluie probable à partir de {start} ({chance} % de risque).',
+    'briefing.rain.window': 'Pluie probable de {start} à {end} ({chance} % de risque).',
+    'briefing.rain.nowUntil': "Pluie probable jusqu'à {end}.",
+    'briefing.rain.nowAllDay': 'Pluie intermittente toute la journée ({chance} % de risque).',
+    'briefing.gusts': 'Rafales jusqu’à {gust} vers {time}.',
+    'briefing.ahead.quiet': 'Pas de grand changement les prochains jours.',
+    'briefing.ahead.hot': 'journée la plus chaude, jusqu’à {temp}',
+    'briefing.ahead.cold': 'nuit la plus froide, jusqu’à {temp}',
+    'briefing.ahead.rain': 'pluvieux, environ {amount}',
+    'briefing.ahead.snow': 'neige probable',
+    'briefing.ahead.wind': 'venteux, jusqu’à {wind}',
+    'recommend.title': 'Tenue et activités',
+    'recommend.unavailable': 'Les recommandations nécessitent une prévision, indisponible ici.',
+    'recommend.customize': 'Ajuster les seuils',
+    'recommend.reset': 'Rétablir les valeurs par défaut',
+    'recommend.suffix.percent': '%',
+    'recommend.suffix.uv': 'UV',
+    'recommend.suffix.aqi': 'EPA',
+    'recommend.suffix.hour': 'h',
+    'recommend.threshold.coatC': 'Manteau en dessous de',
+    'recommend.threshold.jacketC': 'Veste en dessous de',
+    'recommend.threshold.lightClothesC': 'Tenue légère dès',
+    'recommend.threshold.umbrellaPercent': 'Parapluie dès',
+    'recommend.threshold.sunscreenUv': 'Crème solaire dès',
+    'recommend.threshold.runMinC': 'Course : minimum',
+    'recommend.threshold.runMaxC': 'Course : maximum',
+    'recommend.threshold.cycleMinC': 'Vélo : minimum',
+    'recommend.threshold.cycleMaxC': 'Vélo : maximum',
+    'recommend.threshold.cycleWindKph': 'Vélo : vent maximal',
+    'recommend.threshold.exerciseMaxAqi': 'Sport : pire qualité d’air',
+    'recommend.threshold.morningCommuteHour': 'Trajet du matin',
+    'recommend.threshold.eveningCommuteHour': 'Trajet du soir',
+    'recommend.clothing.coat': 'Mettez un manteau chaud',
+    'recommend.clothing.jacket': 'Prenez une veste',
+    'recommend.clothing.light': 'Habillez-vous léger',
+    'recommend.clothing.layers': 'Des couches légères suffisent',
+    'recommend.umbrella.yes': 'Prenez un parapluie',
+    'recommend.umbrella.no': 'Pas besoin de parapluie',
+    'recommend.sunscreen.yes': 'Mettez de la crème solaire',
+    'recommend.sunscreen.no': 'Pas besoin de crème solaire',
+    'recommend.run.now': 'Bon moment pour courir',
+    'recommend.run.at': 'Meilleur moment pour courir : vers {time}',
+    'recommend.run.skip': 'Pas un jour pour courir',
+    'recommend.run.indoors': 'Courez en salle aujourd’hui',
+    'recommend.cycle.now': 'Bon moment pour le vélo',
+    'recommend.cycle.at': 'Meilleur moment pour le vélo : vers {time}',
+    'recommend.cycle.skip': 'Pas un jour pour le vélo',
+    'recommend.cycle.indoors': 'Laissez le vélo aujourd’hui',
+    'recommend.commute.dry': 'Trajet au sec à {time}',
+    'recommend.commute.shift': 'Partez vers {time} pour un trajet plus sec',
+    'recommend.commute.wet': 'Trajet sous la pluie à {time}',
+    'recommend.reason.tooCold': 'Ressenti {temp}, sous votre limite de {limit}.',
+    'recommend.reason.tooHot': 'Ressenti {temp}, au-dessus de votre limite de {limit}.',
+    'recommend.reason.wet': '{chance} % de risque de pluie ou de neige.',
+    'recommend.reason.windy': 'Vent de {wind}, au-dessus de votre limite de {limit}.',
+    'recommend.reason.airQuality': 'Qualité de l’air : {label} (EPA {index}).',
+    'recommend.reason.conditions': 'Ressenti {temp}, {chance} % de risque de pluie.',
+    'recommend.reason.coldest': 'Ressenti jusqu’à {temp} dans les 12 prochaines heures.',
+    'recommend.reason.warmest': 'Ressenti jusqu’à {temp} dans les 12 prochaines heures.',
+    'recommend.reason.feelsRange': 'Ressenti entre {low} et {high}.',
+    'recommend.reason.rainAt': '{chance} % de risque de pluie vers {time}.',
+    'recommend.reason.rainAtMost': 'Au plus {chance} % de risque de pluie.',
+    'recommend.reason.uvAt': 'L’indice UV atteint {uv} vers {time}.',
+    'recommend.reason.feelsNow': 'Ressenti de {temp} en ce moment.',
+    'recommend.reason.rainToday': '{chance} % de risque de pluie aujourd’hui.',
+    'recommend.reason.uvToday': 'L’indice UV atteint {uv} aujourd’hui.',
+    'recommend.reason.uvLow': 'L’indice UV ne dépasse pas {uv}.',
+    'recommend.reason.rainDrops': 'Le risque de pluie passe de {from} % à {to} %.'
+  },
+  de: {
+    'search.placeholder': 'Ort eingeben oder auf Englisch fragen, z. B. „rain in Boston tomorrow?“',
+    'search.button': 'Suchen 🔍',
+    'search.numbers': 'Bitte einen Stadt- oder Regionsnamen eingeben, keine Zahlen.',
+    'search.didYouMean': 'Meintest du:',
+    'search.corrected': 'Ergebnisse für {name} statt „{original}“',
+    'intent.when.today': 'heute',
+    'intent.when.tomorrow': 'morgen',
+    'intent.when.on': 'am {day}',
+    'intent.when.weekend': 'am Wochenende',
+    'intent.when.week': 'diese Woche',
+    'intent.beyondForecast': 'Das liegt außerhalb der 7-Tage-Vorhersage.',
+    'intent.coldest': 'Kältester Tag: {day}, bis {temp}.',
+    'intent.warmest': 'Wärmster Tag: {day}, bis {temp}.',
+    'intent.rain.yes': 'Ja, Regen ist {when} wahrscheinlich ({chance} % Wahrscheinlichkeit).',
+    'intent.rain.no': 'Eher nicht: höchstens {chance} % Regenwahrscheinlichkeit {when}.',
+    'intent.rain.on': 'Regen ist am {days} wahrscheinlich (bis {chance} %).',
+    'intent.snow.yes': 'Ja, Schnee ist {when} wahrscheinlich ({chance} % Wahrscheinlichkeit).',
+    'intent.snow.no': 'Eher nicht: höchstens {chance} % Schneewahrscheinlichkeit {when}.',
+    'intent.snow.on': 'Schnee ist am {days} wahrscheinlich (bis {chance} %).',
+    'intent.wind.single': 'Wind bis {wind} {when}.',
+    'intent.wind.windiest': 'Windigster Tag: {day}, bis {wind}.',
+    'intent.forecast': '{when}: {condition}, {low} bis {high}.',
+    'region.title': 'Wetter in {name}',
+    'region.surprise': '🎲 Überrasch mich',
+    'region.warmest': 'Am wärmsten',
+    'region.coldest': 'Am kältesten',
+    'region.wettest': 'Am nassesten',
+    'region.loading': 'Lädt…',
+    'region.rain': '{chance} % Regen',
+    'status.loading': 'Lokales Wetter wird geladen...',
+    'status.retrying': 'Wetter wird weiter geladen (Versuch {attempt})…',
+    'status.offline': '📡 Du bist offline. Angezeigt wird das zuletzt geladene Wetter; es wird aktualisiert, sobald die Verbindung zurück ist.',
+    'status.asOf': '📦 Gespeicherte Vorhersage · Stand {time}',
+    'status.offlineNoData': 'Für diesen Ort ist noch keine Vorhersage gespeichert. Sie wird geladen, sobald du wieder online bist.',
+    'error.try_later': 'Warte eine Minute und versuche es dann erneut.',
+    'error.check_key': 'Prüfe WEATHER_API_KEY in der .env-Datei des API-Servers und starte ihn neu.',
+    'error.search_again': 'Versuche einen anderen Ortsnamen, eine Postleitzahl oder Koordinaten.',
+    'error.retryButton': 'Erneut versuchen',
+    'error.retrying': 'Neuer Versuch…',
+    'error.kind.offline': 'Du bist offline. Prüfe deine Verbindung und versuche es erneut.',
+    'error.kind.network': 'Der Wetterdienst ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+    'error.kind.provider_unavailable': 'Der Wetterdienst hat gerade Probleme.',
+    'error.kind.rate_limited': 'Zu viele Anfragen an den Wetterdienst in kurzer Zeit.',
+    'error.kind.quota_exceeded': 'Der Wetter-API-Schlüssel hat sein Kontingent für diesen Zeitraum aufgebraucht.',
+    'error.kind.missing_key': 'Kein Wetter-API-Schlüssel gefunden. Prüfe deine Umgebungsvariablen.',
+    'error.kind.invalid_key': 'Der Wetter-API-Schlüssel wurde als ungültig abgelehnt.',
+    'error.kind.key_disabled': 'Der Wetter-API-Schlüssel wurde deaktiviert.',
+    'error.kind.plan_restricted': 'Der Tarif des Wetter-API-Schlüssels enthält diese Daten nicht.',
+    'error.kind.not_found': 'Stadt nicht gefunden',
+    'error.kind.bad_request': 'Der Wetterdienst hat diese Anfrage nicht verstanden.',
+    'error.kind.unsupported_query': 'Dieser Wetterdienst kann diese Suche nicht beantworten.',
+    'error.kind.config': 'Der Wetterdienst ist falsch konfiguriert.',
+    'error.kind.unknown': 'Wetterdaten konnten nicht abgerufen werden.',
+    'error.unknownProvider': 'Unbekannter Wetteranbieter „{id}“.',
+    'error.openMeteoAutoIp': 'Open-Meteo kann deinen Standort nicht über die IP ermitteln. Suche stattdessen nach einer Stadt.',
+    'nav.saved': '⭐ Gespeichert',
+    'nav.myLocation': '📍 Mein Standort',
+    'nav.locating': '📍 Standort wird ermittelt…',
+    'theme.dawn': '🌄 Sonnenaufgang',
+    'theme.morning': '☀️ Morgen',
+    'theme.afternoon': '🌤️ Nachmittag',
+    'theme.golden': '🌇 Goldene Stunde',
+    'theme.dusk': '🌆 Dämmerung',
+    'theme.night': '🌙 Nacht',
+    'theme.rain': '🌧️ Regen',
+    'theme.snow': '❄️ Schnee',
+    'theme.storm': '⛈️ Gewitter',
+    'theme.localTime': 'Ortszeit {time}',
+    'share.copy': '🔗 Link kopieren',
+    'share.copied': '✅ Kopiert!',
+    'share.failed': '⚠️ Kopieren fehlgeschlagen',
+    'location.device': '📍 Wetter für den Standort deines Geräts.',
+    'location.ip': 'Ungefährer Standort anhand deiner IP-Adresse.',
+    'location.failed': 'Dein genauer Standort konnte nicht ermittelt werden, weil {reason} – stattdessen ungefährer Standort anhand deiner IP-Adresse.',
+    'location.failedKnown': 'Dein genauer Standort konnte nicht aktualisiert werden, weil {reason} – zuletzt bekannter Gerätestandort wird angezeigt.',
+    'location.prompt': 'Wir haben deinen Standort anhand deiner IP-Adresse geschätzt, das kann eine Stadt oder mehr danebenliegen. Für eine genauere Vorhersage den Gerätestandort verwenden?',
+    'location.accept': 'Meinen Standort verwenden',
+    'location.dismiss': 'Nicht jetzt',
+    'geolocation.denied': 'die Standortfreigabe abgelehnt wurde',
+    'geolocation.timeout': 'die Standortermittlung zu lange gedauert hat',
+    'geolocation.unavailable': 'dein Gerät seine Position nicht bestimmen konnte',
+    'geolocation.unsupported': 'dieser Browser keinen Standortzugriff unterstützt',
+    'weather.humidity': 'Luftfeuchtigkeit',
+    'weather.wind': 'Wind',
+    'weather.pressure': 'Luftdruck',
+    'weather.uv': 'UV-Index',
+    'weather.save': '☆ Speichern',
+    'weather.saved': '★ Gespeichert',
+    'nav.search': '🔍 Suchen',
+    'front.title': 'Willkommen bei Cloudy with a chance of AI',
+    'front.subtext': 'Wetter-App',
+    'front.continue': 'Weiter',
+    'front.continueLabel': 'Ohne Anmeldung fortfahren',
+    'front.footer': 'Mit dem Fortfahren stimmst du unseren Nutzungsbedingungen und der Datenschutzerklärung zu.',
+    'dashboard.title': 'Gespeicherte Orte',
+    'dashboard.empty': 'Noch keine gespeicherten Orte. Suche eine Stadt und tippe auf ihrer Wetterkarte auf ☆ Speichern.',
+    'tile.loading': 'Wird geladen…',
+    'tile.range': 'H {high} · T {low}',
+    'tile.moveUp': '{name} nach oben',
+    'tile.moveDown': '{name} nach unten',
+    'tile.remove': '{name} entfernen',
+    'units.title': 'Einheiten',
+    'units.system': 'Einheitensystem',
+    'units.temperature': 'Temperatur',
+    'units.wind': 'Wind',
+    'units.pressure': 'Luftdruck',
+    'units.precipitation': 'Niederschlag',
+    'alert.region': 'Unwetterwarnungen',
+    'alert.details': 'Details',
+    'alert.dismiss': '{event} ausblenden',
+    'alert.close': 'Warnungsdetails schließen',
+    'alert.severity': 'Schweregrad',
+    'alert.urgency': 'Dringlichkeit',
+    'alert.certainty': 'Gewissheit',
+    'alert.effective': 'Gültig ab',
+    'alert.expires': 'Gültig bis',
+    'alert.areas': 'Gebiete',
+    'alert.instruction': 'Was zu tun ist:',
+    'alert.notSpecified': 'Nicht angegeben',
+    'alert.severity.extreme': 'Extrem',
+    'alert.severity.severe': 'Schwer',
+    'alert.severity.moderate': 'Mäßig',
+    'alert.severity.minor': 'Gering',
+    'alert.severity.unknown': 'Unbekannt',
+    'alert.urgency.immediate': 'Sofort',
+    'alert.urgency.expected': 'Erwartet',
+    'alert.urgency.future': 'Zukünftig',
+    'alert.urgency.past': 'Vorbei',
+    'alert.urgency.unknown': 'Unbekannt',
+    'alert.certainty.observed': 'Beobachtet',
+    'alert.certainty.likely': 'Wahrscheinlich',
+    'alert.certainty.possible': 'Möglich',
+    'alert.certainty.unlikely': 'Unwahrscheinlich',
+    'aqi.title': 'Luftqualität',
+    'aqi.unavailable': 'Für diesen Ort gibt es keine Daten zur Luftqualität.',
+    'aqi.indexLabel': 'US-EPA-Index {index} von 6',
+    'aqi.scale': 'US-EPA-Index (1–6)',
+    'aqi.defra': 'UK DEFRA:',
+    'aqi.sensitive': 'Asthma & empfindliche Gruppen:',
+    'aqi.forecastTitle': 'Luftqualität: {label}',
+    'aqi.epa.1': 'Gut',
+    'aqi.epa.1.advice': 'Die Luftqualität ist zufriedenstellend. Genieße deine üblichen Aktivitäten im Freien.',
+    'aqi.epa.1.sensitive': 'Keine Vorsichtsmaßnahmen nötig.',
+    'aqi.epa.2': 'Mäßig',
+    'aqi.epa.2.advice': 'Die Luftqualität ist für die meisten Menschen unbedenklich.',
+    'aqi.epa.2.sensitive': 'Besonders empfindliche Menschen sollten längere oder schwere Anstrengung im Freien reduzieren.',
+    'aqi.epa.3': 'Ungesund für empfindliche Gruppen',
+    'aqi.epa.3.advice': 'Die meisten Menschen sind voraussichtlich nicht betroffen.',
+    'aqi.epa.3.sensitive': 'Menschen mit Asthma sollten ihr Notfallspray griffbereit halten und längere oder schwere Anstrengung im Freien reduzieren.',
+    'aqi.epa.4': 'Ungesund',
+    'aqi.epa.4.advice': 'Jeder kann erste Auswirkungen spüren. Reduziere längere oder schwere Anstrengung im Freien.',
+    'aqi.epa.4.sensitive': 'Vermeide längere oder schwere Anstrengung; verlege Aktivitäten nach drinnen oder verschiebe sie.',
+    'aqi.epa.5': 'Sehr ungesund',
+    'aqi.epa.5.advice': 'Gesundheitswarnung: Alle sollten längere oder schwere Anstrengung im Freien vermeiden.',
+    'aqi.epa.5.sensitive': 'Vermeide jede körperliche Aktivität im Freien.',
+    'aqi.epa.6': 'Gefährlich',
+    'aqi.epa.6.advice': 'Gesundheitswarnung für Notfallbedingungen: Alle sollten jede Anstrengung im Freien vermeiden.',
+    'aqi.epa.6.sensitive': 'Bleib drinnen und halte die Aktivität gering.',
+    'aqi.defra.low': 'Niedrig',
+    'aqi.defra.moderate': 'Mäßig',
+    'aqi.defra.high': 'Hoch',
+    'aqi.defra.veryHigh': 'Sehr hoch',
+    'aqi.pollutant.pm2_5': 'Feinstaub',
+    'aqi.pollutant.pm10': 'Grobstaub',
+    'aqi.pollutant.o3': 'Ozon',
+    'aqi.pollutant.no2': 'Stickstoffdioxid',
+    'aqi.pollutant.so2': 'Schwefeldioxid',
+    'aqi.pollutant.co': 'Kohlenmonoxid',
+    'hourly.title': 'Nächste {count} Stunden',
+    'hourly.now': 'Jetzt',
+    'hourly.label': 'Stündliche Vorhersage',
+    'chart.view': 'Vorhersageansicht',
+    'chart.view.cards': '🗂️ Karten',
+    'chart.view.chart': '📊 Diagramm',
+    'chart.dailyTitle': 'Temperatur und Niederschlag diese Woche',
+    'chart.hourlyTitle': 'Nächste {count} Stunden',
+    'chart.roleDescription': 'Diagramm',
+    'chart.dailyKeys': 'Tägliche Temperaturspanne und Niederschlagswahrscheinlichkeit. Mit den Pfeiltasten links und rechts durch die Tage gehen, mit Enter einen Tag öffnen.',
+    'chart.hourlyKeys': 'Stündliche Temperatur, gefühlte Temperatur und Wind. Mit den Pfeiltasten links und rechts durch die Stunden gehen.',
+    'chart.high': 'Max.',
+    'chart.low': 'Min.',
+    'chart.precipChance': '{chance} % Niederschlagswahrscheinlichkeit',
+    'chart.range': 'Tiefst- bis Höchstwert',
+    'chart.precip': 'Niederschlagswahrscheinlichkeit',
+    'chart.temperature': 'Temperatur',
+    'chart.feelsLike': 'Gefühlt',
+    'chart.wind': 'Wind',
+    'notify.center.label': 'Benachrichtigungen ({count} ungelesen)',
+    'notify.center.title': 'Benachrichtigungen',
+    'notify.center.clear': 'Leeren',
+    'notify.center.empty': 'Noch keine Warnungen. Richte sie im Dashboard ein.',
+    'notify.editor.title': '🔔 Wetterwarnungen',
+    'notify.editor.noLocations': 'Speichere einen Ort, um Warnungen dafür einzurichten.',
+    'notify.editor.location': 'Ort',
+    'notify.editor.metric': 'Warnen, wenn',
+    'notify.editor.operator': 'Ist',
+    'notify.editor.value': 'Wert',
+    'notify.editor.day': 'Tag',
+    'notify.editor.onlyBetween': 'Nur zwischen',
+    'notify.editor.from': 'Von',
+    'notify.editor.to': 'Bis',
+    'notify.editor.add': 'Warnung hinzufügen',
+    'notify.editor.enabled': 'Warnung aktiv',
+    'notify.editor.remove': 'Warnung löschen',
+    'notify.metric.low': 'Tiefsttemperatur',
+    'notify.metric.high': 'Höchsttemperatur',
+    'notify.metric.rain': 'Regenwahrscheinlichkeit',
+    'notify.metric.wind': 'Windgeschwindigkeit',
+    'notify.operator.above': 'über',
+    'notify.operator.below': 'unter',
+    'notify.day.today': 'Heute',
+    'notify.day.tomorrow': 'Morgen',
+    'notify.rule.low': '{when}: Tiefstwert {operator} {value}',
+    'notify.rule.high': '{when}: Höchstwert {operator} {value}',
+    'notify.rule.rain': 'Regenwahrscheinlichkeit {operator} {value}',
+    'notify.rule.rainWindow': 'Regenwahrscheinlichkeit {operator} {value} zwischen {from} und {to}',
+    'notify.rule.wind': 'Wind {operator} {value}',
+    'notify.rule.windWindow': 'Wind {operator} {value} zwischen {from} und {to}',
+    'notify.match': 'Vorhersage: {value}, {time}',
+    'notify.permission.ask': 'Browser-Benachrichtigungen erlauben',
+    'notify.permission.granted': 'Browser-Benachrichtigungen sind aktiv.',
+    'notify.permission.denied': 'Browser-Benachrichtigungen sind blockiert, Warnungen erscheinen nur unter 🔔.',
+    'notify.permission.unsupported': 'Dieser Browser kann keine Benachrichtigungen anzeigen, Warnungen erscheinen nur unter 🔔.',
+    'hourly.chanceOfRain': 'Regenwahrscheinlichkeit',
+    'hourly.windFrom': 'Wind aus {direction}',
+    'detail.high': 'Höchstwert',
+    'detail.low': 'Tiefstwert',
+    'detail.chanceOfRain': 'Regenrisiko',
+    'detail.chanceOfSnow': 'Schneerisiko',
+    'detail.precipitation': 'Niederschlag',
+    'detail.snow': 'Schnee',
+    'detail.maxWind': 'Max. Wind',
+    'detail.sunrise': 'Sonnenaufgang',
+    'detail.sunset': 'Sonnenuntergang',
+    'detail.moonPhase': 'Mond',
+    'detail.title': 'Details für {day}',
+    'detail.close': 'Tagesdetails schließen',
+    'detail.noHourly': 'Für diesen Tag gibt es keine Stundenwerte.',
+    'detail.hourly': 'Stunde für Stunde',
+    'detail.time': 'Zeit',
+    'detail.conditions': 'Himmel',
+    'detail.temp': 'Temp.',
+    'detail.feelsLike': 'gefühlt {temp}',
+    'history.nowVsYesterday': '{change} gegenüber gestern um diese Zeit',
+    'history.highVsYesterday': 'Höchstwert {change} gegenüber gestern',
+    'trend.title': 'Letzte und kommende Woche',
+    'trend.vsWeek': 'Höchstwert heute: {change} gegenüber dem Schnitt der letzten Woche',
+    'trend.today': 'Heute',
+    'trend.observed': 'Gemessen',
+    'trend.forecast': 'Vorhersage',
+    'briefing.title': 'Wetterbericht',
+    'briefing.writing': 'Bericht wird geschrieben…',
+    'briefing.source': 'Verfasst von: {generator}',
+    'briefing.heading.now': 'Aktuell',
+    'briefing.heading.next': 'Nächste 24 Stunden',
+    'briefing.heading.ahead': 'Die nächsten Tage',
+    'briefing.now': 'In {name}: {condition}, {temp}, gefühlt {feel} ({feelsLike}).',
+    'briefing.feel.frigid': 'eisig',
+    'briefing.feel.freezing': 'frostig',
+    'briefing.feel.cold': 'kalt',
+    'briefing.feel.cool': 'kühl',
+    'briefing.feel.comfortable': 'angenehm',
+    'briefing.feel.warm': 'warm',
+    'briefing.feel.hot': 'heiß',
+    'briefing.feel.muggy': 'schwül',
+    'briefing.range': 'Heute zwischen {low} und {high}.',
+    'briefing.swing': 'Heute große Unterschiede: von {low} bis {high}.',
+    'briefing.yesterday.change': 'Tageshöchstwert: {change} gegenüber gestern.',
+    'briefing.yesterday.same': 'Ähnlich warm wie gestern.',
+    'briefing.rain.none': 'Kein Regen erwartet.',
+    'briefing.rain.from': 'Regen wahrscheinlich ab etwa {start} ({chance} %).',
+    'briefing.rain.window': 'Regen wahrscheinlich von etwa {start} bis {end} ({chance} %).',
+    'briefing.rain.nowUntil': 'Regen wahrscheinlich bis etwa {end}.',
+    'briefing.rain.nowAllDay': 'Den ganzen Tag immer wieder Regen ({chance} %).',
+    'briefing.gusts': 'Böen bis {gust} gegen {time}.',
+    'briefing.ahead.quiet': 'Keine großen Änderungen in den nächsten Tagen.',
+    'briefing.ahead.hot': 'wärmster Tag, bis {temp}',
+    'briefing.ahead.cold': 'kälteste Nacht, bis {temp}',
+    'briefing.ahead.rain': 'nass, etwa {amount}',
+    'briefing.ahead.snow': 'Schnee wahrscheinlich',
+    'briefing.ahead.wind': 'windig, bis {wind}',
+    'recommend.title': 'Kleidung & Aktivitäten',
+    'recommend.unavailable': 'Empfehlungen brauchen eine Vorhersage, die hier nicht verfügbar ist.',
+    'recommend.customize': 'Schwellenwerte anpassen',
+    'recommend.reset': 'Auf Standard zurücksetzen',
+    'recommend.suffix.percent': '%',
+    'recommend.suffix.uv': 'UV',
+    'recommend.suffix.aqi': 'EPA',
+    'recommend.suffix.hour': 'Uhr',
+    'recommend.threshold.coatC': 'Mantel unter',
+    'recommend.threshold.jacketC': 'Jacke unter',
+    'recommend.threshold.lightClothesC': 'Leichte Kleidung ab',
+    'recommend.threshold.umbrellaPercent': 'Regenschirm ab',
+    'recommend.threshold.sunscreenUv': 'Sonnencreme ab',
+    'recommend.threshold.runMinC': 'Laufen: kältestens',
+    'recommend.threshold.runMaxC': 'Laufen: wärmstens',
+    'recommend.threshold.cycleMinC': 'Radfahren: kältestens',
+    'recommend.threshold.cycleMaxC': 'Radfahren: wärmstens',
+    'recommend.threshold.cycleWindKph': 'Radfahren: max. Wind',
+    'recommend.threshold.exerciseMaxAqi': 'Sport: schlechteste Luft',
+    'recommend.threshold.morningCommuteHour': 'Arbeitsweg morgens',
+    'recommend.threshold.eveningCommuteHour': 'Arbeitsweg abends',
+    'recommend.clothing.coat': 'Warmen Mantel anziehen',
+    'recommend.clothing.jacket': 'Jacke mitnehmen',
+    'recommend.clothing.light': 'Leichte Kleidung',
+    'recommend.clothing.layers': 'Leichte Schichten reichen',
+    'recommend.umbrella.yes': 'Regenschirm mitnehmen',
+    'recommend.umbrella.no': 'Kein Regenschirm nötig',
+    'recommend.sunscreen.yes': 'Sonnencreme auftragen',
+    'recommend.sunscreen.no': 'Keine Sonnencreme nötig',
+    'recommend.run.now': 'Gute Zeit zum Laufen',
+    'recommend.run.at': 'Am besten laufen: gegen {time}',
+    'recommend.run.skip': 'Kein Tag zum Laufen',
+    'recommend.run.indoors': 'Heute lieber drinnen laufen',
+    'recommend.cycle.now': 'Gute Zeit fürs Rad',
+    'recommend.cycle.at': 'Am besten radeln: gegen {time}',
+    'recommend.cycle.skip': 'Kein Tag fürs Rad',
+    'recommend.cycle.indoors': 'Heute lieber nicht radeln',
+    'recommend.commute.dry': 'Trockener Arbeitsweg um {time}',
+    'recommend.commute.shift': 'Gegen {time} losgehen, dann bleibt es trockener',
+    'recommend.commute.wet': 'Nasser Arbeitsweg um {time}',
+    'recommend.reason.tooCold': 'Gefühlt {temp}, unter deinem Limit von {limit}.',
+    'recommend.reason.tooHot': 'Gefühlt {temp}, über deinem Limit von {limit}.',
+    'recommend.reason.wet': '{chance} % Regen- oder Schneerisiko.',
+    'recommend.reason.windy': 'Wind {wind}, über deinem Limit von {limit}.',
+    'recommend.reason.airQuality': 'Luftqualität: {label} (EPA {index}).',
+    'recommend.reason.conditions': 'Gefühlt {temp}, {chance} % Regenrisiko.',
+    'recommend.reason.coldest': 'Gefühlt bis zu {temp} in den nächsten 12 Stunden.',
+    'recommend.reason.warmest': 'Gefühlt bis zu {temp} in den nächsten 12 Stunden.',
+    'recommend.reason.feelsRange': 'Gefühlt zwischen {low} und {high}.',
+    'recommend.reason.rainAt': '{chance} % Regenrisiko gegen {time}.',
+    'recommend.reason.rainAtMost': 'Höchstens {chance} % Regenrisiko.',
+    'recommend.reason.uvAt': 'UV-Index erreicht {uv} gegen {time}.',
+    'recommend.reason.feelsNow': 'Gefühlt gerade {temp}.',
+    'recommend.reason.rainToday': '{chance} % Regenrisiko heute.',
+    'recommend.reason.uvToday': 'UV-Index erreicht heute {uv}.',
+    'recommend.reason.uvLow': 'UV-Index bleibt bei höchstens {uv}.',
+    'recommend.reason.rainDrops': 'Regenrisiko sinkt von {from} % auf {to} %.'
+  }
+}
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest'
+import { MESSAGES } from './messages'
+import { t } from './i18n'
+
+const placeholders = (template) => (template.match(/\{\w+\}/g) ?? []).sort()
+
+describe('MESSAGES', () => {
+  it.each(Object.keys(MESSAGES).filter((language) => language !== 'en'))(
+    '%s has every English key with the same placeholders',
+    (language) => {
+      const messages = MESSAGES[language]
+      expect(Object.keys(MESSAGES.en).filter((key) => !(key in messages))).toEqual([])
+      Object.entries(MESSAGES.en).forEach(([key, template]) => {
+        expect(placeholders(messages[key]), key).toEqual(placeholders(template))
+      })
+    }
+  )
+
+  it('translates the question answers', () => {
+    expect(t('intent.rain.yes', { when: 'morgen', chance: 70 }, 'de-DE')).toBe(
+      'Ja, Regen ist morgen wahrscheinlich (70 % Wahrscheinlichkeit).'
+    )
+  })
+})
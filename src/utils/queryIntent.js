@@ -0,0 +1,212 @@
+import { formatDate, t } from './i18n'
+import { addDays, parseLocalTimestamp } from './forecast'
+
+/**
+ * Natural-language forecast questions
+ *
+ * Splits a search like "will it rain in Boston tomorrow?" into the place
+ * ("Boston"), a date range ("tomorrow") and a question type ("rain"), and
+ * answers it from a WeatherReport in one line. Phrasings it understands:
+ *
+ *   "will it rain in Boston tomorrow?"     rain, tomorrow, Boston
+ *   "weekend in Austin"                    forecast, weekend, Austin
+ *   "coldest day this week in Denver"      coldest, week, Denver
+ *   "is it going to snow on Friday"        snow, Friday, current location
+ *   "how hot will it be in Phoenix today"  temperature, today, Phoenix
+ *   "windy tomorrow in Chicago?"           wind, tomorrow, Chicago
+ *   "Portland, ME this weekend"            forecast, weekend, Portland, ME
+ *
+ * Only English phrasings are recognised; anything without a question or
+ * date word is treated as a plain place name.
+ */
+
+/**
+ * @typedef {Object} QueryIntent
+ * @property {string|null} location - Place text as typed, or null for "here"
+ * @property {'rain'|'snow'|'wind'|'coldest'|'warmest'|'temperature'|'forecast'} question
+ * @property {{kind: 'today'|'tomorrow'|'weekend'|'week'|'weekday', weekday?: number}|null} range
+ *   - null when the question didn't name one
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// First match wins, so superlatives come before the words they contain
+const QUESTION_PATTERNS = [
+  ['coldest', /\b(coldest|chilliest|lowest)\b/i],
+  ['warmest', /\b(warmest|hottest|highest|sunniest)\b/i],
+  ['snow', /\b(snow|snowing|snowy|snowfall)\b/i],
+  ['rain', /\b(rain|raining|rainy|showers?|drizzle|umbrella|wet)\b/i],
+  ['wind', /\b(wind|windy|gusts?|gusty|breezy)\b/i],
+  ['temperature', /\b(how (hot|cold|warm)|temperature|temp|hot|cold|warm)\b/i]
+]
+
+const RANGE_PATTERNS = [
+  ['today', /\b(today|tonight|this (morning|afternoon|evening))\b/i],
+  ['tomorrow', /\b(tomorrow|tmrw)\b/i],
+  ['weekend', /\b(this |the |next )?weekend\b/i],
+  ['week', /\b(this week|the week|next week|next (few|7|seven) days|week)\b/i],
+  ['weekday', new RegExp(`\\b(on |this |next )?(${WEEKDAYS.join('|')})\\b`, 'i')]
+]
+
+// Words that frame a question but aren't part of a place name
+const FILLER_PATTERN =
+  /\b(will|would|should|is|are|it|be|going|to|gonna|does|do|the|what's|whats|what|how|like|weather|forecast|day|days|there|any|a|an|i|need|get)\b/gi
+// A question rather than a place: "Hot Springs" is a town, "how hot is it?" isn't
+const QUESTION_FRAMING = /(\?\s*$|^\s*(will|is|are|does|do|should|how|what|what's|whats|when|any)\b)/i
+// "in Boston", "for Austin", "at the coast"
+const PLACE_PREPOSITION = /\b(?:in|for|at|near|around)\s+(.+)$/i
+const TRAILING_PREPOSITION = /\s+(in|for|at|on|near|around)$/i
+
+/**
+ * Parse a search into a forecast question
+ * @param {string} input
+ * @returns {QueryIntent|null} - null when the input is just a place name
+ */
+export function parseQueryIntent(input) {
+  let text = input.trim().replace(/[?!.]+$/, '')
+
+  const questionMatch = QUESTION_PATTERNS.find(([, pattern]) => pattern.test(text))
+  const rangeMatch = RANGE_PATTERNS.map(([kind, pattern]) => [kind, pattern.exec(text)]).find(
+    ([, match]) => match
+  )
+  if (!questionMatch && !rangeMatch) return null
+  // A weather word alone could be part of a place name, so it needs a date,
+  // a superlative, question framing or "in <place>" to count
+  const isQuestion =
+    rangeMatch ||
+    ['coldest', 'warmest'].includes(questionMatch[0]) ||
+    QUESTION_FRAMING.test(input) ||
+    PLACE_PREPOSITION.test(text)
+  if (!isQuestion) return null
+
+  let range = null
+  if (rangeMatch) {
+    const [kind, match] = rangeMatch
+    range = kind === 'weekday' ? { kind, weekday: WEEKDAYS.indexOf(match[2].toLowerCase()) } : { kind }
+    text = text.replace(match[0], ' ')
+  }
+  QUESTION_PATTERNS.forEach(([, pattern]) => {
+    text = text.replace(new RegExp(pattern.source, 'gi'), ' ')
+  })
+
+  const preposition = PLACE_PREPOSITION.exec(text)
+  const placeText = (preposition ? preposition[1] : text.replace(FILLER_PATTERN, ' '))
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,]+|[\s,]+$/g, '')
+    .replace(TRAILING_PREPOSITION, '')
+
+  return {
+    location: placeText || null,
+    question: questionMatch ? questionMatch[0] : 'forecast',
+    range
+  }
+}
+
+const weekdayOf = (date) => new Date(`${date}T12:00:00Z`).getUTCDay()
+
+/**
+ * Dates a range covers, starting from the location's today
+ *
+ * Without a range, "which day" questions look at the whole week and the rest
+ * at today.
+ *
+ * @param {QueryIntent} intent
+ * @param {string} today - Location's "YYYY-MM-DD"
+ * @returns {string[]}
+ */
+export function resolveIntentDates(intent, today) {
+  const kind = intent.range?.kind ?? (['coldest', 'warmest'].includes(intent.question) ? 'week' : 'today')
+  const week = Array.from({ length: 7 }, (_, index) => addDays(today, index))
+
+  if (kind === 'today') return [today]
+  if (kind === 'tomorrow') return [addDays(today, 1)]
+  if (kind === 'week') return week
+  if (kind === 'weekday') return [week.find((date) => weekdayOf(date) === intent.range.weekday)]
+  // Weekend: the coming Saturday and Sunday, or just Sunday if it's already Sunday
+  const saturday = week.find((date) => weekdayOf(date) === 6)
+  return weekdayOf(today) === 0 ? [today] : [saturday, addDays(saturday, 1)]
+}
+
+/**
+ * How to say the range in an answer: "tomorrow", "on Friday", ...
+ * @param {QueryIntent} intent
+ * @param {Object[]} days - Daily forecasts in the range
+ * @returns {string}
+ */
+function describeWhen(intent, days) {
+  if (days.length === 1) {
+    const kind = intent.range?.kind
+    if (!kind || kind === 'today') return t('intent.when.today')
+    if (kind === 'tomorrow') return t('intent.when.tomorrow')
+    return t('intent.when.on', { day: formatDate(parseLocalTimestamp(days[0].date), { weekday: 'long' }) })
+  }
+  return t(intent.range?.kind === 'weekend' ? 'intent.when.weekend' : 'intent.when.week')
+}
+
+const dayName = (day) => formatDate(parseLocalTimestamp(day.date), { weekday: 'long' })
+
+// Chance (%) at which rain or snow counts as "likely"
+const LIKELY_PERCENT = 50
+
+/**
+ * Answer a question from a report
+ * @param {QueryIntent} intent
+ * @param {import('../services/weather/model').WeatherReport} report
+ * @param {Object} format - Unit formatters from useUnits()
+ * @returns {{dates: string[], text: string}} - Days to highlight and the one-line answer
+ */
+export function answerIntent(intent, report, format) {
+  const dates = resolveIntentDates(intent, report.location.localtime.slice(0, 10))
+  const days = report.daily.filter((day) => dates.includes(day.date))
+  if (days.length === 0) return { dates: [], text: t('intent.beyondForecast') }
+
+  const when = describeWhen(intent, days)
+  const allDates = days.map((day) => day.date)
+  const pick = (compare) => days.reduce((best, day) => (compare(day, best) ? day : best))
+
+  switch (intent.question) {
+    case 'coldest': {
+      const day = pick((a, b) => a.minTempC < b.minTempC)
+      return { dates: [day.date], text: t('intent.coldest', { day: dayName(day), temp: format.temperature(day.minTempC) }) }
+    }
+    case 'warmest': {
+      const day = pick((a, b) => a.maxTempC > b.maxTempC)
+      return { dates: [day.date], text: t('intent.warmest', { day: dayName(day), temp: format.temperature(day.maxTempC) }) }
+    }
+    case 'rain':
+    case 'snow': {
+      const chanceOf = (day) => (intent.question === 'rain' ? day.chanceOfRain : day.chanceOfSnow)
+      const likely = days.filter((day) => chanceOf(day) >= LIKELY_PERCENT)
+      const chance = Math.max(...days.map(chanceOf))
+      if (likely.length === 0) {
+        return { dates: allDates, text: t(`intent.${intent.question}.no`, { when, chance }) }
+      }
+      const text =
+        days.length === 1
+          ? t(`intent.${intent.question}.yes`, { when, chance })
+          : t(`intent.${intent.question}.on`, { days: likely.map(dayName).join(', '), chance })
+      return { dates: likely.map((day) => day.date), text }
+    }
+    case 'wind': {
+      const day = pick((a, b) => a.maxWindKph > b.maxWindKph)
+      const text =
+        days.length === 1
+          ? t('intent.wind.single', { when, wind: format.wind(day.maxWindKph) })
+          : t('intent.wind.windiest', { day: dayName(day), wind: format.wind(day.maxWindKph) })
+      return { dates: [day.date], text }
+    }
+    default: {
+      const low = Math.min(...days.map((day) => day.minTempC))
+      const high = Math.max(...days.map((day) => day.maxTempC))
+      return {
+        dates: allDates,
+        text: t('intent.forecast', {
+          when: when.charAt(0).toUpperCase() + when.slice(1),
+          condition: days[0].condition.text.toLowerCase(),
+          low: format.temperature(low),
+          high: format.temperature(high)
+        })
+      }
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest'
+import { answerIntent, parseQueryIntent, resolveIntentDates } from './queryIntent'
+import { UNIT_SYSTEMS, formatTemperature, formatWind } from './units'
+
+const units = UNIT_SYSTEMS.metric
+const format = {
+  temperature: (celsius, options) => formatTemperature(celsius, units.temperature, options),
+  wind: (kph) => formatWind(kph, units.wind)
+}
+
+// Wednesday 14 October 2026, so the weekend is the 17th and 18th
+const TODAY = '2026-10-14'
+const DAYS = [
+  // date, low, high, rain %, snow %, wind
+  ['2026-10-14', 8, 16, 10, 0, 15],
+  ['2026-10-15', 6, 14, 70, 0, 30],
+  ['2026-10-16', 2, 9, 20, 0, 45],
+  ['2026-10-17', 4, 12, 80, 0, 20],
+  ['2026-10-18', 5, 18, 30, 0, 10],
+  ['2026-10-19', -1, 7, 40, 65, 25],
+  ['2026-10-20', 3, 11, 0, 0, 12]
+]
+const report = {
+  location: { localtime: `${TODAY} 09:00` },
+  daily: DAYS.map(([date, minTempC, maxTempC, chanceOfRain, chanceOfSnow, maxWindKph]) => ({
+    date,
+    minTempC,
+    maxTempC,
+    chanceOfRain,
+    chanceOfSnow,
+    maxWindKph,
+    condition: { text: 'Partly cloudy' }
+  }))
+}
+
+const answer = (question) => answerIntent(parseQueryIntent(question), report, format)
+
+describe('parseQueryIntent', () => {
+  it.each([
+    ['will it rain in Boston tomorrow?', { location: 'Boston', question: 'rain', range: { kind: 'tomorrow' } }],
+    ['weekend in Austin', { location: 'Austin', question: 'forecast', range: { kind: 'weekend' } }],
+    ['coldest day this week in Denver', { location: 'Denver', question: 'coldest', range: { kind: 'week' } }],
+    ['is it going to snow on Friday', { location: null, question: 'snow', range: { kind: 'weekday', weekday: 5 } }],
+    [
+      'how hot will it be in Phoenix today',
+      { location: 'Phoenix', question: 'temperature', range: { kind: 'today' } }
+    ],
+    ['windy tomorrow in Chicago?', { location: 'Chicago', question: 'wind', range: { kind: 'tomorrow' } }],
+    ['Portland, ME this weekend', { location: 'Portland, ME', question: 'forecast', range: { kind: 'weekend' } }]
+  ])('understands "%s"', (input, expected) => {
+    expect(parseQueryIntent(input)).toEqual(expected)
+  })
+
+  it('reads a question without a place or date as one about here and now', () => {
+    expect(parseQueryIntent('how hot is it?')).toEqual({ location: null, question: 'temperature', range: null })
+  })
+
+  it.each(['Hot Springs', 'Rainy River', 'Snowmass', 'Windsor', 'Warm Springs, GA', 'Coldwater', 'Boston'])(
+    'treats "%s" as a place name',
+    (input) => {
+      expect(parseQueryIntent(input)).toBeNull()
+    }
+  )
+})
+
+describe('resolveIntentDates', () => {
+  it('covers today, tomorrow, a weekday and the coming weekend', () => {
+    expect(resolveIntentDates(parseQueryIntent('rain today?'), TODAY)).toEqual(['2026-10-14'])
+    expect(resolveIntentDates(parseQueryIntent('rain tomorrow?'), TODAY)).toEqual(['2026-10-15'])
+    expect(resolveIntentDates(parseQueryIntent('rain on Friday?'), TODAY)).toEqual(['2026-10-16'])
+    expect(resolveIntentDates(parseQueryIntent('this weekend'), TODAY)).toEqual(['2026-10-17', '2026-10-18'])
+  })
+
+  it('only keeps Sunday for "weekend" asked on a Sunday', () => {
+    expect(resolveIntentDates(parseQueryIntent('this weekend'), '2026-10-18')).toEqual(['2026-10-18'])
+  })
+
+  it('looks at the whole week for "which day" questions without a range', () => {
+    expect(resolveIntentDates(parseQueryIntent('coldest day in Denver'), TODAY)).toHaveLength(7)
+  })
+})
+
+describe('answerIntent', () => {
+  it('answers rain questions for a single day', () => {
+    expect(answer('will it rain tomorrow?')).toEqual({
+      dates: ['2026-10-15'],
+      text: 'Yes, rain is likely tomorrow (70% chance).'
+    })
+    expect(answer('will it rain today?').text).toBe('Probably not: at most a 10% chance of rain today.')
+  })
+
+  it('names the rainy days of a weekend', () => {
+    expect(answer('rain this weekend?')).toEqual({
+      dates: ['2026-10-17'],
+      text: 'Rain is likely on Saturday (up to 80%).'
+    })
+  })
+
+  it('picks the coldest and windiest days of the week', () => {
+    expect(answer('coldest day this week')).toEqual({ dates: ['2026-10-19'], text: 'Coldest: Monday, down to -1°C.' })
+    expect(answer('windy this week?').dates).toEqual(['2026-10-16'])
+  })
+
+  it('summarises a range as its lowest low and highest high', () => {
+    expect(answer('weekend in Austin').text).toBe('This weekend: partly cloudy, 4°C to 18°C.')
+  })
+
+  it('says so when the day is past the forecast', () => {
+    const shortReport = { ...report, daily: report.daily.slice(0, 1) }
+    expect(answerIntent(parseQueryIntent('rain tomorrow?'), shortReport, format)).toEqual({
+      dates: [],
+      text: "That's beyond the 7-day forecast."
+    })
+  })
+})
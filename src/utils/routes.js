@@ -0,0 +1,88 @@
+/**
+ * URL helpers for deep-linkable weather views
+ *
+ *   /weather/Boston               free-text search (state/nickname rules apply)
+ *   /weather/42.36,-71.06         exact coordinates
+ *   /weather/id:2801268           exact provider location id (from a suggestion)
+ *
+ * Optional query params: ?day=YYYY-MM-DD selects a forecast day and
+ * ?unit=metric|imperial|uk applies a unit system when the link is opened.
+ * A custom mix is spelled out per dimension, e.g. ?unit=c.mph.inHg.mm
+ */
+
+import { UNIT_OPTIONS, UNIT_SYSTEMS, getUnitSystem } from './units'
+
+const UNIT_DIMENSIONS = Object.keys(UNIT_OPTIONS)
+
+const COORDINATES_PATTERN = /^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/
+const ID_PATTERN = /^id:\w+$/
+
+/**
+ * Whether a query names one exact place (coordinates or a provider id)
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function isExactQuery(query) {
+  return COORDINATES_PATTERN.test(query) || ID_PATTERN.test(query)
+}
+
+/**
+ * Path for a weather view
+ * @param {string} query - Search text, "lat,lon" or "id:<n>"
+ * @returns {string}
+ */
+export function weatherPath(query) {
+  // Keep commas and colons readable in the address bar
+  const segment = encodeURIComponent(query.trim()).replace(/%2C/gi, ',').replace(/%3A/gi, ':')
+  return `/weather/${segment}`
+}
+
+/**
+ * Interpret the :location route param
+ * @param {string} param - Already URL-decoded by the router
+ * @returns {{query: string, exact: boolean}}
+ */
+export function parseLocationParam(param) {
+  const query = param.trim()
+  return { query, exact: isExactQuery(query) }
+}
+
+/**
+ * Value of the ?unit= param for a unit preference
+ * @param {Object} units - {temperature, wind, pressure, precipitation}
+ * @returns {string}
+ */
+export function formatUnitParam(units) {
+  return getUnitSystem(units) ?? UNIT_DIMENSIONS.map((dimension) => units[dimension]).join('.')
+}
+
+/**
+ * Read a ?unit= param back into a unit preference
+ * @param {string|null} param
+ * @returns {Object|null} - {temperature, wind, pressure, precipitation}, or null if invalid
+ */
+export function parseUnitParam(param) {
+  if (!param) return null
+  if (UNIT_SYSTEMS[param]) return { ...UNIT_SYSTEMS[param] }
+
+  const values = param.split('.')
+  if (values.length !== UNIT_DIMENSIONS.length) return null
+  const units = Object.fromEntries(UNIT_DIMENSIONS.map((dimension, i) => [dimension, values[i]]))
+  return UNIT_DIMENSIONS.every((dimension) => UNIT_OPTIONS[dimension][units[dimension]]) ? units : null
+}
+
+/**
+ * Absolute, shareable URL that reproduces a view
+ * @param {Object} options
+ * @param {string} options.query - Exact location query ("lat,lon", "id:<n>" or "place:<id>")
+ * @param {string|null} [options.day] - Selected forecast date
+ * @param {string|null} [options.unit] - ?unit= value from formatUnitParam()
+ * @returns {string}
+ */
+export function buildShareUrl({ query, day = null, unit = null }) {
+  const params = new URLSearchParams()
+  if (day) params.set('day', day)
+  if (unit) params.set('unit', unit)
+  const search = params.toString()
+  return `${window.location.origin}${weatherPath(query)}${search ? `?${search}` : ''}`
+}
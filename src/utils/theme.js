@@ -0,0 +1,138 @@
+/**
+ * Page theme for a location: time of day from its own clock and sun times,
+ * plus a weather variant for rain, snow and storms
+ */
+
+// The hour after sunrise and before sunset count as golden hour; twilight
+// runs this long before sunrise and after sunset
+const GOLDEN_HOUR_MINUTES = 60
+const TWILIGHT_MINUTES = 30
+
+// Day phase -> the background theme (CSS class) it uses
+const PHASE_THEMES = {
+  dawn: 'morning',
+  morning: 'morning',
+  afternoon: 'afternoon',
+  golden: 'evening',
+  dusk: 'evening',
+  night: 'night'
+}
+
+// Both providers use WeatherAPI's icon set, so its icon numbers identify a
+// condition whichever provider is active
+const STORM_ICONS = new Set([200, 386, 389, 392, 395])
+const SNOW_ICONS = new Set([
+  179, 182, 227, 230, 317, 320, 323, 326, 329, 332, 335, 338, 350, 362, 365, 368, 371, 374, 377
+])
+const RAIN_ICONS = new Set([
+  176, 185, 263, 266, 281, 284, 293, 296, 299, 302, 305, 308, 311, 314, 353, 356, 359
+])
+
+/**
+ * Current wall-clock time at a location, as "YYYY-MM-DD HH:mm"
+ * @param {string} timezone - IANA zone, e.g. "Asia/Tokyo"
+ * @param {Date} [now]
+ * @returns {string|null} - null if the zone isn't recognised
+ */
+export function getLocationClock(timezone, now = new Date()) {
+  try {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      })
+        .formatToParts(now)
+        .map(({ type, value }) => [type, value])
+    )
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Minutes since midnight for "HH:mm" (or the time part of "YYYY-MM-DD HH:mm")
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.slice(-5).split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Phase of the day from the sun's position
+ *
+ * Without sun times (polar day or night, or a provider that has none) the
+ * classic fixed hour buckets are used instead.
+ *
+ * @param {string} clock - Location's "YYYY-MM-DD HH:mm"
+ * @param {import('../services/weather/model').Astro|null} astro - That day's sun times
+ * @returns {'dawn'|'morning'|'afternoon'|'golden'|'dusk'|'night'}
+ */
+export function getDayPhase(clock, astro) {
+  const now = toMinutes(clock)
+
+  if (!astro?.sunrise || !astro?.sunset) {
+    if (now >= 6 * 60 && now < 12 * 60) return 'morning'
+    if (now >= 12 * 60 && now < 17 * 60) return 'afternoon'
+    if (now >= 17 * 60 && now < 20 * 60) return 'golden'
+    return 'night'
+  }
+
+  const sunrise = toMinutes(astro.sunrise)
+  const sunset = toMinutes(astro.sunset)
+  const solarNoon = (sunrise + sunset) / 2
+
+  if (now < sunrise - TWILIGHT_MINUTES || now >= sunset + TWILIGHT_MINUTES) return 'night'
+  if (now < sunrise + GOLDEN_HOUR_MINUTES) return 'dawn'
+  if (now < solarNoon) return 'morning'
+  if (now < sunset - GOLDEN_HOUR_MINUTES) return 'afternoon'
+  if (now < sunset) return 'golden'
+  return 'dusk'
+}
+
+/**
+ * Weather variant of the theme for a condition
+ * @param {import('../services/weather/model').Condition|null} condition
+ * @returns {'storm'|'snow'|'rain'|null}
+ */
+export function getConditionVariant(condition) {
+  const icon = Number(/(\d+)\.png$/.exec(condition?.icon ?? '')?.[1])
+  if (STORM_ICONS.has(icon)) return 'storm'
+  if (SNOW_ICONS.has(icon)) return 'snow'
+  if (RAIN_ICONS.has(icon)) return 'rain'
+  return null
+}
+
+/**
+ * Theme for a weather report at a moment in time
+ *
+ * The location's clock is worked out from its timezone rather than the
+ * report's `localtime`, so the theme keeps moving between refreshes; the
+ * weather variant follows the forecast hour for that clock.
+ *
+ * @param {import('../services/weather/model').WeatherReport|null} weather
+ * @param {Date} [now]
+ * @returns {{phase: string, timeOfDay: string, variant: string|null, clock: string}}
+ */
+export function getLocationTheme(weather, now = new Date()) {
+  const locationClock = weather?.location.timezone && getLocationClock(weather.location.timezone, now)
+  // No report yet: the browser's own clock
+  const clock =
+    locationClock || weather?.location.localtime || getLocationClock(Intl.DateTimeFormat().resolvedOptions().timeZone, now)
+
+  const date = clock.slice(0, 10)
+  const astro = weather ? (weather.daily.find((day) => day.date === date)?.astro ?? weather.astro) : null
+  const phase = getDayPhase(clock, astro)
+
+  const hour = weather?.hourly.find((entry) => entry.time.slice(0, 13) === clock.slice(0, 13))
+  const variant = weather ? getConditionVariant(hour?.condition ?? weather.current.condition) : null
+
+  return { phase, timeOfDay: PHASE_THEMES[phase], variant, clock }
+}
@@ -0,0 +1,222 @@
+import { formatNumber, getLocale } from './i18n'
+
+/**
+ * Unit conversion and formatting
+ *
+ * Weather providers are normalized to metric base units (°C, km/h, mb, mm, km).
+ * Every displayed measurement goes through the format* helpers below so the
+ * user's unit preference is applied the same way everywhere.
+ */
+
+/** @param {number} celsius */
+export const celsiusToFahrenheit = (celsius) => (celsius * 9) / 5 + 32
+
+/** @param {number} kph */
+export const kphToMph = (kph) => kph / 1.609344
+
+/** @param {number} kph */
+export const kphToMetersPerSecond = (kph) => kph / 3.6
+
+/** @param {number} mb - Pressure in millibars (hPa) */
+export const mbToInHg = (mb) => mb * 0.02953
+
+/** @param {number} mm */
+export const mmToInches = (mm) => mm / 25.4
+
+/** @param {number} km */
+export const kmToMiles = (km) => km / 1.609344
+
+/**
+ * Available units per measurement, with their display labels
+ */
+export const UNIT_OPTIONS = {
+  temperature: { c: '°C', f: '°F' },
+  wind: { kph: 'km/h', mph: 'mph', ms: 'm/s' },
+  pressure: { mb: 'mb', inHg: 'inHg' },
+  precipitation: { mm: 'mm', in: 'in' }
+}
+
+/**
+ * Preset unit systems
+ */
+export const UNIT_SYSTEMS = {
+  metric: { temperature: 'c', wind: 'kph', pressure: 'mb', precipitation: 'mm' },
+  imperial: { temperature: 'f', wind: 'mph', pressure: 'inHg', precipitation: 'in' },
+  // UK: Celsius and millimetres, but road-sign miles per hour
+  uk: { temperature: 'c', wind: 'mph', pressure: 'mb', precipitation: 'mm' }
+}
+
+// Countries that still use Fahrenheit day to day
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM', 'PR', 'GU', 'VI', 'AS', 'MP', 'BS', 'BZ', 'KY', 'PW', 'FM', 'MH']
+
+/**
+ * Work out the region of a BCP 47 locale, e.g. "en-US" -> "US", "en" -> "US"
+ * @param {string} locale
+ * @returns {string|null}
+ */
+function getRegion(locale) {
+  try {
+    const parsed = new Intl.Locale(locale)
+    return parsed.region || parsed.maximize().region || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Choose default units from the browser locale
+ * @param {string} [locale] - Defaults to the browser locale
+ * @returns {{temperature: string, wind: string, pressure: string, precipitation: string}}
+ */
+export function getDefaultUnits(locale = getLocale()) {
+  const region = getRegion(locale)
+  if (IMPERIAL_REGIONS.includes(region)) return { ...UNIT_SYSTEMS.imperial }
+  if (region === 'GB') return { ...UNIT_SYSTEMS.uk }
+  return { ...UNIT_SYSTEMS.metric }
+}
+
+/**
+ * Which preset (if any) a set of units matches
+ * @param {Object} units
+ * @returns {string|null} - 'metric', 'imperial', 'uk' or null for a custom mix
+ */
+export function getUnitSystem(units) {
+  const match = Object.entries(UNIT_SYSTEMS).find(([, preset]) =>
+    Object.keys(preset).every((key) => preset[key] === units[key])
+  )
+  return match ? match[0] : null
+}
+
+/**
+ * Convert a Celsius value into the chosen temperature unit
+ * @param {number} celsius
+ * @param {string} unit - 'c' or 'f'
+ */
+export function convertTemperature(celsius, unit) {
+  return unit === 'f' ? celsiusToFahrenheit(celsius) : celsius
+}
+
+/**
+ * Convert a km/h value into the chosen wind unit
+ * @param {number} kph
+ * @param {string} unit - 'kph', 'mph' or 'ms'
+ */
+export function convertWind(kph, unit) {
+  if (unit === 'mph') return kphToMph(kph)
+  if (unit === 'ms') return kphToMetersPerSecond(kph)
+  return kph
+}
+
+/**
+ * Convert a millibar value into the chosen pressure unit
+ * @param {number} mb
+ * @param {string} unit - 'mb' or 'inHg'
+ */
+export function convertPressure(mb, unit) {
+  return unit === 'inHg' ? mbToInHg(mb) : mb
+}
+
+/**
+ * Convert a millimetre value into the chosen precipitation unit
+ * @param {number} mm
+ * @param {string} unit - 'mm' or 'in'
+ */
+export function convertPrecipitation(mm, unit) {
+  return unit === 'in' ? mmToInches(mm) : mm
+}
+
+/**
+ * Convert a temperature typed in the chosen unit back to Celsius
+ * @param {number} value
+ * @param {string} unit - 'c' or 'f'
+ */
+export function toCelsius(value, unit) {
+  return unit === 'f' ? ((value - 32) * 5) / 9 : value
+}
+
+/**
+ * Convert a wind speed typed in the chosen unit back to km/h
+ * @param {number} value
+ * @param {string} unit - 'kph', 'mph' or 'ms'
+ */
+export function toKph(value, unit) {
+  if (unit === 'mph') return value * 1.609344
+  if (unit === 'ms') return value * 3.6
+  return value
+}
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value)
+
+/**
+ * Format a temperature, e.g. "72°F" or "22°" with { short: true }
+ * @param {number} celsius
+ * @param {string} unit
+ * @param {Object} [options]
+ * @param {boolean} [options.short=false] - Show just the degree sign
+ */
+export function formatTemperature(celsius, unit, { short = false } = {}) {
+  if (isMissing(celsius)) return '—'
+  // + 0 turns -0 into 0 so a rounded -0.3° doesn't show as "-0°"
+  const value = formatNumber(Math.round(convertTemperature(celsius, unit)) + 0)
+  return short ? `${value}°` : `${value}${UNIT_OPTIONS.temperature[unit]}`
+}
+
+/**
+ * Format a temperature difference, e.g. "+6°" or "-3°". Differences scale
+ * between °C and °F without the 32° offset.
+ * @param {number} deltaCelsius
+ * @param {string} unit
+ */
+export function formatTemperatureChange(deltaCelsius, unit) {
+  if (isMissing(deltaCelsius)) return '—'
+  const value = Math.round(unit === 'f' ? (deltaCelsius * 9) / 5 : deltaCelsius) + 0
+  return `${value > 0 ? '+' : ''}${formatNumber(value)}°`
+}
+
+/**
+ * Format a wind speed, e.g. "12 mph" or "5.3 m/s"
+ * @param {number} kph
+ * @param {string} unit
+ */
+export function formatWind(kph, unit) {
+  if (isMissing(kph)) return '—'
+  const value = convertWind(kph, unit)
+  return `${formatNumber(value, unit === 'ms' ? 1 : 0)} ${UNIT_OPTIONS.wind[unit]}`
+}
+
+/**
+ * Format a pressure, e.g. "29.92 inHg" or "1013 mb"
+ * @param {number} mb
+ * @param {string} unit
+ */
+export function formatPressure(mb, unit) {
+  if (isMissing(mb)) return '—'
+  const value = convertPressure(mb, unit)
+  return `${formatNumber(value, unit === 'inHg' ? 2 : 0)} ${UNIT_OPTIONS.pressure[unit]}`
+}
+
+/**
+ * Format a precipitation amount, e.g. "0.12 in" or "3.0 mm"
+ * @param {number} mm
+ * @param {string} unit
+ */
+export function formatPrecipitation(mm, unit) {
+  if (isMissing(mm)) return '—'
+  const value = convertPrecipitation(mm, unit)
+  return `${formatNumber(value, unit === 'in' ? 2 : 1)} ${UNIT_OPTIONS.precipitation[unit]}`
+}
+
+/**
+ * Formatters bound to a unit preference, as handed out by useUnits()
+ * @param {Object} units - {temperature, wind, pressure, precipitation}
+ * @returns {Object}
+ */
+export function createUnitFormatters(units) {
+  return {
+    temperature: (celsius, options) => formatTemperature(celsius, units.temperature, options),
+    temperatureChange: (deltaCelsius) => formatTemperatureChange(deltaCelsius, units.temperature),
+    wind: (kph) => formatWind(kph, units.wind),
+    pressure: (mb) => formatPressure(mb, units.pressure),
+    precipitation: (mm) => formatPrecipitation(mm, units.precipitation)
+  }
+}
@@ -1,7 +1,68 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createWeatherProxy } from './server/proxy.js'
+
+/**
+ * Serve the weather API proxy (server/proxy.js) from the dev and preview
+ * servers, so `npm run dev` needs no second process. The key is read without
+ * the VITE_ prefix, which keeps it out of the client bundle.
+ */
+function weatherApiProxy() {
+  let handle
+  return {
+    name: 'weather-api-proxy',
+    configResolved(config) {
+      const env = loadEnv(config.mode, config.envDir || config.root, '')
+      if (!env.WEATHER_API_KEY && env.VITE_WEATHER_API_KEY) {
+        config.logger.warn('VITE_WEATHER_API_KEY is no longer read; rename it to WEATHER_API_KEY in .env.')
+      }
+      handle = createWeatherProxy({ apiKey: env.WEATHER_API_KEY })
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => handle(req, res, next))
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use((req, res, next) => handle(req, res, next))
+    }
+  }
+}
+
+// Files from public/ that belong to the app shell
+const PUBLIC_SHELL = ['vite.svg', 'manifest.webmanifest', 'icons/icon-192.png', 'icons/icon-512.png', 'icons/icon.svg']
+
+/**
+ * Emit the service worker (src/sw.js) with this build's precache list. The
+ * list's hash names the shell cache, so each deploy replaces the last one.
+ */
+function serviceWorker() {
+  let base = '/'
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    // After index.html has been added to the bundle
+    enforce: 'post',
+    configResolved(config) {
+      base = config.base
+    },
+    generateBundle(options, bundle) {
+      const files = Object.keys(bundle).filter((file) => file !== 'index.html' && !file.endsWith('.map'))
+      const urls = [base, ...[...files, ...PUBLIC_SHELL].map((file) => `${base}${file}`)]
+      const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8').replace(
+        'self.__PRECACHE__',
+        JSON.stringify({ version, base, urls })
+      )
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 // Keep server config minimal: allow Vite to auto-pick an open port.
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react(), weatherApiProxy(), serviceWorker()],
+  test: {
+    environment: 'jsdom'
+  }
 })